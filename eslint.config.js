@@ -26,4 +26,9 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // LAN relay runs in Node, not the browser
+    files: ['server/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Panda Royale LAN relay
+ * - Forwards every message a phone sends to the other phones in the same room
+ *   (ws://<laptop-ip>:8787/?room=ABC123); it keeps no game state of its own –
+ *   the phones resync with each other after any reconnect
+ * - Dead connections are dropped by a ping/pong heartbeat
+ * - Also serves the built app (dist/, after `npm run build`) at /panda-royale/:
+ *   phones that open it over plain http can reach the ws:// relay, which
+ *   browsers block from the https GitHub Pages site
+ *
+ *   npm run relay            (PORT=9000 npm run relay for another port)
+ */
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { networkInterfaces } from "node:os";
+import { extname, join, normalize } from "node:path";
+import { fileURLToPath } from "node:url";
+import { WebSocketServer } from "ws";
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_MESSAGE_BYTES = 256 * 1024;
+const HEARTBEAT_MS = 15000;
+const APP_BASE = "/panda-royale/";
+const DIST = fileURLToPath(new URL("../dist/", import.meta.url));
+const TYPES = {
+  ".html": "text/html", ".js": "text/javascript", ".css": "text/css", ".svg": "image/svg+xml",
+  ".png": "image/png", ".webmanifest": "application/manifest+json", ".json": "application/json",
+};
+
+const rooms = new Map(); // room → Set<WebSocket>
+
+const server = createServer(async (req, res) => {
+  const path = new URL(req.url, "http://relay").pathname;
+  if (path.startsWith(APP_BASE)) {
+    const served = await serveApp(path.slice(APP_BASE.length), res);
+    if (served) return;
+  }
+  // Anything else is a health check ("is the relay up?") from a browser
+  res.writeHead(200, { "content-type": "text/plain", "access-control-allow-origin": "*" });
+  res.end(`Panda Royale relay – ${[...rooms.values()].reduce((n, s) => n + s.size, 0)} connected\n`);
+});
+
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_BYTES });
+
+wss.on("connection", (ws, req) => {
+  const room = new URL(req.url, "http://relay").searchParams.get("room")?.trim().toUpperCase();
+  if (!room) {
+    ws.close(1008, "room required");
+    return;
+  }
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  const members = rooms.get(room);
+  members.add(ws);
+  ws.isAlive = true;
+  log(`+ ${room} (${members.size} in room)`);
+
+  ws.on("pong", () => { ws.isAlive = true; });
+  ws.on("message", (data, isBinary) => {
+    if (isBinary) return;
+    for (const peer of members) {
+      if (peer !== ws && peer.readyState === peer.OPEN) peer.send(data, { binary: false });
+    }
+  });
+  ws.on("close", () => {
+    members.delete(ws);
+    if (!members.size) rooms.delete(room);
+    log(`- ${room} (${members.size} in room)`);
+  });
+  ws.on("error", () => ws.terminate());
+});
+
+const heartbeat = setInterval(() => {
+  for (const ws of wss.clients) {
+    if (!ws.isAlive) { ws.terminate(); continue; }
+    ws.isAlive = false;
+    ws.ping();
+  }
+}, HEARTBEAT_MS);
+wss.on("close", () => clearInterval(heartbeat));
+
+server.listen(PORT, () => {
+  log(`Relay listening on port ${PORT}. In the app's Sync panel, use one of:`);
+  for (const addr of lanAddresses()) log(`  ws://${addr}:${PORT}   (app: http://${addr}:${PORT}${APP_BASE})`);
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    wss.close();
+    server.close(() => process.exit(0));
+  });
+}
+
+// Static files from dist/; unknown paths get index.html (SPA). false = no build
+async function serveApp(rel, res) {
+  const file = normalize(join(DIST, rel || "index.html"));
+  if (!file.startsWith(DIST)) return false;
+  for (const candidate of [file, join(DIST, "index.html")]) {
+    try {
+      const body = await readFile(candidate);
+      res.writeHead(200, { "content-type": TYPES[extname(candidate)] || "application/octet-stream" });
+      res.end(body);
+      return true;
+    } catch {
+      // not there – try the SPA fallback, then give up
+    }
+  }
+  return false;
+}
+
+function lanAddresses() {
+  const out = [];
+  for (const list of Object.values(networkInterfaces())) {
+    for (const a of list || []) if (a.family === "IPv4" && !a.internal) out.push(a.address);
+  }
+  return out.length ? out : ["localhost"];
+}
+
+function log(msg) {
+  console.log(`[${new Date().toLocaleTimeString()}] ${msg}`);
+}
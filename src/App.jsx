@@ -1,185 +1,422 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useReducer, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { Dice6, Sparkles, Lock, FileDown, CheckCircle2 } from "lucide-react";
+import {
+  Dice6, Lock, FileDown, FileUp, FileJson, CheckCircle2, UserPlus, Trophy, X, BarChart3, Undo2, Redo2, ScrollText, SlidersHorizontal,
+  Share2, Eye, RadioTower, AlertTriangle, Printer, Languages, SunMoon, ScanLine
+} from "lucide-react";
+import { AButton, AInput, DiceChip } from "./components/ui";
+import StatsView from "./components/StatsView";
+import AuditLog from "./components/AuditLog";
+import RulesPanel from "./components/RulesPanel";
+import NewGameSetup from "./components/NewGameSetup";
+import RecoveryPrompt from "./components/RecoveryPrompt";
+import DicePopover from "./components/DicePopover";
+import DiceScanner from "./components/DiceScanner";
+import ChartPanel from "./components/ChartPanel";
+import RoundClock from "./components/RoundClock";
+import UpdatePrompt from "./components/UpdatePrompt";
+import ShareDialog from "./components/ShareDialog";
+import PrintView from "./components/PrintView";
+import LeagueView from "./components/LeagueView";
+import SyncPanel from "./components/SyncPanel";
+import { COLORS } from "./lib/colors";
+import { playerFlags, isColumnOpen, usesRedCount, columnLegend, roundOneColumns } from "./lib/scoring";
+import { loadCustomPresets, saveCustomPresets } from "./lib/rules";
+import { MAX_PLAYERS, makeId } from "./lib/game";
+import { buildTableCsvString, parseCsvString } from "./lib/csv";
+import { serializeGame, parseGameFile } from "./lib/gameFile";
+import { loadSavedGame, saveGame, readBackup } from "./lib/storage";
+import { loadHistory, saveHistory, removeHistoryEntry } from "./lib/history";
+import { actions, archiveChange, gameReducer, initGameState, runningTotal, selectGameTotal, selectRowTotals } from "./lib/gameState";
+import { cellFaces } from "./lib/dice";
+import { damagedLink, decodeShare, shareCodeFromHash } from "./lib/share";
+import { validateRow, gameWarnings } from "./lib/validation";
+import { useDialog } from "./lib/dialog";
+import { parseCellInput, parseRedCountInput } from "./lib/input";
+import { loadLeague, saveLeague } from "./lib/league";
+import { I18nContext, LANGUAGES, createI18n, localizeRules, useI18n } from "./lib/i18n";
+import { loadSettings, saveSettings } from "./lib/settings";
+import { THEME_MODES, useTheme } from "./lib/theme";
+import { formatDuration, roundDuration, useNow } from "./lib/timing";
+import {
+  loadSyncSettings, saveSyncSettings, createSyncSession, createBroadcastTransport, createWebSocketTransport,
+  combineTransports
+} from "./lib/sync";
 
 /**
  * Panda Royale – Personal Score Sheet – Arcade v4.0
- * - Permanent DARK mode
  * - Table-only layout
  * - Mobile: side scroll when needed; collapsed borders (no visual gaps)
  * - Red Dice Picker modal:
  *     • Click the Red cell (or the ⚙️ button next to it) to open
- *     • Adjust "# of red dice" with + / −
- *     • Persists immediately for future rounds (uses global defaultRedCount)
- *     • Current round snapshots on "Done" (unchanged behavior)
+ *     • Adjust "# of red dice" with + / − for that round only
  * - Inputs show full numbers (tabular-nums + ~5.5ch)
  * - Features: Done/lock per round, CSV export, reset confirm, Round 1 = yellow-only,
- *   row total only when locked, final total after all locked, ± for Red Sum
+ *   row total only when locked, live game total, ± for Red Sum
+ * - Game state lives in lib/gameState.js; each feature is described in its own module
  */
 
-const LS_KEY = "pandaRoyale_personal_v40_vite";
-const ROUNDS = 10;
-
-const clampNum = (n) => (Number.isFinite(+n) ? +n : 0);
-const makeBlankRow = () => ({
-  y: 0, purp: 0, blue: 0, redSum: 0, redCount: 0, green: 0, clear: 0, pink: 0, locked: false
-});
-const makeBlankRows = (n = ROUNDS) => Array.from({ length: n }, makeBlankRow);
-
-// ---- calculations
-function computeRowTotal(row, hasGlitterBlue) {
-  const y = clampNum(row.y);
-  const p = clampNum(row.purp) * 2;
-  const b = clampNum(row.blue) * (hasGlitterBlue ? 2 : 1);
-  const red = clampNum(row.redSum) * clampNum(row.redCount);
-  const g = clampNum(row.green);
-  const c = clampNum(row.clear);
-  const k = clampNum(row.pink);
-  return y + p + b + red + g + c + k;
+// text, or bytes (the PDF export)
+function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
-function buildCsvString(playerName, rows, hasGlitterBlue, gameTotal) {
-  const header = [
-    "Round","Yellow","Purple(x2)","Blue" + (hasGlitterBlue ? "(x2 glitter)" : ""),
-    "Red Sum","Red Count","Green","Clear/White","Pink (Pity)","Row Total"
-  ].join(",");
-  const lines = rows.map((r, i) => [
-    i + 1, r.y, r.purp * 2, hasGlitterBlue ? r.blue * 2 : r.blue,
-    r.redSum, r.redCount || 0, r.green, r.clear, r.pink, computeRowTotal(r, hasGlitterBlue)
-  ].join(","));
-  const footer = ["","","","","","","","","Total", gameTotal].join(",");
-  return [header, ...lines, footer].join("\n");
-}
+export default function App() {
+  // Saved game is read once, synchronously, so the first render already has it
+  // (repair notes in the saved language)
+  const [boot] = useState(() => loadSavedGame(loadSettings().language));
+  const [recovery, setRecovery] = useState(() => (["repaired", "corrupt"].includes(boot.status) ? boot : null));
+  // The game itself – sheets, rules, undo stacks, log – lives in lib/gameState.js
+  const [game, dispatch] = useReducer(gameReducer, boot.game, initGameState);
+  const { players, currentIdx, rules, roundCount, auditLog, undoStack, redoStack } = game;
+  const [customPresets, setCustomPresets] = useState(loadCustomPresets);
+  const [rulesOpen, setRulesOpen] = useState(false);
+  const [history, setHistory] = useState(loadHistory);
+  const [league, setLeague] = useState(loadLeague);
+  const [settings, setSettings] = useState(loadSettings);
+  const i18n = useMemo(() => createI18n(settings.language), [settings.language]);
+  const { t, n, lang } = i18n;
+  useTheme(settings.theme);
+  const i18nRef = useRef(i18n);
+  i18nRef.current = i18n;
+  // Rules as shown (built-in labels translated); scoring is the same as `rules`
+  const shownRules = useMemo(() => localizeRules(rules, lang), [rules, lang]);
+  const [view, setView] = useState("sheet"); // "sheet" | "stats" | "print" | "league" | "setup"
 
-// ---- UI atoms
-const AButton = ({ className = "", variant = "solid", children, ...props }) => (
-  <button
-    className={
-      (variant === "solid"
-        ? "bg-gradient-to-r from-indigo-500 to-cyan-400 text-white "
-        : "bg-zinc-900 text-zinc-100 border border-zinc-800 ") +
-      "px-3 py-2 text-sm rounded-2xl shadow-sm transition active:scale-[.98] hover:brightness-110 " +
-      className
-    }
-    {...props}
-  >{children}</button>
-);
-
-const AInput = (props) => (
-  <input
-    {...props}
-    className={
-      "px-2 py-1 text-sm rounded-md bg-zinc-900 border border-zinc-800 outline-none " +
-      "focus:ring-2 focus:ring-cyan-400/50 text-zinc-100 tabular-nums " +
-      (props.className || "")
-    }
-  />
-);
-
-const DiceChip = ({ label, color }) => (
-  <span
-    className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-[10px] font-semibold shadow-sm ring-1 ring-black/10"
-    style={{ background: color.bg, color: color.fg, border: `1px solid ${color.bd}` }}
-  >
-    <Sparkles className="w-3 h-3 opacity-80" />
-    {label}
-  </span>
-);
-
-const COLORS = {
-  yellow: { bg: "#FEF9C3", fg: "#713F12", bd: "#FDE68A" },
-  purple: { bg: "#E9D5FF", fg: "#5B21B6", bd: "#D8B4FE" },
-  blue:   { bg: "#CFFAFE", fg: "#0E7490", bd: "#A5F3FC" },
-  red:    { bg: "#FECACA", fg: "#7F1D1D", bd: "#FCA5A5" },
-  green:  { bg: "#DCFCE7", fg: "#14532D", bd: "#BBF7D0" },
-  clear:  { bg: "#F1F5F9", fg: "#334155", bd: "#E2E8F0" },
-  pink:   { bg: "#FCE7F3", fg: "#9D174D", bd: "#FBCFE8" },
-};
+  const [logOpen, setLogOpen] = useState(false);
 
-export default function App() {
-  const [rows, setRows] = useState(() => makeBlankRows());
-  const [activeRound, setActiveRound] = useState(0);
-  const [defaultRedCount, setDefaultRedCount] = useState(0);
-  const [playerName, setPlayerName] = useState("Player");
-  const [hasGlitterBlue, setHasGlitterBlue] = useState(false);
+  // Import: hidden file input + last failed import's errors
+  const fileInputRef = useRef(null);
+  const [importErrors, setImportErrors] = useState(null); // { file, errors }
+  const [importWarnings, setImportWarnings] = useState(null); // { file, warnings } of the last import that went through
+
+  // Share links: the snapshot being shared, and whether a shared game is on screen
+  const [sharing, setSharing] = useState(null);
+  const [readOnly, setReadOnly] = useState(false);
+
+  // Peer sync (settings saved; session lives while "enabled" and not viewing a shared game)
+  const [syncSettings, setSyncSettings] = useState(loadSyncSettings);
+  const [syncOpen, setSyncOpen] = useState(false);
+  const [syncStatus, setSyncStatus] = useState("offline");
+  const [peers, setPeers] = useState([]);
+  const [syncNotices, setSyncNotices] = useState([]);
+  const syncRef = useRef(null);
+  const latestRef = useRef(null);
+  const tableRef = useRef(null);
+  const focusRoundRef = useRef(null); // round whose first cell gets focus after a keyboard Done
+
+  // The table below always edits the selected player's sheet
+  const player = players[currentIdx] || players[0];
+  const { rows, activeRound, name: playerName } = player;
+  const flags = playerFlags(player);
+  // Edits of the game (not while a shared game is on screen)
+  const edit = (action) => {
+    if (!readOnly) dispatch(action);
+  };
+  const setCurrentIdx = (index) => dispatch(actions.selectPlayer(index));
+  const setPlayerName = (name) => edit(actions.renamePlayer(name));
+  const setFlag = (key, value) => edit(actions.setFlag(key, value));
 
   // Red Dice Picker modal
   const [redPickerOpen, setRedPickerOpen] = useState(false);
-  const [redPickerRound, setRedPickerRound] = useState(null); // which round opened it from (for UX highlight)
+  const [diceEntry, setDiceEntry] = useState(null); // { round, key } of the cell being entered die by die
+  const [scanRound, setScanRound] = useState(null); // round whose dice are being scanned from a photo
+  const [redPickerRound, setRedPickerRound] = useState(null); // the round whose red count the picker edits
 
-  // Force dark mode globally
+  // Persist (not while a shared game is on screen – the local one stays saved)
   useEffect(() => {
-    document.documentElement.classList.add("dark");
-  }, []);
+    if (readOnly) return;
+    saveGame({ players, currentIdx, auditLog, rules, roundCount });
+  }, [players, currentIdx, auditLog, rules, roundCount, readOnly]);
 
-  // Load user data
   useEffect(() => {
-    try {
-      const saved = JSON.parse(localStorage.getItem(LS_KEY) || "null");
-      if (saved) {
-        setRows(saved.rows || rows);
-        setActiveRound(saved.activeRound || 0);
-        setDefaultRedCount(saved.defaultRedCount ?? 0);
-        setPlayerName(saved.playerName || "Player");
-        setHasGlitterBlue(!!saved.hasGlitterBlue);
+    saveHistory(history);
+  }, [history]);
+
+  useEffect(() => {
+    saveLeague(league);
+  }, [league]);
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  useEffect(() => {
+    saveSyncSettings(syncSettings);
+  }, [syncSettings]);
+
+  // One sync session per room/relay; remote edits to a player we also have land in its rows
+  latestRef.current = { players, rules };
+  const { enabled: syncEnabled, room: syncRoom, relayUrl, deviceName, clientId } = syncSettings;
+  useEffect(() => {
+    if (!syncEnabled || !syncRoom || readOnly) return;
+    const transports = [];
+    if (typeof BroadcastChannel === "function") transports.push(createBroadcastTransport(syncRoom));
+    if (relayUrl) {
+      try {
+        transports.push(createWebSocketTransport(relayUrl, syncRoom));
+      } catch {
+        setSyncStatus("offline"); // malformed URL – tabs still sync
       }
-    } catch {}
-  }, []);
+    }
+    const session = createSyncSession({
+      room: syncRoom,
+      clientId,
+      deviceName,
+      transport: combineTransports(transports),
+      onPeers: setPeers,
+      onStatus: setSyncStatus,
+      onMerge: (playerId, mergedRows) => dispatch(actions.mergeRows(playerId, mergedRows)),
+      onConflict: (notice) => setSyncNotices((prev) => [{ ...notice, id: makeId() }, ...prev].slice(0, 10)),
+    });
+    syncRef.current = session;
+    session.publish(latestRef.current.players, latestRef.current.rules, true);
+    return () => {
+      session.close();
+      syncRef.current = null;
+      setPeers([]);
+    };
+  }, [syncEnabled, syncRoom, relayUrl, deviceName, clientId, readOnly]);
 
-  // Persist
   useEffect(() => {
-    localStorage.setItem(
-      LS_KEY,
-      JSON.stringify({ rows, activeRound, defaultRedCount, playerName, hasGlitterBlue })
-    );
-  }, [rows, activeRound, defaultRedCount, playerName, hasGlitterBlue]);
+    syncRef.current?.publish(players, rules);
+  }, [players, rules]);
 
-  const rowTotals = useMemo(() => rows.map((r) => computeRowTotal(r, hasGlitterBlue)), [rows, hasGlitterBlue]);
+  // Players on other devices (ones we also have are merged into ours instead)
+  const remotePlayers = peers.flatMap((peer) => peer.players
+    .filter((rp) => !players.some((p) => p.id === rp.id))
+    .map((rp) => ({ ...rp, peer: peer.clientId, device: peer.deviceName, rules: peer.rules || rules })));
+
+  useEffect(() => {
+    saveCustomPresets(customPresets);
+  }, [customPresets]);
+
+  const rowTotals = useMemo(() => selectRowTotals(game, player), [game, player]);
+  const rowWarnings = useMemo(() => rows.map((r, i) => validateRow(r, i, rules, lang)), [rows, rules, lang]);
+  const cellWarning = (roundIdx, key) => rowWarnings[roundIdx].filter((w) => w.key === key).map((w) => w.message).join("\n") || null;
   const allLocked = rows.every((r) => r.locked);
-  const gameTotal = rowTotals.reduce((a, b) => a + b, 0);
-
-  const setField = (roundIdx, key, val) => {
-    if (rows[roundIdx].locked) return;
-    setRows((prev) => {
-      const copy = [...prev];
-      copy[roundIdx] = { ...copy[roundIdx], [key]: val };
-      return copy;
-    });
+  const gameTotal = selectGameTotal(game, player);
+
+  // Keep the archive in step when a command (or its undo) completes, changes or un-completes a sheet
+  useEffect(() => {
+    if (game.lastChange) setHistory((prev) => archiveChange(prev, game.lastChange));
+  }, [game.lastChange]);
+
+  // Every undoable edit of the current sheet is a lib/gameState.js command
+  const setField = (roundIdx, key, val, kind = "field") => edit(actions.setField(roundIdx, key, val, kind));
+
+  // Dice-by-dice entry: the cell becomes the sum of its faces
+  const setDice = (roundIdx, key, faces) => edit(actions.setDice(roundIdx, key, faces));
+
+  // Photo scan: every open colour cell of the round (and the red count) in one step
+  const applyScan = (roundIdx, dice) => edit(actions.applyScan(roundIdx, dice));
+
+  // Red count of one round; allowed on locked rounds so a past round can be corrected
+  const setRedCount = (roundIdx, v) => {
+    const current = rows[roundIdx].redCount || 0;
+    edit(actions.setRedCount(roundIdx, typeof v === "function" ? v(current) : v));
   };
 
+  // Lock the active round; the next round starts with the same red count.
+  // Values outside their plausible range have to be confirmed first
   const doneRound = () => {
-    setRows((prev) => {
-      const copy = [...prev];
-      copy[activeRound] = { ...copy[activeRound], redCount: defaultRedCount, locked: true };
-      return copy;
-    });
-    setActiveRound((prev) => Math.min(prev + 1, ROUNDS - 1));
+    const warnings = rowWarnings[activeRound];
+    if (warnings.length && !confirm(t("confirm.lockWarnings", {
+      round: activeRound + 1, list: warnings.map((w) => `• ${w.message}`).join("\n"),
+    }))) return;
+    edit(actions.lockRound(warnings.length));
   };
 
-  const resetAll = () => {
-    if (!confirm("Start a new game? This will clear all 10 rounds and unlock everything.")) return;
-    const freshRows = makeBlankRows();
-    setRows(freshRows);
-    setActiveRound(0);
-    setDefaultRedCount(0);
-    setHasGlitterBlue(false);
-    setPlayerName("Player");
-    try {
-      localStorage.setItem(LS_KEY, JSON.stringify({
-        rows: freshRows, activeRound: 0, defaultRedCount: 0, playerName: "Player", hasGlitterBlue: false
-      }));
-    } catch {}
+  const undo = () => dispatch(actions.undo());
+  const redo = () => dispatch(actions.redo());
+
+  // Keyboard entry in the active row: ←/→ and Enter move between cells, Enter on
+  // the last cell (or Ctrl/⌘+Enter anywhere) is Done, ± (or +) flips the sign,
+  // Space reopens a cell entered die by die
+  const cellKeyDown = (roundIdx, col) => (e) => {
+    if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+      if (focusSibling(e.currentTarget, e.key === "ArrowRight" ? 1 : -1)) e.preventDefault();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (e.shiftKey) { focusSibling(e.currentTarget, -1); return; }
+      if (!(e.ctrlKey || e.metaKey) && focusSibling(e.currentTarget, 1)) return;
+      if (roundIdx !== activeRound || rows[roundIdx].locked || readOnly) return;
+      focusRoundRef.current = roundIdx + 1;
+      doneRound();
+    } else if ((e.key === "±" || e.key === "+") && col.allowNegative) {
+      e.preventDefault();
+      setField(roundIdx, col.key, -(Number(rows[roundIdx][col.key]) || 0), "sign");
+    } else if (e.key === " " && cellFaces(rows[roundIdx], col.key).length) {
+      e.preventDefault();
+      setDiceEntry({ round: roundIdx, key: col.key });
+    }
+  };
+
+  // After a keyboard Done, carry on in the next round's first cell
+  useEffect(() => {
+    const round = focusRoundRef.current;
+    focusRoundRef.current = null;
+    if (round == null || round !== activeRound) return;
+    tableRef.current?.querySelector(`tr[data-round="${round}"] input[data-cell]:not(:disabled)`)?.focus();
+  }, [activeRound]);
+
+  // Ctrl/⌘+Z = undo, Ctrl/⌘+Shift+Z (or Ctrl+Y) = redo; the name field keeps native undo
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("[data-native-undo]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); redo(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  // Called from the New game screen with the chosen length
+  const resetAll = (rounds = roundCount) => {
+    if (!confirm(t("confirm.newGame", { rounds, current: roundCount }))) return;
+    // Keep the roster (names), clear everyone's sheet
+    dispatch(actions.reset(rounds));
+    setView("sheet");
+  };
+
+  const addPlayer = () => {
+    if (players.length >= MAX_PLAYERS) return;
+    dispatch(actions.addPlayer(t("player.numbered", { n: players.length + 1 })));
+  };
+
+  const removePlayer = (idx) => {
+    if (players.length <= 1) return;
+    if (!confirm(t("confirm.removePlayer", { name: players[idx].name || t("player.this") }))) return;
+    dispatch(actions.removePlayer(idx));
+  };
+
+  const isTableMode = players.length > 1;
+
+  // Switching rules rescores every sheet, including locked rounds
+  const applyRules = (next) => {
+    const anyLocked = players.some((p) => p.rows.some((r) => r.locked));
+    if (anyLocked && !confirm(t("confirm.switchRules", { name: localizeRules(next, lang).name }))) return;
+    dispatch(actions.setRules(next));
+    setRulesOpen(false);
+  };
+
+  const savePreset = (preset) => {
+    setCustomPresets((prev) => [...prev.filter((p) => p.id !== preset.id), preset]);
+  };
+
+  const deletePreset = (id) => {
+    setCustomPresets((prev) => prev.filter((p) => p.id !== id));
   };
 
+  const round1Cols = roundOneColumns(shownRules);
+
+  const fileBase = isTableMode ? "panda_royale-table" : (playerName || "panda_royale");
+
   const exportCSV = () => {
-    const csv = buildCsvString(playerName, rows, hasGlitterBlue, gameTotal);
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${playerName || "panda_royale"}-scores.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadText(`${fileBase}-scores.csv`, buildTableCsvString(players, rules, lang), "text/csv;charset=utf-8");
+  };
+
+  const exportJSON = () => {
+    const json = serializeGame({ players, currentIdx, roundCount, rules, auditLog });
+    downloadText(`${fileBase}-game.json`, json, "application/json");
+  };
+
+  // Replace the whole game (import); undo history doesn't carry over
+  const loadGame = useCallback((game) => {
+    dispatch(actions.loadGame(game));
+    setRecovery(null);
+    setImportWarnings(null);
+    setView("sheet");
+  }, []);
+
+  // Opening a share link (on load or pasted into an open tab) shows that game read-only
+  useEffect(() => {
+    const openFromHash = async () => {
+      const code = shareCodeFromHash(window.location.hash);
+      if (code == null) return;
+      const { t, lang } = i18nRef.current;
+      let game, errors;
+      try {
+        ({ game, errors } = await decodeShare(code, lang));
+      } catch {
+        errors = [damagedLink(lang)];
+      }
+      if (errors.length) {
+        setImportErrors({ file: t("shared.link"), errors });
+        return;
+      }
+      setImportErrors(null);
+      setRulesOpen(false);
+      setLogOpen(false);
+      loadGame(game);
+      setReadOnly(true);
+      const warnings = gameWarnings(game.players, game.rules, lang);
+      if (warnings.length) setImportWarnings({ file: t("shared.game"), warnings });
+    };
+    openFromHash();
+    window.addEventListener("hashchange", openFromHash);
+    return () => window.removeEventListener("hashchange", openFromHash);
+  }, [loadGame]);
+
+  const clearShareHash = () => window.history.replaceState(null, "", window.location.pathname + window.location.search);
+
+  // Leave the shared view: back to whatever is saved locally
+  const closeShared = () => {
+    const saved = loadSavedGame(lang);
+    loadGame(saved.game); // nothing saved → a blank one-player game
+    setReadOnly(false);
+    clearShareHash();
+  };
+
+  // Keep the shared game: saving resumes and overwrites the local one
+  const importShared = () => {
+    if (!confirm(t("confirm.importShared"))) return;
+    setReadOnly(false);
+    clearShareHash();
+  };
+
+  // JSON game files restore everything; CSV is read with the current rules
+  const importFile = async (file) => {
+    let game, errors;
+    try {
+      const text = await file.text();
+      if (/\.json$/i.test(file.name) || text.trimStart().startsWith("{")) {
+        ({ game, errors } = parseGameFile(text, lang));
+      } else {
+        const parsed = parseCsvString(text, rules, lang);
+        errors = parsed.errors;
+        game = { players: parsed.players, currentIdx: 0, roundCount: parsed.roundCount, rules, auditLog: [] };
+      }
+    } catch (e) {
+      errors = [t("import.unreadable", { error: e?.message || e })];
+    }
+    if (errors.length) {
+      setImportErrors({ file: file.name, errors });
+      return;
+    }
+    setImportErrors(null);
+    const warnings = gameWarnings(game.players, game.rules, lang);
+    const note = warnings.length ? `\n\n${t("import.implausible", { count: warnings.length })}` : "";
+    if (!confirm(t("confirm.import", {
+      file: file.name,
+      players: t("import.players", { count: game.players.length }),
+      rounds: t("import.rounds", { count: game.roundCount }),
+      note,
+    }))) return;
+    loadGame(game);
+    if (warnings.length) setImportWarnings({ file: file.name, warnings });
   };
 
   // Tight mobile sizing
@@ -187,256 +424,646 @@ export default function App() {
   const cellPad = "p-1 sm:p-2";
   const inputWidth = "w-[5.5ch]"; // wide enough for 3 digits + minus
 
-  // Open red picker from a row (only if not locked & not round1)
-  const openRedPicker = (roundIdx) => {
-    const r = rows[roundIdx];
-    const isRound1 = roundIdx === 0;
-    if (r.locked || isRound1) return;
+  // Red count is editable on the active round and on locked rounds (corrections)
+  const canEditRedCount = (roundIdx, col) =>
+    !readOnly && isColumnOpen(col, roundIdx) && (rows[roundIdx].locked || roundIdx === activeRound);
+
+  // Open red picker from a row
+  const openRedPicker = (roundIdx, col) => {
+    if (!canEditRedCount(roundIdx, col)) return;
     setRedPickerRound(roundIdx);
     setRedPickerOpen(true);
   };
 
   return (
-    <div className={"bg-zinc-950 text-zinc-100 min-h-screen p-4 sm:p-8 pb-28"}>
-      <div className="max-w-6xl mx-auto space-y-6">
-        {/* Header */}
-        <motion.header
-          layout
-          className="relative overflow-hidden rounded-3xl border border-zinc-800 bg-zinc-900 p-4 sm:p-6 shadow-md"
-        >
-          <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
-            <div className="flex items-center gap-3">
-              <div className="inline-flex h-10 w-10 items-center justify-center rounded-2xl bg-indigo-500 text-white shadow-[0_10px_25px_-10px_rgba(99,102,241,.8)]">
-                <Dice6 className="w-5 h-5" />
-              </div>
-              <div>
-                <h1 className="text-2xl sm:text-3xl font-extrabold tracking-tight text-white">
-                  Panda Royale – Score Sheet
-                </h1>
-                <div className="flex items-center gap-2 mt-1">
-                  <DiceChip label="Yellow" color={COLORS.yellow} />
-                  <DiceChip label="Purple×2" color={COLORS.purple} />
-                  <DiceChip label={`Blue${hasGlitterBlue ? "×2" : ""}`} color={COLORS.blue} />
-                  <DiceChip label="Red±" color={COLORS.red} />
-                  <DiceChip label="Green" color={COLORS.green} />
-                  <DiceChip label="Clear" color={COLORS.clear} />
-                  <DiceChip label="Pink" color={COLORS.pink} />
+    <I18nContext.Provider value={i18n}>
+      <div className={"bg-surface text-ink min-h-screen p-4 sm:p-8 pb-28"}>
+        <div className="max-w-6xl xl:max-w-7xl mx-auto space-y-6">
+          {/* Header */}
+          <motion.header
+            layout
+            className="relative overflow-hidden rounded-3xl border border-subtle bg-panel p-4 sm:p-6 shadow-md"
+          >
+            <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+              <div className="flex items-center gap-3">
+                <div className="inline-flex h-10 w-10 items-center justify-center rounded-2xl bg-accent text-on-accent shadow-[0_10px_25px_-10px_rgba(99,102,241,.8)]">
+                  <Dice6 className="w-5 h-5" />
+                </div>
+                <div>
+                  <h1 className="text-2xl sm:text-3xl font-extrabold tracking-tight text-ink">
+                    {t("app.title")}
+                  </h1>
+                  <div className="flex flex-wrap items-center gap-2 mt-1">
+                    {shownRules.columns.map((col) => (
+                      <DiceChip key={col.key} label={columnLegend(col, flags)} color={COLORS[col.color] || COLORS.clear} />
+                    ))}
+                  </div>
                 </div>
               </div>
+              <div className="flex flex-wrap items-center gap-2">
+                {!readOnly && (
+                  <>
+                    <AButton variant="ghost" onClick={undo} disabled={!undoStack.length} aria-label={t("nav.undo")} title={t("nav.undoHint")} className="disabled:opacity-40">
+                      <Undo2 className="w-4 h-4" />
+                    </AButton>
+                    <AButton variant="ghost" onClick={redo} disabled={!redoStack.length} aria-label={t("nav.redo")} title={t("nav.redoHint")} className="disabled:opacity-40">
+                      <Redo2 className="w-4 h-4" />
+                    </AButton>
+                    <AButton variant="ghost" onClick={() => setLogOpen((o) => !o)}><ScrollText className="inline w-4 h-4 mr-1" />{t("nav.log")}</AButton>
+                    <AButton variant="ghost" onClick={() => setRulesOpen((o) => !o)}><SlidersHorizontal className="inline w-4 h-4 mr-1" />{t("nav.rules")}</AButton>
+                  </>
+                )}
+                {!readOnly && (
+                  <AButton variant="ghost" onClick={() => setSyncOpen((o) => !o)}>
+                    <RadioTower className={"inline w-4 h-4 mr-1 " + (syncEnabled ? (syncStatus === "connected" ? "text-ok" : "text-warn") : "")} />
+                    {t("nav.sync")}{syncEnabled && peers.length > 0 ? ` (${peers.length})` : ""}
+                  </AButton>
+                )}
+                <AButton variant="ghost" onClick={() => setView(view === "stats" ? "sheet" : "stats")}>
+                  <BarChart3 className="inline w-4 h-4 mr-1" />{view === "stats" ? t("nav.sheet") : t("nav.stats")}
+                </AButton>
+                <AButton variant="ghost" onClick={() => setView(view === "league" ? "sheet" : "league")}>
+                  <Trophy className="inline w-4 h-4 mr-1" />{view === "league" ? t("nav.sheet") : t("nav.league")}
+                </AButton>
+                <AButton variant="ghost" onClick={() => setView(view === "print" ? "sheet" : "print")}>
+                  <Printer className="inline w-4 h-4 mr-1" />{t("nav.print")}
+                </AButton>
+                <AButton variant="ghost" onClick={exportCSV}><FileDown className="inline w-4 h-4 mr-1" />{t("nav.exportCsv")}</AButton>
+                <AButton variant="ghost" onClick={exportJSON}><FileJson className="inline w-4 h-4 mr-1" />{t("nav.exportJson")}</AButton>
+                <AButton variant="ghost" onClick={() => setSharing({ players, currentIdx, roundCount, rules })}>
+                  <Share2 className="inline w-4 h-4 mr-1" />{t("nav.share")}
+                </AButton>
+                {!readOnly && (
+                  <AButton variant="ghost" onClick={() => fileInputRef.current?.click()}><FileUp className="inline w-4 h-4 mr-1" />{t("nav.import")}</AButton>
+                )}
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".json,.csv,application/json,text/csv"
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    e.target.value = ""; // allow re-picking the same file
+                    if (file) importFile(file);
+                  }}
+                />
+                {!readOnly && (
+                  <AButton variant="ghost" className="border border-danger/40 text-danger" onClick={() => setView("setup")}>{t("nav.reset")}</AButton>
+                )}
+                <label className="inline-flex items-center gap-1 text-xs sm:text-sm" title={t("app.language")}>
+                  <Languages className="w-4 h-4 opacity-70" aria-hidden="true" />
+                  <select
+                    value={lang}
+                    onChange={(e) => setSettings((prev) => ({ ...prev, language: e.target.value }))}
+                    aria-label={t("app.language")}
+                    className="px-2 py-1.5 rounded-md bg-panel border border-subtle text-ink"
+                  >
+                    {LANGUAGES.map((l) => <option key={l.code} value={l.code}>{l.name}</option>)}
+                  </select>
+                </label>
+                <label className="inline-flex items-center gap-1 text-xs sm:text-sm" title={t("app.theme")}>
+                  <SunMoon className="w-4 h-4 opacity-70" aria-hidden="true" />
+                  <select
+                    value={settings.theme}
+                    onChange={(e) => setSettings((prev) => ({ ...prev, theme: e.target.value }))}
+                    aria-label={t("app.theme")}
+                    className="px-2 py-1.5 rounded-md bg-panel border border-subtle text-ink"
+                  >
+                    {THEME_MODES.map((mode) => <option key={mode} value={mode}>{t(`theme.${mode}`)}</option>)}
+                  </select>
+                </label>
+              </div>
             </div>
-            <div className="flex items-center gap-2">
-              <AButton variant="ghost" onClick={exportCSV}><FileDown className="inline w-4 h-4 mr-1" />Export CSV</AButton>
-              <AButton variant="ghost" className="border border-red-500/40 text-red-300" onClick={resetAll}>Reset</AButton>
-            </div>
-          </div>
-
-          {/* Round stepper */}
-          <div className="mt-4 grid grid-cols-10 gap-1">
-            {Array.from({ length: ROUNDS }).map((_, i) => (
-              <div key={i} className={`h-2 rounded-full ${i <= activeRound ? "bg-gradient-to-r from-indigo-400 to-cyan-400" : "bg-zinc-800"}`} />
-            ))}
-          </div>
-        </motion.header>
-
-        {/* Controls */}
-        <section className="rounded-3xl shadow-md bg-zinc-900 border border-zinc-800 p-3 sm:p-6">
-          <div className="grid gap-2 sm:gap-3 sm:grid-cols-[1fr_auto_auto_auto] items-center">
-            <div className="flex items-center gap-2">
-              <span className="text-xs sm:text-sm opacity-80">Name:</span>
-              <AInput value={playerName} onChange={(e) => setPlayerName(e.target.value)} placeholder="Player" className="w-32 sm:w-48" />
-            </div>
-            <label className="flex items-center gap-2 text-xs sm:text-sm">
-              <input type="checkbox" checked={hasGlitterBlue} onChange={(e) => setHasGlitterBlue(e.target.checked)} />
-              Owns glitter blue (Blue ×2)
-            </label>
-            <div className="flex items-center gap-2 text-xs sm:text-sm">
-              <span># Red Dice (default):</span>
-              <AInput
-                value={String(defaultRedCount)}
-                inputMode="numeric"
-                onFocus={(e) => e.target.select()}
-                onChange={(e) => {
-                  const onlyDigits = (e.target.value || "").replace(/\D+/g, "");
-                  const capped = onlyDigits.slice(0, 2); // 0–99
-                  const n = parseInt(capped || "0", 10);
-                  setDefaultRedCount(Number.isFinite(n) ? n : 0);
-                }}
-                className="w-[5.5ch] text-right"
-              />
+
+            {/* Round stepper */}
+            <div className="mt-4 grid gap-1" style={{ gridTemplateColumns: `repeat(${roundCount}, minmax(0, 1fr))` }}>
+              {Array.from({ length: roundCount }).map((_, i) => (
+                <div key={i} className={`h-2 rounded-full ${i <= activeRound ? "bg-gradient-to-r from-accent to-accent-2" : "bg-raised"}`} />
+              ))}
             </div>
-            <div className="text-[11px] sm:text-xs opacity-80">Round 1: Yellow only • Press <strong>Done</strong> to lock</div>
-          </div>
-        </section>
-
-        {/* TABLE */}
-        <section className="rounded-3xl shadow-md bg-zinc-900 border border-zinc-800 overflow-hidden">
-          <div className="overflow-x-auto [-webkit-overflow-scrolling:touch] -mx-2 px-2 sm:mx-0 sm:px-0">
-            <table className={`w-full table-auto border-collapse min-w-[780px] sm:min-w-0 ${tableTextSize}`}>
-              <colgroup>
-                <col style={{ width: "6ch" }} />   {/* Round */}
-                <col style={{ width: "8ch" }} />   {/* Yellow */}
-                <col style={{ width: "8ch" }} />   {/* Purple */}
-                <col style={{ width: "8ch" }} />   {/* Blue */}
-                <col style={{ width: "11.5ch" }} />{/* Red Sum (± + ⚙) */}
-                <col style={{ width: "8ch" }} />   {/* Green */}
-                <col style={{ width: "9ch" }} />   {/* Clear/White */}
-                <col style={{ width: "9ch" }} />   {/* Pink */}
-                <col style={{ width: "9ch" }} />   {/* Row Total */}
-                <col style={{ width: "11ch" }} />  {/* Action */}
-              </colgroup>
-
-              <thead className="bg-zinc-800/70">
-                <tr className="border-b border-zinc-800">
-                  <Th>Rnd</Th>
-                  <Th>Yellow</Th>
-                  <Th>Purp</Th>
-                  <Th>Blue</Th>
-                  <Th>Red</Th>
-                  <Th>Green</Th>
-                  <Th>Clear</Th>
-                  <Th>Pink</Th>
-                  <Th>Total</Th>
-                  <Th>Action</Th>
-                </tr>
-              </thead>
-
-              <tbody className="divide-y divide-zinc-800">
-                {rows.map((r, i) => {
-                  const isActive = i === activeRound;
-                  const isRound1 = i === 0;
-                  return (
-                    <tr key={i} className="odd:bg-zinc-900 even:bg-zinc-900/80">
-                      <td className={cellPad + " font-medium"}>{i + 1}</td>
-
-                      <CellNumber value={r.y} onChange={(v) => setField(i, "y", v)} disabled={r.locked || !isActive} />
-
-                      <CellNumber value={r.purp} onChange={(v) => setField(i, "purp", v)} disabled={r.locked || !isActive || isRound1} />
-
-                      <CellNumber value={r.blue} onChange={(v) => setField(i, "blue", v)} disabled={r.locked || !isActive || isRound1} />
-
-                      {/* Red Sum cell: input + ± + gear to open picker; clicking the cell background also opens (when active) */}
-                      <td
-                        className={
-                          cellPad +
-                          " " +
-                          (r.locked || !isActive || isRound1 ? "opacity-40 cursor-not-allowed " : "cursor-pointer ") +
-                          "align-middle"
-                        }
-                        onClick={() => openRedPicker(i)}
-                      >
-                        <div className="flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
-                          <NumberInput
-                            value={r.redSum}
-                            onChange={(v) => setField(i, "redSum", v)}
-                            disabled={r.locked || !isActive || isRound1}
-                          />
-                          {!r.locked && isActive && !isRound1 && (
-                            <>
-                              <TinyGhostButton onClick={() => setField(i, "redSum", -(Number(r.redSum) || 0))} aria="Toggle sign">±</TinyGhostButton>
-                              <TinyGhostButton onClick={() => openRedPicker(i)} aria="Open red dice picker">⚙️</TinyGhostButton>
-                            </>
-                          )}
-                        </div>
-                        {/* Effective red dice count preview for this row */}
-                        <div className="text-[10px] opacity-70 mt-1">
-                          Red dice: {r.locked ? (r.redCount || 0) : defaultRedCount}
-                        </div>
-                      </td>
-
-                      <CellNumber value={r.green} onChange={(v) => setField(i, "green", v)} disabled={r.locked || !isActive || isRound1} />
-
-                      <CellNumber value={r.clear} onChange={(v) => setField(i, "clear", v)} disabled={r.locked || !isActive || isRound1} />
-
-                      <CellNumber value={r.pink} onChange={(v) => setField(i, "pink", v)} disabled={r.locked || !isActive || isRound1} />
-
-                      <td className={cellPad + " font-semibold"}>
-                        <AnimatePresence mode="popLayout">
-                          {r.locked ? (
-                            <motion.span
-                              key="total"
-                              initial={{ scale: 0.85, opacity: 0 }}
-                              animate={{ scale: 1, opacity: 1 }}
-                              exit={{ opacity: 0 }}
-                              transition={{ duration: 0.15 }}
-                              className="inline-flex items-center gap-1"
-                            >
-                              {rowTotals[i]}
-                              <Lock className="w-3 h-3 opacity-60" />
-                            </motion.span>
-                          ) : null}
-                        </AnimatePresence>
-                      </td>
-
-                      <td className={cellPad}>
-                        {isActive && !r.locked ? (
-                          <AButton onClick={doneRound}><CheckCircle2 className="inline w-4 h-4 mr-1" />Done</AButton>
-                        ) : (
-                          <span className="text-[10px] opacity-60">{r.locked ? "Locked" : ""}</span>
-                        )}
-                      </td>
-                    </tr>
-                  );
-                })}
-
-                {rows.every((r) => r.locked) && (
-                  <tr className="bg-zinc-800/70">
-                    <td className={cellPad + " text-right font-semibold"} colSpan={8}>Game Total</td>
-                    <td className={cellPad + " font-black text-cyan-300"}>{gameTotal}</td>
-                    <td></td>
-                  </tr>
-                )}
-              </tbody>
-            </table>
-          </div>
-        </section>
-      </div>
+          </motion.header>
 
-      {/* ---- Red Dice Picker Modal ---- */}
-      <AnimatePresence>
-        {redPickerOpen && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4"
-            onClick={() => setRedPickerOpen(false)}
-          >
-            <motion.div
-              initial={{ scale: 0.92, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              exit={{ scale: 0.98, opacity: 0 }}
-              transition={{ type: "spring", stiffness: 220, damping: 20 }}
-              className="w-full max-w-sm rounded-2xl border border-zinc-800 bg-zinc-900 p-4 shadow-2xl"
-              onClick={(e) => e.stopPropagation()}
-            >
-              <div className="text-sm opacity-80 mb-2">
-                {typeof redPickerRound === "number" ? `Round ${redPickerRound + 1}` : "Red Dice"}
+          <UpdatePrompt onBeforeUpdate={() => { if (!readOnly) saveGame({ players, currentIdx, auditLog, rules, roundCount }); }} />
+
+          {readOnly && (
+            <section role="status" className="rounded-3xl border border-accent/40 bg-accent/10 p-3 sm:p-4 text-sm flex flex-wrap items-center gap-2">
+              <Eye className="w-4 h-4 text-accent" />
+              <div className="flex-1 min-w-[12rem]">
+                {t("shared.viewing")}
               </div>
-              <div className="text-lg font-semibold mb-3">Number of Red Dice</div>
-              <div className="flex items-center justify-center gap-3 mb-4">
-                <AButton variant="ghost" className="px-3 py-2 text-lg" onClick={() => setDefaultRedCount((n) => Math.max(0, (n || 0) - 1))}>−</AButton>
-                <div className="min-w-[4ch] text-center text-2xl font-bold tabular-nums">{defaultRedCount}</div>
-                <AButton variant="ghost" className="px-3 py-2 text-lg" onClick={() => setDefaultRedCount((n) => Math.min(99, (n || 0) + 1))}>+</AButton>
+              <AButton variant="ghost" onClick={closeShared}>{t("shared.back")}</AButton>
+              <AButton onClick={importShared}>{t("shared.import")}</AButton>
+            </section>
+          )}
+
+          {recovery && (
+            <RecoveryPrompt
+              recovery={recovery}
+              onDownloadBackup={() => downloadText(`${recovery.backupKey}.json`, readBackup(recovery.backupKey) ?? "", "application/json")}
+              onImport={() => fileInputRef.current?.click()}
+              onDismiss={() => setRecovery(null)}
+            />
+          )}
+
+          {importErrors && (
+            <section role="alert" className="rounded-3xl border border-danger/40 bg-danger-soft/40 p-3 sm:p-4 text-sm">
+              <div className="flex items-start justify-between gap-2">
+                <div className="font-semibold text-danger">
+                  {t("import.failed", { file: importErrors.file, count: importErrors.errors.length })}
+                </div>
+                <button type="button" aria-label={t("common.dismiss")} className="p-1 opacity-60 hover:opacity-100" onClick={() => setImportErrors(null)}>
+                  <X className="w-4 h-4" />
+                </button>
               </div>
-              <div className="text-xs opacity-70 mb-4 text-center">
-                This becomes the default and will be snapshotted when you press <strong>Done</strong>.
+              <ul className="mt-2 max-h-48 overflow-y-auto list-disc pl-5 text-xs text-danger/90 space-y-0.5">
+                {importErrors.errors.map((e, i) => <li key={i}>{e}</li>)}
+              </ul>
+            </section>
+          )}
+
+          {importWarnings && (
+            <section role="status" className="rounded-3xl border border-warn/40 bg-warn-soft/30 p-3 sm:p-4 text-sm">
+              <div className="flex items-start justify-between gap-2">
+                <div className="font-semibold text-warn flex items-center gap-2">
+                  <AlertTriangle className="w-4 h-4" />
+                  {t("import.warnings", { file: importWarnings.file, count: importWarnings.warnings.length })}
+                </div>
+                <button type="button" aria-label={t("common.dismiss")} className="p-1 opacity-60 hover:opacity-100" onClick={() => setImportWarnings(null)}>
+                  <X className="w-4 h-4" />
+                </button>
               </div>
-              <div className="flex justify-end gap-2">
-                <AButton variant="ghost" onClick={() => setRedPickerOpen(false)}>Close</AButton>
-                <AButton onClick={() => setRedPickerOpen(false)}>OK</AButton>
+              <ul className="mt-2 max-h-48 overflow-y-auto list-disc pl-5 text-xs text-warn/90 space-y-0.5">
+                {importWarnings.warnings.map((w, i) => <li key={i}>{w}</li>)}
+              </ul>
+            </section>
+          )}
+
+          {view === "setup" ? (
+            <NewGameSetup
+              roundCount={roundCount}
+              players={players}
+              rulesName={shownRules.name}
+              onStart={resetAll}
+              onCancel={() => setView("sheet")}
+            />
+          ) : view === "stats" ? (
+            <StatsView
+              history={history}
+              onDelete={(id) => setHistory((prev) => removeHistoryEntry(prev, id))}
+              onClose={() => setView("sheet")}
+            />
+          ) : view === "print" ? (
+            <PrintView
+              players={players}
+              currentIdx={currentIdx}
+              rules={rules}
+              onDownload={downloadText}
+              onClose={() => setView("sheet")}
+            />
+          ) : view === "league" ? (
+            <LeagueView
+              league={league}
+              onChange={setLeague}
+              sheetPlayers={players}
+              rules={rules}
+              onDownload={downloadText}
+              onClose={() => setView("sheet")}
+            />
+          ) : (
+            <>
+              {/* Players */}
+              <section className="rounded-3xl shadow-md bg-panel border border-subtle p-3 sm:p-4">
+                <div className="flex flex-wrap items-center gap-2">
+                  {players.map((p, i) => (
+                    <div
+                      key={p.id}
+                      className={
+                        "inline-flex items-center rounded-2xl border text-xs sm:text-sm " +
+                        (i === currentIdx ? "border-accent-2/60 bg-raised text-ink" : "border-subtle bg-panel text-muted")
+                      }
+                    >
+                      <button type="button" className="px-3 py-1.5" onClick={() => setCurrentIdx(i)}>
+                        {p.name || t("player.numbered", { n: i + 1 })}
+                        <span className="ml-2 tabular-nums opacity-70">{n(runningTotal(p, rules))}</span>
+                      </button>
+                      {isTableMode && !readOnly && (
+                        <button type="button" aria-label={t("player.remove", { name: p.name })} className="pr-2 opacity-60 hover:opacity-100" onClick={() => removePlayer(i)}>
+                          <X className="w-3 h-3" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  {players.length < MAX_PLAYERS && !readOnly && (
+                    <AButton variant="ghost" onClick={addPlayer}><UserPlus className="inline w-4 h-4 mr-1" />{t("player.add")}</AButton>
+                  )}
+                </div>
+                {(isTableMode || remotePlayers.length > 0) && (
+                  <Leaderboard players={players} remotePlayers={remotePlayers} rules={rules} currentIdx={currentIdx} onSelect={setCurrentIdx} />
+                )}
+              </section>
+
+              {/* Controls */}
+              <section className="rounded-3xl shadow-md bg-panel border border-subtle p-3 sm:p-6">
+                <div className="grid gap-2 sm:gap-3 sm:grid-cols-[1fr_auto_auto_auto] items-center">
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs sm:text-sm opacity-80">{t("controls.name")}</span>
+                    <AInput data-native-undo value={playerName} readOnly={readOnly} onChange={(e) => setPlayerName(e.target.value)} placeholder={t("player.default")} className="w-32 sm:w-48" />
+                  </div>
+                  <div className="flex flex-col gap-1">
+                    {(shownRules.flags || []).map((flag) => (
+                      <label key={flag.key} className="flex items-center gap-2 text-xs sm:text-sm">
+                        <input type="checkbox" checked={!!flags[flag.key]} disabled={readOnly} onChange={(e) => setFlag(flag.key, e.target.checked)} />
+                        {flag.label}
+                        {upgradeHint(shownRules, flag.key)}
+                      </label>
+                    ))}
+                  </div>
+                  <div className={"flex items-center gap-2 text-xs sm:text-sm " + (usesRedCount(rules) ? "" : "invisible")}>
+                    <span>{t("controls.redDice", { round: activeRound + 1 })}</span>
+                    <AInput
+                      value={String(rows[activeRound].redCount || 0)}
+                      disabled={readOnly}
+                      inputMode="numeric"
+                      onFocus={(e) => e.target.select()}
+                      onChange={(e) => setRedCount(activeRound, parseRedCountInput(e.target.value))}
+                      title={cellWarning(activeRound, "redCount") || undefined}
+                      className={"w-[5.5ch] text-right " + (cellWarning(activeRound, "redCount") ? "ring-2 ring-warn/70" : "")}
+                    />
+                  </div>
+                  <div className="text-[11px] sm:text-xs opacity-80">
+                    {round1Cols.length < rules.columns.length && t("hint.roundOne", { columns: round1Cols.map((c) => c.label).join(" + ") })}
+                    {t("hint.pressDone", { done: <strong>{t("common.done")}</strong> })}
+                    <span className="hidden sm:inline">{t("hint.keys")}</span>
+                  </div>
+                  <div className="sm:col-span-4">
+                    <RoundClock
+                      players={players}
+                      row={rows[activeRound]}
+                      round={activeRound}
+                      lockedCount={players.reduce((sum, p) => sum + p.rows.filter((r) => r.locked).length, 0)}
+                      turnTimer={settings.turnTimer}
+                      onTurnTimerChange={(patch) => setSettings((prev) => ({ ...prev, turnTimer: { ...prev.turnTimer, ...patch } }))}
+                    />
+                  </div>
+                  {!readOnly && !rows[activeRound].locked && rowWarnings[activeRound].length > 0 && (
+                    <ul role="status" className="sm:col-span-4 text-[11px] sm:text-xs text-warn space-y-0.5">
+                      {rowWarnings[activeRound].map((w, k) => (
+                        <li key={k} className="flex items-center gap-1"><AlertTriangle className="w-3 h-3 shrink-0" />{w.message}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </section>
+
+              <div className="grid gap-6 xl:grid-cols-[minmax(0,1fr)_20rem] items-start">
+                {/* TABLE */}
+                <section className="rounded-3xl shadow-md bg-panel border border-subtle overflow-hidden">
+                  <div className="overflow-x-auto [-webkit-overflow-scrolling:touch] -mx-2 px-2 sm:mx-0 sm:px-0">
+                    <table ref={tableRef} className={`w-full table-auto border-collapse min-w-[960px] sm:min-w-0 ${tableTextSize}`}>
+                      <colgroup>
+                        <col style={{ width: "6ch" }} />   {/* Round */}
+                        {rules.columns.map((col) => (
+                          // every cell holds 🎲; red-count cells also hold ± + ⚙
+                          <col key={col.key} style={{ width: col.formula === "timesRedCount" ? "14.5ch" : col.allowNegative ? "13ch" : "11.5ch" }} />
+                        ))}
+                        <col style={{ width: "9ch" }} />   {/* Row Total */}
+                        <col style={{ width: "11ch" }} />  {/* Action */}
+                      </colgroup>
+
+                      <thead className="bg-raised/70">
+                        <tr className="border-b border-subtle">
+                          <Th><abbr title={t("table.round")} className="no-underline">{t("table.rnd")}</abbr></Th>
+                          {shownRules.columns.map((col) => <Th key={col.key}><abbr title={col.label} className="no-underline">{col.short || col.label}</abbr></Th>)}
+                          <Th>{t("table.total")}</Th>
+                          <Th>{t("table.action")}</Th>
+                        </tr>
+                      </thead>
+
+                      <tbody className="divide-y divide-subtle">
+                        {rows.map((r, i) => {
+                          const isActive = i === activeRound;
+                          return (
+                            <tr key={i} data-round={i} className="odd:bg-panel even:bg-panel/80">
+                              <th scope="row" className={cellPad + " font-medium text-left"}>
+                                {i + 1}
+                                <RoundTime row={r} live={isActive && !r.locked && !readOnly} />
+                              </th>
+
+                              {shownRules.columns.map((col) => {
+                                const disabled = readOnly || r.locked || !isActive || !isColumnOpen(col, i);
+                                const label = t("cell.label", { column: col.label, round: i + 1 });
+                                if (col.formula !== "timesRedCount") {
+                                  return (
+                                    <CellNumber
+                                      key={col.key}
+                                      value={r[col.key] ?? 0}
+                                      onChange={(v, kind) => setField(i, col.key, v, kind)}
+                                      allowNegative={!!col.allowNegative}
+                                      disabled={disabled}
+                                      faces={cellFaces(r, col.key)}
+                                      onDice={() => setDiceEntry({ round: i, key: col.key })}
+                                      warning={cellWarning(i, col.key)}
+                                      label={label}
+                                      onKeyDown={cellKeyDown(i, col)}
+                                    />
+                                  );
+                                }
+                                return (
+                                  /* Red Sum cell: input + ± + gear to open picker; clicking the cell background also opens (when active) */
+                                  <td
+                                    key={col.key}
+                                    className={
+                                      cellPad +
+                                      " " +
+                                      (disabled ? "opacity-40 " : "") +
+                                      (canEditRedCount(i, col) ? "cursor-pointer " : "cursor-not-allowed ") +
+                                      "align-middle"
+                                    }
+                                    onClick={() => openRedPicker(i, col)}
+                                  >
+                                    <div className="flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
+                                      <NumberInput
+                                        value={r[col.key] ?? 0}
+                                        onChange={(v) => setField(i, col.key, v)}
+                                        disabled={disabled}
+                                        faces={cellFaces(r, col.key)}
+                                        onDice={() => setDiceEntry({ round: i, key: col.key })}
+                                        warning={cellWarning(i, col.key)}
+                                        label={label}
+                                        onKeyDown={cellKeyDown(i, col)}
+                                      />
+                                      {!disabled && col.allowNegative && (
+                                        <TinyGhostButton onClick={() => setField(i, col.key, -(Number(r[col.key]) || 0), "sign")} aria={t("cell.toggleSign", { label })}>±</TinyGhostButton>
+                                      )}
+                                      {!disabled && (
+                                        <TinyGhostButton onClick={() => setDiceEntry({ round: i, key: col.key })} aria={t("cell.diceEntry", { label })}>🎲</TinyGhostButton>
+                                      )}
+                                      {canEditRedCount(i, col) && (
+                                        <TinyGhostButton onClick={() => openRedPicker(i, col)} aria={t("cell.redPicker", { round: i + 1 })}>⚙️</TinyGhostButton>
+                                      )}
+                                    </div>
+                                    <FacesLine faces={cellFaces(r, col.key)} />
+                                    {/* This row's red dice count; rounds not reached yet show what they'll inherit */}
+                                    <div
+                                      className={"text-[10px] mt-1 " + (cellWarning(i, "redCount") ? "text-warn " : "") + (i > activeRound && !r.locked ? "opacity-40" : "opacity-70")}
+                                      title={cellWarning(i, "redCount") || undefined}
+                                    >
+                                      {t("table.redDice", { count: i > activeRound && !r.locked ? (rows[activeRound].redCount || 0) : (r.redCount || 0) })}
+                                    </div>
+                                  </td>
+                                );
+                              })}
+
+                              <td className={cellPad + " font-semibold"}>
+                                <AnimatePresence mode="popLayout">
+                                  {r.locked ? (
+                                    <motion.span
+                                      key="total"
+                                      initial={{ scale: 0.85, opacity: 0 }}
+                                      animate={{ scale: 1, opacity: 1 }}
+                                      exit={{ opacity: 0 }}
+                                      transition={{ duration: 0.15 }}
+                                      className="inline-flex items-center gap-1"
+                                    >
+                                      {n(rowTotals[i])}
+                                      <Lock className="w-3 h-3 opacity-60" />
+                                    </motion.span>
+                                  ) : null}
+                                </AnimatePresence>
+                              </td>
+
+                              <td className={cellPad}>
+                                {isActive && !r.locked && !readOnly ? (
+                                  <div className="flex items-center gap-1">
+                                    <AButton onClick={doneRound} aria-keyshortcuts="Control+Enter"><CheckCircle2 className="inline w-4 h-4 mr-1" />{t("common.done")}</AButton>
+                                    <AButton variant="ghost" onClick={() => setScanRound(i)} aria-label={t("scan.open", { round: i + 1 })} title={t("scan.open", { round: i + 1 })}>
+                                      <ScanLine className="w-4 h-4" />
+                                    </AButton>
+                                    {rowWarnings[i].length > 0 && (
+                                      <span
+                                        className="inline-flex items-center gap-0.5 text-[10px] text-warn"
+                                        title={rowWarnings[i].map((w) => w.message).join("\n")}
+                                      >
+                                        <AlertTriangle className="w-3 h-3" />{rowWarnings[i].length}
+                                      </span>
+                                    )}
+                                  </div>
+                                ) : (
+                                  <span className="text-[10px] opacity-60">{r.locked ? t("table.locked") : ""}</span>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+
+                        {rows.every((r) => r.locked) && (
+                          <tr className="bg-raised/70">
+                            <td className={cellPad + " text-right font-semibold"} colSpan={rules.columns.length + 1}>{t("table.gameTotal")}</td>
+                            <td className={cellPad + " font-black text-accent-2"}>{n(gameTotal)}</td>
+                            <td></td>
+                          </tr>
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                </section>
+
+                <ChartPanel player={player} rules={shownRules} history={history} />
               </div>
-            </motion.div>
-          </motion.div>
-        )}
-      </AnimatePresence>
-    </div>
+            </>
+          )}
+
+          {rulesOpen && (
+            <RulesPanel
+              rules={rules}
+              customPresets={customPresets}
+              onApply={applyRules}
+              onSavePreset={savePreset}
+              onDeletePreset={deletePreset}
+              onClose={() => setRulesOpen(false)}
+            />
+          )}
+
+          {logOpen && <AuditLog log={auditLog} onClose={() => setLogOpen(false)} />}
+
+          {syncOpen && !readOnly && (
+            <SyncPanel
+              settings={syncSettings}
+              status={syncStatus}
+              peers={peers}
+              notices={syncNotices}
+              onChange={setSyncSettings}
+              onClose={() => setSyncOpen(false)}
+            />
+          )}
+
+          {sharing && <ShareDialog game={sharing} onClose={() => setSharing(null)} />}
+        </div>
+
+        {/* ---- Red Dice Picker Modal ---- */}
+        <AnimatePresence>
+          {scanRound != null && !rows[scanRound]?.locked && !readOnly && (
+            <DiceScanner
+              rules={shownRules}
+              round={scanRound}
+              onApply={(dice) => { applyScan(scanRound, dice); setScanRound(null); }}
+              onClose={() => setScanRound(null)}
+            />
+          )}
+          {diceEntry && !rows[diceEntry.round]?.locked && rules.columns.some((c) => c.key === diceEntry.key) && (
+            <DicePopover
+              col={shownRules.columns.find((c) => c.key === diceEntry.key)}
+              round={diceEntry.round}
+              faces={cellFaces(rows[diceEntry.round], diceEntry.key)}
+              onChange={(faces) => setDice(diceEntry.round, diceEntry.key, faces)}
+              onClose={() => setDiceEntry(null)}
+            />
+          )}
+
+          {redPickerOpen && (
+            <RedDicePicker
+              key="red-picker"
+              round={redPickerRound}
+              count={rows[redPickerRound]?.redCount || 0}
+              locked={!!rows[redPickerRound]?.locked}
+              onStep={(d) => setRedCount(redPickerRound, (n) => Math.min(99, Math.max(0, (n || 0) + d)))}
+              onClose={() => setRedPickerOpen(false)}
+            />
+          )}
+        </AnimatePresence>
+      </div>
+    </I18nContext.Provider>
   );
 }
 
 /* ---------- helpers ---------- */
 
+// " (Blue ×2)" – which columns a flag upgrades
+function upgradeHint(rules, flagKey) {
+  const parts = rules.columns.flatMap((c) => (c.upgrades || [])
+    .filter((u) => u.flag === flagKey)
+    .map((u) => `${c.label} ×${u.multiplier}`));
+  return parts.length ? ` (${parts.join(", ")})` : "";
+}
+
+// Local players are selectable; players synced from other devices (i = null) only rank
+function Leaderboard({ players, remotePlayers = [], rules, currentIdx, onSelect }) {
+  const { t, n } = useI18n();
+  const ranked = [
+    ...players.map((p, i) => ({ p, i, total: runningTotal(p, rules) })),
+    ...remotePlayers.map((p) => ({ p, i: null, total: runningTotal(p, p.rules) })),
+  ]
+    .map((x) => ({ ...x, done: x.p.rows.filter((r) => r.locked).length }))
+    .sort((a, b) => b.total - a.total);
+  return (
+    <ol className="mt-3 grid gap-1 sm:grid-cols-2">
+      {ranked.map(({ p, i, total, done }, pos) => {
+        // Ties share the rank of the first player with that total
+        const rank = ranked.findIndex((x) => x.total === total) + 1;
+        return (
+          <li key={(p.peer || "") + p.id}>
+            <button
+              type="button"
+              disabled={i === null}
+              onClick={() => onSelect(i)}
+              className={
+                "w-full flex items-center gap-2 px-3 py-1.5 rounded-xl text-xs sm:text-sm text-left " +
+                (i === currentIdx ? "bg-raised ring-1 ring-focus/40" : i === null ? "bg-panel/40" : "bg-panel/60 hover:bg-raised/60")
+              }
+            >
+              <span className="w-5 tabular-nums opacity-70">{rank}.</span>
+              {pos === 0 && total > 0 ? <Trophy className="w-3.5 h-3.5 text-warn" /> : null}
+              <span className="flex-1 truncate">
+                {p.name || (i === null ? t("player.default") : t("player.numbered", { n: i + 1 }))}
+                {i === null && <span className="ml-1 text-[10px] opacity-60">• {p.device || t("player.otherDevice")}</span>}
+              </span>
+              <span className="text-[10px] opacity-60">{done}/{p.rows.length}</span>
+              <span className="w-[5ch] text-right font-bold tabular-nums text-accent-2">{n(total)}</span>
+            </button>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+// How long a round took (or has taken so far, ticking while it's the open one)
+function RoundTime({ row, live }) {
+  const { t } = useI18n();
+  const now = useNow(live);
+  const ms = roundDuration(row, now);
+  if (ms == null || (!row.locked && !live)) return null;
+  return (
+    <div className="text-[10px] font-normal tabular-nums opacity-60" title={t("clock.roundTime")}>
+      {formatDuration(ms)}
+    </div>
+  );
+}
+
 function Th({ children }) {
-  return <th className={"text-left p-1 sm:p-2 font-semibold text-zinc-200"}>{children}</th>;
+  return <th scope="col" className={"text-left p-1 sm:p-2 font-semibold text-ink"}>{children}</th>;
+}
+
+// Next/previous enabled cell of the same table row; false at either end
+function focusSibling(input, delta) {
+  const cells = [...input.closest("tr").querySelectorAll("input[data-cell]:not(:disabled)")];
+  const next = cells[cells.indexOf(input) + delta];
+  if (!next) return false;
+  next.focus();
+  return true;
+}
+
+// Red dice count of one round; ↑/↓ (or +/−) step it, Enter or Esc closes
+function RedDicePicker({ round, count, locked, onStep, onClose }) {
+  const { t } = useI18n();
+  const panelRef = useRef(null);
+  useDialog(panelRef, onClose);
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowUp" || e.key === "+") { e.preventDefault(); onStep(1); }
+    else if (e.key === "ArrowDown" || e.key === "-") { e.preventDefault(); onStep(-1); }
+    else if (e.key === "Enter" && e.target === panelRef.current) { e.preventDefault(); onClose(); }
+  };
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="red-picker-title"
+        tabIndex={-1}
+        onKeyDown={onKeyDown}
+        initial={{ scale: 0.92, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.98, opacity: 0 }}
+        transition={{ type: "spring", stiffness: 220, damping: 20 }}
+        className="w-full max-w-sm rounded-2xl border border-subtle bg-panel p-4 shadow-2xl outline-none"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="text-sm opacity-80 mb-2">
+          {typeof round === "number" ? t("redPicker.round", { round: round + 1 }) : t("redPicker.title")}
+        </div>
+        <h2 id="red-picker-title" className="text-lg font-semibold mb-3">{t("redPicker.title")}</h2>
+        <div className="flex items-center justify-center gap-3 mb-4">
+          <AButton variant="ghost" className="px-3 py-2 text-lg" aria-label={t("redPicker.fewer")} onClick={() => onStep(-1)}>−</AButton>
+          <div className="min-w-[4ch] text-center text-2xl font-bold tabular-nums" aria-live="polite">{count}</div>
+          <AButton variant="ghost" className="px-3 py-2 text-lg" aria-label={t("redPicker.more")} onClick={() => onStep(1)}>+</AButton>
+        </div>
+        <div className="text-xs opacity-70 mb-4 text-center">
+          {locked ? t("redPicker.locked") : t("redPicker.open")}
+        </div>
+        <div className="flex justify-end gap-2">
+          <AButton variant="ghost" onClick={onClose}>{t("common.close")}</AButton>
+          <AButton data-autofocus onClick={onClose}>{t("common.ok")}</AButton>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
 }
 
 function TinyGhostButton({ onClick, children, aria }) {
@@ -445,58 +1072,61 @@ function TinyGhostButton({ onClick, children, aria }) {
       type="button"
       aria-label={aria}
       onClick={(e) => { e.stopPropagation(); onClick?.(); }}
-      className="px-1.5 py-1 text-[10px] rounded-md border border-zinc-800 bg-zinc-900 text-zinc-100 hover:brightness-110"
+      className="px-1.5 py-1 text-[10px] rounded-md border border-subtle bg-panel text-ink hover:brightness-110"
     >
       {children}
     </button>
   );
 }
 
-function NumberInput({ value, onChange, disabled }) {
+// The faces a cell was added up from, under the number
+function FacesLine({ faces }) {
+  if (!faces.length) return null;
+  return <div className="text-[10px] opacity-60 mt-0.5 tabular-nums truncate" title={faces.join(" + ")}>{faces.join(" ")}</div>;
+}
+
+// Cells entered die by die are read-only; tapping them reopens the dice popover
+function NumberInput({ value, onChange, disabled, faces = [], onDice, warning = null, label, onKeyDown }) {
+  const { t } = useI18n();
   const handle = (e) => {
     if (disabled) return;
-    let raw = (e.target.value || "").toString();
-    let sign = "";
-    if (raw.startsWith("-")) { sign = "-"; raw = raw.slice(1); }
-    const digits = raw.replace(/\D+/g, "").slice(0, 3); // cap 3 digits
-    if (digits === "" && sign) { onChange(-0); return; }
-    const n = parseInt((sign ? "-" : "") + (digits || "0"), 10);
-    onChange(Number.isFinite(n) ? n : 0);
+    onChange(parseCellInput(e.target.value, true));
   };
   return (
     <input
       type="text"
       className={
         "w-[5.5ch] px-2 py-1 text-right rounded-md border " +
-        "bg-zinc-900 border-zinc-800 outline-none focus:ring-2 focus:ring-cyan-400/50 " +
-        "text-zinc-100 tabular-nums font-medium"
+        "bg-panel outline-none focus:ring-2 focus:ring-focus/50 " +
+        (warning ? "border-warn " : "border-subtle ") +
+        "text-ink tabular-nums font-medium"
       }
       value={value}
       onChange={handle}
       onFocus={(e) => e.target.select()}
       inputMode="numeric"
       disabled={disabled}
-      aria-label="red-sum"
-      onClick={(e) => e.stopPropagation()}
+      readOnly={faces.length > 0}
+      title={warning || undefined}
+      aria-invalid={warning ? true : undefined}
+      aria-label={faces.length ? t("cell.withDice", { label, faces: faces.join(" ") }) : label}
+      data-cell
+      onKeyDown={onKeyDown}
+      onClick={(e) => { e.stopPropagation(); if (faces.length && !disabled) onDice?.(); }}
     />
   );
 }
 
-function CellNumber({ value, onChange, allowNegative = false, disabled = false }) {
+function CellNumber({ value, onChange, allowNegative = false, disabled = false, faces = [], onDice, warning = null, label, onKeyDown }) {
+  const { t } = useI18n();
   const handle = (e) => {
     if (disabled) return;
-    let raw = (e.target.value || "").toString();
-    let sign = "";
-    if (allowNegative && raw.startsWith("-")) { sign = "-"; raw = raw.slice(1); }
-    const digits = raw.replace(/\D+/g, "").slice(0, 3); // cap 3 digits
-    if (digits === "" && sign) { onChange(-0); return; }
-    const n = parseInt((sign ? "-" : "") + (digits || "0"), 10);
-    onChange(Number.isFinite(n) ? n : 0);
+    onChange(parseCellInput(e.target.value, allowNegative));
   };
   const toggleSign = () => {
     if (disabled) return;
     const n = Number(value) || 0;
-    onChange(-n);
+    onChange(-n, "sign");
   };
   const cellPad = "p-1 sm:p-2";
   return (
@@ -506,20 +1136,31 @@ function CellNumber({ value, onChange, allowNegative = false, disabled = false }
           type="text"
           className={
             "w-[5.5ch] px-2 py-1 text-right rounded-md border " +
-            "bg-zinc-900 border-zinc-800 outline-none focus:ring-2 focus:ring-cyan-400/50 " +
-            "text-zinc-100 tabular-nums font-medium"
+            "bg-panel outline-none focus:ring-2 focus:ring-focus/50 " +
+            (warning ? "border-warn " : "border-subtle ") +
+            "text-ink tabular-nums font-medium"
           }
           value={value}
           onChange={handle}
           onFocus={(e) => e.target.select()}
           inputMode="numeric"
           disabled={disabled}
-          aria-label="score"
+          readOnly={faces.length > 0}
+          onClick={() => { if (faces.length && !disabled) onDice?.(); }}
+          title={warning || undefined}
+          aria-invalid={warning ? true : undefined}
+          aria-label={faces.length ? t("cell.withDice", { label, faces: faces.join(" ") }) : label}
+          data-cell
+          onKeyDown={onKeyDown}
         />
         {allowNegative && !disabled && (
-          <TinyGhostButton onClick={toggleSign} aria="Toggle sign">±</TinyGhostButton>
+          <TinyGhostButton onClick={toggleSign} aria={t("cell.toggleSign", { label })}>±</TinyGhostButton>
+        )}
+        {!disabled && onDice && (
+          <TinyGhostButton onClick={onDice} aria={t("cell.diceEntry", { label })}>🎲</TinyGhostButton>
         )}
       </div>
+      <FacesLine faces={faces} />
     </td>
   );
 }
@@ -0,0 +1,301 @@
+import React from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import App from "./App";
+import { STORAGE_KEY } from "./lib/storage";
+import { loadSettings } from "./lib/settings";
+import { CLASSIC_RULES } from "./lib/rules";
+import DiceScanner from "./components/DiceScanner";
+import RulesPanel from "./components/RulesPanel";
+import { DiceChip } from "./components/ui";
+import { COLORS } from "./lib/colors";
+import { I18nContext, createI18n } from "./lib/i18n";
+import { SCENES, renderScene } from "./test/dice-scenes";
+
+// Classic rules: Rnd | Yellow Purple Blue Red Green Clear Pink | Total | Action
+const TOTAL_CELL = 8;
+
+const cell = (label, round) => screen.getByRole("textbox", { name: `${label}, round ${round}` });
+const row = (round) => document.querySelector(`tr[data-round="${round - 1}"]`);
+const rowTotal = (round) => row(round).cells[TOTAL_CELL].textContent;
+
+async function type(user, label, round, value) {
+  const input = cell(label, round);
+  await user.clear(input);
+  await user.type(input, String(value));
+}
+
+const done = (user) => user.click(screen.getByRole("button", { name: /done/i }));
+
+describe("App – a full game", () => {
+  it("opens with only yellow in round 1", () => {
+    render(<App />);
+    expect(cell("Yellow", 1)).toBeEnabled();
+    for (const label of ["Purple", "Blue", "Red", "Green", "Clear", "Pink"]) {
+      expect(cell(label, 1)).toBeDisabled();
+    }
+    expect(cell("Yellow", 2)).toBeDisabled();
+  });
+
+  it("shows a round's total only once it's locked, then moves on", async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await type(user, "Yellow", 1, 14);
+    expect(rowTotal(1)).toBe("");
+
+    await done(user);
+    expect(rowTotal(1)).toBe("14");
+    expect(cell("Yellow", 1)).toBeDisabled();
+    expect(cell("Purple", 2)).toBeEnabled();
+    expect(within(row(1)).getByText("Locked")).toBeInTheDocument();
+  });
+
+  it("scores red with the picker's dice count and blue with glitter", async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await done(user); // round 1, nothing scored
+
+    await type(user, "Purple", 2, 5);
+    await type(user, "Blue", 2, 3);
+    await type(user, "Red", 2, 4);
+
+    await user.click(screen.getByRole("button", { name: "Number of red dice, round 2" }));
+    const picker = screen.getByRole("dialog", { name: "Number of Red Dice" });
+    await user.click(within(picker).getByRole("button", { name: "One red die more" }));
+    await user.click(within(picker).getByRole("button", { name: "One red die more" }));
+    await user.click(within(picker).getByRole("button", { name: "One red die fewer" }));
+    await user.click(within(picker).getByRole("button", { name: "One red die more" }));
+    await user.keyboard("{Escape}");
+    // closes after its exit animation
+    await waitFor(() => expect(screen.queryByRole("dialog")).not.toBeInTheDocument());
+
+    await user.click(screen.getByRole("checkbox", { name: /owns glitter blue/i }));
+    expect(screen.getByText("Blue×2")).toBeInTheDocument();
+
+    await done(user);
+    // purple 5×2 + glitter blue 3×2 + red 4×2 dice
+    expect(rowTotal(2)).toBe("24");
+
+    // Round 3 starts with the same red dice count
+    expect(within(row(3)).getByText("Red dice: 2")).toBeInTheDocument();
+  });
+
+  it("toggles the red sign from the keyboard", async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await done(user);
+    await type(user, "Red", 2, 6);
+    await user.keyboard("+");
+    expect(cell("Red", 2)).toHaveValue("-6");
+  });
+
+  it("shows the game total after the last round and keeps it across a reload", async () => {
+    const user = userEvent.setup();
+    const { unmount } = render(<App />);
+    await user.clear(screen.getByPlaceholderText("Player"));
+    await user.type(screen.getByPlaceholderText("Player"), "Ann");
+
+    for (let round = 1; round <= 10; round++) {
+      expect(screen.queryByText("Game Total")).not.toBeInTheDocument();
+      await type(user, "Yellow", round, round);
+      await done(user);
+    }
+    // 1 + 2 + … + 10
+    const totalRow = screen.getByText("Game Total").closest("tr");
+    expect(within(totalRow).getByText("55")).toBeInTheDocument();
+
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    expect(saved.players[0].name).toBe("Ann");
+    expect(saved.players[0].rows.every((r) => r.locked)).toBe(true);
+
+    unmount();
+    render(<App />);
+    expect(screen.getByPlaceholderText("Player")).toHaveValue("Ann");
+    expect(rowTotal(10)).toBe("10");
+    expect(within(screen.getByText("Game Total").closest("tr")).getByText("55")).toBeInTheDocument();
+  }, 30000); // ten rounds of typing
+
+  it("starts over from the New game screen with the roster kept", async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.clear(screen.getByPlaceholderText("Player"));
+    await user.type(screen.getByPlaceholderText("Player"), "Ann");
+    await type(user, "Yellow", 1, 9);
+    await done(user);
+
+    await user.click(screen.getByRole("button", { name: "Reset" }));
+    await user.click(screen.getByRole("button", { name: /start/i }));
+
+    expect(screen.getByPlaceholderText("Player")).toHaveValue("Ann");
+    expect(cell("Yellow", 1)).toBeEnabled();
+    expect(cell("Yellow", 1)).toHaveValue("0");
+    expect(rowTotal(1)).toBe("");
+  });
+});
+
+describe("App – saved game", () => {
+  it("keeps a save it can't read and offers the backup", () => {
+    localStorage.setItem(STORAGE_KEY, "{\"players\": [");
+    render(<App />);
+    const prompt = screen.getByRole("alert");
+    expect(prompt).toHaveTextContent("Your saved game couldn't be read");
+    expect(within(prompt).getByRole("button", { name: "Download backup" })).toBeInTheDocument();
+    expect(cell("Yellow", 1)).toHaveValue("0");
+  });
+});
+
+describe("App – language", () => {
+  it("switches the sheet to German and remembers it", async () => {
+    const user = userEvent.setup();
+    const { unmount } = render(<App />);
+    await user.selectOptions(screen.getByRole("combobox", { name: "Language" }), "de");
+
+    expect(screen.getByRole("heading", { name: "Panda Royale – Punkteblock" })).toBeInTheDocument();
+    expect(screen.getByRole("textbox", { name: "Gelb, Runde 1" })).toBeEnabled();
+    expect(screen.getByRole("button", { name: /fertig/i })).toBeInTheDocument();
+    expect(document.documentElement.lang).toBe("de");
+
+    unmount();
+    render(<App />);
+    expect(screen.getByRole("combobox", { name: "Sprache" })).toHaveValue("de");
+  });
+});
+
+describe("App – charts", () => {
+  it("follows the open round live and projects the final total once a round is locked", async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    const panel = screen.getByRole("region", { name: "Round by round" });
+    const tile = (label) => within(panel).getAllByText(label)[0].nextSibling.textContent;
+    expect(tile("At this pace")).toBe("–");
+
+    await type(user, "Yellow", 1, 12);
+    expect(within(panel).getByRole("img", { name: "Running total per round, 12 after round 1" })).toBeInTheDocument();
+    expect(tile("Locked in")).toBe("0");
+
+    await done(user);
+    expect(tile("Locked in")).toBe("12");
+    expect(tile("At this pace")).toBe("120");
+
+    await user.click(within(panel).getByRole("tab", { name: "Red dice" }));
+    expect(within(panel).getByRole("img", { name: "Red dice per round" })).toBeInTheDocument();
+  });
+});
+
+describe("App – timing", () => {
+  it("times the locked round and restarts the turn timer on Done", async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(screen.getByRole("checkbox", { name: "Turn timer" }));
+    expect(screen.getByRole("timer", { name: "Time left this turn" })).toHaveTextContent("1:00");
+    expect(screen.getByRole("button", { name: "Start turn timer" })).toBeInTheDocument();
+
+    await type(user, "Yellow", 1, 12);
+    await done(user);
+    expect(screen.getByRole("button", { name: "Pause turn timer" })).toBeInTheDocument();
+    const [first, second] = screen.getAllByTitle("Time for this round");
+    expect(first).toHaveTextContent(/^0:0\d$/);
+    expect(second).toHaveTextContent("0:00");
+    expect(loadSettings().turnTimer.enabled).toBe(true);
+  });
+});
+
+describe("DiceScanner", () => {
+  // jsdom has no canvas, camera or image decoding: every picture "shows" this scene
+  // (yellow 2, purple 3, green 5, red 4, pink 1, clear 6)
+  const photo = renderScene(SCENES.find((s) => s.name === "a small photo"));
+  const scanner = (onApply = () => {}) => render(<DiceScanner rules={CLASSIC_RULES} round={1} onApply={onApply} onClose={() => {}} />);
+  const setCamera = (getUserMedia) => Object.defineProperty(navigator, "mediaDevices", { configurable: true, value: { getUserMedia } });
+
+  beforeEach(() => {
+    vi.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue({ drawImage() {}, getImageData: () => photo });
+    vi.spyOn(HTMLCanvasElement.prototype, "toDataURL").mockReturnValue("data:image/jpeg;base64,");
+  });
+
+  afterEach(() => {
+    delete navigator.mediaDevices;
+    delete HTMLImageElement.prototype.decode;
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it("scans a camera picture, turns the camera off and fills in the round", async () => {
+    const user = userEvent.setup();
+    const stop = vi.fn();
+    const getUserMedia = vi.fn().mockResolvedValue({ getTracks: () => [{ stop }] });
+    setCamera(getUserMedia);
+    const onApply = vi.fn();
+    scanner(onApply);
+
+    await user.click(screen.getByRole("button", { name: "Camera" }));
+    expect(getUserMedia).toHaveBeenCalledWith({ video: { facingMode: "environment" }, audio: false });
+    await user.click(await screen.findByRole("button", { name: "Take photo" }));
+    expect(stop).toHaveBeenCalled();
+
+    expect(within(screen.getByRole("status")).getByText("4 = 4")).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: "Fill in round 2" }));
+    expect(onApply.mock.calls[0][0].map((d) => d.face).sort()).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it("says so when the camera can't be used", async () => {
+    const user = userEvent.setup();
+    setCamera(vi.fn().mockRejectedValue(new Error("NotAllowedError")));
+    scanner();
+    await user.click(screen.getByRole("button", { name: "Camera" }));
+    expect(await screen.findByRole("alert")).toHaveTextContent("The camera isn't available");
+    expect(screen.getByRole("button", { name: "Fill in round 2" })).toBeDisabled();
+  });
+
+  it("scans a chosen photo", async () => {
+    const user = userEvent.setup();
+    URL.createObjectURL = vi.fn(() => "blob:dice");
+    URL.revokeObjectURL = vi.fn();
+    HTMLImageElement.prototype.decode = () => Promise.resolve();
+    scanner();
+
+    await user.upload(document.querySelector('input[type="file"]'), new File(["…"], "dice.jpg", { type: "image/jpeg" }));
+    expect(await screen.findByRole("img", { name: "Scanned picture with the dice found" })).toBeInTheDocument();
+    expect(within(screen.getByRole("status")).getByText("6 = 6")).toBeInTheDocument();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:dice");
+    expect(screen.getByRole("button", { name: "Fill in round 2" })).toBeEnabled();
+  });
+
+  it("says so when a photo can't be read", async () => {
+    const user = userEvent.setup();
+    URL.createObjectURL = vi.fn(() => "blob:broken");
+    URL.revokeObjectURL = vi.fn();
+    HTMLImageElement.prototype.decode = () => Promise.reject(new Error("EncodingError"));
+    scanner();
+
+    await user.upload(document.querySelector('input[type="file"]'), new File(["…"], "broken.jpg", { type: "image/jpeg" }));
+    expect(await screen.findByRole("alert")).toHaveTextContent("That picture couldn't be read.");
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:broken");
+  });
+});
+
+describe("RulesPanel", () => {
+  it("names the upgrade options by their own labels, translated when built in", () => {
+    const rules = { ...CLASSIC_RULES, flags: [...CLASSIC_RULES.flags, { key: "flag_x", label: "Lucky pink" }] };
+    render(
+      <I18nContext.Provider value={createI18n("de")}>
+        <RulesPanel rules={rules} customPresets={[]} onApply={() => {}} onSavePreset={() => {}} onDeletePreset={() => {}} onClose={() => {}} />
+      </I18nContext.Provider>
+    );
+    const picker = screen.getByDisplayValue("Hat Glitzer-Blau");
+    expect(within(picker).getAllByRole("option").map((o) => o.textContent)).toEqual(["Hat Glitzer-Blau", "Lucky pink"]);
+  });
+});
+
+describe("DiceChip", () => {
+  it("names the die colour in the chosen language when the label doesn't", () => {
+    const chip = (label) => render(
+      <I18nContext.Provider value={createI18n("de")}>
+        <DiceChip label={label} color={COLORS.yellow} />
+      </I18nContext.Provider>
+    ).container.firstChild;
+    expect(chip("Sonne")).toHaveAttribute("title", "Sonne (Würfelfarbe Gelb)");
+    expect(chip("Sonne")).toHaveTextContent("Würfelfarbe Gelb: Sonne");
+    expect(chip("Gelb")).not.toHaveAttribute("title");
+  });
+});
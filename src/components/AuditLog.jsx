@@ -0,0 +1,53 @@
+import React, { useMemo, useState } from "react";
+import { ScrollText, X } from "lucide-react";
+import { describeChange } from "../lib/undo";
+import { useI18n } from "../lib/i18n";
+
+// Read-only change log, newest first, optionally filtered to one player
+export default function AuditLog({ log, onClose }) {
+  const { t, lang } = useI18n();
+  const [playerFilter, setPlayerFilter] = useState("");
+  const names = useMemo(() => [...new Set(log.map((e) => e.player))], [log]);
+  const entries = useMemo(
+    () => log.filter((e) => !playerFilter || e.player === playerFilter).slice().reverse(),
+    [log, playerFilter]
+  );
+
+  return (
+    <section className="rounded-3xl shadow-md bg-panel border border-subtle p-3 sm:p-6">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <h2 className="text-base font-bold flex items-center gap-2"><ScrollText className="w-4 h-4" />{t("log.title")}</h2>
+        <div className="flex items-center gap-2">
+          {names.length > 1 && (
+            <select
+              value={playerFilter}
+              onChange={(e) => setPlayerFilter(e.target.value)}
+              className="px-2 py-1 text-xs rounded-md bg-panel border border-subtle text-ink"
+            >
+              <option value="">{t("common.allPlayers")}</option>
+              {names.map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          )}
+          <button type="button" aria-label={t("log.close")} className="p-1 opacity-60 hover:opacity-100" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+      {entries.length === 0 ? (
+        <div className="text-xs opacity-70">{t("log.empty")}</div>
+      ) : (
+        <ol className="max-h-72 overflow-y-auto divide-y divide-subtle text-xs">
+          {entries.map((e) => (
+            <li key={e.id} className="flex items-baseline gap-3 py-1.5">
+              <time className="shrink-0 tabular-nums opacity-60" dateTime={new Date(e.at).toISOString()}>
+                {new Date(e.at).toLocaleTimeString(lang)}
+              </time>
+              <span className="shrink-0 font-semibold">{e.player}</span>
+              <span className={e.kind === "undo" || e.kind === "redo" ? "italic opacity-80" : ""}>{describeChange(e, lang)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+}
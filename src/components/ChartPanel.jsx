@@ -0,0 +1,239 @@
+import React, { useMemo, useState } from "react";
+import { LineChart as LineChartIcon } from "lucide-react";
+import { COLORS } from "../lib/colors";
+import { pastGames, projectTotal, roundSeries } from "../lib/analytics";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Chart panel beside the sheet (lib/analytics.js), for the selected player
+ * - Score: running total per round, with dashed projections to the last round at
+ *   the current pace and from the player's past games
+ * - Colours: each round's points stacked by colour (negative red below the line)
+ * - Red dice: the red count of every round played
+ * - The open round is drawn lighter and moves as its cells are filled in
+ * - Plain SVG scaled to the panel width, no chart library
+ */
+
+const TABS = ["score", "colours", "red"];
+const W = 320;
+const H = 170;
+const PAD = { left: 30, right: 8, top: 10, bottom: 18 };
+
+export default function ChartPanel({ player, rules, history }) {
+  const { t, n } = useI18n();
+  const [tab, setTab] = useState("score");
+  const series = useMemo(() => roundSeries(player, rules), [player, rules]);
+  const past = useMemo(() => pastGames(history, player, rules), [history, player, rules]);
+  const projection = useMemo(() => projectTotal(series, past), [series, past]);
+  const finished = projection.remaining === 0;
+  const round = (v) => (v == null ? "–" : n(Math.round(v)));
+
+  return (
+    <section className="rounded-3xl shadow-md bg-panel border border-subtle p-3 sm:p-4 space-y-3" aria-labelledby="chart-panel-title">
+      <h2 id="chart-panel-title" className="text-sm font-bold flex items-center gap-2">
+        <LineChartIcon className="w-4 h-4" />{t("charts.title")}
+      </h2>
+
+      <div className="grid grid-cols-3 gap-2">
+        <Tile label={finished ? t("charts.final") : t("charts.banked")} value={n(projection.banked)} />
+        <Tile label={t("charts.pace")} value={finished ? "–" : round(projection.pace)} hint={projection.pace == null && !finished ? t("charts.paceLater") : null} />
+        <Tile
+          label={t("charts.past")}
+          value={finished ? "–" : round(projection.history)}
+          hint={past.length ? t("charts.games", { count: past.length }) : t("charts.noPast")}
+        />
+      </div>
+
+      <div role="tablist" aria-label={t("charts.title")} className="inline-flex rounded-xl border border-subtle overflow-hidden text-xs">
+        {TABS.map((key) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            id={`chart-tab-${key}`}
+            aria-selected={tab === key}
+            aria-controls="chart-tab-panel"
+            onClick={() => setTab(key)}
+            className={"px-3 py-1.5 " + (tab === key ? "bg-strong text-ink" : "bg-panel text-muted hover:bg-raised")}
+          >
+            {t(`charts.${key}`)}
+          </button>
+        ))}
+      </div>
+
+      <div role="tabpanel" id="chart-tab-panel" aria-labelledby={`chart-tab-${tab}`}>
+        {tab === "score" && <ScoreChart series={series} projection={projection} />}
+        {tab === "colours" && <ColourChart series={series} columns={rules.columns} />}
+        {tab === "red" && <RedChart series={series} />}
+      </div>
+    </section>
+  );
+}
+
+/* ---------- helpers ---------- */
+
+function Tile({ label, value, hint }) {
+  return (
+    <div className="rounded-2xl border border-subtle bg-surface/40 p-2">
+      <div className="text-[10px] uppercase tracking-wide opacity-60 truncate">{label}</div>
+      <div className="text-lg font-black tabular-nums">{value}</div>
+      {hint && <div className="text-[10px] opacity-60 truncate">{hint}</div>}
+    </div>
+  );
+}
+
+// x position of round i (0-based) and a y scale over [min, max]
+function axes(rounds, values) {
+  const min = Math.min(0, ...values);
+  const max = Math.max(1, ...values);
+  const step = (W - PAD.left - PAD.right) / rounds;
+  return {
+    min,
+    max,
+    step,
+    x: (i) => PAD.left + step * (i + 0.5),
+    y: (v) => PAD.top + (1 - (v - min) / (max - min)) * (H - PAD.top - PAD.bottom),
+  };
+}
+
+function Frame({ label, a, series, children }) {
+  const { n } = useI18n();
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} role="img" aria-label={label} className="w-full h-auto rounded-xl bg-surface/40 border border-subtle">
+      <line x1={PAD.left} x2={W - PAD.right} y1={a.y(0)} y2={a.y(0)} className="stroke-strong" strokeWidth="1" />
+      <line x1={PAD.left} x2={W - PAD.right} y1={a.y(a.max)} y2={a.y(a.max)} className="stroke-subtle" strokeWidth="1" strokeDasharray="2 3" />
+      <text x={PAD.left - 4} y={a.y(a.max) + 3} textAnchor="end" className="fill-muted text-[9px]">{n(Math.round(a.max))}</text>
+      <text x={PAD.left - 4} y={a.y(0) + 3} textAnchor="end" className="fill-muted text-[9px]">0</text>
+      {a.min < 0 && <text x={PAD.left - 4} y={a.y(a.min) + 3} textAnchor="end" className="fill-muted text-[9px]">{n(Math.round(a.min))}</text>}
+      {series.map((s, i) => (
+        <text key={i} x={a.x(i)} y={H - 5} textAnchor="middle" className="fill-faint text-[9px]">{s.round}</text>
+      ))}
+      {children}
+    </svg>
+  );
+}
+
+function ScoreChart({ series, projection }) {
+  const { t, n } = useI18n();
+  const played = series.filter((s) => s.played);
+  const lastLocked = series.findLastIndex((s) => s.locked);
+  const values = [...played.map((s) => s.cumulative), projection.pace, ...(projection.curve || [])].filter((v) => v != null);
+  const a = axes(series.length, values);
+  const last = played[played.length - 1];
+  const start = lastLocked >= 0 ? [a.x(lastLocked), a.y(projection.banked)] : null;
+  const historyPoints = (projection.curve || [])
+    .map((v, i) => (v == null ? null : `${a.x(i)},${a.y(v)}`))
+    .filter(Boolean);
+  const label = last ? t("charts.scoreSummary", { total: last.cumulative, round: last.round }) : t("charts.score");
+
+  return (
+    <>
+      <Frame label={label} a={a} series={series}>
+        {projection.curve && projection.remaining > 0 && (
+          <polyline
+            fill="none"
+            className="stroke-faint"
+            strokeWidth="1.5"
+            strokeDasharray="4 3"
+            points={[...(start ? [start.join(",")] : []), ...historyPoints].join(" ")}
+          >
+            <title>{t("charts.past")}: {n(Math.round(projection.history))}</title>
+          </polyline>
+        )}
+        {start && projection.pace != null && projection.remaining > 0 && (
+          <line x1={start[0]} y1={start[1]} x2={a.x(series.length - 1)} y2={a.y(projection.pace)} className="stroke-accent" strokeWidth="1.5" strokeDasharray="4 3">
+            <title>{t("charts.pace")}: {n(Math.round(projection.pace))}</title>
+          </line>
+        )}
+        <polyline fill="none" className="stroke-accent-2" strokeWidth="2" points={played.map((s) => `${a.x(s.round - 1)},${a.y(s.cumulative)}`).join(" ")} />
+        {played.map((s) => (
+          <circle key={s.round} cx={a.x(s.round - 1)} cy={a.y(s.cumulative)} r="3.5" className={s.locked ? "fill-accent-2" : "fill-panel stroke-accent-2"} strokeWidth="1.5">
+            <title>{t("charts.point", { round: s.round, value: s.cumulative })}{s.locked ? "" : ` ${t("charts.open")}`}</title>
+          </circle>
+        ))}
+      </Frame>
+      <Legend items={[
+        { key: "total", className: "bg-accent-2", label: t("charts.runningTotal") },
+        { key: "pace", className: "bg-accent", label: t("charts.pace") },
+        { key: "past", className: "bg-faint", label: t("charts.past") },
+      ]} />
+    </>
+  );
+}
+
+function ColourChart({ series, columns }) {
+  const { t } = useI18n();
+  // Positive points stack up from zero, negative ones down
+  const stacks = series.map((s) => {
+    if (!s.played) return null;
+    let up = 0;
+    let down = 0;
+    return columns.map((col) => {
+      const v = s.parts[col.key] || 0;
+      const from = v >= 0 ? up : down;
+      if (v >= 0) up += v;
+      else down += v;
+      return { col, v, from, to: from + v };
+    });
+  });
+  const values = stacks.flatMap((st) => (st ? st.map((p) => p.to) : []));
+  const a = axes(series.length, values);
+  const bar = Math.min(24, a.step * 0.7);
+
+  return (
+    <>
+      <Frame label={t("charts.coloursSummary")} a={a} series={series}>
+        {stacks.map((st, i) => st && st.filter((p) => p.v).map((p) => (
+          <rect
+            key={`${i}-${p.col.key}`}
+            x={a.x(i) - bar / 2}
+            width={bar}
+            y={a.y(Math.max(p.from, p.to))}
+            height={Math.max(1, Math.abs(a.y(p.from) - a.y(p.to)))}
+            style={{ fill: (COLORS[p.col.color] || COLORS.clear).bd, opacity: series[i].locked ? 1 : 0.55 }}
+          >
+            <title>{t("charts.point", { round: series[i].round, value: p.v })} · {p.col.label}</title>
+          </rect>
+        )))}
+      </Frame>
+      <Legend items={columns.map((col) => ({ key: col.key, color: (COLORS[col.color] || COLORS.clear).bd, label: col.short || col.label }))} />
+    </>
+  );
+}
+
+function RedChart({ series }) {
+  const { t, n } = useI18n();
+  const a = axes(series.length, series.map((s) => s.redCount || 0));
+  const bar = Math.min(24, a.step * 0.7);
+  return (
+    <Frame label={t("charts.redSummary")} a={a} series={series}>
+      {series.map((s, i) => s.played && (
+        <g key={i}>
+          <rect
+            x={a.x(i) - bar / 2}
+            width={bar}
+            y={a.y(s.redCount)}
+            height={Math.max(0, a.y(0) - a.y(s.redCount))}
+            style={{ fill: COLORS.red.bd, opacity: s.locked ? 1 : 0.55 }}
+          >
+            <title>{t("charts.redPoint", { round: s.round, count: s.redCount })}</title>
+          </rect>
+          <text x={a.x(i)} y={a.y(s.redCount) - 3} textAnchor="middle" className="fill-muted text-[9px]">{n(s.redCount)}</text>
+        </g>
+      ))}
+    </Frame>
+  );
+}
+
+function Legend({ items }) {
+  return (
+    <ul className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-[10px] opacity-80">
+      {items.map((item) => (
+        <li key={item.key} className="inline-flex items-center gap-1">
+          <span aria-hidden="true" className={"inline-block w-2.5 h-2.5 rounded-sm " + (item.className || "")} style={item.color ? { background: item.color } : undefined} />
+          {item.label}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useRef } from "react";
+import { X, Delete } from "lucide-react";
+import { AButton, DiceChip } from "./ui";
+import { COLORS } from "../lib/colors";
+import { MAX_DICE_PER_CELL, faceOptions, sumFaces } from "../lib/dice";
+import { useDialog } from "../lib/dialog";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Dice-by-dice entry for one cell
+ * - Tap die faces to add them; tap an added die to remove it
+ * - Signed faces for columns that allow negatives (red)
+ * - Every change is applied straight away, so the cell always shows the sum
+ * - Keyboard: digits add a die (after "-" a negative one), Backspace removes the
+ *   last, Esc / Enter close
+ */
+export default function DicePopover({ col, round, faces, onChange, onClose }) {
+  const { t, n } = useI18n();
+  const color = COLORS[col.color] || COLORS.clear;
+  const options = faceOptions(col);
+  const full = faces.length >= MAX_DICE_PER_CELL;
+  const panelRef = useRef(null);
+  const negativeRef = useRef(false);
+  useDialog(panelRef, onClose);
+
+  const onKeyDown = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === "-" && col.allowNegative) {
+      e.preventDefault();
+      negativeRef.current = true;
+    } else if (/^[0-9]$/.test(e.key)) {
+      e.preventDefault();
+      const face = (negativeRef.current ? -1 : 1) * Number(e.key);
+      negativeRef.current = false;
+      if (!full && options.includes(face)) onChange([...faces, face]);
+    } else if (e.key === "Backspace") {
+      e.preventDefault();
+      onChange(faces.slice(0, -1));
+    } else if (e.key === "Enter" && e.target === panelRef.current) {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("dice.title", { column: col.label, round: round + 1 })}
+        tabIndex={-1}
+        onKeyDown={onKeyDown}
+        className="w-full max-w-sm rounded-2xl border border-subtle bg-panel p-4 shadow-2xl space-y-3 outline-none"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="text-sm opacity-80 flex items-center gap-2">
+            {t("dice.round", { round: round + 1 })} <DiceChip label={col.label} color={color} />
+          </div>
+          <button type="button" aria-label={t("dice.close")} className="p-1 opacity-60 hover:opacity-100" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="min-h-[2.5rem] flex flex-wrap items-center gap-1.5 rounded-xl border border-subtle bg-surface/40 p-2">
+          {faces.length === 0 && <span className="text-xs opacity-50">{t("dice.empty")}</span>}
+          {faces.map((f, i) => (
+            <DieButton key={i} value={f} color={color} label={t("dice.remove", { n: i + 1, face: f })} onClick={() => onChange(faces.filter((_, j) => j !== i))} />
+          ))}
+        </div>
+
+        <div className="flex items-baseline justify-between">
+          <span className="text-xs opacity-70">{t("dice.count", { count: faces.length })}</span>
+          <span className="text-2xl font-bold tabular-nums" aria-live="polite">= {n(sumFaces(faces))}</span>
+        </div>
+
+        <div className="grid grid-cols-6 gap-1.5">
+          {options.map((f) => (
+            <DieButton key={f} value={f} color={color} label={t("dice.add", { face: f })} disabled={full} onClick={() => onChange([...faces, f])} />
+          ))}
+        </div>
+
+        <div className="flex justify-between gap-2">
+          <div className="flex gap-2">
+            <AButton variant="ghost" disabled={!faces.length} className="disabled:opacity-40" onClick={() => onChange(faces.slice(0, -1))}>
+              <Delete className="inline w-4 h-4 mr-1" />{t("dice.last")}
+            </AButton>
+            <AButton variant="ghost" disabled={!faces.length} className="disabled:opacity-40" onClick={() => onChange([])}>{t("dice.clear")}</AButton>
+          </div>
+          <AButton data-autofocus onClick={onClose}>{t("common.done")}</AButton>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- helpers ---------- */
+
+function DieButton({ value, color, label, disabled, onClick }) {
+  return (
+    <button
+      type="button"
+      aria-label={label}
+      disabled={disabled}
+      onClick={onClick}
+      className="h-9 min-w-[2.25rem] px-1 rounded-lg font-bold tabular-nums shadow-sm hover:brightness-110 active:scale-95 disabled:opacity-30"
+      style={{ background: color.bg, color: color.fg, border: `1px solid ${color.bd}` }}
+    >
+      {value}
+    </button>
+  );
+}
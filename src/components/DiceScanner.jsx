@@ -0,0 +1,160 @@
+import React, { useEffect, useRef, useState } from "react";
+import { X, Camera, ImageUp, ScanLine } from "lucide-react";
+import { AButton, DiceChip } from "./ui";
+import { COLORS } from "../lib/colors";
+import { sumFaces } from "../lib/dice";
+import { readPixels, scanColumns, scanDice } from "../lib/diceScan";
+import { useDialog } from "../lib/dialog";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Scan the dice of a round from a photo (lib/diceScan.js, on this device)
+ * - Camera: live preview, "Take photo" scans the current frame; Photo: pick or
+ *   take a picture through the file chooser
+ * - The result shows the found dice on the picture and the faces per column;
+ *   "Fill in" puts them into the round's cells to be checked before Done
+ */
+export default function DiceScanner({ rules, round, onApply, onClose }) {
+  const { t, n } = useI18n();
+  const panelRef = useRef(null);
+  const videoRef = useRef(null);
+  const fileRef = useRef(null);
+  const [stream, setStream] = useState(null);
+  const [result, setResult] = useState(null); // { url, scan }
+  const [error, setError] = useState(null);
+  useDialog(panelRef, onClose);
+
+  // The camera stays on only while its preview is showing
+  useEffect(() => () => stream?.getTracks().forEach((track) => track.stop()), [stream]);
+  useEffect(() => {
+    if (stream && videoRef.current) videoRef.current.srcObject = stream;
+  }, [stream]);
+
+  const scan = (source) => {
+    try {
+      const { pixels, url } = readPixels(source);
+      setResult({ url, scan: scanDice(pixels) });
+      setError(null);
+    } catch {
+      setError(t("scan.unreadable"));
+    }
+  };
+
+  const startCamera = async () => {
+    setError(null);
+    try {
+      setStream(await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false }));
+      setResult(null);
+    } catch {
+      setError(t("scan.noCamera"));
+    }
+  };
+
+  const takePhoto = () => {
+    scan(videoRef.current);
+    setStream(null);
+  };
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setStream(null);
+    const url = URL.createObjectURL(file);
+    try {
+      const img = new Image();
+      img.src = url;
+      await img.decode();
+      scan(img);
+    } catch {
+      setError(t("scan.unreadable"));
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  };
+
+  const dice = result?.scan.dice || [];
+  const { columns, unused } = scanColumns(dice, rules, round);
+  const unsure = dice.filter((d) => !d.face).length;
+  const canCamera = typeof navigator !== "undefined" && !!navigator.mediaDevices?.getUserMedia;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("scan.title", { round: round + 1 })}
+        tabIndex={-1}
+        className="w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-2xl border border-subtle bg-panel p-4 shadow-2xl space-y-3 outline-none"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-semibold flex items-center gap-2"><ScanLine className="w-4 h-4" />{t("scan.title", { round: round + 1 })}</div>
+          <button type="button" aria-label={t("common.close")} className="p-1 opacity-60 hover:opacity-100" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <p className="text-xs opacity-70">{t("scan.hint")}</p>
+
+        <div className="flex flex-wrap gap-2">
+          {canCamera && (
+            <AButton variant="ghost" onClick={startCamera}><Camera className="inline w-4 h-4 mr-1" />{t("scan.camera")}</AButton>
+          )}
+          <AButton variant="ghost" onClick={() => fileRef.current?.click()}><ImageUp className="inline w-4 h-4 mr-1" />{t("scan.photo")}</AButton>
+          <input ref={fileRef} type="file" accept="image/*" capture="environment" className="hidden" aria-hidden="true" tabIndex={-1} onChange={onFile} />
+        </div>
+
+        {error && <div role="alert" className="rounded-xl border border-danger/40 bg-danger-soft/40 p-2 text-xs text-danger">{error}</div>}
+
+        {stream && (
+          <div className="space-y-2">
+            <video ref={videoRef} autoPlay playsInline muted className="w-full rounded-xl bg-black" />
+            <AButton data-autofocus onClick={takePhoto}><Camera className="inline w-4 h-4 mr-1" />{t("scan.take")}</AButton>
+          </div>
+        )}
+
+        {result && (
+          <>
+            <div className="relative">
+              <img src={result.url} alt={t("scan.picture")} className="w-full rounded-xl" />
+              {dice.map((d, i) => (
+                <span
+                  key={i}
+                  aria-hidden="true"
+                  className={"absolute rounded-md border-2 text-[10px] font-bold leading-none " + (d.face ? "border-accent-2" : "border-warn border-dashed")}
+                  style={{ left: `${d.x * 100}%`, top: `${d.y * 100}%`, width: `${d.w * 100}%`, height: `${d.h * 100}%` }}
+                >
+                  <span className="absolute -top-2 -left-2 rounded-full bg-panel px-1 py-0.5 text-ink">{d.face ?? "?"}</span>
+                </span>
+              ))}
+            </div>
+
+            {dice.length === 0 ? (
+              <p role="status" className="text-sm text-warn">{t("scan.none")}</p>
+            ) : (
+              <ul role="status" className="space-y-1 text-sm">
+                {columns.map(({ col, faces }) => (
+                  <li key={col.key} className="flex items-center justify-between gap-2">
+                    <DiceChip label={col.label} color={COLORS[col.color] || COLORS.clear} />
+                    <span className="tabular-nums opacity-80">{faces.length ? `${faces.join(" + ")} = ${n(sumFaces(faces))}` : "–"}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {unused.length > 0 && <p className="text-xs opacity-70">{t("scan.unused", { count: unused.length })}</p>}
+            {unsure > 0 && <p className="text-xs text-warn">{t("scan.unsure", { count: unsure })}</p>}
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <AButton variant="ghost" onClick={onClose}>{t("scan.cancel")}</AButton>
+          <AButton disabled={!dice.some((d) => d.face)} className="disabled:opacity-40" onClick={() => onApply(dice)}>
+            {t("scan.apply", { round: round + 1 })}
+          </AButton>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,368 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Trophy, ArrowLeft, Plus, Trash2, FileUp, FileJson, X, Flag } from "lucide-react";
+import { AButton, AInput } from "./ui";
+import {
+  headToHead, importSeason, isGameFinished, makeSeason, parsePointsTable, parseSeasonFile, placements, recordGame,
+  registerPlayer, removeGame, serializeSeason, standings, unregisterPlayer, hasGames,
+} from "../lib/league";
+import { computeRowTotal, playerFlags } from "../lib/scoring";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * League view: seasons across many games and nights
+ * - Record the finished game on the sheet into the active season
+ * - Standings (points per placement, wins, averages) and head-to-head records
+ * - Season settings: points table, registered players, name
+ * - Export / import a season file to hand the league to the next scorekeeper
+ */
+
+const ONE_DECIMAL = { maximumFractionDigits: 1 };
+const fmtDate = (iso, lang) => new Date(iso).toLocaleDateString(lang, { dateStyle: "medium" });
+
+export default function LeagueView({ league, onChange, sheetPlayers, rules, onDownload, onClose }) {
+  const { t, lang } = useI18n();
+  const season = league.seasons.find((s) => s.id === league.activeId) || league.seasons[0] || null;
+  const [newName, setNewName] = useState("");
+  const [notice, setNotice] = useState(null);
+  const [fileErrors, setFileErrors] = useState(null); // { file, errors }
+  const fileInputRef = useRef(null);
+
+  const setSeason = (next) => onChange({ ...league, seasons: league.seasons.map((s) => (s.id === next.id ? next : s)), activeId: next.id });
+
+  const createSeason = () => {
+    const created = makeSeason(newName || t("league.seasonNumbered", { n: league.seasons.length + 1 }));
+    onChange({ ...league, seasons: [...league.seasons, created], activeId: created.id });
+    setNewName("");
+    setNotice(null);
+  };
+
+  const deleteSeason = () => {
+    if (!confirm(t("league.confirmDeleteSeason", { name: season.name, count: season.games.length }))) return;
+    const seasons = league.seasons.filter((s) => s.id !== season.id);
+    onChange({ ...league, seasons, activeId: seasons[0]?.id ?? null });
+  };
+
+  const recordCurrentGame = () => {
+    const { season: next, registered, replaced, error } = recordGame(season, sheetPlayers, rules, new Date(), lang);
+    if (error) { setNotice({ error: true, text: error }); return; }
+    setSeason(next);
+    setNotice({
+      error: false,
+      text: [
+        t(replaced ? "league.updated" : "league.recorded"),
+        registered.length ? t("league.registered", { names: registered.join(", ") }) : "",
+      ].join(" ").trim(),
+    });
+  };
+
+  const exportSeason = () => {
+    onDownload(`${season.name.replace(/[^\w-]+/g, "_") || "season"}-league.json`, serializeSeason(season), "application/json");
+  };
+
+  const importFile = async (file) => {
+    const { season: imported, errors } = parseSeasonFile(await file.text(), lang);
+    if (errors.length) { setFileErrors({ file: file.name, errors }); return; }
+    setFileErrors(null);
+    const existing = league.seasons.find((s) => s.id === imported.id);
+    if (existing && !confirm(t("league.confirmReplace", { name: existing.name, file: file.name }))) return;
+    onChange(importSeason(league, imported));
+  };
+
+  return (
+    <section className="rounded-3xl shadow-md bg-panel border border-subtle p-3 sm:p-6 space-y-5">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-bold flex items-center gap-2"><Trophy className="w-5 h-5" />{t("league.title")}</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          {league.seasons.length > 0 && (
+            <select
+              value={season.id}
+              onChange={(e) => { onChange({ ...league, activeId: e.target.value }); setNotice(null); }}
+              aria-label={t("league.season")}
+              className="px-2 py-1.5 text-sm rounded-md bg-panel border border-subtle text-ink"
+            >
+              {league.seasons.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+          )}
+          <AButton variant="ghost" onClick={() => fileInputRef.current?.click()}><FileUp className="inline w-4 h-4 mr-1" />{t("league.import")}</AButton>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              if (file) importFile(file);
+            }}
+          />
+          <AButton variant="ghost" onClick={onClose}><ArrowLeft className="inline w-4 h-4 mr-1" />{t("nav.sheet")}</AButton>
+        </div>
+      </div>
+
+      {fileErrors && (
+        <div role="alert" className="rounded-2xl border border-danger/40 bg-danger-soft/40 p-3 text-sm">
+          <div className="flex items-start justify-between gap-2">
+            <div className="font-semibold text-danger">{t("league.importFailed", { file: fileErrors.file })}</div>
+            <button type="button" aria-label={t("common.dismiss")} className="p-1 opacity-60 hover:opacity-100" onClick={() => setFileErrors(null)}>
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <ul className="mt-1 list-disc pl-5 text-xs text-danger/90">
+            {fileErrors.errors.map((e, i) => <li key={i}>{e}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <form
+        className="flex flex-wrap items-center gap-2 text-xs sm:text-sm"
+        onSubmit={(e) => { e.preventDefault(); createSeason(); }}
+      >
+        <AInput data-native-undo value={newName} onChange={(e) => setNewName(e.target.value)} placeholder={t("league.seasonNumbered", { n: league.seasons.length + 1 })} className="w-48" aria-label={t("league.newSeasonName")} />
+        <AButton variant="ghost" type="submit"><Plus className="inline w-4 h-4 mr-1" />{t("league.newSeason")}</AButton>
+      </form>
+
+      {!season ? (
+        <div className="text-sm opacity-70">{t("league.noSeason")}</div>
+      ) : (
+        <>
+          <RecordGame
+            sheetPlayers={sheetPlayers}
+            rules={rules}
+            onRecord={recordCurrentGame}
+            notice={notice}
+          />
+          <Standings season={season} />
+          <HeadToHead season={season} />
+          <Games season={season} onDelete={(id) => setSeason(removeGame(season, id))} />
+          <SeasonSettings
+            key={season.id}
+            season={season}
+            onChange={setSeason}
+            onExport={exportSeason}
+            onDelete={deleteSeason}
+          />
+        </>
+      )}
+    </section>
+  );
+}
+
+/* ---------- helpers ---------- */
+
+function Heading({ children }) {
+  return <div className="text-xs uppercase tracking-wide opacity-70 mb-2">{children}</div>;
+}
+
+function RecordGame({ sheetPlayers, rules, onRecord, notice }) {
+  const { t, n } = useI18n();
+  const finished = isGameFinished(sheetPlayers);
+  return (
+    <div className="rounded-2xl border border-subtle bg-surface/40 p-3 space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm">
+          <span className="opacity-70">{t("league.thisGame")} </span>
+          {sheetPlayers.map((p, i) => (
+            <span key={p.id}>
+              {i > 0 && ", "}
+              {p.name || t("player.default")} <strong className="tabular-nums">{n(p.rows.reduce((s, r) => s + computeRowTotal(r, playerFlags(p), rules), 0))}</strong>
+            </span>
+          ))}
+        </div>
+        <AButton onClick={onRecord} disabled={!finished} className="disabled:opacity-40">
+          <Flag className="inline w-4 h-4 mr-1" />{t("league.record")}
+        </AButton>
+      </div>
+      {!finished && <div className="text-xs opacity-60">{t("league.notFinished")}</div>}
+      {notice && <div role="status" className={"text-xs " + (notice.error ? "text-danger" : "text-ok")}>{notice.text}</div>}
+    </div>
+  );
+}
+
+function Standings({ season }) {
+  const { t, n } = useI18n();
+  const table = useMemo(() => standings(season), [season]);
+  if (!table.length) return <div className="text-sm opacity-70">{t("league.noPlayers")}</div>;
+  return (
+    <div>
+      <Heading>{t("league.standings", { count: season.games.length })}</Heading>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs sm:text-sm tabular-nums">
+          <thead>
+            <tr className="text-left opacity-70">
+              <th scope="col" className="p-1.5">#</th>
+              <th scope="col" className="p-1.5">{t("league.player")}</th>
+              <th scope="col" className="p-1.5 text-right">{t("league.played")}</th>
+              <th scope="col" className="p-1.5 text-right">{t("league.wins")}</th>
+              <th scope="col" className="p-1.5 text-right">{t("league.average")}</th>
+              <th scope="col" className="p-1.5 text-right">{t("league.best")}</th>
+              <th scope="col" className="p-1.5 text-right">{t("league.points")}</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-subtle">
+            {table.map((r, i) => (
+              <tr key={r.playerId}>
+                <td className="p-1.5 opacity-70">{table.findIndex((x) => x.points === r.points) + 1}.</td>
+                <td className="p-1.5 font-medium flex items-center gap-1">
+                  {i === 0 && r.points > 0 && <Trophy className="w-3.5 h-3.5 text-warn" />}{r.name}
+                </td>
+                <td className="p-1.5 text-right">{r.played}</td>
+                <td className="p-1.5 text-right">{r.wins}</td>
+                <td className="p-1.5 text-right">{r.played ? n(r.average, ONE_DECIMAL) : "–"}</td>
+                <td className="p-1.5 text-right">{r.best ?? "–"}</td>
+                <td className="p-1.5 text-right font-bold text-accent-2">{r.points}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Row player's record against the column player: wins–losses(–ties)
+function HeadToHead({ season }) {
+  const { t } = useI18n();
+  const h2h = useMemo(() => headToHead(season), [season]);
+  const players = season.players.filter((p) => h2h[p.id]);
+  if (players.length < 2) return null;
+  return (
+    <div>
+      <Heading>{t("league.headToHead")}</Heading>
+      <div className="overflow-x-auto">
+        <table className="text-xs tabular-nums">
+          <thead>
+            <tr>
+              <th />
+              {players.map((p) => <th key={p.id} scope="col" className="p-1.5 font-medium truncate max-w-[6rem]">{p.name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {players.map((a) => (
+              <tr key={a.id}>
+                <th scope="row" className="p-1.5 text-left font-medium">{a.name}</th>
+                {players.map((b) => {
+                  const rec = h2h[a.id]?.[b.id];
+                  return (
+                    <td
+                      key={b.id}
+                      className={
+                        "p-1.5 text-center rounded " +
+                        (a.id === b.id ? "bg-raised/60" : !rec ? "opacity-40" : rec.wins > rec.losses ? "text-ok" : rec.wins < rec.losses ? "text-danger" : "")
+                      }
+                    >
+                      {a.id === b.id ? "" : rec ? `${rec.wins}–${rec.losses}–${rec.ties}` : "–"}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function Games({ season, onDelete }) {
+  const { t, lang } = useI18n();
+  if (!season.games.length) return null;
+  const names = Object.fromEntries(season.players.map((p) => [p.id, p.name]));
+  return (
+    <div>
+      <Heading>{t("league.games")}</Heading>
+      <ul className="divide-y divide-subtle rounded-xl border border-subtle">
+        {[...season.games].reverse().map((g) => (
+          <li key={g.id} className="flex items-center gap-2 px-3 py-2 text-xs sm:text-sm">
+            <span className="w-24 shrink-0 opacity-60">{fmtDate(g.date, lang)}</span>
+            <span className="flex-1">
+              {placements(g.results, season.pointsTable)
+                .sort((a, b) => a.place - b.place)
+                .map((r, i) => (
+                  <span key={r.playerId}>
+                    {i > 0 && " • "}
+                    {r.place}. {names[r.playerId] || "?"} <span className="tabular-nums opacity-70">{r.total}</span>
+                    <span className="text-[10px] text-accent-2"> +{r.points}</span>
+                  </span>
+                ))}
+            </span>
+            <button
+              type="button"
+              aria-label={t("league.deleteGame")}
+              className="p-1 opacity-60 hover:opacity-100 hover:text-danger"
+              onClick={() => { if (confirm(t("league.confirmDeleteGame", { date: fmtDate(g.date, lang) }))) onDelete(g.id); }}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function SeasonSettings({ season, onChange, onExport, onDelete }) {
+  const { t, lang } = useI18n();
+  const [pointsText, setPointsText] = useState(season.pointsTable.join(", "));
+  const [pointsError, setPointsError] = useState(null);
+  const [playerName, setPlayerName] = useState("");
+
+  const applyPoints = () => {
+    const { points, error } = parsePointsTable(pointsText, lang);
+    setPointsError(error);
+    if (points) onChange({ ...season, pointsTable: points });
+  };
+
+  return (
+    <div className="rounded-2xl border border-subtle p-3 space-y-3 text-xs sm:text-sm">
+      <Heading>{t("league.settings")}</Heading>
+      <div className="grid gap-2 sm:grid-cols-[auto_1fr] items-center">
+        <span className="opacity-80">{t("league.name")}</span>
+        <AInput data-native-undo value={season.name} onChange={(e) => onChange({ ...season, name: e.target.value })} className="w-56" />
+
+        <span className="opacity-80">{t("league.pointsPerPlace")}</span>
+        <div>
+          <AInput
+            data-native-undo
+            value={pointsText}
+            onChange={(e) => setPointsText(e.target.value)}
+            onBlur={applyPoints}
+            onKeyDown={(e) => { if (e.key === "Enter") applyPoints(); }}
+            placeholder="10, 7, 5, 3, 2, 1"
+            className="w-56"
+            aria-describedby="points-help"
+          />
+          <div id="points-help" className={"text-[11px] mt-1 " + (pointsError ? "text-danger" : "opacity-60")}>
+            {pointsError || t("league.pointsHelp")}
+          </div>
+        </div>
+
+        <span className="opacity-80">{t("league.players")}</span>
+        <div className="flex flex-wrap items-center gap-1.5">
+          {season.players.map((p) => (
+            <span key={p.id} className="inline-flex items-center gap-1 rounded-xl border border-subtle px-2 py-1">
+              {p.name}
+              {!hasGames(season, p.id) && (
+                <button type="button" aria-label={t("player.remove", { name: p.name })} className="opacity-60 hover:opacity-100" onClick={() => onChange(unregisterPlayer(season, p.id))}>
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </span>
+          ))}
+          <form
+            className="inline-flex items-center gap-1"
+            onSubmit={(e) => { e.preventDefault(); onChange(registerPlayer(season, playerName)); setPlayerName(""); }}
+          >
+            <AInput data-native-undo value={playerName} onChange={(e) => setPlayerName(e.target.value)} placeholder={t("league.playerName")} className="w-28" aria-label={t("league.register")} />
+            <AButton variant="ghost" type="submit" aria-label={t("league.register")}><Plus className="w-4 h-4" /></AButton>
+          </form>
+        </div>
+      </div>
+      <div className="flex flex-wrap justify-between gap-2">
+        <AButton variant="ghost" onClick={onExport}><FileJson className="inline w-4 h-4 mr-1" />{t("league.export")}</AButton>
+        <AButton variant="ghost" className="border border-danger/40 text-danger" onClick={onDelete}>
+          <Trash2 className="inline w-4 h-4 mr-1" />{t("league.deleteSeason")}
+        </AButton>
+      </div>
+    </div>
+  );
+}
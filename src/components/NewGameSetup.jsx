@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+import { Play, ArrowLeft } from "lucide-react";
+import { AButton, AInput } from "./ui";
+import { useI18n } from "../lib/i18n";
+
+// New-game setup: pick the game length, roster and rules carry over
+const GAME_LENGTHS = [
+  { id: "quick", rounds: 5 },
+  { id: "standard", rounds: 10 },
+  { id: "marathon", rounds: 15 },
+];
+const MIN_ROUNDS = 1;
+const MAX_ROUNDS = 30;
+
+export default function NewGameSetup({ roundCount, players, rulesName, onStart, onCancel }) {
+  const { t } = useI18n();
+  const [rounds, setRounds] = useState(roundCount);
+
+  return (
+    <section className="rounded-3xl shadow-md bg-panel border border-subtle p-3 sm:p-6 space-y-5">
+      <h2 className="text-lg font-bold">{t("setup.title")}</h2>
+
+      <div className="space-y-2">
+        <div className="text-xs uppercase tracking-wide opacity-70">{t("setup.length")}</div>
+        <div className="grid gap-2 sm:grid-cols-3">
+          {GAME_LENGTHS.map((g) => (
+            <button
+              key={g.rounds}
+              type="button"
+              onClick={() => setRounds(g.rounds)}
+              className={
+                "rounded-2xl border px-3 py-2 text-left transition " +
+                (rounds === g.rounds ? "border-accent-2/60 bg-raised" : "border-subtle bg-panel hover:bg-raised/60")
+              }
+            >
+              <div className="font-semibold">
+                {t(`setup.${g.id}`)} <span className="tabular-nums opacity-70">{t("setup.rounds", { count: g.rounds })}</span>
+              </div>
+              <div className="text-[11px] opacity-60">{t(`setup.${g.id}Hint`)}</div>
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-xs sm:text-sm">
+          <span className="opacity-80">{t("setup.custom")}</span>
+          <AInput
+            value={String(rounds)}
+            inputMode="numeric"
+            onFocus={(e) => e.target.select()}
+            onChange={(e) => {
+              const n = parseInt((e.target.value || "").replace(/\D+/g, "").slice(0, 2) || "0", 10);
+              setRounds(Math.min(MAX_ROUNDS, n));
+            }}
+            className="w-[5.5ch] text-right"
+          />
+          <span className="text-[11px] opacity-60">{MIN_ROUNDS}–{MAX_ROUNDS}</span>
+        </label>
+      </div>
+
+      <div className="text-xs sm:text-sm opacity-80">
+        {t("setup.summary", { players: players.map((p) => p.name || t("player.default")).join(", "), rules: rulesName })}
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <AButton variant="ghost" onClick={onCancel}><ArrowLeft className="inline w-4 h-4 mr-1" />{t("common.back")}</AButton>
+        <AButton onClick={() => onStart(rounds)} disabled={rounds < MIN_ROUNDS} className="disabled:opacity-40">
+          <Play className="inline w-4 h-4 mr-1" />{t("setup.start", { count: rounds })}
+        </AButton>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from "react";
+import { Printer, FileDown, ArrowLeft } from "lucide-react";
+import { AButton } from "./ui";
+import { PRINT_THEMES, formatPrintDate, printSheet, redNote, sheetPdf, sheetSummary } from "../lib/printSheet";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Print / PDF view
+ * - The sheet as it looks on the paper pad: one page per player, with how long
+ *   each locked round and the game took
+ * - Light or dark output, whatever the app itself looks like
+ * - Print uses the browser's dialog (print stylesheet in index.css hides the rest
+ *   of the app); Download PDF builds the file right here, nothing is uploaded
+ */
+export default function PrintView({ players, currentIdx, rules, onDownload, onClose }) {
+  const { t, lang } = useI18n();
+  const [themeName, setThemeName] = useState("light");
+  const [everyone, setEveryone] = useState(players.length > 1);
+  const sheets = useMemo(() => {
+    const date = new Date();
+    return (everyone ? players : [players[currentIdx]]).map((p) => printSheet(p, rules, date, lang));
+  }, [players, currentIdx, rules, everyone, lang]);
+
+  const downloadPdf = () => {
+    const base = sheets.length > 1 ? "panda_royale-table" : sheets[0].name || "panda_royale";
+    onDownload(`${base}-sheet.pdf`, sheetPdf(sheets, themeName, lang), "application/pdf");
+  };
+
+  return (
+    <section className="rounded-3xl shadow-md bg-panel border border-subtle p-3 sm:p-6 space-y-4">
+      <div className="print:hidden flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-bold flex items-center gap-2"><Printer className="w-5 h-5" />{t("nav.print")}</h2>
+        <div className="flex flex-wrap items-center gap-2 text-xs sm:text-sm">
+          <div role="radiogroup" aria-label={t("print.colours")} className="inline-flex rounded-2xl border border-subtle overflow-hidden">
+            {Object.keys(PRINT_THEMES).map((name) => (
+              <button
+                key={name}
+                type="button"
+                role="radio"
+                aria-checked={themeName === name}
+                onClick={() => setThemeName(name)}
+                className={"px-3 py-2 " + (themeName === name ? "bg-strong text-ink" : "bg-panel text-muted")}
+              >
+                {t(`theme.${name}`)}
+              </button>
+            ))}
+          </div>
+          {players.length > 1 && (
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={everyone} onChange={(e) => setEveryone(e.target.checked)} />
+              {t("common.allPlayers")}
+            </label>
+          )}
+          <AButton variant="ghost" onClick={() => window.print()}><Printer className="inline w-4 h-4 mr-1" />{t("print.print")}</AButton>
+          <AButton onClick={downloadPdf}><FileDown className="inline w-4 h-4 mr-1" />{t("print.download")}</AButton>
+          <AButton variant="ghost" onClick={onClose}><ArrowLeft className="inline w-4 h-4 mr-1" />{t("nav.sheet")}</AButton>
+        </div>
+      </div>
+
+      <div className="print-area space-y-4">
+        {sheets.map((sheet, i) => <PaperSheet key={i} sheet={sheet} paper={PRINT_THEMES[themeName]} />)}
+      </div>
+    </section>
+  );
+}
+
+/* ---------- helpers ---------- */
+
+function PaperSheet({ sheet, paper }) {
+  const { t, lang } = useI18n();
+  const cell = { border: `1px solid ${paper.line}` };
+  const most = Math.max(1, ...sheet.breakdown.map((b) => Math.abs(b.points)));
+  return (
+    <article
+      className="print-sheet mx-auto w-full max-w-[210mm] rounded-xl p-4 sm:p-8 print:rounded-none print:p-0 text-sm"
+      style={{ background: paper.page, color: paper.ink }}
+    >
+      <header className="flex items-baseline justify-between gap-2">
+        <h3 className="text-xl font-extrabold">{t("app.title")}</h3>
+        <span className="text-xs" style={{ color: paper.muted }}>{formatPrintDate(sheet.date, lang)}</span>
+      </header>
+      <div className="flex items-baseline justify-between gap-2 mt-1 mb-3">
+        <span className="text-lg font-bold" style={{ color: paper.accent }}>{sheet.name}</span>
+        <span className="text-[11px]" style={{ color: paper.muted }}>{sheet.rulesName}</span>
+      </div>
+
+      <table className="w-full border-collapse table-fixed tabular-nums">
+        <thead>
+          <tr>
+            <th scope="col" className="w-[3rem] p-1.5 text-xs" style={{ ...cell, background: paper.shade }}>{t("table.rnd")}</th>
+            {sheet.columns.map((c) => (
+              <th key={c.key} scope="col" className="p-1.5 text-xs" style={{ ...cell, background: c.color.bg, color: c.color.fg }}>
+                {c.color.mark && <span aria-hidden="true" className="mr-1 text-[9px]">{c.color.mark}</span>}
+                {c.label}
+              </th>
+            ))}
+            <th scope="col" className="w-[4rem] p-1.5 text-xs" style={{ ...cell, background: paper.shade }}>{t("print.time")}</th>
+            <th scope="col" className="w-[4.5rem] p-1.5 text-xs" style={{ ...cell, background: paper.shade }}>{t("table.total")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sheet.rows.map((row) => (
+            <tr key={row.round}>
+              <th scope="row" className="p-1.5 text-center" style={{ ...cell, color: paper.muted }}>{row.round}</th>
+              {row.cells.map((c, ci) => (
+                <td
+                  key={ci}
+                  className="p-1.5 text-right h-9"
+                  style={c ? { ...cell, color: row.locked ? paper.ink : paper.muted } : { ...cell, background: `repeating-linear-gradient(135deg, ${paper.shade} 0 6px, ${paper.page} 6px 9px)` }}
+                >
+                  {c && !c.blank && (
+                    <>
+                      <div>{c.points}</div>
+                      {sheet.columns[ci].red && <div className="text-[9px] leading-none" style={{ color: paper.muted }}>{redNote(c, row.redCount)}</div>}
+                    </>
+                  )}
+                </td>
+              ))}
+              <td className="p-1.5 text-right text-xs" style={{ ...cell, color: paper.muted }}>{row.time}</td>
+              <td className="p-1.5 text-right font-bold" style={cell}>{row.total ?? ""}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr style={{ background: paper.shade }}>
+            <td colSpan={sheet.columns.length + 2} className="p-2 text-xs" style={{ ...cell, color: paper.muted }}>
+              {sheetSummary(sheet, lang)}
+              <span className="float-right font-bold text-sm" style={{ color: paper.ink }}>{t("print.gameTotal")}</span>
+            </td>
+            <td className="p-2 text-right text-lg font-extrabold" style={{ ...cell, color: paper.accent }}>{sheet.total}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      <h4 className="mt-5 mb-2 font-bold">{t("print.breakdown")}</h4>
+      <ul className="space-y-1 text-xs">
+        {sheet.breakdown.map((b) => (
+          <li key={b.key} className="grid grid-cols-[7rem_1fr_6rem] items-center gap-2">
+            <span>{b.label}</span>
+            <span className="h-3 rounded-sm" style={{ border: `1px solid ${paper.line}` }}>
+              <span
+                className="block h-full rounded-sm"
+                style={{ width: `${(Math.abs(b.points) / most) * 100}%`, background: b.color.pattern ? `${b.color.pattern}, ${b.color.bd}` : b.color.bd }}
+              />
+            </span>
+            <span className="text-right font-bold">
+              {b.points}{sheet.total ? ` (${Math.round((b.points / sheet.total) * 100)}%)` : ""}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </article>
+  );
+}
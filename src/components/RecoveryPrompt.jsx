@@ -0,0 +1,36 @@
+import React from "react";
+import { AlertTriangle, FileDown, FileUp } from "lucide-react";
+import { AButton } from "./ui";
+import { useI18n } from "../lib/i18n";
+
+const MAX_LISTED = 8;
+
+// Shown after load when the saved game had to be repaired or couldn't be read
+export default function RecoveryPrompt({ recovery, onDownloadBackup, onImport, onDismiss }) {
+  const { t } = useI18n();
+  const corrupt = recovery.status === "corrupt";
+  const { repairs } = recovery;
+  return (
+    <section role="alert" className="rounded-3xl border border-warn/40 bg-warn-soft/30 p-3 sm:p-4 text-sm space-y-2">
+      <div className="flex items-center gap-2 font-semibold text-warn">
+        <AlertTriangle className="w-4 h-4" />
+        {corrupt ? t("recovery.corrupt") : t("recovery.repaired")}
+      </div>
+      {corrupt ? (
+        <p className="text-xs opacity-80">{t("recovery.corruptText", { error: recovery.error })}</p>
+      ) : (
+        <ul className="list-disc pl-5 text-xs opacity-90 space-y-0.5">
+          {repairs.slice(0, MAX_LISTED).map((r, i) => <li key={i}>{r}</li>)}
+          {repairs.length > MAX_LISTED && <li>{t("recovery.more", { count: repairs.length - MAX_LISTED })}</li>}
+        </ul>
+      )}
+      <div className="flex flex-wrap justify-end gap-2">
+        {recovery.backupKey && (
+          <AButton variant="ghost" onClick={onDownloadBackup}><FileDown className="inline w-4 h-4 mr-1" />{t("recovery.download")}</AButton>
+        )}
+        {corrupt && <AButton variant="ghost" onClick={onImport}><FileUp className="inline w-4 h-4 mr-1" />{t("recovery.import")}</AButton>}
+        <AButton onClick={onDismiss}>{corrupt ? t("recovery.keepBlank") : t("common.ok")}</AButton>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Clock, Hourglass, Pause, Play, RotateCcw } from "lucide-react";
+import { AButton, AInput } from "./ui";
+import { MAX_TURN_SECONDS, alertTimeUp, formatDuration, gameClock, roundDuration, useNow } from "../lib/timing";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Clocks above the sheet (lib/timing.js)
+ * - How long the open round of the selected player has been going, and the whole game
+ * - Optional turn timer: a countdown that restarts whenever another round is
+ *   locked (lockedCount goes up) and beeps / vibrates when it runs out; its
+ *   settings are device preferences
+ */
+export default function RoundClock({ players, row, round, turnTimer, onTurnTimerChange, lockedCount }) {
+  const { t } = useI18n();
+  const [deadline, setDeadline] = useState(null); // running: when it runs out
+  const [left, setLeft] = useState(null); // paused: ms left
+  const [expired, setExpired] = useState(false);
+  const game = gameClock(players);
+  const now = useNow(!!game?.running || deadline != null);
+
+  const total = turnTimer.seconds * 1000;
+  const remaining = deadline != null ? Math.max(0, deadline - now) : left ?? total;
+
+  const start = (ms = total) => {
+    setDeadline(Date.now() + ms);
+    setLeft(null);
+    setExpired(false);
+  };
+  const pause = () => {
+    setLeft(remaining);
+    setDeadline(null);
+  };
+  const reset = () => {
+    setDeadline(null);
+    setLeft(null);
+    setExpired(false);
+  };
+
+  // A new round is a new turn
+  const lastLocked = useRef(lockedCount);
+  useEffect(() => {
+    const more = lockedCount > lastLocked.current;
+    lastLocked.current = lockedCount;
+    if (more && turnTimer.enabled) start();
+  });
+
+  useEffect(() => {
+    if (deadline == null || now < deadline) return;
+    setDeadline(null);
+    setLeft(0);
+    setExpired(true);
+    alertTimeUp(turnTimer);
+  }, [deadline, now, turnTimer]);
+
+  const roundTime = roundDuration(row, now);
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs sm:text-sm">
+      <span className="inline-flex items-center gap-1 tabular-nums" title={t("clock.roundHint")}>
+        <Clock className="w-4 h-4 opacity-70" aria-hidden="true" />
+        {t("clock.round", { round: round + 1 })} <strong>{roundTime == null ? "–" : formatDuration(roundTime)}</strong>
+      </span>
+      <span className="inline-flex items-center gap-1 tabular-nums">
+        {t("clock.game")} <strong>{game ? formatDuration(game.duration) : "–"}</strong>
+      </span>
+
+      <label className="inline-flex items-center gap-1">
+        <input type="checkbox" checked={turnTimer.enabled} onChange={(e) => { onTurnTimerChange({ enabled: e.target.checked }); reset(); }} />
+        <Hourglass className="w-4 h-4 opacity-70" aria-hidden="true" />{t("clock.turnTimer")}
+      </label>
+
+      {turnTimer.enabled && (
+        <div className="inline-flex flex-wrap items-center gap-2">
+          <span
+            role="timer"
+            aria-label={t("clock.turnLeft")}
+            className={"text-base font-black tabular-nums " + (expired ? "text-danger" : remaining <= 10000 && deadline != null ? "text-warn" : "")}
+          >
+            {formatDuration(remaining + 999)}
+          </span>
+          {deadline != null ? (
+            <AButton variant="ghost" onClick={pause} aria-label={t("clock.pause")} title={t("clock.pause")}><Pause className="w-4 h-4" /></AButton>
+          ) : (
+            <AButton variant="ghost" onClick={() => start(left || total)} aria-label={t("clock.start")} title={t("clock.start")}><Play className="w-4 h-4" /></AButton>
+          )}
+          <AButton variant="ghost" onClick={reset} aria-label={t("clock.reset")} title={t("clock.reset")}><RotateCcw className="w-4 h-4" /></AButton>
+          <label className="inline-flex items-center gap-1">
+            <AInput
+              type="number"
+              min={5}
+              max={MAX_TURN_SECONDS}
+              step={5}
+              value={turnTimer.seconds}
+              aria-label={t("clock.seconds")}
+              onChange={(e) => {
+                const seconds = Math.round(Number(e.target.value));
+                if (seconds >= 5 && seconds <= MAX_TURN_SECONDS) onTurnTimerChange({ seconds });
+              }}
+              className="w-[7ch] text-right"
+            />
+            {t("clock.secondsUnit")}
+          </label>
+          <label className="inline-flex items-center gap-1">
+            <input type="checkbox" checked={turnTimer.sound} onChange={(e) => onTurnTimerChange({ sound: e.target.checked })} />{t("clock.sound")}
+          </label>
+          <label className="inline-flex items-center gap-1">
+            <input type="checkbox" checked={turnTimer.vibrate} onChange={(e) => onTurnTimerChange({ vibrate: e.target.checked })} />{t("clock.vibrate")}
+          </label>
+          {expired && <span role="alert" className="font-semibold text-danger">{t("clock.timeUp")}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
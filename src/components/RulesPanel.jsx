@@ -0,0 +1,254 @@
+import React, { useMemo, useState } from "react";
+import { SlidersHorizontal, X, Plus, Trash2, ArrowUp, ArrowDown } from "lucide-react";
+import { AButton, AInput, DiceChip } from "./ui";
+import { COLORS } from "../lib/colors";
+import { BUILTIN_PRESETS, FORMULAS, RULES_VERSION, validateRules } from "../lib/rules";
+import { columnLegend } from "../lib/scoring";
+import { DEFAULT_COLUMN_DICE } from "../lib/validation";
+import { localizeLabel, useI18n } from "../lib/i18n";
+
+/**
+ * Rules panel
+ * - Pick a built-in or saved preset and apply it to the current game
+ * - Edit a copy of any preset (columns, multipliers, unlock rounds, negatives,
+ *   flag upgrades, dice per round for warnings) and save it as a custom preset
+ */
+
+const makeKey = (prefix) => prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 5);
+const selectCls = "px-2 py-1 text-xs rounded-md bg-panel border border-subtle text-ink";
+
+export default function RulesPanel({ rules, customPresets, onApply, onSavePreset, onDeletePreset, onClose }) {
+  const { t, lang } = useI18n();
+  const presets = useMemo(() => [...BUILTIN_PRESETS, ...customPresets], [customPresets]);
+  const [draft, setDraft] = useState(rules);
+  const errors = useMemo(() => validateRules(draft, lang), [draft, lang]);
+  const presetName = (p) => localizeLabel(lang, `rules.${p.id}`, p.name);
+  const isBuiltin = BUILTIN_PRESETS.some((p) => p.id === draft.id);
+
+  const setCol = (idx, patch) => setDraft((d) => ({
+    ...d, columns: d.columns.map((c, i) => (i === idx ? { ...c, ...patch } : c)),
+  }));
+  const moveCol = (idx, delta) => setDraft((d) => {
+    const cols = [...d.columns];
+    const [col] = cols.splice(idx, 1);
+    cols.splice(Math.max(0, Math.min(cols.length, idx + delta)), 0, col);
+    return { ...d, columns: cols };
+  });
+  const removeCol = (idx) => setDraft((d) => ({ ...d, columns: d.columns.filter((_, i) => i !== idx) }));
+  const addCol = () => setDraft((d) => ({
+    ...d,
+    columns: [...d.columns, {
+      key: makeKey("die_"), color: "clear", label: t("rulesPanel.newDie"), short: t("rulesPanel.newDieShort"), formula: "times", multiplier: 1, fromRound: 1,
+    }],
+  }));
+
+  const addFlag = () => setDraft((d) => ({ ...d, flags: [...(d.flags || []), { key: makeKey("flag_"), label: t("rulesPanel.newOption") }] }));
+  const setFlagLabel = (key, label) => setDraft((d) => ({ ...d, flags: d.flags.map((f) => (f.key === key ? { ...f, label } : f)) }));
+  const removeFlag = (key) => setDraft((d) => ({
+    ...d,
+    flags: d.flags.filter((f) => f.key !== key),
+    columns: d.columns.map((c) => ({ ...c, upgrades: (c.upgrades || []).filter((u) => u.flag !== key) })),
+  }));
+
+  // Saving a built-in always forks it into a new custom preset
+  const saveAsPreset = () => {
+    if (errors.length) return;
+    const preset = { ...draft, id: isBuiltin ? makeKey("custom-") : draft.id, version: RULES_VERSION };
+    onSavePreset(preset);
+    setDraft(preset);
+  };
+
+  // An edited built-in must not keep the built-in's id, or it would look unchanged
+  const applyDraft = () => {
+    const base = presets.find((p) => p.id === draft.id);
+    const edited = base && JSON.stringify(base) !== JSON.stringify(draft);
+    onApply(isBuiltin && edited ? { ...draft, id: makeKey("custom-") } : draft);
+  };
+
+  return (
+    <section className="rounded-3xl shadow-md bg-panel border border-subtle p-3 sm:p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-base font-bold flex items-center gap-2"><SlidersHorizontal className="w-4 h-4" />{t("rulesPanel.title")}</h2>
+        <div className="flex items-center gap-2">
+          <select
+            value={presets.some((p) => p.id === draft.id) ? draft.id : ""}
+            onChange={(e) => setDraft(presets.find((p) => p.id === e.target.value) || draft)}
+            className={selectCls + " py-1.5 text-sm"}
+          >
+            {!presets.some((p) => p.id === draft.id) && <option value="">{t("rulesPanel.thisGame", { name: presetName(draft) })}</option>}
+            {presets.map((p) => <option key={p.id} value={p.id}>{presetName(p)}</option>)}
+          </select>
+          <button type="button" aria-label={t("rulesPanel.close")} className="p-1 opacity-60 hover:opacity-100" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {draft.columns.map((c) => <DiceChip key={c.key} label={columnLegend(c)} color={COLORS[c.color] || COLORS.clear} />)}
+      </div>
+
+      <div className="flex items-center gap-2 text-xs sm:text-sm">
+        <span className="opacity-80">{t("rulesPanel.name")}</span>
+        <AInput data-native-undo value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} className="w-56" />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs border-collapse min-w-[780px]">
+          <thead>
+            <tr className="text-left text-muted">
+              <th className="p-1">{t("rulesPanel.label")}</th>
+              <th className="p-1">{t("rulesPanel.header")}</th>
+              <th className="p-1">{t("rulesPanel.colour")}</th>
+              <th className="p-1">{t("rulesPanel.formula")}</th>
+              <th className="p-1">×</th>
+              <th className="p-1">{t("rulesPanel.fromRound")}</th>
+              <th className="p-1" title={t("rulesPanel.diceHint")}>{t("rulesPanel.dice")}</th>
+              <th className="p-1">±</th>
+              <th className="p-1">{t("rulesPanel.upgrades")}</th>
+              <th className="p-1"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-subtle">
+            {draft.columns.map((c, i) => (
+              <tr key={c.key}>
+                <td className="p-1"><AInput value={c.label} onChange={(e) => setCol(i, { label: e.target.value })} className="w-24 text-xs" /></td>
+                <td className="p-1"><AInput value={c.short || ""} onChange={(e) => setCol(i, { short: e.target.value })} className="w-16 text-xs" /></td>
+                <td className="p-1">
+                  <select value={c.color} onChange={(e) => setCol(i, { color: e.target.value })} className={selectCls}>
+                    {Object.keys(COLORS).map((k) => <option key={k} value={k}>{t(`colour.${k}`)}</option>)}
+                  </select>
+                </td>
+                <td className="p-1">
+                  <select value={c.formula} onChange={(e) => setCol(i, { formula: e.target.value })} className={selectCls}>
+                    {FORMULAS.map((f) => <option key={f.key} value={f.key}>{localizeLabel(lang, `flag.${f.key}`, f.label)}</option>)}
+                  </select>
+                </td>
+                <td className="p-1">
+                  <AInput
+                    type="number" step="0.5" value={c.multiplier ?? 1} disabled={c.formula !== "times"}
+                    onChange={(e) => setCol(i, { multiplier: parseFloat(e.target.value) })}
+                    className="w-14 text-xs text-right disabled:opacity-40"
+                  />
+                </td>
+                <td className="p-1">
+                  <AInput
+                    type="number" min="1" value={c.fromRound}
+                    onChange={(e) => setCol(i, { fromRound: parseInt(e.target.value, 10) })}
+                    className="w-12 text-xs text-right"
+                  />
+                </td>
+                <td className="p-1">
+                  <AInput
+                    type="number" min="1" value={c.dice ?? DEFAULT_COLUMN_DICE}
+                    onChange={(e) => setCol(i, { dice: parseInt(e.target.value, 10) })}
+                    className="w-12 text-xs text-right"
+                  />
+                </td>
+                <td className="p-1">
+                  <input type="checkbox" aria-label={t("rulesPanel.allowNegative", { label: c.label })} checked={!!c.allowNegative} onChange={(e) => setCol(i, { allowNegative: e.target.checked })} />
+                </td>
+                <td className="p-1">
+                  <UpgradeEditor col={c} flags={draft.flags || []} onChange={(upgrades) => setCol(i, { upgrades })} />
+                </td>
+                <td className="p-1 whitespace-nowrap">
+                  <IconBtn label={t("rulesPanel.moveUp")} onClick={() => moveCol(i, -1)} disabled={i === 0}><ArrowUp className="w-3 h-3" /></IconBtn>
+                  <IconBtn label={t("rulesPanel.moveDown")} onClick={() => moveCol(i, 1)} disabled={i === draft.columns.length - 1}><ArrowDown className="w-3 h-3" /></IconBtn>
+                  <IconBtn label={t("rulesPanel.removeColumn")} onClick={() => removeCol(i)}><Trash2 className="w-3 h-3" /></IconBtn>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <AButton variant="ghost" onClick={addCol}><Plus className="inline w-4 h-4 mr-1" />{t("rulesPanel.addColumn")}</AButton>
+
+      <div className="space-y-1">
+        <div className="text-xs uppercase tracking-wide opacity-70">{t("rulesPanel.options")}</div>
+        {(draft.flags || []).map((f) => (
+          <div key={f.key} className="flex items-center gap-2">
+            <AInput value={f.label} onChange={(e) => setFlagLabel(f.key, e.target.value)} className="w-56 text-xs" />
+            <IconBtn label={t("rulesPanel.removeOption")} onClick={() => removeFlag(f.key)}><Trash2 className="w-3 h-3" /></IconBtn>
+          </div>
+        ))}
+        <AButton variant="ghost" onClick={addFlag}><Plus className="inline w-4 h-4 mr-1" />{t("rulesPanel.addOption")}</AButton>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-danger list-disc pl-5">
+          {errors.map((e) => <li key={e}>{e}</li>)}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap justify-end gap-2">
+        {!isBuiltin && customPresets.some((p) => p.id === draft.id) && (
+          <AButton
+            variant="ghost"
+            className="border border-danger/40 text-danger"
+            onClick={() => { if (confirm(t("rulesPanel.confirmDelete", { name: draft.name }))) { onDeletePreset(draft.id); setDraft(rules); } }}
+          >
+            {t("rulesPanel.delete")}
+          </AButton>
+        )}
+        <AButton variant="ghost" onClick={saveAsPreset} disabled={errors.length > 0} className="disabled:opacity-40">
+          {t(isBuiltin ? "rulesPanel.saveAsNew" : "rulesPanel.save")}
+        </AButton>
+        <AButton onClick={applyDraft} disabled={errors.length > 0} className="disabled:opacity-40">{t("rulesPanel.apply")}</AButton>
+      </div>
+    </section>
+  );
+}
+
+/* ---------- helpers ---------- */
+
+function IconBtn({ label, onClick, disabled, children }) {
+  return (
+    <button
+      type="button"
+      aria-label={label}
+      title={label}
+      onClick={onClick}
+      disabled={disabled}
+      className="p-1 mx-0.5 rounded-md border border-subtle bg-panel hover:brightness-125 disabled:opacity-30"
+    >
+      {children}
+    </button>
+  );
+}
+
+function UpgradeEditor({ col, flags, onChange }) {
+  const { t, lang } = useI18n();
+  const upgrades = col.upgrades || [];
+  if (col.formula !== "times") return <span className="opacity-40">—</span>;
+  return (
+    <div className="flex flex-col gap-1">
+      {upgrades.map((u, j) => (
+        <div key={j} className="flex items-center gap-1">
+          <select
+            value={u.flag}
+            onChange={(e) => onChange(upgrades.map((x, k) => (k === j ? { ...x, flag: e.target.value } : x)))}
+            className={selectCls + " max-w-[9rem]"}
+          >
+            {flags.map((f) => <option key={f.key} value={f.key}>{localizeLabel(lang, `flag.${f.key}`, f.label)}</option>)}
+          </select>
+          <span>×</span>
+          <AInput
+            type="number" step="0.5" value={u.multiplier}
+            onChange={(e) => onChange(upgrades.map((x, k) => (k === j ? { ...x, multiplier: parseFloat(e.target.value) } : x)))}
+            className="w-12 text-xs text-right"
+          />
+          <IconBtn label={t("rulesPanel.removeUpgrade")} onClick={() => onChange(upgrades.filter((_, k) => k !== j))}><X className="w-3 h-3" /></IconBtn>
+        </div>
+      ))}
+      {flags.length > 0 && (
+        <button
+          type="button"
+          className="text-[10px] opacity-70 hover:opacity-100 text-left"
+          onClick={() => onChange([...upgrades, { flag: flags[0].key, multiplier: 2 }])}
+        >
+          {t("rulesPanel.addUpgrade")}
+        </button>
+      )}
+    </div>
+  );
+}
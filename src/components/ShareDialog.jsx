@@ -0,0 +1,109 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Share2, X, Copy, Check } from "lucide-react";
+import qrcode from "qrcode-generator";
+import { AButton, AInput } from "./ui";
+import { encodeShare, shareUrl } from "../lib/share";
+import { useDialog } from "../lib/dialog";
+import { useI18n } from "../lib/i18n";
+
+// Byte-mode capacity of the largest QR code at error correction level L
+const QR_MAX_BYTES = 2953;
+
+/**
+ * Share the game as a link (everything is in the URL hash – no server)
+ * - Copy, or hand to the system share sheet where there is one
+ * - QR code of the same link for phones at the table
+ */
+export default function ShareDialog({ game, onClose }) {
+  const { t } = useI18n();
+  const [link, setLink] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const panelRef = useRef(null);
+  useDialog(panelRef, onClose);
+
+  useEffect(() => {
+    let cancelled = false;
+    encodeShare(game)
+      .then((code) => { if (!cancelled) setLink(shareUrl(code)); })
+      .catch(() => { if (!cancelled) setFailed(true); });
+    return () => { cancelled = true; };
+  }, [game]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      // clipboard blocked (http / permissions) – the field is selectable instead
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="share-title"
+        tabIndex={-1}
+        className="w-full max-w-md rounded-2xl border border-subtle bg-panel p-4 shadow-2xl space-y-3 outline-none"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <h2 id="share-title" className="text-base font-bold flex items-center gap-2"><Share2 className="w-4 h-4" />{t("share.title")}</h2>
+          <button type="button" aria-label={t("share.close")} className="p-1 opacity-60 hover:opacity-100" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        <p className="text-xs opacity-70">{t("share.hint")}</p>
+
+        {failed ? (
+          <div role="alert" className="rounded-xl border border-danger/40 bg-danger-soft/40 p-2 text-xs text-danger">{t("share.failed")}</div>
+        ) : !link ? (
+          <div className="text-sm opacity-70">{t("share.preparing")}</div>
+        ) : (
+          <>
+            <div className="flex items-center gap-2">
+              <AInput readOnly value={link} onFocus={(e) => e.target.select()} className="flex-1 text-xs" aria-label={t("share.link")} />
+              <AButton variant="ghost" onClick={copy} aria-label={t("share.copy")}>
+                {copied ? <Check className="w-4 h-4 text-ok" /> : <Copy className="w-4 h-4" />}
+              </AButton>
+            </div>
+            <QrCode text={link} />
+            {typeof navigator.share === "function" && (
+              <div className="flex justify-end">
+                <AButton onClick={() => navigator.share({ title: t("share.sheetTitle"), url: link }).catch(() => {})}>
+                  <Share2 className="inline w-4 h-4 mr-1" />{t("share.share")}
+                </AButton>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ---------- helpers ---------- */
+
+function QrCode({ text }) {
+  const { t } = useI18n();
+  if (new TextEncoder().encode(text).length > QR_MAX_BYTES) {
+    return <div className="text-xs text-warn">{t("share.tooBig")}</div>;
+  }
+  const qr = qrcode(0, "L");
+  qr.addData(text);
+  qr.make();
+  const n = qr.getModuleCount();
+  let d = "";
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) if (qr.isDark(y, x)) d += `M${x} ${y}h1v1h-1z`;
+  }
+  return (
+    <svg viewBox={`-4 -4 ${n + 8} ${n + 8}`} role="img" aria-label={t("share.qr")} className="w-full max-w-[18rem] mx-auto rounded-xl bg-white">
+      <path d={d} fill="#000" shapeRendering="crispEdges" />
+    </svg>
+  );
+}
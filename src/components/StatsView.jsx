@@ -0,0 +1,188 @@
+import React, { useMemo, useState } from "react";
+import { BarChart3, Trash2, ChevronDown, ChevronRight, ArrowLeft } from "lucide-react";
+import { AButton } from "./ui";
+import { COLORS } from "../lib/colors";
+import { computeStats, historyPlayers } from "../lib/stats";
+import { localizeLabel, useI18n } from "../lib/i18n";
+
+/**
+ * Stats dashboard + browsable game history
+ * - Filter by player (or everyone)
+ * - Average / best total, per-colour average contribution
+ * - Per-round score curve and red dice count trend (plain SVG, no chart lib)
+ */
+
+const ONE_DECIMAL = { maximumFractionDigits: 1 };
+const fmtDate = (iso, lang) => new Date(iso).toLocaleString(lang, { dateStyle: "medium", timeStyle: "short" });
+
+export default function StatsView({ history, onDelete, onClose }) {
+  const { t, n, lang } = useI18n();
+  const [playerFilter, setPlayerFilter] = useState("");
+  const [openId, setOpenId] = useState(null);
+
+  const names = useMemo(() => historyPlayers(history), [history]);
+  const entries = useMemo(
+    () => (playerFilter ? history.filter((e) => e.player === playerFilter) : history),
+    [history, playerFilter]
+  );
+  const stats = useMemo(() => computeStats(entries), [entries]);
+
+  return (
+    <section className="rounded-3xl shadow-md bg-panel border border-subtle p-3 sm:p-6 space-y-5">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-bold flex items-center gap-2"><BarChart3 className="w-5 h-5" />{t("stats.title")}</h2>
+        <div className="flex items-center gap-2">
+          <select
+            value={playerFilter}
+            onChange={(e) => setPlayerFilter(e.target.value)}
+            className="px-2 py-1.5 text-sm rounded-md bg-panel border border-subtle text-ink"
+          >
+            <option value="">{t("common.allPlayers")}</option>
+            {names.map((n) => <option key={n} value={n}>{n}</option>)}
+          </select>
+          <AButton variant="ghost" onClick={onClose}><ArrowLeft className="inline w-4 h-4 mr-1" />{t("nav.sheet")}</AButton>
+        </div>
+      </div>
+
+      {!stats ? (
+        <div className="text-sm opacity-70">{t("stats.empty")}</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-2">
+            <StatTile label={t("stats.games")} value={n(stats.games)} />
+            <StatTile label={t("stats.averageTotal")} value={n(stats.averageTotal, ONE_DECIMAL)} />
+            <StatTile label={t("stats.bestTotal")} value={n(stats.best.total)} hint={`${stats.best.player} • ${fmtDate(stats.best.date, lang)}`} />
+          </div>
+
+          <div>
+            <div className="text-xs uppercase tracking-wide opacity-70 mb-2">{t("stats.byColour")}</div>
+            <ColorBars averages={stats.colorAverages} />
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div>
+              <div className="text-xs uppercase tracking-wide opacity-70 mb-2">{t("stats.perRound")}</div>
+              <LineChart values={stats.roundCurve} />
+            </div>
+            <div>
+              <div className="text-xs uppercase tracking-wide opacity-70 mb-2">{t("stats.redPerRound")}</div>
+              <RoundBars values={stats.redTrend} color={COLORS.red.bd} />
+            </div>
+          </div>
+        </>
+      )}
+
+      {entries.length > 0 && (
+        <div>
+          <div className="text-xs uppercase tracking-wide opacity-70 mb-2">{t("stats.games")}</div>
+          <ul className="divide-y divide-subtle rounded-xl border border-subtle">
+            {entries.map((e) => (
+              <li key={e.id} className="text-sm">
+                <div className="flex items-center gap-2 px-3 py-2">
+                  <button type="button" className="flex-1 flex items-center gap-2 text-left" onClick={() => setOpenId(openId === e.id ? null : e.id)}>
+                    {openId === e.id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                    <span className="font-medium">{e.player}</span>
+                    <span className="text-xs opacity-60">{fmtDate(e.date, lang)}</span>
+                    {e.hasGlitterBlue && <span className="text-[10px] opacity-70">{t("upgrade.hasGlitterBlue")}</span>}
+                  </button>
+                  <span className="font-bold tabular-nums text-accent-2">{e.total}</span>
+                  <button
+                    type="button"
+                    aria-label={t("stats.delete")}
+                    className="p-1 opacity-60 hover:opacity-100 hover:text-danger"
+                    onClick={() => { if (confirm(t("stats.confirmDelete", { player: e.player, date: fmtDate(e.date, lang) }))) onDelete(e.id); }}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+                {openId === e.id && (
+                  <div className="px-3 pb-3 overflow-x-auto">
+                    <table className="text-xs tabular-nums">
+                      <tbody>
+                        <tr>
+                          <td className="pr-3 opacity-60">{t("stats.round")}</td>
+                          {e.rowTotals.map((_, i) => <td key={i} className="px-1.5 text-right">{i + 1}</td>)}
+                        </tr>
+                        <tr>
+                          <td className="pr-3 opacity-60">{t("stats.score")}</td>
+                          {e.rowTotals.map((pts, i) => <td key={i} className="px-1.5 text-right font-semibold">{pts}</td>)}
+                        </tr>
+                        <tr>
+                          <td className="pr-3 opacity-60">{t("stats.redDice")}</td>
+                          {e.redCounts.map((c, i) => <td key={i} className="px-1.5 text-right">{c}</td>)}
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+}
+
+/* ---------- helpers ---------- */
+
+function StatTile({ label, value, hint }) {
+  return (
+    <div className="rounded-2xl border border-subtle bg-surface/40 p-3">
+      <div className="text-[10px] uppercase tracking-wide opacity-60">{label}</div>
+      <div className="text-xl sm:text-2xl font-black tabular-nums">{value}</div>
+      {hint && <div className="text-[10px] opacity-60 truncate">{hint}</div>}
+    </div>
+  );
+}
+
+function ColorBars({ averages }) {
+  const { n, lang } = useI18n();
+  const max = Math.max(1, ...averages.map((c) => Math.abs(c.average)));
+  return (
+    <div className="space-y-1">
+      {averages.map(({ key, label, color, average }) => (
+        <div key={key} className="flex items-center gap-2 text-xs">
+          <span className="w-28 shrink-0 opacity-80">{localizeLabel(lang, `column.${key}`, label)}</span>
+          <div className="flex-1 h-3 rounded-full bg-raised overflow-hidden">
+            <div className="h-full rounded-full" style={{ width: `${(Math.abs(average) / max) * 100}%`, background: (COLORS[color] || COLORS.clear).bd }} />
+          </div>
+          <span className="w-[6ch] text-right tabular-nums">{n(average, ONE_DECIMAL)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function LineChart({ values }) {
+  const { t, n } = useI18n();
+  const w = 300, h = 120, pad = 8;
+  const min = Math.min(0, ...values), max = Math.max(1, ...values);
+  const x = (i) => pad + (values.length > 1 ? (i / (values.length - 1)) * (w - pad * 2) : (w - pad * 2) / 2);
+  const y = (v) => h - pad - ((v - min) / (max - min)) * (h - pad * 2);
+  return (
+    <svg viewBox={`0 0 ${w} ${h}`} className="w-full h-32 rounded-xl bg-surface/40 border border-subtle">
+      <polyline fill="none" stroke="#22d3ee" strokeWidth="2" points={values.map((v, i) => `${x(i)},${y(v)}`).join(" ")} />
+      {values.map((v, i) => (
+        <circle key={i} cx={x(i)} cy={y(v)} r="3" fill="#818cf8">
+          <title>{t("stats.roundValue", { round: i + 1, value: n(v, ONE_DECIMAL) })}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+function RoundBars({ values, color }) {
+  const { t, n } = useI18n();
+  const max = Math.max(1, ...values);
+  return (
+    <div className="flex items-end gap-1 h-32 rounded-xl bg-surface/40 border border-subtle p-2">
+      {values.map((v, i) => (
+        <div key={i} className="flex-1 flex flex-col items-center justify-end h-full" title={t("stats.roundValue", { round: i + 1, value: n(v, ONE_DECIMAL) })}>
+          <div className="w-full rounded-t" style={{ height: `${(v / max) * 100}%`, background: color }} />
+          <span className="text-[9px] opacity-60 mt-0.5">{i + 1}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React from "react";
+import { RadioTower, X, RefreshCw } from "lucide-react";
+import { AButton, AInput } from "./ui";
+import { makeRoomCode } from "../lib/sync";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Sync panel
+ * - Join a room by code; other tabs on this device join through BroadcastChannel,
+ *   other phones through the LAN relay (`npm run relay` on a laptop)
+ * - Lists connected devices and recent conflicting edits (and who won)
+ */
+
+const STATUS = {
+  connected: { label: "sync.connected", cls: "bg-ok" },
+  connecting: { label: "sync.connecting", cls: "bg-warn animate-pulse" },
+  offline: { label: "sync.offline", cls: "bg-danger" },
+};
+
+export default function SyncPanel({ settings, status, peers, notices, onChange, onClose }) {
+  const { t } = useI18n();
+  const { enabled, room, relayUrl, deviceName } = settings;
+  const set = (patch) => onChange({ ...settings, ...patch });
+  // Pages served over https may only talk to wss:// relays
+  const blocked = window.location.protocol === "https:" && /^ws:\/\//i.test(relayUrl);
+
+  return (
+    <section className="rounded-3xl shadow-md bg-panel border border-subtle p-3 sm:p-6 space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-base font-bold flex items-center gap-2"><RadioTower className="w-4 h-4" />{t("sync.title")}</h2>
+        <button type="button" aria-label={t("sync.close")} className="p-1 opacity-60 hover:opacity-100" onClick={onClose}>
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid gap-2 sm:grid-cols-[auto_1fr] items-center text-xs sm:text-sm">
+        <span className="opacity-80">{t("sync.device")}</span>
+        <AInput
+          data-native-undo
+          value={deviceName}
+          disabled={enabled}
+          onChange={(e) => set({ deviceName: e.target.value })}
+          placeholder={t("sync.devicePlaceholder")}
+          className="w-56 disabled:opacity-60"
+        />
+
+        <span className="opacity-80">{t("sync.room")}</span>
+        <div className="flex items-center gap-2">
+          <AInput
+            data-native-undo
+            value={room}
+            disabled={enabled}
+            onChange={(e) => set({ room: e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 12) })}
+            placeholder="ABC123"
+            className="w-32 tracking-widest disabled:opacity-60"
+          />
+          {!enabled && (
+            <AButton variant="ghost" onClick={() => set({ room: makeRoomCode() })}><RefreshCw className="inline w-4 h-4 mr-1" />{t("sync.newRoom")}</AButton>
+          )}
+        </div>
+
+        <span className="opacity-80">{t("sync.relay")}</span>
+        <AInput
+          data-native-undo
+          value={relayUrl}
+          disabled={enabled}
+          onChange={(e) => set({ relayUrl: e.target.value.trim() })}
+          placeholder="ws://192.168.1.20:8787"
+          className="w-full max-w-sm disabled:opacity-60"
+        />
+      </div>
+
+      <p className="text-xs opacity-70">
+        {t("sync.help", { command: <code>npm run relay</code> })}
+        {blocked && <span className="block mt-1 text-warn">{t("sync.httpsBlocked")}</span>}
+      </p>
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        {enabled ? (
+          <span className="flex items-center gap-2 text-xs sm:text-sm">
+            <span className={"inline-block w-2 h-2 rounded-full " + (STATUS[status] || STATUS.connecting).cls} />
+            {t("sync.inRoom", {
+              status: t((STATUS[status] || STATUS.connecting).label),
+              room: <strong className="tracking-widest">{room}</strong>,
+            })}
+          </span>
+        ) : <span />}
+        <AButton
+          onClick={() => set({ enabled: !enabled })}
+          disabled={!enabled && !room}
+          className="disabled:opacity-40"
+        >
+          {t(enabled ? "sync.leave" : "sync.join")}
+        </AButton>
+      </div>
+
+      {enabled && (
+        <div className="space-y-1">
+          <div className="text-xs uppercase tracking-wide opacity-70">{t("sync.peers")}</div>
+          {peers.length === 0 ? (
+            <div className="text-xs opacity-60">{t("sync.nobody")}</div>
+          ) : (
+            <ul className="text-xs sm:text-sm space-y-0.5">
+              {peers.map((p) => (
+                <li key={p.clientId}>
+                  <span className="font-medium">{p.deviceName || t("sync.unnamed")}</span>
+                  <span className="opacity-60"> – {p.players.map((x) => x.name || t("player.default")).join(", ") || t("sync.noPlayers")}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {notices.length > 0 && (
+        <div className="space-y-1">
+          <div className="text-xs uppercase tracking-wide opacity-70">{t("sync.conflicts")}</div>
+          <ul className="text-xs space-y-0.5">
+            {notices.map((n) => (
+              <li key={n.id}>
+                {t(n.winner === "remote" ? "sync.keptRemote" : "sync.keptLocal", {
+                  round: n.round + 1,
+                  player: n.playerName || t("player.default"),
+                  device: n.device,
+                })}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,52 @@
+import React, { useEffect, useRef } from "react";
+import { RefreshCw, WifiOff, X } from "lucide-react";
+import { useRegisterSW } from "virtual:pwa-register/react";
+import { AButton } from "./ui";
+import { useI18n } from "../lib/i18n";
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Service worker status
+ * - "Ready to work offline" once the build is precached (first visit)
+ * - "Update available" when a new deploy is waiting; nothing reloads until the
+ *   player taps Update, and onBeforeUpdate saves the game first
+ */
+export default function UpdatePrompt({ onBeforeUpdate }) {
+  const { t } = useI18n();
+  const checkTimer = useRef(null);
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker,
+  } = useRegisterSW({
+    // Long sessions at the table: look for a new deploy every hour while online
+    onRegisteredSW(_url, registration) {
+      if (!registration) return;
+      clearInterval(checkTimer.current);
+      checkTimer.current = setInterval(() => { if (navigator.onLine) registration.update(); }, UPDATE_CHECK_MS);
+    },
+  });
+  useEffect(() => () => clearInterval(checkTimer.current), []);
+
+  if (!needRefresh && !offlineReady) return null;
+
+  const close = () => { setNeedRefresh(false); setOfflineReady(false); };
+  const update = () => {
+    onBeforeUpdate?.();
+    updateServiceWorker(true);
+  };
+
+  return (
+    <section role="status" className="rounded-3xl border border-accent-2/40 bg-accent-2/10 p-3 sm:p-4 text-sm flex flex-wrap items-center gap-2">
+      {needRefresh ? <RefreshCw className="w-4 h-4 text-accent-2" /> : <WifiOff className="w-4 h-4 text-accent-2" />}
+      <div className="flex-1 min-w-[12rem]">
+        {needRefresh ? t("update.available") : t("update.offline")}
+      </div>
+      {needRefresh && <AButton onClick={update}>{t("update.update")}</AButton>}
+      <button type="button" aria-label={needRefresh ? t("update.later") : t("common.dismiss")} className="p-1 opacity-60 hover:opacity-100" onClick={close}>
+        <X className="w-4 h-4" />
+      </button>
+    </section>
+  );
+}
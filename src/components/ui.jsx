@@ -0,0 +1,46 @@
+import React from "react";
+import { useI18n } from "../lib/i18n";
+
+// ---- UI atoms (colours are theme tokens, see tailwind.config.js)
+export const AButton = ({ className = "", variant = "solid", children, ...props }) => (
+  <button
+    className={
+      (variant === "solid"
+        ? "bg-gradient-to-r from-accent to-accent-2 text-on-accent "
+        : "bg-panel text-ink border border-subtle ") +
+      "px-3 py-2 text-sm rounded-2xl shadow-sm transition active:scale-[.98] hover:brightness-110 " +
+      className
+    }
+    {...props}
+  >{children}</button>
+);
+
+export const AInput = (props) => (
+  <input
+    {...props}
+    className={
+      "px-2 py-1 text-sm rounded-md bg-panel border border-subtle outline-none " +
+      "focus:ring-2 focus:ring-focus/50 text-ink tabular-nums " +
+      (props.className || "")
+    }
+  />
+);
+
+// Mark + texture tell the colours apart without hue; the colour is named for
+// screen readers when the label doesn't already say it
+export const DiceChip = ({ label, color }) => {
+  const { t } = useI18n();
+  const colour = color.key ? t(`colour.${color.key}`) : color.name;
+  const named = !colour || label.toLowerCase().startsWith(colour.toLowerCase());
+  return (
+    <span
+      className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-[10px] font-semibold shadow-sm ring-1 ring-black/10"
+      style={{ background: color.pattern ? `${color.pattern}, ${color.bg}` : color.bg, color: color.fg, border: `1px solid ${color.bd}` }}
+      title={named ? undefined : t("dice.chipTitle", { label, colour })}
+    >
+      {color.mark && <span aria-hidden="true" className="text-[9px] leading-none">{color.mark}</span>}
+      {!named && <span className="sr-only">{t("dice.chip", { colour })}</span>}
+      {label}
+    </span>
+  );
+};
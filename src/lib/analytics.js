@@ -0,0 +1,70 @@
+import { computeRowBreakdown, computeRowTotal, playerFlags } from "./scoring";
+import { perRoundAverage } from "./stats";
+
+/**
+ * Round-by-round numbers for the chart panel (components/ChartPanel.jsx)
+ * - roundSeries(): per round the points per column, the round total, the running
+ *   total and the red dice count; the round being played counts live, before
+ *   it's locked, so the charts move while cells are filled in
+ * - projectTotal(): where the game is heading – at the current pace (average
+ *   locked round) and from the player's archived games with the same rules
+ *   (their average for each round still to play)
+ */
+
+export function roundSeries(player, rules) {
+  const flags = playerFlags(player);
+  let running = 0;
+  return player.rows.map((row, i) => {
+    const played = !!row.locked || i === player.activeRound;
+    if (!played) return { round: i + 1, played, locked: false, parts: null, total: null, cumulative: null, redCount: null };
+    const total = computeRowTotal(row, flags, rules);
+    running += total;
+    return {
+      round: i + 1,
+      played,
+      locked: !!row.locked,
+      parts: computeRowBreakdown(row, flags, rules),
+      total,
+      cumulative: running,
+      redCount: row.redCount || 0,
+    };
+  });
+}
+
+// Archived games of this player under these rules (not the current game itself)
+export function pastGames(history, player, rules) {
+  const name = player.name || "Player";
+  return history.filter((e) => e.player === name && (e.rulesId || "classic") === rules.id && e.id !== player.gameId);
+}
+
+/**
+ * → { banked, remaining, pace, history, curve, games }
+ *   banked     points in locked rounds
+ *   remaining  rounds not locked yet (the open one included)
+ *   pace       banked + the average locked round for every round left (null before the first lock)
+ *   history    banked + the past games' average of each round left (null without past games);
+ *              rounds the past games didn't have count at their overall round average
+ *   curve      running total the history projection follows, per round (null for locked rounds)
+ *   games      number of past games behind `history`
+ */
+export function projectTotal(series, past = []) {
+  const locked = series.filter((s) => s.locked);
+  const banked = locked.reduce((sum, s) => sum + s.total, 0);
+  const remaining = series.length - locked.length;
+  const pace = locked.length ? banked + (banked / locked.length) * remaining : null;
+
+  let history = null;
+  let curve = null;
+  if (past.length) {
+    const perRound = perRoundAverage(past.map((e) => e.rowTotals || []));
+    const roundAverage = perRound.length ? perRound.reduce((a, b) => a + b, 0) / perRound.length : 0;
+    let running = banked;
+    curve = series.map((s, i) => {
+      if (s.locked) return null;
+      running += perRound[i] ?? roundAverage;
+      return running;
+    });
+    history = running;
+  }
+  return { banked, remaining, pace, history, curve, games: past.length };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { makeBlankRows } from "./game";
+import { pastGames, projectTotal, roundSeries } from "./analytics";
+
+const player = (rows, activeRound, extra = {}) => ({ id: "p1", gameId: "g1", name: "Ann", rows, activeRound, ...extra });
+
+function game(values) {
+  const rows = makeBlankRows(4);
+  values.forEach((v, i) => Object.assign(rows[i], v));
+  return rows;
+}
+
+describe("roundSeries", () => {
+  it("counts locked rounds and the open one live", () => {
+    const rows = game([{ y: 10, locked: true }, { y: 4, purp: 3, redSum: -2, redCount: 2, locked: true }, { y: 5 }]);
+    const series = roundSeries(player(rows, 2), CLASSIC_RULES);
+    expect(series.map((s) => s.total)).toEqual([10, 6, 5, null]);
+    expect(series.map((s) => s.cumulative)).toEqual([10, 16, 21, null]);
+    expect(series.map((s) => s.locked)).toEqual([true, true, false, false]);
+    expect(series[1].parts).toMatchObject({ y: 4, purp: 6, redSum: -4 });
+    expect(series[1].redCount).toBe(2);
+    expect(series[3].played).toBe(false);
+  });
+});
+
+describe("projectTotal", () => {
+  const rows = game([{ y: 10, locked: true }, { y: 20, locked: true }, { y: 7 }]);
+  const series = roundSeries(player(rows, 2), CLASSIC_RULES);
+
+  it("extends the average locked round to the end", () => {
+    const p = projectTotal(series);
+    expect(p.banked).toBe(30);
+    expect(p.remaining).toBe(2);
+    expect(p.pace).toBe(60);
+    expect(p.history).toBeNull();
+  });
+
+  it("adds the past games' average for every round left", () => {
+    const past = [{ rowTotals: [5, 5, 12, 30] }, { rowTotals: [5, 5, 8, 10] }];
+    const p = projectTotal(series, past);
+    expect(p.curve).toEqual([null, null, 40, 60]);
+    expect(p.history).toBe(60);
+    expect(p.games).toBe(2);
+  });
+
+  it("falls back to the overall round average past the games' length", () => {
+    const p = projectTotal(series, [{ rowTotals: [4, 8] }]);
+    expect(p.history).toBe(42);
+  });
+
+  it("has no pace before the first lock", () => {
+    expect(projectTotal(roundSeries(player(makeBlankRows(3), 0), CLASSIC_RULES)).pace).toBeNull();
+  });
+});
+
+describe("pastGames", () => {
+  it("keeps the player's games under the same rules, not the current one", () => {
+    const history = [
+      { id: "a", player: "Ann", rulesId: "classic" },
+      { id: "b", player: "Bob", rulesId: "classic" },
+      { id: "c", player: "Ann", rulesId: "open-table" },
+      { id: "g1", player: "Ann", rulesId: "classic" },
+      { id: "d", player: "Ann" }, // archived before rulesets
+    ];
+    expect(pastGames(history, player([], 0), CLASSIC_RULES).map((e) => e.id)).toEqual(["a", "d"]);
+  });
+});
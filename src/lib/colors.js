@@ -0,0 +1,135 @@
+// Die colour palette (chip background / text / border)
+// name + mark + pattern keep the colours apart without relying on hue
+// (colour-blind players, greyscale prints): every chip shows its mark and texture,
+// yellow being the plain one
+//
+// Each theme (lib/theme.js) has its own palette and UI tokens below; the Tailwind
+// config turns them into CSS variables per theme class, so components use COLORS /
+// the token classes and follow the theme without knowing which one is on.
+// This file is also read by tailwind.config.js – keep it free of imports.
+
+export const THEMES = ["light", "dark", "contrast"];
+
+const DIE_INFO = {
+  yellow: { name: "Yellow", mark: "●" },
+  purple: { name: "Purple", mark: "▲" },
+  blue: { name: "Blue", mark: "■" },
+  red: { name: "Red", mark: "◆" },
+  green: { name: "Green", mark: "✚" },
+  clear: { name: "Clear", mark: "○" },
+  pink: { name: "Pink", mark: "★" },
+};
+
+// Textures are drawn in the die's text colour (c = rgba)
+const PATTERNS = {
+  yellow: null,
+  purple: { alpha: 0.22, draw: (c) => `repeating-linear-gradient(45deg, ${c} 0 2px, transparent 2px 6px)` },
+  blue: { alpha: 0.22, draw: (c) => `repeating-linear-gradient(0deg, ${c} 0 2px, transparent 2px 6px)` },
+  red: {
+    alpha: 0.2,
+    draw: (c) => `repeating-linear-gradient(45deg, ${c} 0 1.5px, transparent 1.5px 6px), repeating-linear-gradient(-45deg, ${c} 0 1.5px, transparent 1.5px 6px)`,
+  },
+  green: { alpha: 0.22, draw: (c) => `repeating-linear-gradient(90deg, ${c} 0 2px, transparent 2px 6px)` },
+  clear: { alpha: 0.3, draw: (c) => `radial-gradient(${c} 1px, transparent 1.5px) 0 0 / 5px 5px` },
+  pink: { alpha: 0.22, draw: (c) => `repeating-linear-gradient(-45deg, ${c} 0 2px, transparent 2px 6px)` },
+};
+
+// Per theme: saturated chips with dark borders on the light page, pastels on the
+// dark one, bold fills with white outlines for high contrast
+export const DIE_PALETTES = {
+  light: {
+    yellow: { bg: "#FDE047", fg: "#713F12", bd: "#CA8A04" },
+    purple: { bg: "#D8B4FE", fg: "#581C87", bd: "#9333EA" },
+    blue: { bg: "#67E8F9", fg: "#164E63", bd: "#0891B2" },
+    red: { bg: "#F87171", fg: "#450A0A", bd: "#B91C1C" },
+    green: { bg: "#86EFAC", fg: "#14532D", bd: "#16A34A" },
+    clear: { bg: "#FFFFFF", fg: "#334155", bd: "#64748B" },
+    pink: { bg: "#F9A8D4", fg: "#831843", bd: "#DB2777" },
+  },
+  dark: {
+    yellow: { bg: "#FEF08A", fg: "#713F12", bd: "#FDE047" },
+    purple: { bg: "#E9D5FF", fg: "#5B21B6", bd: "#D8B4FE" },
+    blue: { bg: "#A5F3FC", fg: "#155E75", bd: "#67E8F9" },
+    red: { bg: "#FECACA", fg: "#7F1D1D", bd: "#FCA5A5" },
+    green: { bg: "#BBF7D0", fg: "#14532D", bd: "#86EFAC" },
+    clear: { bg: "#F1F5F9", fg: "#334155", bd: "#CBD5E1" },
+    pink: { bg: "#F9A8D4", fg: "#831843", bd: "#F472B6" },
+  },
+  contrast: {
+    yellow: { bg: "#FFE500", fg: "#000000", bd: "#FFFFFF" },
+    purple: { bg: "#7C3AED", fg: "#FFFFFF", bd: "#FFFFFF" },
+    blue: { bg: "#22D3EE", fg: "#000000", bd: "#FFFFFF" },
+    red: { bg: "#DC2626", fg: "#FFFFFF", bd: "#FFFFFF" },
+    green: { bg: "#4ADE80", fg: "#000000", bd: "#FFFFFF" },
+    clear: { bg: "#FFFFFF", fg: "#000000", bd: "#FFFFFF" },
+    pink: { bg: "#F9A8D4", fg: "#000000", bd: "#FFFFFF" },
+  },
+};
+
+/**
+ * UI tokens per theme – the only colours components use (Tailwind classes
+ * bg-surface, bg-panel, border-subtle, text-muted, text-danger, from-accent …):
+ * - surface: page · panel: cards and dialogs · raised: headers, hovers, chips ·
+ *   strong: selected tabs, emphasised lines
+ * - subtle / strong borders; ink / muted / faint text
+ * - accent (buttons, the selected player), accent-2 (totals, charts), on-accent
+ *   (text on them), focus rings
+ * - danger / warn / ok text and borders, with *-soft backgrounds for their banners
+ */
+export const UI_THEMES = {
+  light: {
+    surface: "#F4F4F5", panel: "#FFFFFF", raised: "#E4E4E7", strong: "#D4D4D8", subtle: "#D4D4D8",
+    ink: "#18181B", muted: "#52525B", faint: "#71717A",
+    accent: "#4F46E5", accent2: "#0E7490", onAccent: "#FFFFFF", focus: "#0891B2",
+    danger: "#B91C1C", dangerSoft: "#FEF2F2", warn: "#B45309", warnSoft: "#FFFBEB", ok: "#047857",
+  },
+  dark: {
+    surface: "#09090B", panel: "#18181B", raised: "#27272A", strong: "#3F3F46", subtle: "#27272A",
+    ink: "#F4F4F5", muted: "#A1A1AA", faint: "#71717A",
+    accent: "#6366F1", accent2: "#22D3EE", onAccent: "#FFFFFF", focus: "#22D3EE",
+    danger: "#FCA5A5", dangerSoft: "#450A0A", warn: "#FCD34D", warnSoft: "#451A03", ok: "#6EE7B7",
+  },
+  contrast: {
+    surface: "#000000", panel: "#000000", raised: "#27272A", strong: "#52525B", subtle: "#FFFFFF",
+    ink: "#FFFFFF", muted: "#E4E4E7", faint: "#D4D4D8",
+    accent: "#FFE500", accent2: "#FFE500", onAccent: "#000000", focus: "#FFE500",
+    danger: "#FCA5A5", dangerSoft: "#450A0A", warn: "#FDE047", warnSoft: "#422006", ok: "#86EFAC",
+  },
+};
+
+export const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+// Full chip colours of one theme, textures included: { yellow: { bg, fg, bd, name, mark, pattern } … }
+export function dieColors(theme) {
+  const palette = DIE_PALETTES[theme] || DIE_PALETTES.dark;
+  return Object.fromEntries(Object.entries(DIE_INFO).map(([key, info]) => {
+    const p = PATTERNS[key];
+    const pattern = p ? p.draw(`rgba(${hexToRgb(palette[key].fg).join(",")},${p.alpha})`) : null;
+    return [key, { ...palette[key], ...info, pattern }];
+  }));
+}
+
+// CSS custom properties for one theme's die colours (used by tailwind.config.js)
+export function dieCssVars(theme) {
+  const vars = {};
+  for (const [key, c] of Object.entries(dieColors(theme))) {
+    vars[`--die-${key}-bg`] = c.bg;
+    vars[`--die-${key}-fg`] = c.fg;
+    vars[`--die-${key}-bd`] = c.bd;
+    if (c.pattern) vars[`--die-${key}-pattern`] = c.pattern;
+  }
+  return vars;
+}
+
+// What the app draws with: the current theme's colours through CSS variables
+export const COLORS = Object.fromEntries(Object.entries(DIE_INFO).map(([key, info]) => [key, {
+  key,
+  bg: `var(--die-${key}-bg)`,
+  fg: `var(--die-${key}-fg)`,
+  bd: `var(--die-${key}-bd)`,
+  ...info,
+  pattern: PATTERNS[key] ? `var(--die-${key}-pattern)` : null,
+}]));
+
+// Paper (print view, PDF) doesn't follow the app theme: always the light palette, as hex
+export const PAPER_COLORS = dieColors("light");
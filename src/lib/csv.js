@@ -0,0 +1,257 @@
+import { DEFAULT_RULES } from "./rules";
+import { computeRowTotal, playerFlags, columnCsvHeader, columnCsvValue, columnMultiplier } from "./scoring";
+import { makeBlankRow, makePlayer, MAX_PLAYERS } from "./game";
+import { formatDiceCsv, parseDiceCsv, sumFaces } from "./dice";
+import { DEFAULT_LANGUAGE, LANGUAGES, localizeRules, translate } from "./i18n";
+import { formatDuration, roundDuration } from "./timing";
+import { sheetName } from "./gameFile";
+
+/**
+ * CSV export + re-import
+ * - One block per player: "Player,<name>", header, one line per round, "Total" footer
+ * - Values are written with multipliers applied; the header says which
+ *   (e.g. "Blue(x2 glitter)"), which is how import recovers raw values and flags
+ * - Sheets with dice-by-dice cells get a trailing "Dice" column ("y=3 4 6; redSum=-2 5")
+ * - Timed sheets end with "Started", "Locked" (ISO 8601, UTC) and "Time" (m:ss, only
+ *   for people reading the file – import takes the two timestamps)
+ * - Headers are written in the chosen language (built-in column names too); import
+ *   reads them in any supported language and reports problems in the chosen one.
+ *   Numbers are never localized
+ */
+
+// Red-count columns are followed by the round's "Red Count"
+const csvColumns = (rules) => rules.columns.flatMap((c) => (c.formula === "timesRedCount" ? [c, null] : [c]));
+
+export function buildCsvString(playerName, rows, flags, gameTotal, rules = DEFAULT_RULES, lang = DEFAULT_LANGUAGE) {
+  const word = (key) => csvCell(translate(lang, `csv.${key}`));
+  const cols = csvColumns(localizeRules(rules, lang));
+  const withDice = rows.some((r) => formatDiceCsv(r, rules));
+  const withTimes = rows.some((r) => r.startedAt != null || r.lockedAt != null);
+  const isoTime = (ms) => (ms == null ? "" : new Date(ms).toISOString());
+  const header = [
+    word("round"), ...cols.map((c) => (c ? csvCell(columnCsvHeader(c, flags)) : word("redCount"))), word("rowTotal"),
+    ...(withDice ? [word("dice")] : []),
+    ...(withTimes ? [word("started"), word("locked"), word("time")] : [])
+  ].join(",");
+  const lines = rows.map((r, i) => [
+    i + 1, ...cols.map((c) => (c ? columnCsvValue(c, r, flags) : r.redCount || 0)), computeRowTotal(r, flags, rules),
+    ...(withDice ? [csvCell(formatDiceCsv(r, rules))] : []),
+    ...(withTimes ? [isoTime(r.startedAt), r.locked ? isoTime(r.lockedAt) : "", r.locked ? formatDuration(roundDuration(r)) : ""] : [])
+  ].join(","));
+  const footer = [...cols.map(() => ""), word("total"), gameTotal].join(",");
+  return [header, ...lines, footer].join("\n");
+}
+
+export const csvCell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+// One block per player, separated by a blank line
+export function buildTableCsvString(players, rules = DEFAULT_RULES, lang = DEFAULT_LANGUAGE) {
+  return players.map((p) => {
+    const flags = playerFlags(p);
+    const total = p.rows.reduce((sum, r) => sum + computeRowTotal(r, flags, rules), 0);
+    const name = csvCell(translate(lang, "csv.player")) + "," + csvCell(p.name);
+    return [name, buildCsvString(p.name, p.rows, flags, total, rules, lang)].join("\n");
+  }).join("\n\n");
+}
+
+// ---- import
+
+export function splitCsvLine(line) {
+  const cells = [];
+  let cur = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { cells.push(cur); cur = ""; }
+    else cur += ch;
+  }
+  cells.push(cur);
+  return cells.map((c) => c.trim());
+}
+
+// Every header a column can be exported under (in any language) → the column and
+// the flag that produced it
+function headerVariants(rules) {
+  const map = new Map();
+  for (const { code } of LANGUAGES) {
+    localizeRules(rules, code).columns.forEach((shown, i) => {
+      const col = rules.columns[i];
+      map.set(columnCsvHeader(shown, {}).toLowerCase(), { col, flag: null });
+      for (const u of shown.upgrades || []) {
+        map.set(columnCsvHeader(shown, { [u.flag]: true }).toLowerCase(), { col, flag: u.flag });
+      }
+    });
+  }
+  return map;
+}
+
+// "round" → { "round", "ronda", "runde" }
+const csvWords = (key) => new Set(LANGUAGES.map(({ code }) => translate(code, `csv.${key}`).toLowerCase()));
+const WORDS = Object.fromEntries(
+  ["player", "round", "redCount", "rowTotal", "total", "dice", "started", "locked", "time"].map((k) => [k, csvWords(k)])
+);
+
+const isInt = (s) => /^-?\d+$/.test(s);
+
+// "Line 4 (round 3), Yellow: <problem>"
+function csvError(lang, line, round, column, key, vars) {
+  const t = (k, v) => translate(lang, `csvError.${k}`, v);
+  const where = round ? t("lineRound", { line, round }) : t("line", { line });
+  const problem = t(key, vars);
+  return column ? t("atColumn", { where, column, problem }) : t("at", { where, problem });
+}
+
+function parseBlock(block, rules, errors, lang) {
+  const variants = headerVariants(rules);
+  const shown = localizeRules(rules, lang).columns;
+  const word = (key) => translate(lang, `csv.${key}`);
+  const { name, headerLine, header, lines } = block;
+  const before = errors.length;
+  const err = (lineNo, round, column, key, vars) => errors.push(csvError(lang, lineNo, round, column, key, vars));
+
+  // Map header cells to columns; collect flags from upgraded headers
+  const flags = {};
+  const mapping = header.map((h, idx) => {
+    const key = h.toLowerCase();
+    if (idx === 0 && WORDS.round.has(key)) return { kind: "round" };
+    if (WORDS.rowTotal.has(key)) return { kind: "total" };
+    if (WORDS.redCount.has(key)) return { kind: "redCount" };
+    if (WORDS.dice.has(key)) return { kind: "dice" };
+    if (WORDS.started.has(key)) return { kind: "time", field: "startedAt" };
+    if (WORDS.locked.has(key)) return { kind: "time", field: "lockedAt" };
+    if (WORDS.time.has(key)) return { kind: "duration" };
+    const hit = variants.get(key);
+    if (!hit) { err(headerLine, null, `"${h}"`, "unknownColumn"); return null; }
+    if (hit.flag) flags[hit.flag] = true;
+    return { kind: "col", col: hit.col };
+  });
+  rules.columns.forEach((col, i) => {
+    if (!mapping.some((m) => m?.col === col)) err(headerLine, null, shown[i].label, "missingColumn");
+  });
+  if (rules.columns.some((c) => c.formula === "timesRedCount") && !mapping.some((m) => m?.kind === "redCount")) {
+    err(headerLine, null, word("redCount"), "missingColumn");
+  }
+  if (errors.length > before) return null;
+
+  const rows = lines.map(({ lineNo, cells }, i) => {
+    const round = i + 1;
+    const row = makeBlankRow(rules);
+    if (cells.length !== header.length) {
+      err(lineNo, round, null, "valueCount", { count: header.length, found: cells.length });
+      return row;
+    }
+    let exportedTotal = null;
+    mapping.forEach((m, idx) => {
+      const raw = cells[idx];
+      const label = header[idx];
+      if (m.kind === "dice") {
+        const { dice, error } = parseDiceCsv(raw, rules, lang);
+        if (error) err(lineNo, round, label, "dice", { error });
+        else if (Object.keys(dice).length) row.dice = dice;
+        return;
+      }
+      if (m.kind === "duration") return; // worked out from the timestamps
+      if (m.kind === "time") {
+        if (!raw) return;
+        const ms = Date.parse(raw);
+        if (Number.isFinite(ms)) row[m.field] = ms;
+        else err(lineNo, round, label, "notTime", { value: raw });
+        return;
+      }
+      if (!isInt(raw)) { err(lineNo, round, label, "notWhole", { value: raw }); return; }
+      const v = parseInt(raw, 10);
+      if (m.kind === "round") {
+        if (v !== round) err(lineNo, round, label, "roundNumber", { round, found: v });
+      } else if (m.kind === "total") {
+        exportedTotal = v;
+      } else if (m.kind === "redCount") {
+        if (v < 0) err(lineNo, round, label, "negative");
+        row.redCount = v;
+      } else {
+        const { col } = m;
+        const mult = columnMultiplier(col, flags);
+        const value = col.formula === "times" ? v / mult : v;
+        if (!Number.isInteger(value)) err(lineNo, round, label, "multiple", { value: v, multiplier: mult });
+        else if (value < 0 && !col.allowNegative) err(lineNo, round, label, "negative");
+        row[col.key] = value;
+      }
+    });
+    for (const [key, faces] of Object.entries(row.dice || {})) {
+      const column = shown[rules.columns.findIndex((c) => c.key === key)].label;
+      if (sumFaces(faces) !== row[key]) err(lineNo, round, word("dice"), "diceSum", { column, sum: sumFaces(faces), value: row[key] });
+    }
+    if (exportedTotal !== null && exportedTotal !== computeRowTotal(row, flags, rules)) {
+      err(lineNo, round, word("rowTotal"), "rowTotal", { total: exportedTotal, expected: computeRowTotal(row, flags, rules) });
+    }
+    return row;
+  });
+  if (!rows.length) err(headerLine, null, null, "noRounds");
+  if (errors.length > before) return null;
+
+  // CSV has no lock flags: rounds up to the last non-empty one count as played
+  const isEmpty = (r) => rules.columns.every((c) => !r[c.key]);
+  let played = rows.length;
+  while (played > 0 && isEmpty(rows[played - 1])) played--;
+  rows.forEach((r, i) => { r.locked = i < played; });
+
+  const { hasGlitterBlue = false, ...otherFlags } = flags;
+  return {
+    ...makePlayer(name, rules, rows.length),
+    rows,
+    activeRound: Math.min(played, rows.length - 1),
+    hasGlitterBlue,
+    flags: otherFlags,
+  };
+}
+
+/**
+ * Parse a CSV produced by buildTableCsvString (or the older single-sheet export
+ * without a "Player," line). Returns { players, roundCount, errors }; errors name
+ * the file line, round and column, in `lang`.
+ */
+export function parseCsvString(text, rules = DEFAULT_RULES, lang = DEFAULT_LANGUAGE) {
+  const t = (key, vars) => translate(lang, `csvError.${key}`, vars);
+  const errors = [];
+  const blocks = [];
+  let block = null;
+  let pendingName = null;
+
+  text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split("\n").forEach((line, i) => {
+    const lineNo = i + 1;
+    if (!line.trim()) { block = null; return; }
+    const cells = splitCsvLine(line);
+    if (WORDS.player.has(cells[0].toLowerCase())) {
+      pendingName = cells[1] || "Player";
+      block = null;
+    } else if (WORDS.round.has(cells[0].toLowerCase())) {
+      block = { name: pendingName ?? "Player", headerLine: lineNo, header: cells, lines: [] };
+      blocks.push(block);
+      pendingName = null;
+    } else if (cells[0] === "" && cells.length > 1 && WORDS.total.has(cells[cells.length - 2].toLowerCase())) {
+      block = null; // footer
+    } else if (cells.every((c) => !c.trim())) {
+      errors.push(csvError(lang, lineNo, null, null, "malformed")); // e.g. a lone ""
+    } else if (block) {
+      block.lines.push({ lineNo, cells });
+    } else {
+      errors.push(csvError(lang, lineNo, null, null, "outside"));
+    }
+  });
+
+  if (!blocks.length) errors.push(t("noTable", { round: translate(lang, "csv.round") }));
+  if (blocks.length > MAX_PLAYERS) errors.push(t("tooMany", { count: blocks.length, max: MAX_PLAYERS }));
+  const players = blocks.map((b) => parseBlock(b, rules, errors, lang));
+
+  const roundCount = Math.max(0, ...players.filter(Boolean).map((p) => p.rows.length));
+  players.forEach((p, i) => {
+    if (p && p.rows.length !== roundCount) {
+      errors.push(t("roundsDiffer", { who: sheetName(p, i, lang), count: p.rows.length, expected: roundCount }));
+    }
+  });
+
+  return errors.length ? { players: [], roundCount: 0, errors } : { players, roundCount, errors };
+}
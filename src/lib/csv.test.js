@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { makeBlankRows, makePlayer } from "./game";
+import { buildCsvString, buildTableCsvString, csvCell, parseCsvString } from "./csv";
+
+const rowsWith = (...values) => {
+  const rows = makeBlankRows(3, CLASSIC_RULES);
+  values.forEach((v, i) => { rows[i] = { ...rows[i], ...v }; });
+  return rows;
+};
+
+describe("buildCsvString", () => {
+  it("writes a header, one line per round and a total footer", () => {
+    const rows = rowsWith({ y: 12, locked: true }, { y: 3, purp: 4, redSum: -2, redCount: 3, locked: true });
+    const lines = buildCsvString("Ann", rows, {}, 25, CLASSIC_RULES).split("\n");
+    expect(lines[0]).toBe("Round,Yellow,Purple(x2),Blue,Red Sum,Red Count,Green,Clear/White,Pink (Pity),Row Total");
+    expect(lines[1]).toBe("1,12,0,0,0,0,0,0,0,12");
+    // purple is written doubled, red as the raw sum next to its count
+    expect(lines[2]).toBe("2,3,8,0,-2,3,0,0,0,5");
+    expect(lines[3]).toBe("3,0,0,0,0,0,0,0,0,0");
+    expect(lines[4]).toBe(",,,,,,,,Total,25");
+  });
+
+  it("names the glitter upgrade in the blue header", () => {
+    const csv = buildCsvString("Ann", rowsWith({ blue: 5 }), { hasGlitterBlue: true }, 0, CLASSIC_RULES);
+    expect(csv.split("\n")[0]).toContain("Blue(x2 glitter)");
+    expect(csv.split("\n")[1]).toBe("1,0,0,10,0,0,0,0,0,10");
+  });
+
+  it("adds a Dice column only when a cell was entered die by die", () => {
+    expect(buildCsvString("Ann", rowsWith({ y: 7 }), {}, 0, CLASSIC_RULES)).not.toContain("Dice");
+    const csv = buildCsvString("Ann", rowsWith({ y: 7, dice: { y: [3, 4] } }), {}, 0, CLASSIC_RULES);
+    expect(csv.split("\n")[0].endsWith(",Dice")).toBe(true);
+    expect(csv.split("\n")[1].endsWith(",y=3 4")).toBe(true);
+  });
+
+  it("adds round times only to timed sheets", () => {
+    expect(buildCsvString("Ann", rowsWith({ y: 7 }), {}, 0, CLASSIC_RULES)).not.toContain("Started");
+    const rows = rowsWith({ y: 7, locked: true, startedAt: Date.UTC(2024, 0, 1, 18), lockedAt: Date.UTC(2024, 0, 1, 18, 1, 15) });
+    const lines = buildCsvString("Ann", rows, {}, 7, CLASSIC_RULES).split("\n");
+    expect(lines[0].endsWith(",Started,Locked,Time")).toBe(true);
+    expect(lines[1].endsWith(",2024-01-01T18:00:00.000Z,2024-01-01T18:01:15.000Z,1:15")).toBe(true);
+    expect(lines[2].endsWith(",,,")).toBe(true);
+  });
+
+  it("writes the headers in the chosen language", () => {
+    const lines = buildCsvString("Ann", rowsWith({ blue: 5 }), { hasGlitterBlue: true }, 10, CLASSIC_RULES, "de").split("\n");
+    expect(lines[0]).toBe("Runde,Gelb,Lila(x2),Blau(x2 Glitzer),Rot-Summe,Rote Würfel,Grün,Klar/Weiß,Pink (Trost),Rundensumme");
+    expect(lines[1]).toBe("1,0,0,10,0,0,0,0,0,10");
+    expect(lines[4]).toBe(",,,,,,,,Summe,10");
+  });
+});
+
+describe("csvCell", () => {
+  it("quotes commas, quotes and newlines", () => {
+    expect(csvCell("plain")).toBe("plain");
+    expect(csvCell('Ann, "the champ"')).toBe('"Ann, ""the champ"""');
+  });
+});
+
+describe("parseCsvString", () => {
+  it("reads back what buildTableCsvString wrote", () => {
+    const ann = { ...makePlayer("Ann, Jr.", CLASSIC_RULES, 3), hasGlitterBlue: true };
+    ann.rows = rowsWith({ y: 9, locked: true }, { y: 2, blue: 4, redSum: -3, redCount: 2, locked: true });
+    const bo = makePlayer("Bo", CLASSIC_RULES, 3);
+    bo.rows = rowsWith({ y: 5, locked: true });
+
+    const { players, roundCount, errors } = parseCsvString(buildTableCsvString([ann, bo], CLASSIC_RULES), CLASSIC_RULES);
+    expect(errors).toEqual([]);
+    expect(roundCount).toBe(3);
+    expect(players.map((p) => p.name)).toEqual(["Ann, Jr.", "Bo"]);
+    expect(players[0].hasGlitterBlue).toBe(true);
+    expect(players[0].rows[1]).toMatchObject({ y: 2, blue: 4, redSum: -3, redCount: 2 });
+    expect(players[1].rows[0]).toMatchObject({ y: 5 });
+  });
+
+  it("reads headers written in another language", () => {
+    const ann = { ...makePlayer("Ana", CLASSIC_RULES, 3), hasGlitterBlue: true };
+    ann.rows = rowsWith({ y: 9, locked: true }, { purp: 3, blue: 4, redSum: 5, redCount: 2, locked: true });
+    const csv = buildTableCsvString([ann], CLASSIC_RULES, "es");
+    expect(csv.startsWith("Jugador,Ana\nRonda,Amarillo,Morado(x2),Azul(x2 brillante)")).toBe(true);
+
+    const { players, errors } = parseCsvString(csv, CLASSIC_RULES);
+    expect(errors).toEqual([]);
+    expect(players[0].name).toBe("Ana");
+    expect(players[0].hasGlitterBlue).toBe(true);
+    expect(players[0].rows[1]).toMatchObject({ purp: 3, blue: 4, redSum: 5, redCount: 2, locked: true });
+  });
+
+  it("reads round times back", () => {
+    const ann = makePlayer("Ann", CLASSIC_RULES, 3, 1000);
+    ann.rows = rowsWith({ y: 9, locked: true, startedAt: 1000, lockedAt: 61000 }, { startedAt: 61000 });
+    const { players, errors } = parseCsvString(buildTableCsvString([ann], CLASSIC_RULES, "de"), CLASSIC_RULES);
+    expect(errors).toEqual([]);
+    expect(players[0].rows[0]).toMatchObject({ startedAt: 1000, lockedAt: 61000 });
+    expect(players[0].rows[1].startedAt).toBe(61000);
+  });
+
+  it("reports rows it can't read", () => {
+    const { errors } = parseCsvString("Round,Yellow\n1,abc\n", CLASSIC_RULES);
+    expect(errors.length).toBeGreaterThan(0);
+  });
+
+  it("reports a line of empty cells as malformed instead of failing", () => {
+    const csv = buildCsvString("Ann", rowsWith({ y: 6 }), {}, 6, CLASSIC_RULES);
+    expect(parseCsvString(`${csv}\n""`, CLASSIC_RULES).errors).toEqual(["Line 6: malformed CSV – a line with no values"]);
+    expect(parseCsvString('""\n', CLASSIC_RULES, "de").errors[0]).toBe("Zeile 1: fehlerhaftes CSV – eine Zeile ohne Werte");
+  });
+});
@@ -0,0 +1,50 @@
+import { useEffect, useRef } from "react";
+
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Modal dialog behaviour for a panel element (ref):
+ * - focus moves into it on open ([data-autofocus] first) and back to whatever
+ *   had it on close
+ * - Tab / Shift+Tab cycle inside the panel
+ * - Esc calls onClose
+ * The panel itself still needs role="dialog", aria-modal and a label.
+ */
+export function useDialog(ref, onClose) {
+  const closeRef = useRef(onClose);
+  useEffect(() => { closeRef.current = onClose; });
+
+  useEffect(() => {
+    const panel = ref.current;
+    if (!panel) return undefined;
+    const opener = document.activeElement;
+    const focusables = () => [...panel.querySelectorAll(FOCUSABLE)];
+    (panel.querySelector("[data-autofocus]") || focusables()[0] || panel).focus();
+
+    const onKey = (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        closeRef.current();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const list = focusables();
+      if (!list.length) { e.preventDefault(); return; }
+      const first = list[0];
+      const last = list[list.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !panel.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !panel.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener("keydown", onKey, true);
+    return () => {
+      document.removeEventListener("keydown", onKey, true);
+      if (opener && document.contains(opener)) opener.focus?.();
+    };
+  }, [ref]);
+}
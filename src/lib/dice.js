@@ -0,0 +1,81 @@
+import { DEFAULT_LANGUAGE, localizeRules, translate } from "./i18n";
+
+// ---- per-die entry: a cell can keep the faces it was added up from
+// row.dice = { [columnKey]: [faces…] }; the column value is always their sum
+
+export const DIE_FACES = 6;
+export const MAX_DICE_PER_CELL = 30;
+
+// Columns that allow negatives (red) take signed faces
+export const faceOptions = (col) => {
+  const up = Array.from({ length: DIE_FACES }, (_, i) => i + 1);
+  return col.allowNegative ? [...up.map((n) => -n).reverse(), ...up] : up;
+};
+
+export const isValidFace = (v, col) =>
+  Number.isInteger(v) && v !== 0 && Math.abs(v) <= DIE_FACES && (v > 0 || !!col.allowNegative);
+
+export const sumFaces = (faces) => faces.reduce((s, f) => s + f, 0);
+
+export const cellFaces = (row, key) => row.dice?.[key] || [];
+
+export const formatFaces = (faces) => faces.join(" ");
+
+// Row with one cell's faces replaced (empty list drops the breakdown, value 0)
+export function withFaces(row, key, faces) {
+  const { [key]: _, ...rest } = row.dice || {};
+  const dice = faces.length ? { ...rest, [key]: faces } : rest;
+  const next = { ...row, [key]: sumFaces(faces) };
+  if (Object.keys(dice).length) next.dice = dice;
+  else delete next.dice;
+  return next;
+}
+
+// Row with a cell's breakdown removed (the value was typed directly)
+export function withoutFaces(row, key) {
+  if (!row.dice?.[key]) return row;
+  const { [key]: _, ...rest } = row.dice;
+  const next = { ...row };
+  if (Object.keys(rest).length) next.dice = rest;
+  else delete next.dice;
+  return next;
+}
+
+// Problems with a row's breakdown, as "<Column> dice: msg" strings in `lang`
+export function diceErrors(row, rules, lang = DEFAULT_LANGUAGE) {
+  const t = (key, vars) => translate(lang, `diceError.${key}`, vars);
+  if (row.dice == null) return [];
+  if (typeof row.dice !== "object" || Array.isArray(row.dice)) return [t("notList")];
+  const shown = localizeRules(rules, lang);
+  const errors = [];
+  for (const [key, faces] of Object.entries(row.dice)) {
+    const i = rules.columns.findIndex((c) => c.key === key);
+    if (i === -1) { errors.push(t("unknownColumn", { key })); continue; }
+    const col = rules.columns[i];
+    const column = shown.columns[i].label;
+    if (!Array.isArray(faces) || faces.length > MAX_DICE_PER_CELL || faces.some((f) => !isValidFace(f, col))) {
+      errors.push(t("faces", { column, faces: JSON.stringify(faces) }));
+    } else if (sumFaces(faces) !== row[key]) {
+      errors.push(t("sum", { column, sum: sumFaces(faces), value: row[key] }));
+    }
+  }
+  return errors;
+}
+
+// CSV cell: "y=3 4 6; redSum=-2 5" (column keys, so labels may contain anything)
+export const formatDiceCsv = (row, rules) =>
+  rules.columns.filter((c) => cellFaces(row, c.key).length).map((c) => `${c.key}=${formatFaces(cellFaces(row, c.key))}`).join("; ");
+
+// Inverse of formatDiceCsv → { dice, error } (error in `lang`)
+export function parseDiceCsv(text, rules, lang = DEFAULT_LANGUAGE) {
+  const dice = {};
+  for (const part of text.split(";").map((s) => s.trim()).filter(Boolean)) {
+    const m = /^([^=]+)=(.*)$/.exec(part);
+    const col = m && rules.columns.find((c) => c.key === m[1].trim());
+    if (!col) return { dice: null, error: translate(lang, "diceError.csvColumn", { part }) };
+    const faces = m[2].trim().split(/\s+/).filter(Boolean).map(Number);
+    if (!faces.length || faces.some((f) => !isValidFace(f, col))) return { dice: null, error: translate(lang, "diceError.csvFaces", { part }) };
+    dice[col.key] = faces;
+  }
+  return { dice, error: null };
+}
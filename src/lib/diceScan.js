@@ -0,0 +1,227 @@
+import { COLORS, PAPER_COLORS, hexToRgb } from "./colors";
+import { isColumnOpen } from "./scoring";
+import { withFaces } from "./dice";
+
+/**
+ * Dice from a photo – runs on this device, the picture never leaves it
+ * - scanDice(image) takes RGBA pixels ({ width, height, data } like ImageData):
+ *   1. the picture is scaled down to SCAN_SIZE on its long side
+ *   2. every pixel is matched to a die colour (COLORS keys) by hue; dark or grey
+ *      pixels are table, pips or shadow; bright colourless ones are clear dice
+ *   3. a connected patch of one colour big enough to be a die is a die, and its
+ *      face is the number of holes (pips) inside the patch
+ * - Works best with the dice spread out on a dark surface, not touching each other
+ * - A die whose face can't be read (no pips found, more than six, or a patch the
+ *   size of two dice) is still reported, with face null, so it can be checked by hand
+ * - scanToRow() fills a round's open colour cells with the faces found
+ */
+
+export const SCAN_SIZE = 320;
+
+const DIE_KEYS = Object.keys(COLORS);
+const DARK = 0.3; // brightness below this is table / pip / shadow
+const GREY = 0.2; // saturation below this has no usable hue
+const MIN_DIE_AREA = 0.0015; // of the (scaled) picture
+const MIN_PIP_AREA = 0.004; // of the die
+const MAX_PIP_AREA = 0.2;
+
+// Hue of each coloured die, from the light palette (closest to the physical dice)
+const HUES = DIE_KEYS.filter((k) => k !== "clear").map((key) => ({ label: DIE_KEYS.indexOf(key) + 1, hue: hsv(...hexToRgb(PAPER_COLORS[key].bg)).h }));
+const CLEAR = DIE_KEYS.indexOf("clear") + 1;
+
+function hsv(r, g, b) {
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  let h = 0;
+  if (d) {
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h = (h * 60 + 360) % 360;
+  }
+  return { h, s: max ? d / max : 0, v: max / 255 };
+}
+
+// 0 = no die colour, otherwise 1 + index into DIE_KEYS
+export function classifyPixel(r, g, b) {
+  const { h, s, v } = hsv(r, g, b);
+  if (v < DARK) return 0;
+  if (s < GREY) return v > 0.6 ? CLEAR : 0;
+  let best = HUES[0];
+  let bestDist = Infinity;
+  for (const ref of HUES) {
+    const diff = Math.abs(h - ref.hue);
+    const dist = Math.min(diff, 360 - diff);
+    if (dist < bestDist) { best = ref; bestDist = dist; }
+  }
+  return best.label;
+}
+
+// Box-filtered copy no bigger than maxSide on its long side
+export function downscale({ width, height, data }, maxSide = SCAN_SIZE) {
+  const scale = Math.min(1, maxSide / Math.max(width, height));
+  if (scale === 1) return { width, height, data };
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  const sums = new Float64Array(w * h * 3);
+  const counts = new Uint32Array(w * h);
+  for (let y = 0; y < height; y++) {
+    const ty = Math.min(h - 1, Math.floor(y * scale));
+    for (let x = 0; x < width; x++) {
+      const t = ty * w + Math.min(w - 1, Math.floor(x * scale));
+      const s = (y * width + x) * 4;
+      sums[t * 3] += data[s];
+      sums[t * 3 + 1] += data[s + 1];
+      sums[t * 3 + 2] += data[s + 2];
+      counts[t]++;
+    }
+  }
+  const out = new Uint8ClampedArray(w * h * 4);
+  for (let t = 0; t < w * h; t++) {
+    for (let c = 0; c < 3; c++) out[t * 4 + c] = sums[t * 3 + c] / counts[t];
+    out[t * 4 + 3] = 255;
+  }
+  return { width: w, height: h, data: out };
+}
+
+// 4-connected regions of equal, non-zero label; returns the region id per pixel and the regions
+function regions(labels, width, height) {
+  const ids = new Int32Array(width * height).fill(-1);
+  const found = [];
+  const stack = [];
+  for (let start = 0; start < labels.length; start++) {
+    if (!labels[start] || ids[start] !== -1) continue;
+    const region = { label: labels[start], area: 0, x0: width, y0: height, x1: 0, y1: 0 };
+    ids[start] = found.length;
+    stack.push(start);
+    while (stack.length) {
+      const p = stack.pop();
+      const x = p % width;
+      const y = (p - x) / width;
+      region.area++;
+      if (x < region.x0) region.x0 = x;
+      if (x > region.x1) region.x1 = x;
+      if (y < region.y0) region.y0 = y;
+      if (y > region.y1) region.y1 = y;
+      for (const q of [x > 0 && p - 1, x < width - 1 && p + 1, y > 0 && p - width, y < height - 1 && p + width]) {
+        if (q !== false && ids[q] === -1 && labels[q] === region.label) {
+          ids[q] = found.length;
+          stack.push(q);
+        }
+      }
+    }
+    found.push(region);
+  }
+  return { ids, found };
+}
+
+// Holes of a region big enough to be pips: what isn't the region and can't be
+// reached from the edge of its bounding box
+function countPips(ids, width, id, { x0, y0, x1, y1, area }) {
+  const w = x1 - x0 + 1;
+  const h = y1 - y0 + 1;
+  const outside = new Uint8Array(w * h); // 1 = not the die, 2 = reached / counted
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) outside[y * w + x] = ids[(y0 + y) * width + x0 + x] === id ? 0 : 1;
+  }
+  const fill = (start) => {
+    let size = 0;
+    const stack = [start];
+    outside[start] = 2;
+    while (stack.length) {
+      const p = stack.pop();
+      const x = p % w;
+      size++;
+      for (const q of [x > 0 && p - 1, x < w - 1 && p + 1, p >= w && p - w, p + w < w * h && p + w]) {
+        if (q !== false && outside[q] === 1) {
+          outside[q] = 2;
+          stack.push(q);
+        }
+      }
+    }
+    return size;
+  };
+  for (let p = 0; p < w * h; p++) {
+    const x = p % w;
+    const edge = x === 0 || x === w - 1 || p < w || p >= w * (h - 1);
+    if (edge && outside[p] === 1) fill(p);
+  }
+  let pips = 0;
+  for (let p = 0; p < w * h; p++) {
+    if (outside[p] !== 1) continue;
+    const size = fill(p);
+    if (size >= Math.max(2, area * MIN_PIP_AREA) && size <= area * MAX_PIP_AREA) pips++;
+  }
+  return pips;
+}
+
+/**
+ * Dice in a picture
+ * → { width, height, dice: [{ color, face, x, y, w, h }] } with the boxes as
+ *   fractions of the picture (0–1) and face null when it couldn't be read
+ */
+export function scanDice(image, { maxSide = SCAN_SIZE } = {}) {
+  const { width, height, data } = downscale(image, maxSide);
+  const labels = new Uint8Array(width * height);
+  for (let p = 0; p < labels.length; p++) labels[p] = classifyPixel(data[p * 4], data[p * 4 + 1], data[p * 4 + 2]);
+
+  const { ids, found } = regions(labels, width, height);
+  const minArea = width * height * MIN_DIE_AREA;
+  const candidates = found.map((r, id) => ({ ...r, id })).filter((r) => r.area >= minArea);
+  const areas = candidates.map((r) => r.area).sort((a, b) => a - b);
+  const typical = areas[Math.floor(areas.length / 2)] || 0;
+
+  const dice = candidates.map((r) => {
+    const pips = countPips(ids, width, r.id, r);
+    // Two touching dice of one colour make one patch twice the size
+    const readable = pips >= 1 && pips <= 6 && r.area < typical * 1.8;
+    return {
+      color: DIE_KEYS[r.label - 1],
+      face: readable ? pips : null,
+      x: r.x0 / width,
+      y: r.y0 / height,
+      w: (r.x1 - r.x0 + 1) / width,
+      h: (r.y1 - r.y0 + 1) / height,
+    };
+  });
+  // Reading order: top to bottom, then left to right
+  dice.sort((a, b) => (Math.abs(a.y - b.y) > a.h / 2 ? a.y - b.y : a.x - b.x));
+  return { width, height, dice };
+}
+
+/**
+ * The scan per column of a round: [{ col, faces }] for the columns open in that
+ * round, plus the dice whose colour isn't scored yet (or has no column)
+ */
+export function scanColumns(dice, rules, roundIdx) {
+  const read = dice.filter((d) => d.face);
+  const columns = rules.columns
+    .filter((col) => isColumnOpen(col, roundIdx))
+    .map((col) => ({ col, faces: read.filter((d) => d.color === col.color).map((d) => d.face) }));
+  const used = new Set(columns.map((c) => c.col.color));
+  return { columns, unused: read.filter((d) => !used.has(d.color)) };
+}
+
+// Row with every open colour cell replaced by the scanned faces; the red count
+// becomes the number of red dice found (when the rules use one)
+export function scanToRow(row, dice, rules, roundIdx) {
+  let next = row;
+  for (const { col, faces } of scanColumns(dice, rules, roundIdx).columns) {
+    next = withFaces(next, col.key, faces);
+    if (col.formula === "timesRedCount" && faces.length) next = { ...next, redCount: faces.length };
+  }
+  return next;
+}
+
+// Pixels of an image, video frame or bitmap, drawn no bigger than maxSide
+export function readPixels(source, maxSide = 1280) {
+  const srcW = source.videoWidth || source.naturalWidth || source.width;
+  const srcH = source.videoHeight || source.naturalHeight || source.height;
+  const scale = Math.min(1, maxSide / Math.max(srcW, srcH));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(srcW * scale));
+  canvas.height = Math.max(1, Math.round(srcH * scale));
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return { pixels: ctx.getImageData(0, 0, canvas.width, canvas.height), url: canvas.toDataURL("image/jpeg", 0.85) };
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { classifyPixel, downscale, scanColumns, scanDice, scanToRow } from "./diceScan";
+import { CLASSIC_RULES } from "./rules";
+import { makeBlankRows } from "./game";
+import { SCENES, renderScene, sceneDice } from "../test/dice-scenes";
+
+const facesByColor = (dice) => {
+  const out = {};
+  for (const d of dice) (out[d.color] ||= []).push(d.face);
+  return Object.fromEntries(Object.entries(out).map(([k, v]) => [k, v.sort()]));
+};
+
+describe("scanDice on rendered photos", () => {
+  it.each(SCENES)("reads every die in $name", (scene) => {
+    const expected = Object.fromEntries(Object.entries(sceneDice(scene)).map(([k, v]) => [k, [...v].sort()]));
+    expect(facesByColor(scanDice(renderScene(scene)).dice)).toEqual(expected);
+  });
+});
+
+describe("scanDice", () => {
+  it("classifies pixels by die colour", () => {
+    expect(classifyPixel(214, 58, 58)).toBe(4); // red
+    expect(classifyPixel(238, 111, 176)).toBe(7); // pink
+    expect(classifyPixel(230, 235, 238)).toBe(6); // clear
+    expect(classifyPixel(30, 30, 36)).toBe(0); // dark table
+  });
+
+  it("scales big pictures down before looking at them", () => {
+    const image = { width: 1000, height: 500, data: new Uint8ClampedArray(1000 * 500 * 4).fill(200) };
+    const small = downscale(image, 320);
+    expect([small.width, small.height]).toEqual([320, 160]);
+    expect(small.data[0]).toBe(200);
+  });
+
+  it("finds nothing on an empty table", () => {
+    const image = { width: 100, height: 80, data: new Uint8ClampedArray(100 * 80 * 4).fill(20) };
+    expect(scanDice(image).dice).toEqual([]);
+  });
+});
+
+describe("scanToRow", () => {
+  const dice = [
+    { color: "yellow", face: 3 }, { color: "yellow", face: 5 },
+    { color: "red", face: 4 }, { color: "red", face: 2 },
+    { color: "pink", face: null },
+  ];
+
+  it("fills the open colour cells with the faces found", () => {
+    const row = scanToRow(makeBlankRows(1)[0], dice, CLASSIC_RULES, 1);
+    expect(row.y).toBe(8);
+    expect(row.dice.y).toEqual([3, 5]);
+    expect(row.redSum).toBe(6);
+    expect(row.redCount).toBe(2);
+    expect(row.pink).toBe(0);
+    expect(row.dice.pink).toBeUndefined();
+  });
+
+  it("never fills in a negative red value", () => {
+    const negative = { ...makeBlankRows(1)[0], redSum: -7, redCount: 2, dice: { redSum: [-3, -4] } };
+    const row = scanToRow(negative, dice, CLASSIC_RULES, 1);
+    expect(row.redSum).toBe(6);
+    expect(row.dice.redSum).toEqual([4, 2]);
+
+    const scanned = scanDice(renderScene(SCENES.find((s) => s.name === "a small photo"))).dice;
+    expect(scanned.every((d) => d.face > 0)).toBe(true);
+    expect(scanToRow(negative, scanned, CLASSIC_RULES, 1).redSum).toBeGreaterThan(0);
+  });
+
+  it("leaves colours that aren't scored yet out", () => {
+    const { columns, unused } = scanColumns(dice, CLASSIC_RULES, 0);
+    expect(columns.map((c) => c.col.key)).toEqual(["y"]);
+    expect(unused.map((d) => d.color)).toEqual(["red", "red"]);
+    const row = scanToRow(makeBlankRows(1)[0], dice, CLASSIC_RULES, 0);
+    expect(row.redSum).toBe(0);
+    expect(row.redCount || 0).toBe(0);
+  });
+});
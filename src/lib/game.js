@@ -0,0 +1,63 @@
+import { DEFAULT_RULES } from "./rules";
+
+// ---- game/player factories shared by the app, persistence and imports
+// A table game has 1–MAX_PLAYERS players on one device, each with their own sheet
+// (rounds, red counts, locks and glitter flag); Reset keeps the roster
+
+export const DEFAULT_ROUNDS = 10;
+export const MAX_PLAYERS = 8;
+
+export const makeId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+export const makeBlankRow = (rules = DEFAULT_RULES) => ({
+  ...Object.fromEntries(rules.columns.map((c) => [c.key, 0])), redCount: 0, locked: false
+});
+export const makeBlankRows = (n = DEFAULT_ROUNDS, rules = DEFAULT_RULES) => Array.from({ length: n }, () => makeBlankRow(rules));
+
+// Round 1 is active from the start (lib/timing.js)
+export const makePlayer = (name = "Player", rules = DEFAULT_RULES, rounds = DEFAULT_ROUNDS, now = Date.now()) => ({
+  id: makeId(), gameId: makeId(), name, rows: makeBlankRows(rounds, rules).map((r, i) => (i ? r : { ...r, startedAt: now })), activeRound: 0,
+  hasGlitterBlue: false, flags: {}
+});
+
+// ---- round flow
+
+// Lock a round (Done); the next round starts now, with its red count.
+// Returns the sheet fields to apply: { rows, activeRound }
+export function lockRound(rows, roundIdx, now = Date.now()) {
+  const next = rows.map((r, i) => {
+    if (i === roundIdx) return { ...r, locked: true, lockedAt: now };
+    if (i === roundIdx + 1 && !r.locked) return { ...r, redCount: rows[roundIdx].redCount || 0, startedAt: now };
+    return r;
+  });
+  return { rows: next, activeRound: Math.min(roundIdx + 1, rows.length - 1) };
+}
+
+// New game: same roster (ids + names), blank sheets
+export const resetPlayers = (players, rules = DEFAULT_RULES, rounds = DEFAULT_ROUNDS) =>
+  players.map((p) => ({ ...makePlayer(p.name, rules, rounds), id: p.id }));
+
+// Older saves/files kept one player-wide defaultRedCount that was copied into a
+// row on lock; hand it to the rounds not locked yet so nothing changes for them
+export const spreadDefaultRedCount = (saved) => {
+  if (saved.defaultRedCount == null || !Array.isArray(saved.rows)) return saved;
+  const { defaultRedCount, ...rest } = saved;
+  return { ...rest, rows: saved.rows.map((r) => (r && !r.locked ? { ...r, redCount: defaultRedCount } : r)) };
+};
+
+// Trim / pad saved rows to the game's round count
+export const fitRows = (rows, n, rules) => [
+  ...(rows || []).slice(0, n),
+  ...makeBlankRows(Math.max(0, n - (rows || []).length), rules),
+];
+
+// Accepts both a saved player and the old single-sheet save shape ({ playerName, rows, ... })
+export const restorePlayer = (saved, rounds = DEFAULT_ROUNDS, rules = DEFAULT_RULES) => ({
+  id: saved.id || makeId(),
+  gameId: saved.gameId || makeId(),
+  name: saved.name ?? saved.playerName ?? "Player",
+  rows: fitRows(saved.rows, rounds, rules),
+  activeRound: Math.min(saved.activeRound || 0, rounds - 1),
+  hasGlitterBlue: !!saved.hasGlitterBlue,
+  flags: saved.flags || {},
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { lockRound, makeBlankRows, makePlayer, resetPlayers } from "./game";
+
+describe("lockRound", () => {
+  it("locks the round and moves on to the next one", () => {
+    const rows = makeBlankRows(3, CLASSIC_RULES);
+    const { rows: next, activeRound } = lockRound(rows, 0);
+    expect(next[0].locked).toBe(true);
+    expect(next[1].locked).toBe(false);
+    expect(activeRound).toBe(1);
+    expect(rows[0].locked).toBe(false); // not mutated
+  });
+
+  it("starts the next round with the same red dice count", () => {
+    const rows = makeBlankRows(3, CLASSIC_RULES);
+    rows[1] = { ...rows[1], redCount: 4 };
+    expect(lockRound(rows, 1).rows[2].redCount).toBe(4);
+  });
+
+  it("leaves an already locked next round alone", () => {
+    const rows = makeBlankRows(3, CLASSIC_RULES);
+    rows[0] = { ...rows[0], redCount: 5 };
+    rows[1] = { ...rows[1], redCount: 1, locked: true };
+    expect(lockRound(rows, 0).rows[1].redCount).toBe(1);
+  });
+
+  it("times the locked round and starts the next one", () => {
+    const rows = makeBlankRows(3, CLASSIC_RULES);
+    rows[0] = { ...rows[0], startedAt: 1000 };
+    const { rows: next } = lockRound(rows, 0, 61000);
+    expect(next[0]).toMatchObject({ startedAt: 1000, lockedAt: 61000 });
+    expect(next[1].startedAt).toBe(61000);
+    expect(next[2].startedAt).toBeUndefined();
+  });
+
+  it("stays on the last round", () => {
+    const rows = makeBlankRows(3, CLASSIC_RULES);
+    const { rows: next, activeRound } = lockRound(rows, 2);
+    expect(next[2].locked).toBe(true);
+    expect(activeRound).toBe(2);
+  });
+});
+
+describe("resetPlayers", () => {
+  it("keeps ids and names but clears every sheet", () => {
+    const ann = makePlayer("Ann", CLASSIC_RULES, 3);
+    ann.rows = lockRound(ann.rows.map((r) => ({ ...r, y: 5 })), 0).rows;
+    ann.activeRound = 1;
+    ann.hasGlitterBlue = true;
+
+    const [fresh] = resetPlayers([ann], CLASSIC_RULES, 5);
+    expect(fresh.id).toBe(ann.id);
+    expect(fresh.name).toBe("Ann");
+    expect(fresh.gameId).not.toBe(ann.gameId);
+    expect(fresh.rows).toHaveLength(5);
+    expect(fresh.rows.every((r) => !r.locked && r.y === 0)).toBe(true);
+    expect(fresh.activeRound).toBe(0);
+    expect(fresh.hasGlitterBlue).toBe(false);
+  });
+});
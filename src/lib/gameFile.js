@@ -0,0 +1,111 @@
+import { RULES_VERSION, validateRules } from "./rules";
+import { restorePlayer, spreadDefaultRedCount, MAX_PLAYERS } from "./game";
+import { diceErrors } from "./dice";
+import { timingErrors } from "./timing";
+import { cleanLog } from "./undo";
+import { DEFAULT_LANGUAGE, localizeRules, translate } from "./i18n";
+
+/**
+ * Lossless JSON game file
+ * - Raw (un-multiplied) row values, locks, per-round red counts, flags, round count,
+ *   dice-by-dice breakdowns, round start / lock times, the ruleset in use and the change log
+ * - `version` is the file format; `rulesVersion` the ruleset schema it was scored with
+ * - Log entries that can't be shown (no time, unknown kind) are left out on import
+ * - Problems are reported in the app's language, naming the player, round and column
+ */
+
+export const GAME_FILE_FORMAT = "panda-royale-game";
+export const GAME_FILE_VERSION = 2;
+
+export function serializeGame({ players, currentIdx, roundCount, rules, auditLog }, date = new Date()) {
+  return JSON.stringify({
+    format: GAME_FILE_FORMAT,
+    version: GAME_FILE_VERSION,
+    rulesVersion: rules.version ?? RULES_VERSION,
+    exportedAt: date.toISOString(),
+    game: { players, currentIdx, roundCount, rules, auditLog },
+  }, null, 2);
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// "Player 2 (Bo)" – how problems name a sheet (also in save repairs, lib/storage.js)
+export const sheetName = (p, pi, lang = DEFAULT_LANGUAGE) => (p?.name
+  ? translate(lang, "fileError.playerNamed", { n: pi + 1, name: p.name })
+  : translate(lang, "fileError.player", { n: pi + 1 }));
+
+// "Player 2 (Bo), round 3"
+export const roundName = (who, ri, lang = DEFAULT_LANGUAGE) => translate(lang, "fileError.round", { who, round: ri + 1 });
+
+// Problems with one round of a sheet, each message starting with `where`
+// (also used for rounds arriving from other devices, lib/sync.js)
+export function rowErrors(r, rules, where, lang = DEFAULT_LANGUAGE) {
+  const t = (key, vars) => translate(lang, `fileError.${key}`, { where, ...vars });
+  if (!r || typeof r !== "object") return [t("notRound")];
+  const errors = [];
+  localizeRules(rules, lang).columns.forEach((shown, i) => {
+    const col = rules.columns[i];
+    if (!isNum(r[col.key])) errors.push(t("notNumber", { column: shown.label, value: String(JSON.stringify(r[col.key])) }));
+    else if (r[col.key] < 0 && !col.allowNegative) errors.push(t("negative", { column: shown.label }));
+  });
+  if (!Number.isInteger(r.redCount) || r.redCount < 0) {
+    errors.push(t("redCount", { column: translate(lang, "csv.redCount"), value: String(JSON.stringify(r.redCount)) }));
+  }
+  if (typeof r.locked !== "boolean") errors.push(t("locked"));
+  errors.push(...diceErrors(r, rules, lang).map((e) => t("in", { problem: e })));
+  errors.push(...timingErrors(r, lang).map((e) => t("in", { problem: e })));
+  return errors;
+}
+
+// Returns { game, errors }; game is only set when there are no errors (messages in `lang`)
+export function parseGameFile(text, lang = DEFAULT_LANGUAGE) {
+  const t = (key, vars) => translate(lang, `fileError.${key}`, vars);
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    return { game: null, errors: [t("json", { error: e.message })] };
+  }
+  const errors = [];
+  if (file?.format !== GAME_FILE_FORMAT) errors.push(t("format"));
+  else if (!Number.isInteger(file.version) || file.version > GAME_FILE_VERSION) {
+    errors.push(t("version", { version: String(file.version), max: GAME_FILE_VERSION }));
+  }
+  if (file?.rulesVersion > RULES_VERSION) errors.push(t("rulesVersion", { version: file.rulesVersion }));
+  if (errors.length) return { game: null, errors };
+
+  const { roundCount, rules, currentIdx = 0, auditLog = [] } = file.game || {};
+  // v1 files: one player-wide red count instead of per-round counts
+  const players = file.version < 2 && Array.isArray(file.game?.players)
+    ? file.game.players.map((p) => (p && typeof p === "object" ? spreadDefaultRedCount(p) : p))
+    : file.game?.players;
+  errors.push(...validateRules(rules, lang).map((e) => t("rules", { error: e })));
+  if (!Number.isInteger(roundCount) || roundCount < 1) errors.push(t("roundCount", { value: String(roundCount) }));
+  if (!Array.isArray(players) || players.length < 1 || players.length > MAX_PLAYERS) {
+    errors.push(t("players", { max: MAX_PLAYERS }));
+  }
+  if (errors.length) return { game: null, errors };
+
+  players.forEach((p, pi) => {
+    const who = sheetName(p, pi, lang);
+    if (!Array.isArray(p?.rows) || p.rows.length !== roundCount) {
+      errors.push(Array.isArray(p?.rows)
+        ? t("rounds", { who, count: roundCount, found: p.rows.length })
+        : t("noRounds", { who, count: roundCount }));
+      return;
+    }
+    p.rows.forEach((r, ri) => errors.push(...rowErrors(r, rules, roundName(who, ri, lang), lang)));
+  });
+  if (errors.length) return { game: null, errors };
+
+  return {
+    errors,
+    game: {
+      players: players.map((p) => restorePlayer(p, roundCount, rules)),
+      currentIdx: Math.min(Math.max(0, currentIdx | 0), players.length - 1),
+      roundCount,
+      rules,
+      auditLog: cleanLog(auditLog),
+    },
+  };
+}
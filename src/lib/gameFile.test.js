@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { makePlayer } from "./game";
+import { parseGameFile, serializeGame } from "./gameFile";
+
+const file = (players, auditLog = []) => serializeGame({ players, currentIdx: 0, roundCount: 2, rules: CLASSIC_RULES, auditLog });
+
+describe("parseGameFile", () => {
+  it("reads back what serializeGame wrote", () => {
+    const ann = makePlayer("Ann", CLASSIC_RULES, 2, 1000);
+    const { game, errors } = parseGameFile(file([ann]));
+    expect(errors).toEqual([]);
+    expect(game.players[0]).toMatchObject({ name: "Ann", rows: ann.rows });
+  });
+
+  it("reports rounds that aren't objects instead of throwing", () => {
+    const ann = { ...makePlayer("Ann", CLASSIC_RULES, 2), rows: [null, 7] };
+    const { game, errors } = parseGameFile(file([ann]));
+    expect(game).toBeNull();
+    expect(errors).toEqual(["Player 1 (Ann), round 1: not a round", "Player 1 (Ann), round 2: not a round"]);
+  });
+
+  it("leaves out log entries that can't be shown", () => {
+    const field = { kind: "field", round: 0, field: "y", from: 0, to: 4, at: 1000, player: "Ann" };
+    const log = [field, { kind: "undo", at: "x" }, { kind: "undo", at: 2000 }, { kind: "nope", at: 3000 }, null, { ...field, player: {} }, { kind: "redo", of: field, at: 4000 }];
+    const { game, errors } = parseGameFile(file([makePlayer("Ann", CLASSIC_RULES, 2)], log));
+    expect(errors).toEqual([]);
+    expect(game.auditLog).toEqual([field, { kind: "redo", of: field, at: 4000 }]);
+  });
+});
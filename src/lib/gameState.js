@@ -0,0 +1,371 @@
+import { computeRowTotal, playerFlags } from "./scoring";
+import { DEFAULT_RULES } from "./rules";
+import { DEFAULT_ROUNDS, MAX_PLAYERS, lockRound as lockRows, makeId, makePlayer, resetPlayers } from "./game";
+import { cellFaces, formatFaces, withFaces, withoutFaces } from "./dice";
+import { scanToRow } from "./diceScan";
+import { appendLog, pushCommand, restoreCells, sheetSnapshot } from "./undo";
+import { makeHistoryEntry, removeHistoryEntry, upsertHistoryEntry } from "./history";
+import { serializeGame, parseGameFile } from "./gameFile";
+import { nextActiveRound } from "./sync";
+
+/**
+ * Game state without React – the table in App.jsx is one consumer, scripts and
+ * bots are others (createGame below)
+ * - State: { players, currentIdx, rules, roundCount, auditLog, undoStack, redoStack, lastChange }
+ * - gameReducer(state, action) → next state (the same object when nothing changed).
+ *   Actions are plain objects; build them with `actions.*`, which stamp the time
+ *   and log id so the reducer stays pure
+ * - Sheet edits (SET_FIELD, SET_DICE, APPLY_SCAN, SET_RED_COUNT, LOCK_ROUND) are
+ *   undoable commands and go to the audit log, like they always did (lib/undo.js);
+ *   they act on the selected player unless the action names a playerId
+ * - lastChange: the sheet the last command / undo / redo touched, so the caller can
+ *   keep the finished-game archive in step (archiveChange)
+ * - Selectors read totals and standings; saved games and JSON files go through
+ *   lib/storage.js / lib/gameFile.js as before
+ * - No confirms, no translations: the caller asks first and passes names in
+ */
+
+export const ACTIONS = {
+  SET_FIELD: "SET_FIELD", // { round, key, value, kind: "field" | "sign" }
+  SET_DICE: "SET_DICE", // { round, key, faces }
+  APPLY_SCAN: "APPLY_SCAN", // { round, dice } (lib/diceScan.js)
+  SET_RED_COUNT: "SET_RED_COUNT", // { round, count }
+  LOCK_ROUND: "LOCK_ROUND", // { warnings } – locks the active round
+  UNDO: "UNDO",
+  REDO: "REDO",
+  RENAME_PLAYER: "RENAME_PLAYER", // { name }
+  SET_FLAG: "SET_FLAG", // { key, value }
+  SELECT_PLAYER: "SELECT_PLAYER", // { index }
+  ADD_PLAYER: "ADD_PLAYER", // { name }
+  REMOVE_PLAYER: "REMOVE_PLAYER", // { index }
+  SET_RULES: "SET_RULES", // { rules }
+  RESET: "RESET", // { rounds } – new game, same roster
+  LOAD_GAME: "LOAD_GAME", // { game } – import / shared link / saved game
+  MERGE_ROWS: "MERGE_ROWS", // { playerId, rows } – from another device (lib/sync.js)
+};
+
+// Every action gets `at` (epoch ms) and an `id` for its log entry; `playerId` is optional
+const stamp = (type, fields = {}) => ({ type, ...fields, at: Date.now(), id: makeId() });
+
+export const actions = {
+  setField: (round, key, value, kind = "field", playerId) => stamp(ACTIONS.SET_FIELD, { round, key, value, kind, playerId }),
+  setDice: (round, key, faces, playerId) => stamp(ACTIONS.SET_DICE, { round, key, faces, playerId }),
+  applyScan: (round, dice, playerId) => stamp(ACTIONS.APPLY_SCAN, { round, dice, playerId }),
+  setRedCount: (round, count, playerId) => stamp(ACTIONS.SET_RED_COUNT, { round, count, playerId }),
+  lockRound: (warnings = 0, playerId) => stamp(ACTIONS.LOCK_ROUND, { warnings, playerId }),
+  undo: () => stamp(ACTIONS.UNDO),
+  redo: () => stamp(ACTIONS.REDO),
+  renamePlayer: (name, playerId) => stamp(ACTIONS.RENAME_PLAYER, { name, playerId }),
+  setFlag: (key, value, playerId) => stamp(ACTIONS.SET_FLAG, { key, value, playerId }),
+  selectPlayer: (index) => stamp(ACTIONS.SELECT_PLAYER, { index }),
+  addPlayer: (name) => stamp(ACTIONS.ADD_PLAYER, { name }),
+  removePlayer: (index) => stamp(ACTIONS.REMOVE_PLAYER, { index }),
+  setRules: (rules) => stamp(ACTIONS.SET_RULES, { rules }),
+  reset: (rounds) => stamp(ACTIONS.RESET, { rounds }),
+  loadGame: (game) => stamp(ACTIONS.LOAD_GAME, { game }),
+  mergeRows: (playerId, rows) => stamp(ACTIONS.MERGE_ROWS, { playerId, rows }),
+};
+
+// Saved game / file contents ({ players, currentIdx, rules, roundCount, auditLog }) → state
+export function initGameState(game) {
+  return {
+    players: game?.players || [makePlayer()],
+    currentIdx: game?.currentIdx ?? 0,
+    rules: game?.rules || DEFAULT_RULES,
+    roundCount: game?.roundCount || DEFAULT_ROUNDS,
+    auditLog: game?.auditLog || [],
+    undoStack: [],
+    redoStack: [],
+    lastChange: null,
+  };
+}
+
+// A fresh game for these names
+export function newGameState({ names = ["Player"], rules = DEFAULT_RULES, rounds = DEFAULT_ROUNDS } = {}) {
+  return initGameState({ players: names.slice(0, MAX_PLAYERS).map((name) => makePlayer(name, rules, rounds)), rules, roundCount: rounds });
+}
+
+// ---- reducer
+
+const isDone = (rows) => rows.every((r) => r.locked);
+
+const targetPlayer = (state, action) =>
+  action.playerId ? state.players.find((p) => p.id === action.playerId) : state.players[state.currentIdx] || state.players[0];
+
+const patchPlayer = (state, id, patch) => state.players.map((p) => (p.id === id ? { ...p, ...patch } : p));
+
+const sheetChange = (player, before, after, rules) => ({
+  player: { ...player, ...after }, wasDone: isDone(before.rows), isDone: isDone(after.rows), rules,
+});
+
+// An undoable edit of one sheet: applied, pushed for undo, logged
+function command(state, player, change, patch, at, id) {
+  const before = sheetSnapshot(player);
+  const after = { ...before, ...patch };
+  const idx = state.players.indexOf(player);
+  const entry = { ...change, id, at, playerId: player.id, player: player.name || `Player ${idx + 1}` };
+  return {
+    ...state,
+    players: patchPlayer(state, player.id, patch),
+    undoStack: pushCommand(state.undoStack, { playerId: player.id, before, after, change: entry }),
+    redoStack: [],
+    auditLog: appendLog(state.auditLog, entry),
+    lastChange: sheetChange(player, before, after, state.rules),
+  };
+}
+
+const withRow = (rows, roundIdx, row) => rows.map((r, i) => (i === roundIdx ? row : r));
+const columnLabel = (rules, key) => rules.columns.find((c) => c.key === key)?.label;
+
+// Put one side of a command back onto its player, cell by cell (skipped if that
+// player was removed); play continues at the first open round if it moved
+function travel(state, cmd, direction, at, id) {
+  const target = state.players.find((p) => p.id === cmd.playerId);
+  if (!target) return state;
+  const [from, to] = direction === "undo" ? [cmd.after, cmd.before] : [cmd.before, cmd.after];
+  const rows = restoreCells(target.rows, from.rows, to.rows);
+  const patch = { rows, activeRound: from.activeRound === to.activeRound ? target.activeRound : nextActiveRound(rows) };
+  return {
+    ...state,
+    players: patchPlayer(state, target.id, patch),
+    auditLog: appendLog(state.auditLog, { kind: direction, of: cmd.change, id, at, playerId: target.id, player: target.name || "Player" }),
+    lastChange: sheetChange(target, sheetSnapshot(target), patch, state.rules),
+  };
+}
+
+export function gameReducer(state, action) {
+  const { at = Date.now(), id = makeId() } = action;
+  switch (action.type) {
+    case ACTIONS.SET_FIELD: {
+      const p = targetPlayer(state, action);
+      const row = p?.rows[action.round];
+      if (!row || row.locked) return state;
+      const { key, value, kind = "field" } = action;
+      // A typed value replaces the dice breakdown; a sign flip flips every die with it
+      const next = kind === "sign" && cellFaces(row, key).length
+        ? withFaces(row, key, cellFaces(row, key).map((f) => -f))
+        : { ...withoutFaces(row, key), [key]: value };
+      const change = { kind, round: action.round, field: key, label: columnLabel(state.rules, key), from: row[key] ?? 0, to: value };
+      return command(state, p, change, { rows: withRow(p.rows, action.round, next) }, at, id);
+    }
+    // Dice-by-dice entry: the cell becomes the sum of its faces
+    case ACTIONS.SET_DICE: {
+      const p = targetPlayer(state, action);
+      const row = p?.rows[action.round];
+      if (!row || row.locked) return state;
+      const { key, faces } = action;
+      const change = {
+        kind: "dice", round: action.round, field: key, label: columnLabel(state.rules, key), from: formatFaces(cellFaces(row, key)), to: formatFaces(faces),
+      };
+      return command(state, p, change, { rows: withRow(p.rows, action.round, withFaces(row, key, faces)) }, at, id);
+    }
+    // Photo scan: every open colour cell of the round (and the red count) in one step
+    case ACTIONS.APPLY_SCAN: {
+      const p = targetPlayer(state, action);
+      const row = p?.rows[action.round];
+      if (!row || row.locked) return state;
+      const next = scanToRow(row, action.dice, state.rules, action.round);
+      const change = { kind: "scan", round: action.round, to: action.dice.filter((d) => d.face).length };
+      return command(state, p, change, { rows: withRow(p.rows, action.round, next) }, at, id);
+    }
+    // Allowed on locked rounds so a past round can be corrected
+    case ACTIONS.SET_RED_COUNT: {
+      const p = targetPlayer(state, action);
+      const row = p?.rows[action.round];
+      if (!row) return state;
+      const from = row.redCount || 0;
+      if (action.count === from) return state;
+      const change = { kind: "redCount", round: action.round, from, to: action.count };
+      return command(state, p, change, { rows: withRow(p.rows, action.round, { ...row, redCount: action.count }) }, at, id);
+    }
+    // The active round; the next one starts with the same red count
+    case ACTIONS.LOCK_ROUND: {
+      const p = targetPlayer(state, action);
+      if (!p || p.rows[p.activeRound].locked) return state;
+      const locked = lockRows(p.rows, p.activeRound, at);
+      const to = computeRowTotal(locked.rows[p.activeRound], playerFlags(p), state.rules);
+      return command(state, p, { kind: "lock", round: p.activeRound, to, warnings: action.warnings || 0 }, locked, at, id);
+    }
+    case ACTIONS.UNDO: {
+      const cmd = state.undoStack[state.undoStack.length - 1];
+      if (!cmd) return state;
+      const moved = { ...state, undoStack: state.undoStack.slice(0, -1), redoStack: [...state.redoStack, cmd] };
+      return travel(moved, cmd, "undo", at, id);
+    }
+    case ACTIONS.REDO: {
+      const cmd = state.redoStack[state.redoStack.length - 1];
+      if (!cmd) return state;
+      const moved = { ...state, redoStack: state.redoStack.slice(0, -1), undoStack: [...state.undoStack, cmd] };
+      return travel(moved, cmd, "redo", at, id);
+    }
+    case ACTIONS.RENAME_PLAYER: {
+      const p = targetPlayer(state, action);
+      return p ? { ...state, players: patchPlayer(state, p.id, { name: action.name }) } : state;
+    }
+    // Glitter predates rulesets and stays a top-level player field
+    case ACTIONS.SET_FLAG: {
+      const p = targetPlayer(state, action);
+      if (!p) return state;
+      const patch = action.key === "hasGlitterBlue" ? { hasGlitterBlue: action.value } : { flags: { ...p.flags, [action.key]: action.value } };
+      return { ...state, players: patchPlayer(state, p.id, patch) };
+    }
+    case ACTIONS.SELECT_PLAYER:
+      return action.index >= 0 && action.index < state.players.length ? { ...state, currentIdx: action.index } : state;
+    case ACTIONS.ADD_PLAYER:
+      if (state.players.length >= MAX_PLAYERS) return state;
+      return {
+        ...state,
+        players: [...state.players, makePlayer(action.name, state.rules, state.roundCount, at)],
+        currentIdx: state.players.length,
+      };
+    case ACTIONS.REMOVE_PLAYER: {
+      const { index } = action;
+      if (state.players.length <= 1 || !state.players[index]) return state;
+      const cur = state.currentIdx;
+      return {
+        ...state,
+        players: state.players.filter((_, i) => i !== index),
+        currentIdx: cur > index ? cur - 1 : Math.min(cur, state.players.length - 2),
+      };
+    }
+    // Rescores every sheet, locked rounds included
+    case ACTIONS.SET_RULES:
+      return { ...state, rules: action.rules };
+    // Keep the roster (names), clear everyone's sheet, the undo history and the log
+    case ACTIONS.RESET: {
+      const rounds = action.rounds || state.roundCount;
+      return initGameState({ players: resetPlayers(state.players, state.rules, rounds), rules: state.rules, roundCount: rounds });
+    }
+    // Replace the whole game; undo history doesn't carry over
+    case ACTIONS.LOAD_GAME:
+      return initGameState(action.game);
+    // Remote edits to a player we also have (not undoable, not logged)
+    case ACTIONS.MERGE_ROWS:
+      return {
+        ...state,
+        players: state.players.map((p) => (p.id === action.playerId ? { ...p, rows: action.rows, activeRound: nextActiveRound(action.rows) } : p)),
+      };
+    default:
+      return state;
+  }
+}
+
+// Finished-game archive after a change: a completed sheet is (re)recorded, one
+// that got reopened (undo) is taken out again
+export function archiveChange(history, change) {
+  if (!change) return history;
+  if (change.isDone) return upsertHistoryEntry(history, makeHistoryEntry(change.player, change.rules));
+  if (change.wasDone) return removeHistoryEntry(history, change.player.gameId);
+  return history;
+}
+
+// ---- selectors
+
+export const selectCurrentPlayer = (state) => state.players[state.currentIdx] || state.players[0];
+
+// Every round's total so far, open ones included. The table shows a round's
+// total once it's locked; its live "Game Total" row adds up all of them.
+export const selectRowTotals = (state, player = selectCurrentPlayer(state)) =>
+  player.rows.map((r) => computeRowTotal(r, playerFlags(player), state.rules));
+
+// Live total (open rounds count); see runningTotal for locked rounds only
+export const selectGameTotal = (state, player = selectCurrentPlayer(state)) =>
+  selectRowTotals(state, player).reduce((a, b) => a + b, 0);
+
+// Running total only counts locked rounds, same as the leaderboard
+export function runningTotal(player, rules) {
+  const flags = playerFlags(player);
+  return player.rows.reduce((sum, r) => sum + (r.locked ? computeRowTotal(r, flags, rules) : 0), 0);
+}
+
+// → [{ player, total, rank }] best first; ties share a rank
+export function selectStandings(state) {
+  const sorted = state.players.map((player) => ({ player, total: runningTotal(player, state.rules) })).sort((a, b) => b.total - a.total);
+  return sorted.map((s) => ({ ...s, rank: sorted.findIndex((o) => o.total === s.total) + 1 }));
+}
+
+export const selectIsFinished = (state) => state.players.every((p) => isDone(p.rows));
+export const selectCanUndo = (state) => state.undoStack.length > 0;
+export const selectCanRedo = (state) => state.redoStack.length > 0;
+
+// ---- serialization
+
+// What lib/storage.js saves and lib/gameFile.js exports
+export const selectSavedGame = ({ players, currentIdx, rules, roundCount, auditLog }) => ({ players, currentIdx, rules, roundCount, auditLog });
+
+export const serializeState = (state, date) => serializeGame(selectSavedGame(state), date);
+
+// → { state, errors }; state is only set when there are no errors (messages in `lang`)
+export function parseState(text, lang) {
+  const { game, errors } = parseGameFile(text, lang);
+  return { state: game ? initGameState(game) : null, errors };
+}
+
+// ---- headless API
+
+/**
+ * A game to drive from code:
+ *   const game = createGame({ names: ["Ann", "Bo"], rounds: 3 });
+ *   game.playRound({ y: 12 });           // Ann's round 1, then Done
+ *   game.select(1).playRound({ y: 9 });
+ *   game.standings();                    // [{ player, total, rank }, …]
+ * Listeners get (state, action) after every change; history is optional and
+ * receives finished sheets like the app's archive does
+ */
+export function createGame({ names, rules, rounds, game, history = null } = {}) {
+  let state = game ? initGameState(game) : newGameState({ names, rules, rounds });
+  let archive = history;
+  const listeners = new Set();
+
+  const dispatch = (action) => {
+    const next = gameReducer(state, action);
+    if (next === state) return api;
+    state = next;
+    if (archive && next.lastChange) archive = archiveChange(archive, next.lastChange);
+    listeners.forEach((fn) => fn(state, action));
+    return api;
+  };
+  const current = () => selectCurrentPlayer(state);
+
+  const api = {
+    dispatch,
+    getState: () => state,
+    getHistory: () => archive,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    player: current,
+    select: (index) => dispatch(actions.selectPlayer(index)),
+    addPlayer: (name = `Player ${state.players.length + 1}`) => dispatch(actions.addPlayer(name)),
+    removePlayer: (index) => dispatch(actions.removePlayer(index)),
+    rename: (name) => dispatch(actions.renamePlayer(name)),
+    setFlag: (key, value = true) => dispatch(actions.setFlag(key, value)),
+    setRules: (next) => dispatch(actions.setRules(next)),
+
+    setField: (key, value, round = current().activeRound) => dispatch(actions.setField(round, key, value)),
+    setDice: (key, faces, round = current().activeRound) => dispatch(actions.setDice(round, key, faces)),
+    setRedCount: (count, round = current().activeRound) => dispatch(actions.setRedCount(round, count)),
+    lock: () => dispatch(actions.lockRound()),
+    // Fill the active round ({ key: value }, redCount too) and lock it
+    playRound(values = {}) {
+      const round = current().activeRound;
+      for (const [key, value] of Object.entries(values)) {
+        dispatch(key === "redCount" ? actions.setRedCount(round, value) : actions.setField(round, key, value));
+      }
+      return dispatch(actions.lockRound());
+    },
+    undo: () => dispatch(actions.undo()),
+    redo: () => dispatch(actions.redo()),
+    reset: (count) => dispatch(actions.reset(count)),
+    load: (saved) => dispatch(actions.loadGame(saved)),
+
+    rowTotals: (player = current()) => selectRowTotals(state, player),
+    total: (player = current()) => selectGameTotal(state, player),
+    standings: () => selectStandings(state),
+    isFinished: () => selectIsFinished(state),
+    toJSON: () => serializeState(state),
+  };
+  return api;
+}
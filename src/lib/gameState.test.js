@@ -0,0 +1,138 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { ACTIONS, actions, createGame, gameReducer, newGameState, parseState, selectRowTotals, selectStandings, serializeState } from "./gameState";
+
+const game = (names = ["Ann", "Bo"], rounds = 3) => createGame({ names, rules: CLASSIC_RULES, rounds });
+
+describe("gameReducer", () => {
+  it("returns the same state for edits that change nothing", () => {
+    const state = newGameState({ rules: CLASSIC_RULES, rounds: 2 });
+    expect(gameReducer(state, actions.setRedCount(0, 0))).toBe(state);
+    expect(gameReducer(state, actions.undo())).toBe(state);
+    expect(gameReducer(state, { type: "NOPE" })).toBe(state);
+
+    const locked = gameReducer(gameReducer(state, actions.lockRound()), actions.lockRound());
+    expect(gameReducer(locked, actions.setField(0, "y", 5))).toBe(locked);
+  });
+
+  it("logs and stacks every sheet edit as a command", () => {
+    let state = newGameState({ names: ["Ann"], rules: CLASSIC_RULES, rounds: 2 });
+    state = gameReducer(state, { type: ACTIONS.SET_FIELD, round: 0, key: "y", value: 6, at: 1000, id: "a" });
+    state = gameReducer(state, { type: ACTIONS.LOCK_ROUND, at: 5000, id: "b" });
+    expect(state.undoStack).toHaveLength(2);
+    expect(state.auditLog.map((e) => [e.kind, e.to, e.player])).toEqual([["field", 6, "Ann"], ["lock", 6, "Ann"]]);
+    expect(state.players[0].rows[0]).toMatchObject({ y: 6, locked: true, lockedAt: 5000 });
+    expect(state.players[0].rows[1].startedAt).toBe(5000);
+    expect(state.players[0].activeRound).toBe(1);
+  });
+
+  it("edits another player's sheet when the action names it", () => {
+    const state = newGameState({ names: ["Ann", "Bo"], rules: CLASSIC_RULES, rounds: 2 });
+    const bo = state.players[1];
+    const next = gameReducer(state, actions.setField(0, "y", 4, "field", bo.id));
+    expect(next.players[0].rows[0].y).toBe(0);
+    expect(next.players[1].rows[0].y).toBe(4);
+    expect(next.currentIdx).toBe(0);
+  });
+
+  it("undoes only the cells a command changed, keeping other devices' edits", () => {
+    let state = newGameState({ names: ["Ann"], rules: CLASSIC_RULES, rounds: 3 });
+    state = gameReducer(state, actions.setField(0, "y", 6));
+    state = gameReducer(state, actions.lockRound());
+    const id = state.players[0].id;
+    const rows = state.players[0].rows;
+    state = gameReducer(state, actions.mergeRows(id, [{ ...rows[0], blue: 2 }, { ...rows[1], green: 4 }, rows[2]]));
+
+    state = gameReducer(state, actions.undo()); // the lock
+    expect(state.players[0].rows[0]).toMatchObject({ y: 6, blue: 2, locked: false });
+    expect(state.players[0].rows[1].green).toBe(4);
+    expect(state.players[0].activeRound).toBe(0);
+
+    state = gameReducer(state, actions.undo()); // y = 6
+    expect(state.players[0].rows[0]).toMatchObject({ y: 0, blue: 2 });
+    state = gameReducer(state, actions.redo());
+    expect(state.players[0].rows[0]).toMatchObject({ y: 6, blue: 2 });
+  });
+
+  it("leaves a cell alone on undo when another device changed it since", () => {
+    let state = newGameState({ names: ["Ann"], rules: CLASSIC_RULES, rounds: 2 });
+    state = gameReducer(state, actions.setField(0, "y", 6));
+    const { id, rows } = state.players[0];
+    state = gameReducer(state, actions.mergeRows(id, [{ ...rows[0], y: 9 }, rows[1]]));
+    state = gameReducer(state, actions.undo());
+    expect(state.players[0].rows[0].y).toBe(9);
+  });
+});
+
+describe("createGame", () => {
+  it("plays a whole table game and reads the results", () => {
+    const g = game();
+    g.playRound({ y: 6 }).playRound({ y: 2, blue: 4, redSum: 5, redCount: 2 }).playRound({ green: 3 });
+    g.select(1).playRound({ y: 9 }).playRound({ purp: 2 }).playRound({});
+
+    expect(g.isFinished()).toBe(true);
+    expect(g.rowTotals(g.getState().players[0])).toEqual([6, 2 + 4 + 5 * 2, 3]);
+    expect(g.total(g.getState().players[0])).toBe(25);
+    expect(g.standings().map((s) => [s.player.name, s.total, s.rank])).toEqual([["Ann", 25, 1], ["Bo", 13, 2]]);
+  });
+
+  it("undoes and redoes like the table", () => {
+    const g = game(["Ann"], 2);
+    g.setField("y", 7).lock();
+    expect(g.player().activeRound).toBe(1);
+    g.undo();
+    expect(g.player().rows[0].locked).toBe(false);
+    expect(g.getState().redoStack).toHaveLength(1);
+    g.redo();
+    expect(g.player().rows[0]).toMatchObject({ y: 7, locked: true });
+    expect(g.getState().auditLog.map((e) => e.kind)).toEqual(["field", "lock", "undo", "redo"]);
+  });
+
+  it("tells listeners about changes only", () => {
+    const g = game(["Ann"], 2);
+    const seen = [];
+    const off = g.subscribe((state, action) => seen.push(action.type));
+    g.setRedCount(0).setField("y", 3);
+    off();
+    g.lock();
+    expect(seen).toEqual([ACTIONS.SET_FIELD]);
+  });
+
+  it("archives finished sheets and takes them out again on undo", () => {
+    const g = createGame({ names: ["Ann"], rules: CLASSIC_RULES, rounds: 1, history: [] });
+    g.playRound({ y: 5 });
+    expect(g.getHistory()).toHaveLength(1);
+    expect(g.getHistory()[0]).toMatchObject({ player: "Ann", total: 5 });
+    g.undo();
+    expect(g.getHistory()).toEqual([]);
+  });
+
+  it("keeps the roster on reset and clears undo and log", () => {
+    const g = game();
+    g.playRound({ y: 4 }).reset(5);
+    const state = g.getState();
+    expect(state.roundCount).toBe(5);
+    expect(state.players.map((p) => [p.name, p.rows.length])).toEqual([["Ann", 5], ["Bo", 5]]);
+    expect(state.undoStack).toEqual([]);
+    expect(state.auditLog).toEqual([]);
+  });
+});
+
+describe("serialization", () => {
+  it("round-trips through a game file", () => {
+    const g = game();
+    g.playRound({ y: 6 }).select(1).setField("y", 3);
+    const { state, errors } = parseState(g.toJSON());
+    expect(errors).toEqual([]);
+    expect(state.players).toEqual(g.getState().players);
+    expect(state.currentIdx).toBe(1);
+    expect(state.undoStack).toEqual([]);
+    expect(selectRowTotals(state, state.players[0])).toEqual([6, 0, 0]);
+    expect(selectStandings(state)[0].player.name).toBe("Ann");
+    expect(JSON.parse(serializeState(state)).game.auditLog).toHaveLength(3);
+  });
+
+  it("reports files it can't read", () => {
+    expect(parseState("{").state).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+import { computeRowTotal, computeRowBreakdown, playerFlags } from "./scoring";
+import { DEFAULT_RULES } from "./rules";
+
+/**
+ * Finished-game archive
+ * - One entry per player sheet, keyed by the sheet's gameId (re-locking a round
+ *   updates the entry instead of duplicating it)
+ * - Stored separately from the live game so Reset never touches it
+ */
+
+const HISTORY_KEY = "pandaRoyale_history_v1";
+
+export function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveHistory(entries) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(entries));
+  } catch {
+    // storage full or unavailable – history just won't survive a reload
+  }
+}
+
+export function makeHistoryEntry(player, rules = DEFAULT_RULES, date = new Date()) {
+  const flags = playerFlags(player);
+  const rowTotals = player.rows.map((r) => computeRowTotal(r, flags, rules));
+  // Per-column points for the whole game, so stats don't need the ruleset later
+  const breakdown = {};
+  for (const r of player.rows) {
+    for (const [key, pts] of Object.entries(computeRowBreakdown(r, flags, rules))) {
+      breakdown[key] = (breakdown[key] || 0) + pts;
+    }
+  }
+  return {
+    id: player.gameId,
+    date: date.toISOString(),
+    player: player.name || "Player",
+    hasGlitterBlue: !!player.hasGlitterBlue,
+    flags,
+    rulesId: rules.id,
+    columns: rules.columns.map(({ key, label, color }) => ({ key, label, color })),
+    breakdown,
+    rowTotals,
+    redCounts: player.rows.map((r) => r.redCount || 0),
+    // raw values (no lock flag) so stats can split the total per colour
+    rows: player.rows.map((r) => {
+      const copy = { ...r };
+      delete copy.locked;
+      return copy;
+    }),
+    total: rowTotals.reduce((a, b) => a + b, 0),
+  };
+}
+
+// Newest first; replaces an existing entry for the same game
+export function upsertHistoryEntry(entries, entry) {
+  return [entry, ...entries.filter((e) => e.id !== entry.id)];
+}
+
+export function removeHistoryEntry(entries, id) {
+  return entries.filter((e) => e.id !== id);
+}
@@ -0,0 +1,100 @@
+import { cloneElement, createContext, isValidElement, useContext } from "react";
+import en from "./locales/en";
+import es from "./locales/es";
+import de from "./locales/de";
+
+/**
+ * Translations for the score sheet
+ * - Message catalogs in lib/locales/*.js: flat keys → text with {name}
+ *   placeholders, or { one, other } for messages that depend on {count}
+ * - A key missing from a catalog falls back to English, then to the key itself
+ * - Numbers filled into a message are formatted for the language (1.234 in German)
+ * - Built-in rulesets are translated by localizeRules(): a column, flag or
+ *   upgrade label is only replaced while it still reads like the English
+ *   built-in, so names typed into a custom ruleset stay as they are
+ */
+
+export const LANGUAGES = [
+  { code: "en", name: "English" },
+  { code: "es", name: "Español" },
+  { code: "de", name: "Deutsch" },
+];
+export const DEFAULT_LANGUAGE = "en";
+const CATALOGS = { en, es, de };
+
+export const isLanguage = (code) => LANGUAGES.some((l) => l.code === code);
+
+// First supported language among the browser's preferences ("de-AT" → "de")
+export function detectLanguage(preferred = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language]) {
+  for (const tag of preferred) {
+    const code = String(tag || "").toLowerCase().split("-")[0];
+    if (isLanguage(code)) return code;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+const numberFormats = {};
+export function formatNumber(lang, value, options) {
+  if (options) return new Intl.NumberFormat(lang, options).format(value);
+  numberFormats[lang] ??= new Intl.NumberFormat(lang);
+  return numberFormats[lang].format(value);
+}
+
+function lookup(lang, key, count) {
+  let msg = CATALOGS[lang]?.[key] ?? en[key] ?? key;
+  if (typeof msg === "object") msg = msg[new Intl.PluralRules(lang).select(count ?? 0)] ?? msg.other;
+  return msg;
+}
+
+/**
+ * translate("de", "cell.label", { column: "Gelb", round: 3 }) → "Gelb, Runde 3"
+ * Values may be React elements (e.g. <strong>); the result is then an array of parts
+ */
+export function translate(lang, key, vars = {}) {
+  const parts = lookup(lang, key, vars.count).split(/\{(\w+)\}/);
+  const filled = parts.map((part, i) => {
+    if (i % 2 === 0) return part;
+    if (!(part in vars)) return `{${part}}`;
+    const v = vars[part];
+    return typeof v === "number" ? formatNumber(lang, v) : v;
+  });
+  if (!filled.some(isValidElement)) return filled.join("");
+  return filled.filter((p) => p !== "").map((p, i) => (isValidElement(p) ? cloneElement(p, { key: i }) : p));
+}
+
+// Replace a built-in English label with the translation; anything else is kept
+export function localizeLabel(lang, key, value) {
+  return value != null && en[key] === value ? translate(lang, key) : value;
+}
+
+// Same ruleset with the built-in labels in `lang` (for display and CSV headers only –
+// the game keeps the original)
+export function localizeRules(rules, lang) {
+  if (lang === DEFAULT_LANGUAGE) return rules;
+  return {
+    ...rules,
+    name: localizeLabel(lang, `rules.${rules.id}`, rules.name),
+    flags: (rules.flags || []).map((f) => ({ ...f, label: localizeLabel(lang, `flag.${f.key}`, f.label) })),
+    columns: rules.columns.map((c) => ({
+      ...c,
+      label: localizeLabel(lang, `column.${c.key}`, c.label),
+      short: localizeLabel(lang, `column.${c.key}.short`, c.short),
+      csv: localizeLabel(lang, `column.${c.key}.csv`, c.csv),
+      ...(c.upgrades && { upgrades: c.upgrades.map((u) => ({ ...u, label: localizeLabel(lang, `upgrade.${u.flag}`, u.label) })) }),
+    })),
+  };
+}
+
+export function createI18n(lang = DEFAULT_LANGUAGE) {
+  const code = isLanguage(lang) ? lang : DEFAULT_LANGUAGE;
+  return {
+    lang: code,
+    t: (key, vars) => translate(code, key, vars),
+    n: (value, options) => formatNumber(code, value, options),
+  };
+}
+
+// App provides the chosen language; without a provider everything is English
+export const I18nContext = createContext(createI18n());
+
+export const useI18n = () => useContext(I18nContext);
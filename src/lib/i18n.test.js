@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES, validateRules } from "./rules";
+import { describeChange } from "./undo";
+import { printSheet } from "./printSheet";
+import { makeBlankRows, makePlayer } from "./game";
+import en from "./locales/en";
+import es from "./locales/es";
+import de from "./locales/de";
+import { createI18n, detectLanguage, formatNumber, localizeRules, translate } from "./i18n";
+import { validateRow } from "./validation";
+import { parseGameFile } from "./gameFile";
+import { parseCsvString } from "./csv";
+import { decodeShare } from "./share";
+import { repairGame } from "./storage";
+import { parseSeasonFile } from "./league";
+
+describe("translate", () => {
+  it("fills in placeholders", () => {
+    expect(translate("en", "cell.label", { column: "Yellow", round: 3 })).toBe("Yellow, round 3");
+    expect(translate("de", "cell.label", { column: "Gelb", round: 3 })).toBe("Gelb, Runde 3");
+  });
+
+  it("picks the plural form from count", () => {
+    expect(translate("en", "dice.count", { count: 1 })).toBe("1 die");
+    expect(translate("en", "dice.count", { count: 4 })).toBe("4 dice");
+    expect(translate("es", "import.rounds", { count: 1 })).toBe("1 ronda");
+    expect(translate("es", "import.rounds", { count: 10 })).toBe("10 rondas");
+  });
+
+  it("falls back to English, then to the key", () => {
+    expect(translate("fr", "nav.share")).toBe("Share");
+    expect(translate("de", "no.such.key")).toBe("no.such.key");
+    expect(translate("de", "cell.label", { column: "Gelb" })).toBe("Gelb, Runde {round}");
+  });
+
+  it("has every English message in every catalog", () => {
+    expect(Object.keys(es).filter((k) => !(k in en))).toEqual([]);
+    expect(Object.keys(en).filter((k) => !(k in es))).toEqual([]);
+    expect(Object.keys(en).filter((k) => !(k in de))).toEqual([]);
+  });
+
+  it("formats numbers for the language", () => {
+    expect(formatNumber("en", 1234)).toBe("1,234");
+    expect(formatNumber("de", 1234)).toBe("1.234");
+    expect(translate("de", "table.redDice", { count: 1500 })).toBe("Rote Würfel: 1.500");
+    expect(createI18n("es").n(2.5)).toBe("2,5");
+  });
+});
+
+describe("detectLanguage", () => {
+  it("takes the first supported browser language", () => {
+    expect(detectLanguage(["fr-FR", "de-AT", "en"])).toBe("de");
+    expect(detectLanguage(["es-MX"])).toBe("es");
+    expect(detectLanguage(["ja"])).toBe("en");
+  });
+});
+
+describe("localizeRules", () => {
+  it("translates built-in labels and keeps custom ones", () => {
+    const custom = { ...CLASSIC_RULES, columns: CLASSIC_RULES.columns.map((c) => (c.key === "pink" ? { ...c, label: "Rosé" } : c)) };
+    const de = localizeRules(custom, "de");
+    expect(de.columns.map((c) => c.label)).toEqual(["Gelb", "Lila", "Blau", "Rot", "Grün", "Klar", "Rosé"]);
+    expect(de.flags[0].label).toBe("Hat Glitzer-Blau");
+    expect(de.name).toBe("Panda Royale (klassisch)");
+    expect(custom.columns[0].label).toBe("Yellow"); // not mutated
+  });
+
+  it("leaves English rules untouched", () => {
+    expect(localizeRules(CLASSIC_RULES, "en")).toBe(CLASSIC_RULES);
+  });
+});
+
+describe("validateRow messages", () => {
+  it("come in the chosen language", () => {
+    const row = { ...makeBlankRows(1, CLASSIC_RULES)[0], y: 50 };
+    expect(validateRow(row, 0, CLASSIC_RULES, "es")[0].message).toBe("Amarillo 50 es más de 36 (lo máximo que pueden mostrar sus dados)");
+  });
+});
+
+describe("messages outside the sheet", () => {
+  it("describe log entries in the chosen language", () => {
+    const field = { kind: "field", round: 1, field: "y", label: "Yellow", from: 0, to: 12 };
+    expect(describeChange(field)).toBe("Round 2 Yellow: 0 → 12");
+    expect(describeChange({ kind: "undo", of: field }, "de")).toBe("Rückgängig – Runde 2 Gelb: 0 → 12");
+    expect(describeChange({ kind: "lock", round: 0, to: 9, warnings: 2 }, "es")).toBe("Ronda 1 cerrada (9 pts) pese a 2 avisos");
+    expect(describeChange({ kind: "field", round: 0, field: "x", label: "Rosé", from: 1, to: 2 }, "de")).toBe("Runde 1 Rosé: 1 → 2");
+  });
+
+  it("print the sheet and rule problems in the chosen language", () => {
+    const sheet = printSheet(makePlayer("", CLASSIC_RULES, 2), CLASSIC_RULES, new Date(), "de");
+    expect(sheet.name).toBe("Spieler");
+    expect(sheet.columns[0].label).toBe("Gelb");
+    expect(translate("de", "print.locked", { locked: 0, count: sheet.rows.length })).toBe("0 von 2 Runden abgeschlossen");
+    expect(validateRules({ ...CLASSIC_RULES, name: "" }, "es")).toEqual(["Las reglas necesitan un nombre"]);
+  });
+
+  it("report import, recovery and shared-link problems in the chosen language", async () => {
+    const game = { players: [{ name: "Ann", rows: [{ ...makeBlankRows(1, CLASSIC_RULES)[0], y: "x" }] }], rules: CLASSIC_RULES, roundCount: 1 };
+    expect(parseGameFile(JSON.stringify({ format: "panda-royale-game", version: 1, game }), "de").errors)
+      .toEqual(["Spieler 1 (Ann), Runde 1, Gelb: \"x\" ist keine Zahl"]);
+    expect(parseGameFile("{", "es").errors[0]).toMatch(/^JSON no válido: /);
+    expect(parseCsvString("Runde,Gelb\n1,4", CLASSIC_RULES, "de").errors).toContain("Zeile 1, Lila: Spalte fehlt in der Kopfzeile");
+    expect(parseCsvString("", CLASSIC_RULES, "es").errors).toEqual(["No se encontró ninguna tabla de puntos (se esperaba un encabezado que empiece por \"Ronda\")"]);
+    expect(await decodeShare("nope", "es")).toEqual({ game: null, errors: ["El enlace compartido está incompleto o dañado"] });
+    expect(repairGame({ ...game, roundCount: 0 }, "de").repairs[0]).toBe("Rundenzahl \"0\" war ungültig – es werden 10 verwendet");
+    expect(parseSeasonFile(JSON.stringify({ format: "panda-royale-game" }), "es").errors).toEqual(["No es un archivo de temporada de Panda Royale"]);
+  });
+});
@@ -0,0 +1,27 @@
+// ---- typed cell input → number (the sheet's text inputs; kept here so it can be tested)
+
+export const MAX_INPUT_DIGITS = 3;
+
+/**
+ * Sanitize what was typed into a score cell:
+ * - non-digits are dropped, at most MAX_INPUT_DIGITS digits are kept
+ * - a leading "-" survives only when negatives are allowed; a lone "-" gives -0,
+ *   so the minus stays in the field while the number is being typed
+ * - empty input is 0
+ */
+export function parseCellInput(value, allowNegative = false) {
+  let raw = (value || "").toString();
+  let sign = "";
+  if (allowNegative && raw.startsWith("-")) { sign = "-"; raw = raw.slice(1); }
+  const digits = raw.replace(/\D+/g, "").slice(0, MAX_INPUT_DIGITS);
+  if (digits === "" && sign) return -0;
+  const n = parseInt(sign + (digits || "0"), 10);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// The red dice count field: digits only, 0–99
+export function parseRedCountInput(value) {
+  const digits = (value || "").toString().replace(/\D+/g, "").slice(0, 2);
+  const n = parseInt(digits || "0", 10);
+  return Number.isFinite(n) ? n : 0;
+}
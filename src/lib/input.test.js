@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { parseCellInput, parseRedCountInput } from "./input";
+
+describe("parseCellInput", () => {
+  it("keeps plain numbers", () => {
+    expect(parseCellInput("12")).toBe(12);
+    expect(parseCellInput("0")).toBe(0);
+  });
+
+  it("treats empty input as 0", () => {
+    expect(parseCellInput("")).toBe(0);
+    expect(parseCellInput(undefined)).toBe(0);
+  });
+
+  it("drops non-digits and caps at three digits", () => {
+    expect(parseCellInput("1a2")).toBe(12);
+    expect(parseCellInput("12345")).toBe(123);
+    expect(parseCellInput("abc")).toBe(0);
+  });
+
+  it("ignores a minus where negatives aren't allowed", () => {
+    expect(parseCellInput("-5")).toBe(5);
+    expect(parseCellInput("-")).toBe(0);
+    expect(Object.is(parseCellInput("-"), -0)).toBe(false);
+  });
+
+  it("keeps a leading minus where negatives are allowed", () => {
+    expect(parseCellInput("-5", true)).toBe(-5);
+    expect(parseCellInput("-1234", true)).toBe(-123);
+    expect(parseCellInput("5-", true)).toBe(5);
+  });
+
+  it("turns a lone minus into -0 so it stays in the field", () => {
+    expect(Object.is(parseCellInput("-", true), -0)).toBe(true);
+    expect(Object.is(parseCellInput("-x", true), -0)).toBe(true);
+    expect(Object.is(parseCellInput("-0", true), -0)).toBe(true);
+  });
+});
+
+describe("parseRedCountInput", () => {
+  it("keeps 0–99", () => {
+    expect(parseRedCountInput("3")).toBe(3);
+    expect(parseRedCountInput("123")).toBe(12);
+    expect(parseRedCountInput("")).toBe(0);
+    expect(parseRedCountInput("-4")).toBe(4);
+  });
+});
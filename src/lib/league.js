@@ -0,0 +1,231 @@
+import { computeRowTotal, playerFlags } from "./scoring";
+import { makeId } from "./game";
+import { DEFAULT_LANGUAGE, translate } from "./i18n";
+
+/**
+ * League / season mode: a running season across many games and nights
+ * - A season has registered players, a points-per-placement table and the
+ *   recorded games (each player's final total; placements are derived, so
+ *   editing the points table re-scores the whole season)
+ * - Games are recorded from a finished sheet; sheet players are matched to the
+ *   season by name (new names are registered on the way)
+ * - Recording the same sheet again (same gameIds) replaces the earlier record
+ * - Stored apart from the live game like the history; a season travels as a
+ *   JSON file (serializeSeason / parseSeasonFile)
+ */
+
+const LEAGUE_KEY = "pandaRoyale_league_v1";
+export const SEASON_FILE_FORMAT = "panda-royale-season";
+export const SEASON_FILE_VERSION = 1;
+export const DEFAULT_POINTS = [10, 7, 5, 3, 2, 1];
+
+const emptyLeague = () => ({ seasons: [], activeId: null });
+
+export function loadLeague() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LEAGUE_KEY) || "null");
+    if (saved && Array.isArray(saved.seasons)) return { ...emptyLeague(), ...saved };
+  } catch {
+    // unreadable – start without seasons
+  }
+  return emptyLeague();
+}
+
+export function saveLeague(league) {
+  try {
+    localStorage.setItem(LEAGUE_KEY, JSON.stringify(league));
+  } catch {
+    // storage full or unavailable – the league only lasts for this session
+  }
+}
+
+export const makeSeason = (name, date = new Date()) => ({
+  id: makeId(), name: name.trim() || "Season", createdAt: date.toISOString(), pointsTable: [...DEFAULT_POINTS], players: [], games: [],
+});
+
+// ---- players
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+export const findSeasonPlayer = (season, name) => season.players.find((p) => sameName(p.name, name));
+
+export function registerPlayer(season, name) {
+  if (!name.trim() || findSeasonPlayer(season, name)) return season;
+  return { ...season, players: [...season.players, { id: makeId(), name: name.trim() }] };
+}
+
+// Only players without recorded games can go (their results would dangle)
+export const hasGames = (season, playerId) => season.games.some((g) => g.results.some((r) => r.playerId === playerId));
+
+export function unregisterPlayer(season, playerId) {
+  if (hasGames(season, playerId)) return season;
+  return { ...season, players: season.players.filter((p) => p.id !== playerId) };
+}
+
+// ---- games
+export const isGameFinished = (players) => players.every((p) => p.rows.every((r) => r.locked));
+
+/**
+ * Record a finished sheet → { season, registered: [names added], replaced, error }
+ * (error: the sheet can't be told apart by name; season is unchanged then)
+ */
+export function recordGame(season, sheetPlayers, rules, date = new Date(), lang = DEFAULT_LANGUAGE) {
+  const names = sheetPlayers.map((p) => p.name?.trim() || "Player");
+  const twice = names.find((n, i) => names.findIndex((m) => sameName(m, n)) !== i);
+  if (twice) return { season, registered: [], replaced: false, error: translate(lang, "league.sameName", { name: twice }) };
+
+  let next = season;
+  const registered = [];
+  for (const p of sheetPlayers) {
+    const name = p.name?.trim() || "Player";
+    if (!findSeasonPlayer(next, name)) {
+      next = registerPlayer(next, name);
+      registered.push(name);
+    }
+  }
+  const results = sheetPlayers.map((p) => ({
+    playerId: findSeasonPlayer(next, p.name?.trim() || "Player").id,
+    total: p.rows.reduce((sum, r) => sum + computeRowTotal(r, playerFlags(p), rules), 0),
+  }));
+  const sourceIds = sheetPlayers.map((p) => p.gameId).filter(Boolean).sort();
+  const sourceKey = sourceIds.join(",");
+  const existing = sourceKey ? next.games.find((g) => (g.sourceIds || []).join(",") === sourceKey) : null;
+  const game = { id: existing?.id || makeId(), date: date.toISOString(), sourceIds, results };
+  const games = existing ? next.games.map((g) => (g.id === existing.id ? game : g)) : [...next.games, game];
+  return { season: { ...next, games }, registered, replaced: !!existing, error: null };
+}
+
+export const removeGame = (season, gameId) => ({ ...season, games: season.games.filter((g) => g.id !== gameId) });
+
+// Ties share the better place (two firsts, then third) and its points
+export function placements(results, pointsTable = DEFAULT_POINTS) {
+  return results.map((r) => {
+    const place = 1 + results.filter((o) => o.total > r.total).length;
+    return { ...r, place, points: pointsTable[place - 1] ?? 0 };
+  });
+}
+
+/**
+ * Standings, best first: [{ playerId, name, played, points, wins, average, best }]
+ * Sorted by points, then wins, then average total
+ */
+export function standings(season) {
+  const rows = new Map(season.players.map((p) => [p.id, { playerId: p.id, name: p.name, played: 0, points: 0, wins: 0, sum: 0, best: null }]));
+  for (const game of season.games) {
+    for (const r of placements(game.results, season.pointsTable)) {
+      const row = rows.get(r.playerId);
+      if (!row) continue;
+      row.played += 1;
+      row.points += r.points;
+      row.sum += r.total;
+      if (r.place === 1 && game.results.length > 1) row.wins += 1;
+      row.best = row.best == null ? r.total : Math.max(row.best, r.total);
+    }
+  }
+  return [...rows.values()]
+    .map(({ sum, ...row }) => ({ ...row, average: row.played ? sum / row.played : 0 }))
+    .sort((a, b) => b.points - a.points || b.wins - a.wins || b.average - a.average || a.name.localeCompare(b.name));
+}
+
+/**
+ * Head-to-head over games both players were in:
+ * { [playerId]: { [otherId]: { wins, losses, ties } } } (only pairs that met)
+ */
+export function headToHead(season) {
+  const table = {};
+  const bump = (a, b, key) => {
+    table[a] ??= {};
+    table[a][b] ??= { wins: 0, losses: 0, ties: 0 };
+    table[a][b][key] += 1;
+  };
+  for (const game of season.games) {
+    for (const a of game.results) {
+      for (const b of game.results) {
+        if (a.playerId === b.playerId) continue;
+        bump(a.playerId, b.playerId, a.total > b.total ? "wins" : a.total < b.total ? "losses" : "ties");
+      }
+    }
+  }
+  return table;
+}
+
+// "10, 7, 5, 3" → { points, error }
+export function parsePointsTable(text, lang = DEFAULT_LANGUAGE) {
+  const parts = text.split(/[\s,;]+/).filter(Boolean);
+  const points = parts.map(Number);
+  if (!parts.length) return { points: null, error: translate(lang, "league.pointsEmpty") };
+  if (points.some((n) => !Number.isInteger(n) || n < 0)) return { points: null, error: translate(lang, "league.pointsInvalid") };
+  return { points, error: null };
+}
+
+// ---- season files
+
+export function serializeSeason(season, date = new Date()) {
+  return JSON.stringify({ format: SEASON_FILE_FORMAT, version: SEASON_FILE_VERSION, exportedAt: date.toISOString(), season }, null, 2);
+}
+
+// Returns { season, errors }; season is only set when there are no errors (messages in `lang`)
+export function parseSeasonFile(text, lang = DEFAULT_LANGUAGE) {
+  const t = (key, vars) => translate(lang, `seasonError.${key}`, vars);
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    return { season: null, errors: [translate(lang, "fileError.json", { error: e.message })] };
+  }
+  if (file?.format !== SEASON_FILE_FORMAT) return { season: null, errors: [t("format")] };
+  if (!Number.isInteger(file.version) || file.version > SEASON_FILE_VERSION) {
+    return { season: null, errors: [translate(lang, "fileError.version", { version: String(file.version), max: SEASON_FILE_VERSION })] };
+  }
+
+  const s = file.season || {};
+  const errors = [];
+  if (typeof s.id !== "string" || !s.id) errors.push(t("id"));
+  if (typeof s.name !== "string") errors.push(t("name"));
+  if (!Array.isArray(s.pointsTable) || s.pointsTable.some((n) => !Number.isInteger(n) || n < 0)) {
+    errors.push(t("pointsTable"));
+  }
+  if (!Array.isArray(s.players) || s.players.some((p) => typeof p?.id !== "string" || typeof p?.name !== "string")) {
+    errors.push(t("players"));
+  }
+  if (!Array.isArray(s.games)) errors.push(t("games"));
+  if (errors.length) return { season: null, errors };
+
+  const ids = new Set(s.players.map((p) => p.id));
+  s.games.forEach((g, gi) => {
+    const game = gi + 1;
+    if (!Array.isArray(g?.results) || !g.results.length) { errors.push(t("noResults", { game })); return; }
+    if (Number.isNaN(Date.parse(g.date))) errors.push(t("date", { game, value: String(JSON.stringify(g.date)) }));
+    g.results.forEach((r) => {
+      if (!ids.has(r?.playerId)) errors.push(t("player", { game, value: String(JSON.stringify(r?.playerId)) }));
+      if (typeof r?.total !== "number" || !Number.isFinite(r.total)) errors.push(t("total", { game, value: String(JSON.stringify(r?.total)) }));
+    });
+  });
+  if (errors.length) return { season: null, errors };
+
+  return {
+    errors,
+    season: {
+      id: s.id,
+      name: s.name,
+      createdAt: s.createdAt || new Date().toISOString(),
+      pointsTable: s.pointsTable,
+      players: s.players.map(({ id, name }) => ({ id, name })),
+      games: s.games.map((g) => ({
+        id: typeof g.id === "string" ? g.id : makeId(),
+        date: g.date,
+        sourceIds: Array.isArray(g.sourceIds) ? g.sourceIds : [],
+        results: g.results.map(({ playerId, total }) => ({ playerId, total })),
+      })),
+    },
+  };
+}
+
+// Add an imported season, replacing one with the same id
+export function importSeason(league, season) {
+  const exists = league.seasons.some((s) => s.id === season.id);
+  return {
+    ...league,
+    seasons: exists ? league.seasons.map((s) => (s.id === season.id ? season : s)) : [...league.seasons, season],
+    activeId: season.id,
+  };
+}
@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { makePlayer } from "./game";
+import {
+  headToHead, importSeason, makeSeason, parsePointsTable, parseSeasonFile, placements, recordGame,
+  registerPlayer, serializeSeason, standings, unregisterPlayer,
+} from "./league";
+
+// A finished sheet whose total is the yellow score of round 1
+const sheet = (name, total) => {
+  const p = makePlayer(name, CLASSIC_RULES, 2);
+  p.rows = p.rows.map((r, i) => ({ ...r, y: i === 0 ? total : 0, locked: true }));
+  return p;
+};
+
+const record = (season, ...players) => recordGame(season, players, CLASSIC_RULES).season;
+
+describe("placements", () => {
+  it("gives tied players the better place and its points", () => {
+    const out = placements([
+      { playerId: "a", total: 50 }, { playerId: "b", total: 70 }, { playerId: "c", total: 50 }, { playerId: "d", total: 10 },
+    ], [10, 7, 5, 3]);
+    expect(out.map((r) => [r.playerId, r.place, r.points])).toEqual([["a", 2, 7], ["b", 1, 10], ["c", 2, 7], ["d", 4, 3]]);
+  });
+
+  it("gives 0 points past the end of the table", () => {
+    expect(placements([{ total: 2 }, { total: 1 }], [5])[1].points).toBe(0);
+  });
+});
+
+describe("recordGame", () => {
+  it("registers new names and matches known ones case-insensitively", () => {
+    const season = registerPlayer(makeSeason("Spring"), "Ann");
+    const { season: next, registered } = recordGame(season, [sheet("ann", 30), sheet("Bo", 20)], CLASSIC_RULES);
+    expect(registered).toEqual(["Bo"]);
+    expect(next.players.map((p) => p.name)).toEqual(["Ann", "Bo"]);
+    expect(next.games[0].results.map((r) => r.total)).toEqual([30, 20]);
+  });
+
+  it("replaces the record when the same sheet is recorded again", () => {
+    const ann = sheet("Ann", 30);
+    const bo = sheet("Bo", 20);
+    const once = record(makeSeason("S"), ann, bo);
+    const { season: twice, replaced } = recordGame(once, [{ ...ann, rows: sheet("Ann", 40).rows }, bo], CLASSIC_RULES);
+    expect(replaced).toBe(true);
+    expect(twice.games).toHaveLength(1);
+    expect(twice.games[0].results[0].total).toBe(40);
+  });
+
+  it("refuses sheets with two players of the same name", () => {
+    const season = makeSeason("S");
+    const out = recordGame(season, [sheet("Ann", 1), sheet("ANN ", 2)], CLASSIC_RULES);
+    expect(out.error).toMatch(/Two players/);
+    expect(out.season).toBe(season);
+  });
+});
+
+describe("standings and head-to-head", () => {
+  let season = makeSeason("S");
+  season = record(season, sheet("Ann", 50), sheet("Bo", 40), sheet("Cy", 10));
+  season = record(season, sheet("Ann", 20), sheet("Bo", 60));
+  season = record(season, sheet("Bo", 30), sheet("Cy", 30));
+  const id = (name) => season.players.find((p) => p.name === name).id;
+
+  it("adds up points, wins and averages", () => {
+    const table = standings(season);
+    expect(table.map((r) => r.name)).toEqual(["Bo", "Ann", "Cy"]);
+    // Bo: 7 + 10 + 10 (tied first), Ann: 10 + 7, Cy: 5 + 10
+    expect(table.map((r) => r.points)).toEqual([27, 17, 15]);
+    expect(table.find((r) => r.name === "Bo")).toMatchObject({ played: 3, wins: 2, average: 130 / 3, best: 60 });
+    expect(table.find((r) => r.name === "Cy").wins).toBe(1);
+  });
+
+  it("counts each meeting once per pair", () => {
+    const h2h = headToHead(season);
+    expect(h2h[id("Ann")][id("Bo")]).toEqual({ wins: 1, losses: 1, ties: 0 });
+    expect(h2h[id("Bo")][id("Cy")]).toEqual({ wins: 1, losses: 0, ties: 1 });
+    expect(h2h[id("Ann")][id("Cy")]).toEqual({ wins: 1, losses: 0, ties: 0 });
+  });
+
+  it("keeps players with games registered", () => {
+    expect(unregisterPlayer(season, id("Ann"))).toBe(season);
+    const withDee = registerPlayer(season, "Dee");
+    expect(unregisterPlayer(withDee, withDee.players[3].id).players).toHaveLength(3);
+  });
+
+  it("survives a file round trip", () => {
+    const { season: back, errors } = parseSeasonFile(serializeSeason(season));
+    expect(errors).toEqual([]);
+    expect(standings(back)).toEqual(standings(season));
+  });
+});
+
+describe("season files", () => {
+  it("rejects other files and broken results", () => {
+    expect(parseSeasonFile("nope").errors[0]).toMatch(/Not valid JSON/);
+    expect(parseSeasonFile(JSON.stringify({ format: "panda-royale-game", version: 1 })).errors).toEqual(["Not a Panda Royale season file"]);
+    const season = { ...makeSeason("S"), games: [{ id: "g", date: "2026-01-01", results: [{ playerId: "ghost", total: "x" }] }] };
+    const { errors } = parseSeasonFile(serializeSeason(season));
+    expect(errors).toEqual(['Game 1: unknown player "ghost"', 'Game 1: total "x" is not a number']);
+  });
+
+  it("replaces a season with the same id on import", () => {
+    const season = makeSeason("S");
+    const league = { seasons: [season], activeId: null };
+    const renamed = importSeason(league, { ...season, name: "Renamed" });
+    expect(renamed.seasons.map((s) => s.name)).toEqual(["Renamed"]);
+    expect(renamed.activeId).toBe(season.id);
+  });
+});
+
+describe("parsePointsTable", () => {
+  it("reads comma or space separated points", () => {
+    expect(parsePointsTable("10, 7 5;3").points).toEqual([10, 7, 5, 3]);
+    expect(parsePointsTable("").error).toBeTruthy();
+    expect(parsePointsTable("10, -1").error).toBeTruthy();
+  });
+});
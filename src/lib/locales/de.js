@@ -0,0 +1,470 @@
+// Deutsch
+export default {
+  "rules.classic": "Panda Royale (klassisch)",
+  "rules.open-table": "Offener Tisch (alle Farben ab Runde 1)",
+  "flag.hasGlitterBlue": "Hat Glitzer-Blau",
+  "upgrade.hasGlitterBlue": "Glitzer",
+  "column.y": "Gelb",
+  "column.y.short": "Gelb",
+  "column.y.csv": "Gelb",
+  "column.purp": "Lila",
+  "column.purp.short": "Lila",
+  "column.purp.csv": "Lila",
+  "column.blue": "Blau",
+  "column.blue.short": "Blau",
+  "column.blue.csv": "Blau",
+  "column.redSum": "Rot",
+  "column.redSum.short": "Rot",
+  "column.redSum.csv": "Rot-Summe",
+  "column.green": "Grün",
+  "column.green.short": "Grün",
+  "column.green.csv": "Grün",
+  "column.clear": "Klar",
+  "column.clear.short": "Klar",
+  "column.clear.csv": "Klar/Weiß",
+  "column.pink": "Pink",
+  "column.pink.short": "Pink",
+  "column.pink.csv": "Pink (Trost)",
+
+  "csv.player": "Spieler",
+  "csv.round": "Runde",
+  "csv.redCount": "Rote Würfel",
+  "csv.rowTotal": "Rundensumme",
+  "csv.total": "Summe",
+  "csv.dice": "Würfel",
+  "csv.started": "Beginn",
+  "csv.locked": "Gesperrt",
+  "csv.time": "Dauer",
+
+  "app.title": "Panda Royale – Punkteblock",
+  "app.language": "Sprache",
+  "app.theme": "Farbschema",
+  "theme.system": "System",
+  "theme.light": "Hell",
+  "theme.dark": "Dunkel",
+  "theme.contrast": "Hoher Kontrast",
+  "nav.undo": "Rückgängig",
+  "nav.undoHint": "Rückgängig (Strg+Z)",
+  "nav.redo": "Wiederholen",
+  "nav.redoHint": "Wiederholen (Strg+Umschalt+Z)",
+  "nav.log": "Protokoll",
+  "nav.rules": "Regeln",
+  "nav.sync": "Sync",
+  "nav.stats": "Statistik",
+  "nav.league": "Liga",
+  "nav.sheet": "Block",
+  "nav.print": "Drucken / PDF",
+  "nav.exportCsv": "CSV exportieren",
+  "nav.exportJson": "JSON exportieren",
+  "nav.share": "Teilen",
+  "nav.import": "Importieren",
+  "nav.reset": "Neu",
+
+  "common.dismiss": "Ausblenden",
+  "common.close": "Schließen",
+  "common.ok": "OK",
+  "common.back": "Zurück",
+  "common.done": "Fertig",
+  "common.allPlayers": "Alle Spieler",
+
+  "shared.viewing": "Du siehst ein geteiltes Spiel (nur lesen). Dein eigenes Spiel bleibt auf diesem Gerät gespeichert.",
+  "shared.back": "Zurück zu meinem Spiel",
+  "shared.import": "Als mein Spiel übernehmen",
+  "shared.link": "den geteilten Link",
+  "shared.game": "das geteilte Spiel",
+  "import.failed": { one: "{file} konnte nicht importiert werden ({count} Problem)", other: "{file} konnte nicht importiert werden ({count} Probleme)" },
+  "import.warnings": { one: "{file} importiert – {count} Wert zum Nachprüfen", other: "{file} importiert – {count} Werte zum Nachprüfen" },
+  "import.implausible": {
+    one: "{count} Wert wirkt unplausibel – er wird nach dem Import aufgelistet.",
+    other: "{count} Werte wirken unplausibel – sie werden nach dem Import aufgelistet.",
+  },
+  "import.players": "{count} Spieler",
+  "import.rounds": { one: "{count} Runde", other: "{count} Runden" },
+  "import.unreadable": "Die Datei konnte nicht gelesen werden: {error}",
+
+  "fileError.json": "Kein gültiges JSON: {error}",
+  "fileError.format": "Keine Panda-Royale-Spieldatei",
+  "fileError.version": "Dateiversion {version} wird nicht unterstützt (diese App liest bis {max})",
+  "fileError.rulesVersion": "Regelversion {version} ist neuer, als diese App unterstützt",
+  "fileError.rules": "Regeln: {error}",
+  "fileError.roundCount": "Die Rundenzahl muss eine positive ganze Zahl sein, gefunden: {value}",
+  "fileError.players": "Erwartet wurden 1–{max} Spieler",
+  "fileError.player": "Spieler {n}",
+  "fileError.playerNamed": "Spieler {n} ({name})",
+  "fileError.round": "{who}, Runde {round}",
+  "fileError.rounds": "{who}: {count} Runden erwartet, {found} gefunden",
+  "fileError.noRounds": "{who}: {count} Runden erwartet, keine gefunden",
+  "fileError.notRound": "{where}: keine Runde",
+  "fileError.notNumber": "{where}, {column}: {value} ist keine Zahl",
+  "fileError.negative": "{where}, {column}: darf nicht negativ sein",
+  "fileError.redCount": "{where}, {column}: {value} ist keine gültige Anzahl",
+  "fileError.locked": "{where}: Abschluss-Markierung fehlt",
+  "fileError.in": "{where}, {problem}",
+  "fileError.notTime": "{field} {value} ist keine Uhrzeit",
+
+  "diceError.notList": "Würfel: keine Würfelliste pro Spalte",
+  "diceError.unknownColumn": "Würfel: unbekannte Spalte \"{key}\"",
+  "diceError.faces": "{column}-Würfel: {faces} sind keine gültigen Augenzahlen",
+  "diceError.sum": "{column}-Würfel: ergeben {sum}, nicht {value}",
+  "diceError.csvColumn": "\"{part}\" nennt keine Spalte",
+  "diceError.csvFaces": "\"{part}\" hat ungültige Augenzahlen",
+
+  "csvError.line": "Zeile {line}",
+  "csvError.lineRound": "Zeile {line} (Runde {round})",
+  "csvError.at": "{where}: {problem}",
+  "csvError.atColumn": "{where}, {column}: {problem}",
+  "csvError.unknownColumn": "unbekannte Spalte für diese Regeln",
+  "csvError.missingColumn": "Spalte fehlt in der Kopfzeile",
+  "csvError.valueCount": "{count} Werte erwartet, {found} gefunden",
+  "csvError.dice": "{error}",
+  "csvError.notTime": "\"{value}\" ist kein Datum mit Uhrzeit",
+  "csvError.notWhole": "\"{value}\" ist keine ganze Zahl",
+  "csvError.roundNumber": "Runde {round} erwartet, {found} gefunden",
+  "csvError.negative": "darf nicht negativ sein",
+  "csvError.multiple": "{value} ist kein Vielfaches von {multiplier}",
+  "csvError.diceSum": "{column}-Würfel ergeben {sum}, nicht {value}",
+  "csvError.rowTotal": "{total} passt nicht zur Neuberechnung {expected}",
+  "csvError.noRounds": "keine Runden unter der Kopfzeile",
+  "csvError.outside": "unerwartete Daten außerhalb einer Punktetabelle",
+  "csvError.malformed": "fehlerhaftes CSV – eine Zeile ohne Werte",
+  "csvError.noTable": "Keine Punktetabelle gefunden (erwartet wurde eine Kopfzeile, die mit \"{round}\" beginnt)",
+  "csvError.tooMany": "Zu viele Spieler: {count} (max. {max})",
+  "csvError.roundsDiffer": "{who}: hat {count} Runden, die anderen {expected}",
+
+  "shareError.damaged": "Der geteilte Link ist unvollständig oder beschädigt",
+  "shareError.newer": "Der geteilte Link stammt aus einer neueren App-Version (v{version})",
+  "shareError.compressed": "Dieser Browser kann komprimierte Links nicht öffnen",
+  "shareError.rules": "Unbekannte Wertungsregeln \"{id}\"",
+
+  "player.default": "Spieler",
+  "player.numbered": "Spieler {n}",
+  "player.this": "diesen Spieler",
+  "player.add": "Spieler hinzufügen",
+  "player.remove": "{name} entfernen",
+  "player.otherDevice": "anderes Gerät",
+
+  "controls.name": "Name:",
+  "controls.redDice": "Rote Würfel (Runde {round}):",
+  "hint.roundOne": "Runde 1: nur {columns} • ",
+  "hint.pressDone": "{done} sperrt die Runde",
+  "hint.keys": " • ←/→ oder Enter wechseln die Zelle, Enter in der letzten (oder Strg+Enter) ist Fertig",
+
+  "table.round": "Runde",
+  "table.rnd": "Rd.",
+  "table.total": "Summe",
+  "table.action": "Aktion",
+  "table.locked": "Gesperrt",
+  "table.gameTotal": "Gesamtsumme",
+  "table.redDice": "Rote Würfel: {count}",
+  "cell.label": "{column}, Runde {round}",
+  "cell.withDice": "{label} (Würfel {faces})",
+  "cell.toggleSign": "Vorzeichen von {label} umkehren",
+  "cell.diceEntry": "{label} Würfel für Würfel eingeben",
+  "cell.redPicker": "Anzahl roter Würfel, Runde {round}",
+
+  "redPicker.round": "Runde {round}",
+  "redPicker.title": "Anzahl roter Würfel",
+  "redPicker.fewer": "Ein roter Würfel weniger",
+  "redPicker.more": "Ein roter Würfel mehr",
+  "redPicker.locked": "Korrigiert die Summe dieser gesperrten Runde. Andere Runden bleiben unverändert.",
+  "redPicker.open": "Gilt nur für diese Runde. Die nächste Runde startet mit dieser Anzahl.",
+
+  "confirm.lockWarnings": "Runde {round} hat ungewöhnliche Werte:\n{list}\n\nTrotzdem sperren?",
+  "confirm.newGame": "Ein neues Spiel mit {rounds} Runden starten? Alle {current} Runden werden geleert und entsperrt.",
+  "confirm.removePlayer": "{name} samt Block entfernen?",
+  "confirm.switchRules": "Wertung auf „{name}“ umstellen? Gesperrte Runden werden mit den neuen Regeln neu berechnet.",
+  "confirm.importShared": "Dein gespeichertes Spiel durch dieses geteilte ersetzen?",
+  "confirm.import": "Das aktuelle Spiel durch {file} ersetzen? ({players}, {rounds}){note}",
+
+  "warning.notYet": "{column} zählt erst ab Runde {round}",
+  "warning.tooManyDice": "{column}: {count} Würfel eingegeben, nur {max} im Spiel",
+  "warning.noRedDice": "{column} hat Punkte, aber die Runde hat keine roten Würfel",
+  "warning.tooHigh": "{column} {value} ist mehr als {max} (das Höchste, was die Würfel zeigen können)",
+  "warning.tooLow": "{column} {value} ist kleiner als {min}",
+  "warning.redCount": "{count} rote Würfel – es gibt nur {max}",
+  "warning.where": "{player}, Runde {round}: {message}",
+
+  "dice.title": "{column}-Würfel, Runde {round}",
+  "dice.round": "Runde {round}",
+  "dice.close": "Würfeleingabe schließen",
+  "dice.empty": "Tippe unten die Augen der Würfel an",
+  "dice.count": "{count} Würfel",
+  "dice.add": "{face} hinzufügen",
+  "dice.remove": "Würfel {n} entfernen ({face})",
+  "dice.last": "Letzter",
+  "dice.clear": "Leeren",
+  "dice.chip": "Würfelfarbe {colour}: ",
+  "dice.chipTitle": "{label} (Würfelfarbe {colour})",
+
+  "setup.title": "Neues Spiel",
+  "setup.length": "Spiellänge",
+  "setup.quick": "Kurz",
+  "setup.quickHint": "Kinder / kurzes Spiel",
+  "setup.standard": "Standard",
+  "setup.standardHint": "Normales Spiel",
+  "setup.marathon": "Marathon",
+  "setup.marathonHint": "Lange Runde",
+  "setup.rounds": { one: "· {count} Runde", other: "· {count} Runden" },
+  "setup.custom": "Eigene Rundenzahl:",
+  "setup.summary": "Spieler: {players} • Regeln: {rules}",
+  "setup.start": { one: "Spiel mit {count} Runde starten", other: "Spiel mit {count} Runden starten" },
+
+  "charts.title": "Runde für Runde",
+  "charts.score": "Punkte",
+  "charts.colours": "Farben",
+  "charts.red": "Rote Würfel",
+  "charts.banked": "Gesichert",
+  "charts.final": "Endstand",
+  "charts.pace": "Bei diesem Tempo",
+  "charts.paceLater": "nach der ersten gesperrten Runde",
+  "charts.past": "Nach früheren Spielen",
+  "charts.games": { one: "{count} Spiel", other: "{count} Spiele" },
+  "charts.noPast": "noch keine früheren Spiele",
+  "charts.runningTotal": "Zwischenstand",
+  "charts.point": "Runde {round}: {value}",
+  "charts.open": "(offen)",
+  "charts.scoreSummary": "Zwischenstand pro Runde, {total} nach Runde {round}",
+  "charts.coloursSummary": "Punkte pro Runde nach Farbe",
+  "charts.redSummary": "Rote Würfel pro Runde",
+  "charts.redPoint": { one: "Runde {round}: {count} roter Würfel", other: "Runde {round}: {count} rote Würfel" },
+
+  "clock.round": "Runde {round}",
+  "clock.roundHint": "Zeit, seit diese Runde läuft",
+  "clock.game": "Spiel",
+  "clock.roundTime": "Dauer dieser Runde",
+  "clock.turnTimer": "Zugtimer",
+  "clock.turnLeft": "Restzeit für diesen Zug",
+  "clock.start": "Zugtimer starten",
+  "clock.pause": "Zugtimer anhalten",
+  "clock.reset": "Zugtimer zurücksetzen",
+  "clock.seconds": "Sekunden pro Zug",
+  "clock.secondsUnit": "s",
+  "clock.sound": "Ton",
+  "clock.vibrate": "Vibration",
+  "clock.timeUp": "Die Zeit ist um!",
+
+  "scan.open": "Würfel von Runde {round} per Foto erfassen",
+  "scan.title": "Würfel scannen, Runde {round}",
+  "scan.hint": "Würfel auf einer dunklen Fläche verteilen, ohne dass sie sich berühren, und von oben fotografieren. Nichts verlässt dieses Gerät.",
+  "scan.camera": "Kamera",
+  "scan.photo": "Foto",
+  "scan.take": "Foto aufnehmen",
+  "scan.picture": "Gescanntes Bild mit den gefundenen Würfeln",
+  "scan.none": "Keine Würfel gefunden – mehr Licht oder eine dunklere Fläche probieren.",
+  "scan.unused": { one: "{count} Würfel zählt in dieser Runde nicht und bleibt weg.", other: "{count} Würfel zählen in dieser Runde nicht und bleiben weg." },
+  "scan.unsure": { one: "{count} Würfel war nicht lesbar (gestrichelt) – bitte von Hand ergänzen.", other: "{count} Würfel waren nicht lesbar (gestrichelt) – bitte von Hand ergänzen." },
+  "scan.noCamera": "Die Kamera ist nicht verfügbar – stattdessen ein Foto wählen.",
+  "scan.unreadable": "Das Bild konnte nicht gelesen werden.",
+  "scan.cancel": "Abbrechen",
+  "scan.apply": "Runde {round} ausfüllen",
+
+  "update.available": "Eine neue Version ist da. Dein Spiel ist gespeichert und bleibt nach dem Update erhalten.",
+  "update.offline": "Bereit für die Offline-Nutzung.",
+  "update.update": "Aktualisieren",
+  "update.later": "Später",
+
+  "recovery.corrupt": "Dein gespeichertes Spiel konnte nicht gelesen werden",
+  "recovery.repaired": "Dein gespeichertes Spiel hatte Fehler und wurde repariert",
+  "recovery.corruptText":
+    "Ein neues, leeres Spiel wurde gestartet. Die unlesbaren Daten ({error}) wurden als Sicherung aufbewahrt – lade sie herunter oder importiere eine früher exportierte Datei.",
+  "recovery.more": "…und {count} weitere",
+  "recovery.download": "Sicherung herunterladen",
+  "recovery.import": "Datei importieren",
+  "recovery.keepBlank": "Leeres Spiel behalten",
+  "repair.notObject": "das gespeicherte Spiel ist kein Objekt",
+  "repair.noPlayers": "keine Spieler im gespeicherten Spiel",
+  "repair.rules": "Die Wertungsregeln waren unlesbar – es gelten die Standardregeln",
+  "repair.roundCount": "Rundenzahl \"{value}\" war ungültig – es werden {count} verwendet",
+  "repair.players": "Nur die ersten {max} von {count} Spielern wurden behalten",
+  "repair.rounds": "{who}: hatte {found} Runden, auf {count} korrigiert",
+  "repair.value": "{where}: Wert {value} von \"{key}\" auf 0 gesetzt",
+  "repair.dice": "{where}: Würfelaufschlüsselung passte nicht zur Punktzahl und wurde verworfen",
+  "repair.times": "{where}: unlesbare Rundenzeiten wurden verworfen",
+  "repair.log": { one: "{count} unlesbarer Protokolleintrag wurde verworfen", other: "{count} unlesbare Protokolleinträge wurden verworfen" },
+
+  "log.title": "Änderungsprotokoll",
+  "log.close": "Protokoll schließen",
+  "log.empty": "In diesem Spiel gibt es noch keine Änderungen.",
+  "log.field": "Runde {round} {field}: {from} → {to}",
+  "log.sign": "Runde {round} {field} Vorzeichen: {from} → {to}",
+  "log.dice": "Runde {round} {field} Würfel: {from} → {to}",
+  "log.redCount": "Runde {round} rote Würfel: {from} → {to}",
+  "log.redCountOld": "Rote Würfel: {from} → {to}",
+  "log.scan": { one: "Runde {round} per Foto erfasst: {count} Würfel", other: "Runde {round} per Foto erfasst: {count} Würfel" },
+  "log.lock": "Runde {round} abgeschlossen ({to} Pkt.)",
+  "log.lockWarnings": {
+    one: "Runde {round} abgeschlossen ({to} Pkt.) trotz {count} Warnung",
+    other: "Runde {round} abgeschlossen ({to} Pkt.) trotz {count} Warnungen",
+  },
+  "log.undo": "Rückgängig – {change}",
+  "log.redo": "Wiederholt – {change}",
+
+  "stats.title": "Statistik & Verlauf",
+  "stats.empty": "Noch keine beendeten Spiele. Schließe alle Runden eines Blatts ab, um es hier zu archivieren.",
+  "stats.games": "Spiele",
+  "stats.averageTotal": "Durchschnitt",
+  "stats.bestTotal": "Bestes Ergebnis",
+  "stats.byColour": "Durchschnitt pro Spiel nach Farbe",
+  "stats.perRound": "Durchschnittliche Punkte pro Runde",
+  "stats.redPerRound": "Durchschnittliche rote Würfel pro Runde",
+  "stats.roundValue": "Runde {round}: {value}",
+  "stats.round": "Runde",
+  "stats.score": "Punkte",
+  "stats.redDice": "Rote Würfel",
+  "stats.delete": "Spiel löschen",
+  "stats.confirmDelete": "Das Spiel von {player} vom {date} löschen?",
+
+  "league.title": "Liga",
+  "league.season": "Saison",
+  "league.seasonNumbered": "Saison {n}",
+  "league.newSeason": "Neue Saison",
+  "league.newSeasonName": "Name der neuen Saison",
+  "league.noSeason": "Noch keine Saison. Lege eine an und trage dann jedes beendete Spiel ein.",
+  "league.import": "Saison importieren",
+  "league.importFailed": "{file} konnte nicht importiert werden",
+  "league.confirmReplace": "Die Saison „{name}“ durch die aus {file} ersetzen?",
+  "league.confirmDeleteSeason": {
+    one: "Die Saison „{name}“ mit ihrem {count} eingetragenen Spiel löschen?",
+    other: "Die Saison „{name}“ mit allen {count} eingetragenen Spielen löschen?",
+  },
+  "league.thisGame": "Dieses Spiel:",
+  "league.record": "Spiel eintragen",
+  "league.notFinished": "Schließe jede Runde auf jedem Blatt ab, um das Spiel einzutragen.",
+  "league.recorded": "Spiel eingetragen.",
+  "league.updated": "Der frühere Eintrag dieses Spiels wurde aktualisiert.",
+  "league.registered": "{names} angemeldet.",
+  "league.sameName": "Zwei Spieler heißen „{name}“ – bitte einen umbenennen",
+  "league.noPlayers": "Noch keine Spieler – sie werden beim Eintragen eines Spiels angemeldet oder unten.",
+  "league.standings": { one: "Tabelle • {count} Spiel", other: "Tabelle • {count} Spiele" },
+  "league.player": "Spieler",
+  "league.played": "Spiele",
+  "league.wins": "Siege",
+  "league.average": "Schnitt",
+  "league.best": "Bestes",
+  "league.points": "Punkte",
+  "league.headToHead": "Direktvergleich (Zeile gegen Spalte: S–N–U)",
+  "league.games": "Spiele",
+  "league.deleteGame": "Spiel löschen",
+  "league.confirmDeleteGame": "Das Spiel vom {date} aus dieser Saison löschen?",
+  "league.settings": "Saisoneinstellungen",
+  "league.name": "Name:",
+  "league.pointsPerPlace": "Punkte pro Platz:",
+  "league.pointsHelp": "1., 2., 3. … – Plätze hinter der Liste bekommen 0; Gleichstand teilt sich den besseren Platz",
+  "league.pointsEmpty": "Mindestens einen Wert eingeben",
+  "league.pointsInvalid": "Punkte müssen ganze Zahlen ≥ 0 sein",
+  "league.players": "Spieler:",
+  "league.playerName": "Name",
+  "league.register": "Spieler anmelden",
+  "league.export": "Saison exportieren",
+  "league.deleteSeason": "Saison löschen",
+  "seasonError.format": "Keine Panda-Royale-Saisondatei",
+  "seasonError.id": "Saison-ID fehlt",
+  "seasonError.name": "Saisonname fehlt",
+  "seasonError.pointsTable": "Die Punktetabelle muss eine Liste ganzer Zahlen ≥ 0 sein",
+  "seasonError.players": "Jeder Spieler braucht eine ID und einen Namen",
+  "seasonError.games": "Spiele fehlen",
+  "seasonError.noResults": "Spiel {game}: keine Ergebnisse",
+  "seasonError.date": "Spiel {game}: ungültiges Datum {value}",
+  "seasonError.player": "Spiel {game}: unbekannter Spieler {value}",
+  "seasonError.total": "Spiel {game}: Summe {value} ist keine Zahl",
+
+  "rulesPanel.title": "Wertungsregeln",
+  "rulesPanel.close": "Regeln schließen",
+  "rulesPanel.thisGame": "{name} (dieses Spiel)",
+  "rulesPanel.name": "Name:",
+  "rulesPanel.label": "Bezeichnung",
+  "rulesPanel.header": "Kopfzeile",
+  "rulesPanel.colour": "Farbe",
+  "rulesPanel.formula": "Formel",
+  "rulesPanel.fromRound": "Ab Rd.",
+  "rulesPanel.dice": "Würfel",
+  "rulesPanel.diceHint": "Würfel dieser Farbe pro Runde (für Warnungen)",
+  "rulesPanel.upgrades": "Aufwertungen",
+  "rulesPanel.allowNegative": "{label} erlaubt negative Werte",
+  "rulesPanel.moveUp": "Nach oben",
+  "rulesPanel.moveDown": "Nach unten",
+  "rulesPanel.removeColumn": "Spalte entfernen",
+  "rulesPanel.addColumn": "Würfelspalte hinzufügen",
+  "rulesPanel.newDie": "Neuer Würfel",
+  "rulesPanel.newDieShort": "Neu",
+  "rulesPanel.options": "Spieleroptionen (für Aufwertungen)",
+  "rulesPanel.newOption": "Neue Option",
+  "rulesPanel.removeOption": "Option entfernen",
+  "rulesPanel.addOption": "Option hinzufügen",
+  "rulesPanel.addUpgrade": "+ Aufwertung",
+  "rulesPanel.removeUpgrade": "Aufwertung entfernen",
+  "rulesPanel.confirmDelete": "Vorlage „{name}“ löschen?",
+  "rulesPanel.delete": "Vorlage löschen",
+  "rulesPanel.saveAsNew": "Als neue Vorlage speichern",
+  "rulesPanel.save": "Vorlage speichern",
+  "rulesPanel.apply": "Für dieses Spiel verwenden",
+  "formula.times": "Wert × Faktor",
+  "formula.timesRedCount": "Wert × Anzahl roter Würfel",
+  "colour.yellow": "Gelb",
+  "colour.purple": "Lila",
+  "colour.blue": "Blau",
+  "colour.red": "Rot",
+  "colour.green": "Grün",
+  "colour.clear": "Klar",
+  "colour.pink": "Pink",
+  "rulesError.missing": "Regelwerk fehlt",
+  "rulesError.name": "Das Regelwerk braucht einen Namen",
+  "rulesError.columns": "Das Regelwerk braucht mindestens eine Spalte",
+  "rulesError.column": "Spalte {n}",
+  "rulesError.columnNamed": "Spalte {n} ({label})",
+  "rulesError.key": "{where}: ungültiger Schlüssel",
+  "rulesError.duplicateKey": "{where}: Schlüssel „{key}“ doppelt",
+  "rulesError.label": "{where}: braucht eine Bezeichnung",
+  "rulesError.formula": "{where}: unbekannte Formel „{formula}“",
+  "rulesError.multiplier": "{where}: Faktor muss eine Zahl sein",
+  "rulesError.fromRound": "{where}: Startrunde muss 1 oder später sein",
+  "rulesError.dice": "{where}: Würfelanzahl muss mindestens 1 sein",
+  "rulesError.upgradeFlag": "{where}: Aufwertung nutzt unbekannte Option „{flag}“",
+  "rulesError.upgradeMultiplier": "{where}: Faktor der Aufwertung muss eine Zahl sein",
+
+  "sync.title": "Mit anderen Geräten synchronisieren",
+  "sync.close": "Synchronisierung schließen",
+  "sync.device": "Dieses Gerät:",
+  "sync.devicePlaceholder": "z. B. Annas Handy",
+  "sync.room": "Raumcode:",
+  "sync.newRoom": "Neuer Raum",
+  "sync.relay": "Relay (optional):",
+  "sync.help":
+    "Ohne Relay treten nur andere Tabs dieses Browsers bei. Für mehrere Handys {command} auf einem Laptop im selben WLAN starten und die angezeigte Adresse eintragen; alle verwenden denselben Raumcode.",
+  "sync.httpsBlocked":
+    "Diese Seite läuft über https, daher verbindet sich der Browser nicht mit einem ws://-Relay. Öffne die App stattdessen über die eigene http-Adresse des Relays (sie steht neben der Relay-Adresse).",
+  "sync.connected": "Verbunden",
+  "sync.connecting": "Verbinde…",
+  "sync.offline": "Relay nicht erreichbar – neuer Versuch läuft",
+  "sync.inRoom": "{status} • Raum {room}",
+  "sync.join": "Raum beitreten",
+  "sync.leave": "Raum verlassen",
+  "sync.peers": "Andere Geräte im Raum",
+  "sync.nobody": "Noch niemand sonst.",
+  "sync.unnamed": "Unbenanntes Gerät",
+  "sync.noPlayers": "keine Spieler",
+  "sync.conflicts": "Widersprüchliche Änderungen",
+  "sync.keptRemote": "Runde {round} von {player} wurde hier und auf {device} geändert – die Version von {device} gilt",
+  "sync.keptLocal": "Runde {round} von {player} wurde hier und auf {device} geändert – die Version dieses Geräts gilt",
+
+  "share.title": "Dieses Spiel teilen",
+  "share.close": "Teilen schließen",
+  "share.hint": "Wer den Link hat, sieht eine schreibgeschützte Kopie aller Blätter und kann sie importieren. Spätere Änderungen sind nicht enthalten – nach dem Bearbeiten erneut teilen.",
+  "share.preparing": "Link wird erstellt…",
+  "share.failed": "Aus diesem Spiel konnte kein Link erstellt werden.",
+  "share.link": "Link zum Teilen",
+  "share.copy": "Link kopieren",
+  "share.share": "Teilen…",
+  "share.sheetTitle": "Panda Royale Punkteblock",
+  "share.tooBig": "Dieses Spiel ist zu groß für einen QR-Code – bitte den Link verwenden.",
+  "share.qr": "QR-Code des Links",
+
+  "print.colours": "Ausgabefarben",
+  "print.print": "Drucken",
+  "print.download": "PDF herunterladen",
+  "print.locked": { one: "{locked} von {count} Runde abgeschlossen", other: "{locked} von {count} Runden abgeschlossen" },
+  "print.gameTotal": "Gesamtsumme",
+  "print.time": "Zeit",
+  "print.duration": "Spielzeit: {time}",
+  "print.breakdown": "Aufteilung nach Farbe",
+};
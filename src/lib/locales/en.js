@@ -0,0 +1,498 @@
+// English – the fallback for every other catalog
+export default {
+  // Built-in rulesets (see localizeRules)
+  "rules.classic": "Panda Royale (classic)",
+  "rules.open-table": "Open table (all colours from round 1)",
+  "flag.hasGlitterBlue": "Owns glitter blue",
+  "upgrade.hasGlitterBlue": "glitter",
+  "column.y": "Yellow",
+  "column.y.short": "Yellow",
+  "column.y.csv": "Yellow",
+  "column.purp": "Purple",
+  "column.purp.short": "Purp",
+  "column.purp.csv": "Purple",
+  "column.blue": "Blue",
+  "column.blue.short": "Blue",
+  "column.blue.csv": "Blue",
+  "column.redSum": "Red",
+  "column.redSum.short": "Red",
+  "column.redSum.csv": "Red Sum",
+  "column.green": "Green",
+  "column.green.short": "Green",
+  "column.green.csv": "Green",
+  "column.clear": "Clear",
+  "column.clear.short": "Clear",
+  "column.clear.csv": "Clear/White",
+  "column.pink": "Pink",
+  "column.pink.short": "Pink",
+  "column.pink.csv": "Pink (Pity)",
+
+  // CSV export (import accepts these words in every language)
+  "csv.player": "Player",
+  "csv.round": "Round",
+  "csv.redCount": "Red Count",
+  "csv.rowTotal": "Row Total",
+  "csv.total": "Total",
+  "csv.dice": "Dice",
+  "csv.started": "Started",
+  "csv.locked": "Locked",
+  "csv.time": "Time",
+
+  // Header
+  "app.title": "Panda Royale – Score Sheet",
+  "app.language": "Language",
+  "app.theme": "Theme",
+  "theme.system": "System",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "theme.contrast": "High contrast",
+  "nav.undo": "Undo",
+  "nav.undoHint": "Undo (Ctrl+Z)",
+  "nav.redo": "Redo",
+  "nav.redoHint": "Redo (Ctrl+Shift+Z)",
+  "nav.log": "Log",
+  "nav.rules": "Rules",
+  "nav.sync": "Sync",
+  "nav.stats": "Stats",
+  "nav.league": "League",
+  "nav.sheet": "Sheet",
+  "nav.print": "Print / PDF",
+  "nav.exportCsv": "Export CSV",
+  "nav.exportJson": "Export JSON",
+  "nav.share": "Share",
+  "nav.import": "Import",
+  "nav.reset": "Reset",
+
+  "common.dismiss": "Dismiss",
+  "common.close": "Close",
+  "common.ok": "OK",
+  "common.back": "Back",
+  "common.done": "Done",
+  "common.allPlayers": "All players",
+
+  // Shared game, import
+  "shared.viewing": "Viewing a shared game (read-only). Your own game is still saved on this device.",
+  "shared.back": "Back to my game",
+  "shared.import": "Import as my game",
+  "shared.link": "the shared link",
+  "shared.game": "the shared game",
+  "import.failed": { one: "Couldn't import {file} ({count} problem)", other: "Couldn't import {file} ({count} problems)" },
+  "import.warnings": { one: "Imported {file} – {count} value to double-check", other: "Imported {file} – {count} values to double-check" },
+  "import.implausible": {
+    one: "{count} value looks implausible – it'll be listed after importing.",
+    other: "{count} values look implausible – they'll be listed after importing.",
+  },
+  "import.players": { one: "{count} player", other: "{count} players" },
+  "import.rounds": { one: "{count} round", other: "{count} rounds" },
+  "import.unreadable": "The file couldn't be read: {error}",
+
+  // Game file problems (lib/gameFile.js)
+  "fileError.json": "Not valid JSON: {error}",
+  "fileError.format": "Not a Panda Royale game file",
+  "fileError.version": "Unsupported file version {version} (this app reads up to {max})",
+  "fileError.rulesVersion": "Rules version {version} is newer than this app supports",
+  "fileError.rules": "Rules: {error}",
+  "fileError.roundCount": "Round count must be a positive whole number, found {value}",
+  "fileError.players": "Expected 1–{max} players",
+  "fileError.player": "Player {n}",
+  "fileError.playerNamed": "Player {n} ({name})",
+  "fileError.round": "{who}, round {round}",
+  "fileError.rounds": "{who}: expected {count} rounds, found {found}",
+  "fileError.noRounds": "{who}: expected {count} rounds, found none",
+  "fileError.notRound": "{where}: not a round",
+  "fileError.notNumber": "{where}, {column}: {value} is not a number",
+  "fileError.negative": "{where}, {column}: can't be negative",
+  "fileError.redCount": "{where}, {column}: {value} is not a valid count",
+  "fileError.locked": "{where}: lock flag missing",
+  "fileError.in": "{where}, {problem}",
+  "fileError.notTime": "{field} {value} is not a time",
+
+  // Dice breakdown problems (lib/dice.js)
+  "diceError.notList": "Dice: not a list of dice per column",
+  "diceError.unknownColumn": "Dice: unknown column \"{key}\"",
+  "diceError.faces": "{column} dice: {faces} are not valid die faces",
+  "diceError.sum": "{column} dice: add up to {sum}, not {value}",
+  "diceError.csvColumn": "\"{part}\" doesn't name a column",
+  "diceError.csvFaces": "\"{part}\" has invalid die faces",
+
+  // CSV import problems (lib/csv.js)
+  "csvError.line": "Line {line}",
+  "csvError.lineRound": "Line {line} (round {round})",
+  "csvError.at": "{where}: {problem}",
+  "csvError.atColumn": "{where}, {column}: {problem}",
+  "csvError.unknownColumn": "unknown column for these rules",
+  "csvError.missingColumn": "column missing from header",
+  "csvError.valueCount": "expected {count} values, found {found}",
+  "csvError.dice": "{error}",
+  "csvError.notTime": "\"{value}\" is not a date and time",
+  "csvError.notWhole": "\"{value}\" is not a whole number",
+  "csvError.roundNumber": "expected round {round}, found {found}",
+  "csvError.negative": "can't be negative",
+  "csvError.multiple": "{value} is not a multiple of {multiplier}",
+  "csvError.diceSum": "{column} dice add up to {sum}, not {value}",
+  "csvError.rowTotal": "{total} doesn't match the recalculated {expected}",
+  "csvError.noRounds": "no rounds found under the header",
+  "csvError.outside": "unexpected data outside a score table",
+  "csvError.malformed": "malformed CSV – a line with no values",
+  "csvError.noTable": "No score table found (expected a header starting with \"{round}\")",
+  "csvError.tooMany": "Too many players: {count} (max {max})",
+  "csvError.roundsDiffer": "{who}: has {count} rounds, others have {expected}",
+
+  // Shared link problems (lib/share.js)
+  "shareError.damaged": "The shared link is incomplete or damaged",
+  "shareError.newer": "The shared link is from a newer version of the app (v{version})",
+  "shareError.compressed": "This browser can't open compressed share links",
+  "shareError.rules": "Unknown scoring rules \"{id}\"",
+
+  // Players
+  "player.default": "Player",
+  "player.numbered": "Player {n}",
+  "player.this": "this player",
+  "player.add": "Add player",
+  "player.remove": "Remove {name}",
+  "player.otherDevice": "other device",
+
+  // Controls
+  "controls.name": "Name:",
+  "controls.redDice": "# Red Dice (round {round}):",
+  "hint.roundOne": "Round 1: {columns} only • ",
+  "hint.pressDone": "Press {done} to lock",
+  "hint.keys": " • ←/→ or Enter move between cells, Enter on the last one (or Ctrl+Enter) is Done",
+
+  // Table
+  "table.round": "Round",
+  "table.rnd": "Rnd",
+  "table.total": "Total",
+  "table.action": "Action",
+  "table.locked": "Locked",
+  "table.gameTotal": "Game Total",
+  "table.redDice": "Red dice: {count}",
+  "cell.label": "{column}, round {round}",
+  "cell.withDice": "{label} (dice {faces})",
+  "cell.toggleSign": "Toggle sign of {label}",
+  "cell.diceEntry": "Enter {label} dice one by one",
+  "cell.redPicker": "Number of red dice, round {round}",
+
+  // Red dice picker
+  "redPicker.round": "Round {round}",
+  "redPicker.title": "Number of Red Dice",
+  "redPicker.fewer": "One red die fewer",
+  "redPicker.more": "One red die more",
+  "redPicker.locked": "Corrects this locked round's total. Other rounds are unchanged.",
+  "redPicker.open": "Applies to this round only. The next round starts from this count.",
+
+  // Confirms
+  "confirm.lockWarnings": "Round {round} has unusual values:\n{list}\n\nLock it anyway?",
+  "confirm.newGame": "Start a new {rounds}-round game? This will clear all {current} rounds and unlock everything.",
+  "confirm.removePlayer": "Remove {name} and their sheet?",
+  "confirm.switchRules": "Switch scoring to \"{name}\"? Locked rounds will be re-scored with the new rules.",
+  "confirm.importShared": "Replace your own saved game with this shared one?",
+  "confirm.import": "Replace the current game with {file}? ({players}, {rounds}){note}",
+
+  // Plausibility warnings (lib/validation.js)
+  "warning.notYet": "{column} isn't scored until round {round}",
+  "warning.tooManyDice": "{column}: {count} dice entered, only {max} in play",
+  "warning.noRedDice": "{column} has a score but the round has no red dice",
+  "warning.tooHigh": "{column} {value} is more than {max} (the most its dice can show)",
+  "warning.tooLow": "{column} {value} is below {min}",
+  "warning.redCount": "{count} red dice – there are only {max}",
+  "warning.where": "{player}, round {round}: {message}",
+
+  // Dice-by-dice entry
+  "dice.title": "{column} dice, round {round}",
+  "dice.round": "Round {round}",
+  "dice.close": "Close dice entry",
+  "dice.empty": "Tap the faces of the dice below",
+  "dice.count": { one: "{count} die", other: "{count} dice" },
+  "dice.add": "Add {face}",
+  "dice.remove": "Remove die {n} ({face})",
+  "dice.last": "Last",
+  "dice.clear": "Clear",
+  "dice.chip": "{colour} dice: ",
+  "dice.chipTitle": "{label} ({colour} dice)",
+
+  // New game
+  "setup.title": "New game",
+  "setup.length": "Game length",
+  "setup.quick": "Quick",
+  "setup.quickHint": "Kids / short game",
+  "setup.standard": "Standard",
+  "setup.standardHint": "Regular game",
+  "setup.marathon": "Marathon",
+  "setup.marathonHint": "Long session",
+  "setup.rounds": { one: "· {count} round", other: "· {count} rounds" },
+  "setup.custom": "Custom rounds:",
+  "setup.summary": "Players: {players} • Rules: {rules}",
+  "setup.start": "Start {count}-round game",
+
+  // Chart panel (lib/analytics.js)
+  "charts.title": "Round by round",
+  "charts.score": "Score",
+  "charts.colours": "Colours",
+  "charts.red": "Red dice",
+  "charts.banked": "Locked in",
+  "charts.final": "Final total",
+  "charts.pace": "At this pace",
+  "charts.paceLater": "after the first lock",
+  "charts.past": "From past games",
+  "charts.games": { one: "{count} game", other: "{count} games" },
+  "charts.noPast": "no past games yet",
+  "charts.runningTotal": "Running total",
+  "charts.point": "Round {round}: {value}",
+  "charts.open": "(open)",
+  "charts.scoreSummary": "Running total per round, {total} after round {round}",
+  "charts.coloursSummary": "Points per round by colour",
+  "charts.redSummary": "Red dice per round",
+  "charts.redPoint": { one: "Round {round}: {count} red die", other: "Round {round}: {count} red dice" },
+
+  // Round clocks and turn timer (lib/timing.js)
+  "clock.round": "Round {round}",
+  "clock.roundHint": "Time since this round became active",
+  "clock.game": "Game",
+  "clock.roundTime": "Time for this round",
+  "clock.turnTimer": "Turn timer",
+  "clock.turnLeft": "Time left this turn",
+  "clock.start": "Start turn timer",
+  "clock.pause": "Pause turn timer",
+  "clock.reset": "Reset turn timer",
+  "clock.seconds": "Seconds per turn",
+  "clock.secondsUnit": "s",
+  "clock.sound": "Sound",
+  "clock.vibrate": "Vibrate",
+  "clock.timeUp": "Time's up!",
+
+  // Dice scan (lib/diceScan.js)
+  "scan.open": "Scan the dice of round {round} from a photo",
+  "scan.title": "Scan dice, round {round}",
+  "scan.hint": "Spread the dice out on a dark surface, not touching, and take the picture from above. Nothing leaves this device.",
+  "scan.camera": "Camera",
+  "scan.photo": "Photo",
+  "scan.take": "Take photo",
+  "scan.picture": "Scanned picture with the dice found",
+  "scan.none": "No dice found – try more light or a darker surface.",
+  "scan.unused": { one: "{count} die isn't scored this round and is left out.", other: "{count} dice aren't scored this round and are left out." },
+  "scan.unsure": { one: "{count} die couldn't be read (dashed) – add it by hand.", other: "{count} dice couldn't be read (dashed) – add them by hand." },
+  "scan.noCamera": "The camera isn't available – choose a photo instead.",
+  "scan.unreadable": "That picture couldn't be read.",
+  "scan.cancel": "Cancel",
+  "scan.apply": "Fill in round {round}",
+
+  // Service worker
+  "update.available": "A new version is available. Your game is saved and stays as it is after updating.",
+  "update.offline": "Ready to work offline.",
+  "update.update": "Update",
+  "update.later": "Later",
+
+  // Saved game recovery
+  "recovery.corrupt": "Your saved game couldn't be read",
+  "recovery.repaired": "Your saved game had problems and was repaired",
+  "recovery.corruptText":
+    "A new blank game was started. The unreadable data ({error}) was kept as a backup – download it, or import a previously exported file.",
+  "recovery.more": "…and {count} more",
+  "recovery.download": "Download backup",
+  "recovery.import": "Import file",
+  "recovery.keepBlank": "Keep blank game",
+  "repair.notObject": "saved game is not an object",
+  "repair.noPlayers": "no players in saved game",
+  "repair.rules": "Scoring rules were unreadable – switched to the default rules",
+  "repair.roundCount": "Round count \"{value}\" was invalid – using {count}",
+  "repair.players": "Only the first {max} of {count} players were kept",
+  "repair.rounds": "{who}: had {found} rounds, fixed to {count}",
+  "repair.value": "{where}: \"{key}\" value {value} reset to 0",
+  "repair.dice": "{where}: dice breakdown didn't match the score and was dropped",
+  "repair.times": "{where}: unreadable round times were dropped",
+  "repair.log": { one: "{count} unreadable log entry was dropped", other: "{count} unreadable log entries were dropped" },
+
+  // Change log (lib/undo.js)
+  "log.title": "Change log",
+  "log.close": "Close log",
+  "log.empty": "No changes yet this game.",
+  "log.field": "Round {round} {field}: {from} → {to}",
+  "log.sign": "Round {round} {field} sign: {from} → {to}",
+  "log.dice": "Round {round} {field} dice: {from} → {to}",
+  "log.redCount": "Round {round} red dice: {from} → {to}",
+  "log.redCountOld": "Red dice: {from} → {to}",
+  "log.scan": { one: "Round {round} scanned from a photo: {count} die", other: "Round {round} scanned from a photo: {count} dice" },
+  "log.lock": "Locked round {round} ({to} pts)",
+  "log.lockWarnings": {
+    one: "Locked round {round} ({to} pts) despite {count} warning",
+    other: "Locked round {round} ({to} pts) despite {count} warnings",
+  },
+  "log.undo": "Undo – {change}",
+  "log.redo": "Redo – {change}",
+
+  // Stats & history
+  "stats.title": "Stats & History",
+  "stats.empty": "No finished games yet. Lock all rounds of a sheet to archive it here.",
+  "stats.games": "Games",
+  "stats.averageTotal": "Average total",
+  "stats.bestTotal": "Best total",
+  "stats.byColour": "Average per game by colour",
+  "stats.perRound": "Average score per round",
+  "stats.redPerRound": "Average red dice per round",
+  "stats.roundValue": "Round {round}: {value}",
+  "stats.round": "Round",
+  "stats.score": "Score",
+  "stats.redDice": "Red dice",
+  "stats.delete": "Delete game",
+  "stats.confirmDelete": "Delete {player}'s game from {date}?",
+
+  // League (lib/league.js)
+  "league.title": "League",
+  "league.season": "Season",
+  "league.seasonNumbered": "Season {n}",
+  "league.newSeason": "New season",
+  "league.newSeasonName": "New season name",
+  "league.noSeason": "No season yet. Create one, then record each finished game into it.",
+  "league.import": "Import season",
+  "league.importFailed": "Couldn't import {file}",
+  "league.confirmReplace": "Replace the season \"{name}\" with the one from {file}?",
+  "league.confirmDeleteSeason": {
+    one: "Delete the season \"{name}\" with its {count} recorded game?",
+    other: "Delete the season \"{name}\" with all {count} recorded games?",
+  },
+  "league.thisGame": "This game:",
+  "league.record": "Record game",
+  "league.notFinished": "Lock every round of every sheet to record the game.",
+  "league.recorded": "Game recorded.",
+  "league.updated": "Updated this game's earlier record.",
+  "league.registered": "Registered {names}.",
+  "league.sameName": "Two players are called \"{name}\" – rename one first",
+  "league.noPlayers": "No players yet – they're registered when a game is recorded, or below.",
+  "league.standings": { one: "Standings • {count} game", other: "Standings • {count} games" },
+  "league.player": "Player",
+  "league.played": "Played",
+  "league.wins": "Wins",
+  "league.average": "Avg",
+  "league.best": "Best",
+  "league.points": "Points",
+  "league.headToHead": "Head-to-head (row vs column: W–L–T)",
+  "league.games": "Games",
+  "league.deleteGame": "Delete game",
+  "league.confirmDeleteGame": "Delete the game from {date} from this season?",
+  "league.settings": "Season settings",
+  "league.name": "Name:",
+  "league.pointsPerPlace": "Points per place:",
+  "league.pointsHelp": "1st, 2nd, 3rd … – places past the list score 0; ties share the better place",
+  "league.pointsEmpty": "Enter at least one value",
+  "league.pointsInvalid": "Points must be whole numbers ≥ 0",
+  "league.players": "Players:",
+  "league.playerName": "Name",
+  "league.register": "Register player",
+  "league.export": "Export season",
+  "league.deleteSeason": "Delete season",
+  "seasonError.format": "Not a Panda Royale season file",
+  "seasonError.id": "Season id missing",
+  "seasonError.name": "Season name missing",
+  "seasonError.pointsTable": "Points table must be a list of whole numbers ≥ 0",
+  "seasonError.players": "Players must each have an id and a name",
+  "seasonError.games": "Games missing",
+  "seasonError.noResults": "Game {game}: no results",
+  "seasonError.date": "Game {game}: invalid date {value}",
+  "seasonError.player": "Game {game}: unknown player {value}",
+  "seasonError.total": "Game {game}: total {value} is not a number",
+
+  // Rules panel (lib/rules.js)
+  "rulesPanel.title": "Scoring rules",
+  "rulesPanel.close": "Close rules",
+  "rulesPanel.thisGame": "{name} (this game)",
+  "rulesPanel.name": "Name:",
+  "rulesPanel.label": "Label",
+  "rulesPanel.header": "Header",
+  "rulesPanel.colour": "Colour",
+  "rulesPanel.formula": "Formula",
+  "rulesPanel.fromRound": "From rnd",
+  "rulesPanel.dice": "Dice",
+  "rulesPanel.diceHint": "Dice of this colour per round (for warnings)",
+  "rulesPanel.upgrades": "Upgrades",
+  "rulesPanel.allowNegative": "{label} allows negatives",
+  "rulesPanel.moveUp": "Move up",
+  "rulesPanel.moveDown": "Move down",
+  "rulesPanel.removeColumn": "Remove column",
+  "rulesPanel.addColumn": "Add die column",
+  "rulesPanel.newDie": "New die",
+  "rulesPanel.newDieShort": "New",
+  "rulesPanel.options": "Player options (used by upgrades)",
+  "rulesPanel.newOption": "New option",
+  "rulesPanel.removeOption": "Remove option",
+  "rulesPanel.addOption": "Add option",
+  "rulesPanel.addUpgrade": "+ upgrade",
+  "rulesPanel.removeUpgrade": "Remove upgrade",
+  "rulesPanel.confirmDelete": "Delete preset \"{name}\"?",
+  "rulesPanel.delete": "Delete preset",
+  "rulesPanel.saveAsNew": "Save as new preset",
+  "rulesPanel.save": "Save preset",
+  "rulesPanel.apply": "Use for this game",
+  "formula.times": "value × multiplier",
+  "formula.timesRedCount": "value × red dice count",
+  "colour.yellow": "Yellow",
+  "colour.purple": "Purple",
+  "colour.blue": "Blue",
+  "colour.red": "Red",
+  "colour.green": "Green",
+  "colour.clear": "Clear",
+  "colour.pink": "Pink",
+  "rulesError.missing": "Ruleset is missing",
+  "rulesError.name": "Ruleset needs a name",
+  "rulesError.columns": "Ruleset needs at least one column",
+  "rulesError.column": "Column {n}",
+  "rulesError.columnNamed": "Column {n} ({label})",
+  "rulesError.key": "{where}: invalid key",
+  "rulesError.duplicateKey": "{where}: duplicate key \"{key}\"",
+  "rulesError.label": "{where}: needs a label",
+  "rulesError.formula": "{where}: unknown formula \"{formula}\"",
+  "rulesError.multiplier": "{where}: multiplier must be a number",
+  "rulesError.fromRound": "{where}: unlock round must be 1 or later",
+  "rulesError.dice": "{where}: dice count must be 1 or more",
+  "rulesError.upgradeFlag": "{where}: upgrade uses unknown flag \"{flag}\"",
+  "rulesError.upgradeMultiplier": "{where}: upgrade multiplier must be a number",
+
+  // Sync panel (lib/sync.js)
+  "sync.title": "Sync with other devices",
+  "sync.close": "Close sync",
+  "sync.device": "This device:",
+  "sync.devicePlaceholder": "e.g. Ann's phone",
+  "sync.room": "Room code:",
+  "sync.newRoom": "New room",
+  "sync.relay": "Relay (optional):",
+  "sync.help":
+    "Without a relay, only other tabs of this browser join. For several phones, run {command} on a laptop on the same Wi-Fi and enter the address it prints; everyone uses the same room code.",
+  "sync.httpsBlocked":
+    "This page is on https, so the browser won't connect to a ws:// relay. Open the app from the relay's own http address instead (it's printed next to the relay address).",
+  "sync.connected": "Connected",
+  "sync.connecting": "Connecting…",
+  "sync.offline": "Relay unreachable – retrying",
+  "sync.inRoom": "{status} • room {room}",
+  "sync.join": "Join room",
+  "sync.leave": "Leave room",
+  "sync.peers": "Other devices in the room",
+  "sync.nobody": "Nobody else yet.",
+  "sync.unnamed": "Unnamed device",
+  "sync.noPlayers": "no players",
+  "sync.conflicts": "Conflicting edits",
+  "sync.keptRemote": "Round {round} of {player} was changed here and on {device} – kept {device}'s version",
+  "sync.keptLocal": "Round {round} of {player} was changed here and on {device} – kept this device's version",
+
+  // Share dialog (lib/share.js)
+  "share.title": "Share this game",
+  "share.close": "Close share",
+  "share.hint": "Anyone with the link sees a read-only copy of every sheet and can import it. Later changes aren't included – share again after editing.",
+  "share.preparing": "Preparing link…",
+  "share.failed": "This game couldn't be turned into a link.",
+  "share.link": "Share link",
+  "share.copy": "Copy link",
+  "share.share": "Share…",
+  "share.sheetTitle": "Panda Royale score sheet",
+  "share.tooBig": "This game is too big for a QR code – use the link instead.",
+  "share.qr": "QR code of the share link",
+
+  // Print / PDF (lib/printSheet.js)
+  "print.colours": "Output colours",
+  "print.print": "Print",
+  "print.download": "Download PDF",
+  "print.locked": { one: "{locked} of {count} round locked", other: "{locked} of {count} rounds locked" },
+  "print.gameTotal": "Game total",
+  "print.time": "Time",
+  "print.duration": "Game time: {time}",
+  "print.breakdown": "Per-colour breakdown",
+};
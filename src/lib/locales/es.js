@@ -0,0 +1,470 @@
+// Español
+export default {
+  "rules.classic": "Panda Royale (clásico)",
+  "rules.open-table": "Mesa abierta (todos los colores desde la ronda 1)",
+  "flag.hasGlitterBlue": "Tiene azul brillante",
+  "upgrade.hasGlitterBlue": "brillante",
+  "column.y": "Amarillo",
+  "column.y.short": "Amar",
+  "column.y.csv": "Amarillo",
+  "column.purp": "Morado",
+  "column.purp.short": "Mor",
+  "column.purp.csv": "Morado",
+  "column.blue": "Azul",
+  "column.blue.short": "Azul",
+  "column.blue.csv": "Azul",
+  "column.redSum": "Rojo",
+  "column.redSum.short": "Rojo",
+  "column.redSum.csv": "Suma roja",
+  "column.green": "Verde",
+  "column.green.short": "Verde",
+  "column.green.csv": "Verde",
+  "column.clear": "Transparente",
+  "column.clear.short": "Transp",
+  "column.clear.csv": "Transparente/Blanco",
+  "column.pink": "Rosa",
+  "column.pink.short": "Rosa",
+  "column.pink.csv": "Rosa (consuelo)",
+
+  "csv.player": "Jugador",
+  "csv.round": "Ronda",
+  "csv.redCount": "Dados rojos",
+  "csv.rowTotal": "Total ronda",
+  "csv.total": "Total",
+  "csv.dice": "Dados",
+  "csv.started": "Inicio",
+  "csv.locked": "Cierre",
+  "csv.time": "Duración",
+
+  "app.title": "Panda Royale – Hoja de puntos",
+  "app.language": "Idioma",
+  "app.theme": "Tema",
+  "theme.system": "Sistema",
+  "theme.light": "Claro",
+  "theme.dark": "Oscuro",
+  "theme.contrast": "Alto contraste",
+  "nav.undo": "Deshacer",
+  "nav.undoHint": "Deshacer (Ctrl+Z)",
+  "nav.redo": "Rehacer",
+  "nav.redoHint": "Rehacer (Ctrl+Mayús+Z)",
+  "nav.log": "Registro",
+  "nav.rules": "Reglas",
+  "nav.sync": "Sincronizar",
+  "nav.stats": "Estadísticas",
+  "nav.league": "Liga",
+  "nav.sheet": "Hoja",
+  "nav.print": "Imprimir / PDF",
+  "nav.exportCsv": "Exportar CSV",
+  "nav.exportJson": "Exportar JSON",
+  "nav.share": "Compartir",
+  "nav.import": "Importar",
+  "nav.reset": "Reiniciar",
+
+  "common.dismiss": "Descartar",
+  "common.close": "Cerrar",
+  "common.ok": "Aceptar",
+  "common.back": "Volver",
+  "common.done": "Listo",
+  "common.allPlayers": "Todos los jugadores",
+
+  "shared.viewing": "Estás viendo una partida compartida (solo lectura). Tu propia partida sigue guardada en este dispositivo.",
+  "shared.back": "Volver a mi partida",
+  "shared.import": "Importar como mi partida",
+  "shared.link": "el enlace compartido",
+  "shared.game": "la partida compartida",
+  "import.failed": { one: "No se pudo importar {file} ({count} problema)", other: "No se pudo importar {file} ({count} problemas)" },
+  "import.warnings": { one: "{file} importado – {count} valor para revisar", other: "{file} importado – {count} valores para revisar" },
+  "import.implausible": {
+    one: "{count} valor parece improbable – se mostrará después de importar.",
+    other: "{count} valores parecen improbables – se mostrarán después de importar.",
+  },
+  "import.players": { one: "{count} jugador", other: "{count} jugadores" },
+  "import.rounds": { one: "{count} ronda", other: "{count} rondas" },
+  "import.unreadable": "No se pudo leer el archivo: {error}",
+
+  "fileError.json": "JSON no válido: {error}",
+  "fileError.format": "No es un archivo de partida de Panda Royale",
+  "fileError.version": "Versión de archivo {version} no compatible (esta app lee hasta la {max})",
+  "fileError.rulesVersion": "La versión de reglas {version} es más nueva de lo que admite esta app",
+  "fileError.rules": "Reglas: {error}",
+  "fileError.roundCount": "El número de rondas debe ser un entero positivo; se encontró {value}",
+  "fileError.players": "Se esperaban de 1 a {max} jugadores",
+  "fileError.player": "Jugador {n}",
+  "fileError.playerNamed": "Jugador {n} ({name})",
+  "fileError.round": "{who}, ronda {round}",
+  "fileError.rounds": "{who}: se esperaban {count} rondas, hay {found}",
+  "fileError.noRounds": "{who}: se esperaban {count} rondas, no hay ninguna",
+  "fileError.notRound": "{where}: no es una ronda",
+  "fileError.notNumber": "{where}, {column}: {value} no es un número",
+  "fileError.negative": "{where}, {column}: no puede ser negativo",
+  "fileError.redCount": "{where}, {column}: {value} no es una cantidad válida",
+  "fileError.locked": "{where}: falta la marca de bloqueo",
+  "fileError.in": "{where}, {problem}",
+  "fileError.notTime": "{field} {value} no es una hora",
+
+  "diceError.notList": "Dados: no es una lista de dados por columna",
+  "diceError.unknownColumn": "Dados: columna desconocida \"{key}\"",
+  "diceError.faces": "Dados de {column}: {faces} no son caras válidas",
+  "diceError.sum": "Dados de {column}: suman {sum}, no {value}",
+  "diceError.csvColumn": "\"{part}\" no nombra ninguna columna",
+  "diceError.csvFaces": "\"{part}\" tiene caras de dado no válidas",
+
+  "csvError.line": "Línea {line}",
+  "csvError.lineRound": "Línea {line} (ronda {round})",
+  "csvError.at": "{where}: {problem}",
+  "csvError.atColumn": "{where}, {column}: {problem}",
+  "csvError.unknownColumn": "columna desconocida para estas reglas",
+  "csvError.missingColumn": "falta la columna en el encabezado",
+  "csvError.valueCount": "se esperaban {count} valores, hay {found}",
+  "csvError.dice": "{error}",
+  "csvError.notTime": "\"{value}\" no es una fecha y hora",
+  "csvError.notWhole": "\"{value}\" no es un número entero",
+  "csvError.roundNumber": "se esperaba la ronda {round}, hay {found}",
+  "csvError.negative": "no puede ser negativo",
+  "csvError.multiple": "{value} no es múltiplo de {multiplier}",
+  "csvError.diceSum": "los dados de {column} suman {sum}, no {value}",
+  "csvError.rowTotal": "{total} no coincide con el recalculado {expected}",
+  "csvError.noRounds": "no hay rondas bajo el encabezado",
+  "csvError.outside": "datos inesperados fuera de una tabla de puntos",
+  "csvError.malformed": "CSV mal formado – una línea sin valores",
+  "csvError.noTable": "No se encontró ninguna tabla de puntos (se esperaba un encabezado que empiece por \"{round}\")",
+  "csvError.tooMany": "Demasiados jugadores: {count} (máx. {max})",
+  "csvError.roundsDiffer": "{who}: tiene {count} rondas, los demás tienen {expected}",
+
+  "shareError.damaged": "El enlace compartido está incompleto o dañado",
+  "shareError.newer": "El enlace compartido es de una versión más nueva de la app (v{version})",
+  "shareError.compressed": "Este navegador no puede abrir enlaces comprimidos",
+  "shareError.rules": "Reglas de puntuación desconocidas \"{id}\"",
+
+  "player.default": "Jugador",
+  "player.numbered": "Jugador {n}",
+  "player.this": "este jugador",
+  "player.add": "Añadir jugador",
+  "player.remove": "Quitar a {name}",
+  "player.otherDevice": "otro dispositivo",
+
+  "controls.name": "Nombre:",
+  "controls.redDice": "N.º de dados rojos (ronda {round}):",
+  "hint.roundOne": "Ronda 1: solo {columns} • ",
+  "hint.pressDone": "Pulsa {done} para cerrar la ronda",
+  "hint.keys": " • ←/→ o Intro pasan de casilla; Intro en la última (o Ctrl+Intro) equivale a Listo",
+
+  "table.round": "Ronda",
+  "table.rnd": "Rda",
+  "table.total": "Total",
+  "table.action": "Acción",
+  "table.locked": "Cerrada",
+  "table.gameTotal": "Total de la partida",
+  "table.redDice": "Dados rojos: {count}",
+  "cell.label": "{column}, ronda {round}",
+  "cell.withDice": "{label} (dados {faces})",
+  "cell.toggleSign": "Cambiar el signo de {label}",
+  "cell.diceEntry": "Introducir los dados de {label} uno a uno",
+  "cell.redPicker": "Número de dados rojos, ronda {round}",
+
+  "redPicker.round": "Ronda {round}",
+  "redPicker.title": "Número de dados rojos",
+  "redPicker.fewer": "Un dado rojo menos",
+  "redPicker.more": "Un dado rojo más",
+  "redPicker.locked": "Corrige el total de esta ronda cerrada. Las demás rondas no cambian.",
+  "redPicker.open": "Solo para esta ronda. La siguiente empieza con este número.",
+
+  "confirm.lockWarnings": "La ronda {round} tiene valores inusuales:\n{list}\n\n¿Cerrarla de todos modos?",
+  "confirm.newGame": "¿Empezar una partida nueva de {rounds} rondas? Se borrarán las {current} rondas y se desbloqueará todo.",
+  "confirm.removePlayer": "¿Quitar a {name} y su hoja?",
+  "confirm.switchRules": "¿Puntuar con «{name}»? Las rondas cerradas se recalcularán con las reglas nuevas.",
+  "confirm.importShared": "¿Sustituir tu partida guardada por esta partida compartida?",
+  "confirm.import": "¿Sustituir la partida actual por {file}? ({players}, {rounds}){note}",
+
+  "warning.notYet": "{column} no puntúa hasta la ronda {round}",
+  "warning.tooManyDice": "{column}: {count} dados introducidos, solo hay {max} en juego",
+  "warning.noRedDice": "{column} tiene puntos pero la ronda no tiene dados rojos",
+  "warning.tooHigh": "{column} {value} es más de {max} (lo máximo que pueden mostrar sus dados)",
+  "warning.tooLow": "{column} {value} es menor que {min}",
+  "warning.redCount": "{count} dados rojos – solo hay {max}",
+  "warning.where": "{player}, ronda {round}: {message}",
+
+  "dice.title": "Dados de {column}, ronda {round}",
+  "dice.round": "Ronda {round}",
+  "dice.close": "Cerrar la entrada de dados",
+  "dice.empty": "Toca las caras de los dados de abajo",
+  "dice.count": { one: "{count} dado", other: "{count} dados" },
+  "dice.add": "Añadir {face}",
+  "dice.remove": "Quitar el dado {n} ({face})",
+  "dice.last": "Último",
+  "dice.clear": "Borrar",
+  "dice.chip": "Dados de color {colour}: ",
+  "dice.chipTitle": "{label} (dados de color {colour})",
+
+  "setup.title": "Partida nueva",
+  "setup.length": "Duración",
+  "setup.quick": "Rápida",
+  "setup.quickHint": "Niños / partida corta",
+  "setup.standard": "Normal",
+  "setup.standardHint": "Partida habitual",
+  "setup.marathon": "Maratón",
+  "setup.marathonHint": "Sesión larga",
+  "setup.rounds": { one: "· {count} ronda", other: "· {count} rondas" },
+  "setup.custom": "Rondas a medida:",
+  "setup.summary": "Jugadores: {players} • Reglas: {rules}",
+  "setup.start": { one: "Empezar partida de {count} ronda", other: "Empezar partida de {count} rondas" },
+
+  "charts.title": "Ronda a ronda",
+  "charts.score": "Puntos",
+  "charts.colours": "Colores",
+  "charts.red": "Dados rojos",
+  "charts.banked": "Asegurado",
+  "charts.final": "Total final",
+  "charts.pace": "A este ritmo",
+  "charts.paceLater": "tras cerrar la primera ronda",
+  "charts.past": "Según partidas anteriores",
+  "charts.games": { one: "{count} partida", other: "{count} partidas" },
+  "charts.noPast": "aún no hay partidas anteriores",
+  "charts.runningTotal": "Total acumulado",
+  "charts.point": "Ronda {round}: {value}",
+  "charts.open": "(abierta)",
+  "charts.scoreSummary": "Total acumulado por ronda, {total} tras la ronda {round}",
+  "charts.coloursSummary": "Puntos por ronda y color",
+  "charts.redSummary": "Dados rojos por ronda",
+  "charts.redPoint": { one: "Ronda {round}: {count} dado rojo", other: "Ronda {round}: {count} dados rojos" },
+
+  "clock.round": "Ronda {round}",
+  "clock.roundHint": "Tiempo desde que empezó esta ronda",
+  "clock.game": "Partida",
+  "clock.roundTime": "Duración de esta ronda",
+  "clock.turnTimer": "Temporizador de turno",
+  "clock.turnLeft": "Tiempo restante del turno",
+  "clock.start": "Iniciar temporizador",
+  "clock.pause": "Pausar temporizador",
+  "clock.reset": "Reiniciar temporizador",
+  "clock.seconds": "Segundos por turno",
+  "clock.secondsUnit": "s",
+  "clock.sound": "Sonido",
+  "clock.vibrate": "Vibrar",
+  "clock.timeUp": "¡Se acabó el tiempo!",
+
+  "scan.open": "Escanear los dados de la ronda {round} con una foto",
+  "scan.title": "Escanear dados, ronda {round}",
+  "scan.hint": "Reparte los dados sobre una superficie oscura, sin que se toquen, y haz la foto desde arriba. Nada sale de este dispositivo.",
+  "scan.camera": "Cámara",
+  "scan.photo": "Foto",
+  "scan.take": "Hacer foto",
+  "scan.picture": "Foto escaneada con los dados encontrados",
+  "scan.none": "No se encontraron dados: prueba con más luz o una superficie más oscura.",
+  "scan.unused": { one: "{count} dado no puntúa esta ronda y se deja fuera.", other: "{count} dados no puntúan esta ronda y se dejan fuera." },
+  "scan.unsure": { one: "{count} dado no se pudo leer (discontinuo): añádelo a mano.", other: "{count} dados no se pudieron leer (discontinuos): añádelos a mano." },
+  "scan.noCamera": "La cámara no está disponible: elige una foto.",
+  "scan.unreadable": "No se pudo leer esa imagen.",
+  "scan.cancel": "Cancelar",
+  "scan.apply": "Rellenar la ronda {round}",
+
+  "update.available": "Hay una versión nueva. Tu partida está guardada y sigue igual después de actualizar.",
+  "update.offline": "Listo para usar sin conexión.",
+  "update.update": "Actualizar",
+  "update.later": "Más tarde",
+
+  "recovery.corrupt": "No se pudo leer tu partida guardada",
+  "recovery.repaired": "Tu partida guardada tenía problemas y se ha reparado",
+  "recovery.corruptText":
+    "Se ha empezado una partida en blanco. Los datos ilegibles ({error}) se guardaron como copia de seguridad: descárgala o importa un archivo exportado antes.",
+  "recovery.more": "…y {count} más",
+  "recovery.download": "Descargar copia",
+  "recovery.import": "Importar archivo",
+  "recovery.keepBlank": "Seguir con la partida en blanco",
+  "repair.notObject": "la partida guardada no es un objeto",
+  "repair.noPlayers": "no hay jugadores en la partida guardada",
+  "repair.rules": "Las reglas de puntuación no se podían leer – se usan las reglas predeterminadas",
+  "repair.roundCount": "El número de rondas \"{value}\" no era válido – se usan {count}",
+  "repair.players": "Solo se conservaron los primeros {max} de {count} jugadores",
+  "repair.rounds": "{who}: tenía {found} rondas, corregido a {count}",
+  "repair.value": "{where}: el valor {value} de \"{key}\" se puso a 0",
+  "repair.dice": "{where}: el desglose de dados no coincidía con la puntuación y se descartó",
+  "repair.times": "{where}: se descartaron horas de ronda ilegibles",
+  "repair.log": { one: "Se descartó {count} entrada ilegible del registro", other: "Se descartaron {count} entradas ilegibles del registro" },
+
+  "log.title": "Registro de cambios",
+  "log.close": "Cerrar registro",
+  "log.empty": "Todavía no hay cambios en esta partida.",
+  "log.field": "Ronda {round} {field}: {from} → {to}",
+  "log.sign": "Ronda {round} {field} signo: {from} → {to}",
+  "log.dice": "Ronda {round} {field} dados: {from} → {to}",
+  "log.redCount": "Ronda {round} dados rojos: {from} → {to}",
+  "log.redCountOld": "Dados rojos: {from} → {to}",
+  "log.scan": { one: "Ronda {round} leída de una foto: {count} dado", other: "Ronda {round} leída de una foto: {count} dados" },
+  "log.lock": "Ronda {round} cerrada ({to} pts)",
+  "log.lockWarnings": {
+    one: "Ronda {round} cerrada ({to} pts) pese a {count} aviso",
+    other: "Ronda {round} cerrada ({to} pts) pese a {count} avisos",
+  },
+  "log.undo": "Deshacer – {change}",
+  "log.redo": "Rehacer – {change}",
+
+  "stats.title": "Estadísticas e historial",
+  "stats.empty": "Aún no hay partidas terminadas. Cierra todas las rondas de una hoja para archivarla aquí.",
+  "stats.games": "Partidas",
+  "stats.averageTotal": "Total medio",
+  "stats.bestTotal": "Mejor total",
+  "stats.byColour": "Media por partida según color",
+  "stats.perRound": "Puntos medios por ronda",
+  "stats.redPerRound": "Dados rojos medios por ronda",
+  "stats.roundValue": "Ronda {round}: {value}",
+  "stats.round": "Ronda",
+  "stats.score": "Puntos",
+  "stats.redDice": "Dados rojos",
+  "stats.delete": "Borrar partida",
+  "stats.confirmDelete": "¿Borrar la partida de {player} del {date}?",
+
+  "league.title": "Liga",
+  "league.season": "Temporada",
+  "league.seasonNumbered": "Temporada {n}",
+  "league.newSeason": "Nueva temporada",
+  "league.newSeasonName": "Nombre de la nueva temporada",
+  "league.noSeason": "Todavía no hay temporadas. Crea una y registra en ella cada partida terminada.",
+  "league.import": "Importar temporada",
+  "league.importFailed": "No se pudo importar {file}",
+  "league.confirmReplace": "¿Sustituir la temporada «{name}» por la de {file}?",
+  "league.confirmDeleteSeason": {
+    one: "¿Borrar la temporada «{name}» con su {count} partida registrada?",
+    other: "¿Borrar la temporada «{name}» con sus {count} partidas registradas?",
+  },
+  "league.thisGame": "Esta partida:",
+  "league.record": "Registrar partida",
+  "league.notFinished": "Cierra todas las rondas de todas las hojas para registrar la partida.",
+  "league.recorded": "Partida registrada.",
+  "league.updated": "Se actualizó el registro anterior de esta partida.",
+  "league.registered": "Inscritos: {names}.",
+  "league.sameName": "Dos jugadores se llaman «{name}»: cambia el nombre de uno",
+  "league.noPlayers": "Aún no hay jugadores: se inscriben al registrar una partida o aquí abajo.",
+  "league.standings": { one: "Clasificación • {count} partida", other: "Clasificación • {count} partidas" },
+  "league.player": "Jugador",
+  "league.played": "Jugadas",
+  "league.wins": "Victorias",
+  "league.average": "Media",
+  "league.best": "Mejor",
+  "league.points": "Puntos",
+  "league.headToHead": "Cara a cara (fila contra columna: G–P–E)",
+  "league.games": "Partidas",
+  "league.deleteGame": "Borrar partida",
+  "league.confirmDeleteGame": "¿Borrar de esta temporada la partida del {date}?",
+  "league.settings": "Ajustes de la temporada",
+  "league.name": "Nombre:",
+  "league.pointsPerPlace": "Puntos por puesto:",
+  "league.pointsHelp": "1.º, 2.º, 3.º … – los puestos fuera de la lista suman 0; los empates comparten el mejor puesto",
+  "league.pointsEmpty": "Introduce al menos un valor",
+  "league.pointsInvalid": "Los puntos deben ser números enteros ≥ 0",
+  "league.players": "Jugadores:",
+  "league.playerName": "Nombre",
+  "league.register": "Inscribir jugador",
+  "league.export": "Exportar temporada",
+  "league.deleteSeason": "Borrar temporada",
+  "seasonError.format": "No es un archivo de temporada de Panda Royale",
+  "seasonError.id": "Falta el id de la temporada",
+  "seasonError.name": "Falta el nombre de la temporada",
+  "seasonError.pointsTable": "La tabla de puntos debe ser una lista de números enteros ≥ 0",
+  "seasonError.players": "Cada jugador debe tener un id y un nombre",
+  "seasonError.games": "Faltan las partidas",
+  "seasonError.noResults": "Partida {game}: sin resultados",
+  "seasonError.date": "Partida {game}: fecha no válida {value}",
+  "seasonError.player": "Partida {game}: jugador desconocido {value}",
+  "seasonError.total": "Partida {game}: el total {value} no es un número",
+
+  "rulesPanel.title": "Reglas de puntuación",
+  "rulesPanel.close": "Cerrar reglas",
+  "rulesPanel.thisGame": "{name} (esta partida)",
+  "rulesPanel.name": "Nombre:",
+  "rulesPanel.label": "Etiqueta",
+  "rulesPanel.header": "Cabecera",
+  "rulesPanel.colour": "Color",
+  "rulesPanel.formula": "Fórmula",
+  "rulesPanel.fromRound": "Desde rda",
+  "rulesPanel.dice": "Dados",
+  "rulesPanel.diceHint": "Dados de este color por ronda (para los avisos)",
+  "rulesPanel.upgrades": "Mejoras",
+  "rulesPanel.allowNegative": "{label} admite negativos",
+  "rulesPanel.moveUp": "Subir",
+  "rulesPanel.moveDown": "Bajar",
+  "rulesPanel.removeColumn": "Quitar columna",
+  "rulesPanel.addColumn": "Añadir columna de dados",
+  "rulesPanel.newDie": "Dado nuevo",
+  "rulesPanel.newDieShort": "Nuevo",
+  "rulesPanel.options": "Opciones de jugador (para las mejoras)",
+  "rulesPanel.newOption": "Opción nueva",
+  "rulesPanel.removeOption": "Quitar opción",
+  "rulesPanel.addOption": "Añadir opción",
+  "rulesPanel.addUpgrade": "+ mejora",
+  "rulesPanel.removeUpgrade": "Quitar mejora",
+  "rulesPanel.confirmDelete": "¿Borrar la plantilla «{name}»?",
+  "rulesPanel.delete": "Borrar plantilla",
+  "rulesPanel.saveAsNew": "Guardar como plantilla nueva",
+  "rulesPanel.save": "Guardar plantilla",
+  "rulesPanel.apply": "Usar en esta partida",
+  "formula.times": "valor × multiplicador",
+  "formula.timesRedCount": "valor × número de dados rojos",
+  "colour.yellow": "Amarillo",
+  "colour.purple": "Morado",
+  "colour.blue": "Azul",
+  "colour.red": "Rojo",
+  "colour.green": "Verde",
+  "colour.clear": "Transparente",
+  "colour.pink": "Rosa",
+  "rulesError.missing": "Faltan las reglas",
+  "rulesError.name": "Las reglas necesitan un nombre",
+  "rulesError.columns": "Las reglas necesitan al menos una columna",
+  "rulesError.column": "Columna {n}",
+  "rulesError.columnNamed": "Columna {n} ({label})",
+  "rulesError.key": "{where}: clave no válida",
+  "rulesError.duplicateKey": "{where}: clave «{key}» repetida",
+  "rulesError.label": "{where}: necesita una etiqueta",
+  "rulesError.formula": "{where}: fórmula desconocida «{formula}»",
+  "rulesError.multiplier": "{where}: el multiplicador debe ser un número",
+  "rulesError.fromRound": "{where}: la ronda inicial debe ser 1 o posterior",
+  "rulesError.dice": "{where}: el número de dados debe ser 1 o más",
+  "rulesError.upgradeFlag": "{where}: la mejora usa la opción desconocida «{flag}»",
+  "rulesError.upgradeMultiplier": "{where}: el multiplicador de la mejora debe ser un número",
+
+  "sync.title": "Sincronizar con otros dispositivos",
+  "sync.close": "Cerrar sincronización",
+  "sync.device": "Este dispositivo:",
+  "sync.devicePlaceholder": "p. ej. móvil de Ana",
+  "sync.room": "Código de sala:",
+  "sync.newRoom": "Sala nueva",
+  "sync.relay": "Relé (opcional):",
+  "sync.help":
+    "Sin relé solo se unen otras pestañas de este navegador. Para varios móviles, ejecuta {command} en un portátil de la misma wifi e introduce la dirección que muestra; todos usan el mismo código de sala.",
+  "sync.httpsBlocked":
+    "Esta página usa https, así que el navegador no se conecta a un relé ws://. Abre la app desde la dirección http del propio relé (aparece junto a la dirección del relé).",
+  "sync.connected": "Conectado",
+  "sync.connecting": "Conectando…",
+  "sync.offline": "Relé inaccesible – reintentando",
+  "sync.inRoom": "{status} • sala {room}",
+  "sync.join": "Entrar en la sala",
+  "sync.leave": "Salir de la sala",
+  "sync.peers": "Otros dispositivos en la sala",
+  "sync.nobody": "Nadie más todavía.",
+  "sync.unnamed": "Dispositivo sin nombre",
+  "sync.noPlayers": "sin jugadores",
+  "sync.conflicts": "Cambios en conflicto",
+  "sync.keptRemote": "La ronda {round} de {player} se cambió aquí y en {device}: se mantiene la versión de {device}",
+  "sync.keptLocal": "La ronda {round} de {player} se cambió aquí y en {device}: se mantiene la versión de este dispositivo",
+
+  "share.title": "Compartir esta partida",
+  "share.close": "Cerrar compartir",
+  "share.hint": "Quien tenga el enlace ve una copia de solo lectura de todas las hojas y puede importarla. Los cambios posteriores no se incluyen: vuelve a compartir después de editar.",
+  "share.preparing": "Preparando el enlace…",
+  "share.failed": "No se pudo convertir esta partida en un enlace.",
+  "share.link": "Enlace para compartir",
+  "share.copy": "Copiar enlace",
+  "share.share": "Compartir…",
+  "share.sheetTitle": "Panda Royale – Hoja de puntos",
+  "share.tooBig": "Esta partida es demasiado grande para un código QR: usa el enlace.",
+  "share.qr": "Código QR del enlace",
+
+  "print.colours": "Colores de salida",
+  "print.print": "Imprimir",
+  "print.download": "Descargar PDF",
+  "print.locked": { one: "{locked} de {count} ronda cerrada", other: "{locked} de {count} rondas cerradas" },
+  "print.gameTotal": "Total de la partida",
+  "print.time": "Tiempo",
+  "print.duration": "Tiempo de juego: {time}",
+  "print.breakdown": "Reparto por color",
+};
@@ -0,0 +1,116 @@
+/**
+ * Tiny PDF writer – just enough for the printable score sheet, no dependency
+ * - Pages of filled / stroked rectangles, lines and Helvetica text
+ * - Coordinates are in points from the TOP-left corner (flipped on output)
+ * - Text is WinAnsi (Latin-1 plus – • × ±); anything else prints as "?"
+ */
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32–126
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+// WinAnsi code points outside Latin-1 that the sheet uses
+const WIN_ANSI_EXTRA = { "–": 0x96, "—": 0x97, "•": 0x95, "…": 0x85, "’": 0x92, "€": 0x80 };
+const EXTRA_WIDTHS = { 0x96: 556, 0x97: 1000, 0x95: 350, 0x85: 1000, 0x92: 222, 0x80: 556, 0xd7: 584, 0xb1: 584 };
+
+const toWinAnsi = (str) => [...String(str)].map((ch) => {
+  if (WIN_ANSI_EXTRA[ch]) return WIN_ANSI_EXTRA[ch];
+  const code = ch.codePointAt(0);
+  return code < 256 && ((code >= 32 && code < 127) || code >= 160) ? code : 63; // "?"
+});
+
+export function textWidth(str, size, bold = false) {
+  const table = bold ? WIDTHS.bold : WIDTHS.regular;
+  return toWinAnsi(str).reduce((w, c) => w + (c >= 32 && c < 127 ? table[c - 32] : EXTRA_WIDTHS[c] ?? 556), 0) * size / 1000;
+}
+
+// "#rrggbb" → "r g b" (0–1)
+const rgb = (hex) => {
+  const n = parseInt(hex.replace("#", ""), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => +(v / 255).toFixed(3)).join(" ");
+};
+const num = (n) => +n.toFixed(2);
+const pdfString = (str) => "(" + String.fromCharCode(...toWinAnsi(str)).replace(/[\\()]/g, (c) => "\\" + c) + ")";
+
+/**
+ * const doc = createPdf();
+ * doc.addPage(); doc.rect(…); doc.text(…);
+ * const bytes = doc.toBytes(); // Uint8Array, e.g. for new Blob([bytes], { type: "application/pdf" })
+ */
+export function createPdf({ width = A4.width, height = A4.height } = {}) {
+  const pages = [];
+  let ops = null;
+  const y = (top) => num(height - top);
+
+  return {
+    width,
+    height,
+    addPage() {
+      ops = [];
+      pages.push(ops);
+    },
+    // { fill, stroke, lineWidth } – colours as "#rrggbb"
+    rect(x, top, w, h, { fill, stroke, lineWidth = 0.75 } = {}) {
+      if (!fill && !stroke) return;
+      if (fill) ops.push(`${rgb(fill)} rg`);
+      if (stroke) ops.push(`${rgb(stroke)} RG ${num(lineWidth)} w`);
+      ops.push(`${num(x)} ${y(top + h)} ${num(w)} ${num(h)} re ${fill && stroke ? "B" : fill ? "f" : "S"}`);
+    },
+    line(x1, top1, x2, top2, { stroke, lineWidth = 0.75 }) {
+      ops.push(`${rgb(stroke)} RG ${num(lineWidth)} w ${num(x1)} ${y(top1)} m ${num(x2)} ${y(top2)} l S`);
+    },
+    // top = baseline; align "left" | "center" | "right" around x
+    text(x, top, str, { size = 10, bold = false, color = "#000000", align = "left" } = {}) {
+      const w = textWidth(str, size, bold);
+      const left = align === "right" ? x - w : align === "center" ? x - w / 2 : x;
+      ops.push(`BT /${bold ? "F2" : "F1"} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${y(top)} Td ${pdfString(str)} Tj ET`);
+    },
+    toBytes() {
+      const objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        null, // pages tree, once the page ids are known
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+      ];
+      const kids = [];
+      for (const page of pages) {
+        const content = page.join("\n");
+        objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        const contentId = objects.length;
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Contents ${contentId} 0 R /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> >>`);
+        kids.push(`${objects.length} 0 R`);
+      }
+      objects[1] = `<< /Type /Pages /Kids [${kids.join(" ")}] /Count ${kids.length} >>`;
+
+      // Every char is one byte (WinAnsi), so string offsets are byte offsets
+      let out = "%PDF-1.4\n";
+      const offsets = objects.map((body, i) => {
+        const at = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return at;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+      out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Uint8Array.from(out, (c) => c.charCodeAt(0));
+    },
+  };
+}
@@ -0,0 +1,173 @@
+import { PAPER_COLORS } from "./colors";
+import { columnLegend, columnPoints, computeRowTotal, isColumnOpen, playerFlags } from "./scoring";
+import { A4, createPdf } from "./pdf";
+import { DEFAULT_LANGUAGE, localizeRules, translate } from "./i18n";
+import { formatDuration, gameClock, roundDuration } from "./timing";
+
+/**
+ * Printable score sheet, laid out like the paper pad
+ * - printSheet() turns a player into what both outputs draw: per-colour points
+ *   (multipliers applied), locked row totals and round times, game total and
+ *   game time, per-colour breakdown
+ * - The print view (components/PrintView.jsx) renders it as HTML for the print
+ *   stylesheet; sheetPdf() draws the same thing with lib/pdf.js
+ * - Both come in a light and a dark version, independent of the app's own theme
+ * - Built-in labels and the sheet's own words are in the app's language
+ */
+
+export const PRINT_THEMES = {
+  light: { page: "#ffffff", ink: "#18181b", muted: "#71717a", line: "#d4d4d8", shade: "#f4f4f5", accent: "#4f46e5" },
+  dark: { page: "#09090b", ink: "#f4f4f5", muted: "#a1a1aa", line: "#3f3f46", shade: "#18181b", accent: "#22d3ee" },
+};
+
+// Like the app: a round counts towards the total once it's locked
+export function printSheet(player, rules, date = new Date(), lang = DEFAULT_LANGUAGE) {
+  const flags = playerFlags(player);
+  const shown = localizeRules(rules, lang);
+  const columns = shown.columns.map((col) => ({
+    key: col.key,
+    label: columnLegend(col, flags),
+    color: PAPER_COLORS[col.color] || PAPER_COLORS.clear,
+    red: col.formula === "timesRedCount",
+  }));
+  const rows = player.rows.map((row, i) => ({
+    round: i + 1,
+    locked: !!row.locked,
+    redCount: row.redCount || 0,
+    // null = column not open yet this round; unlocked rounds show what's entered so far
+    cells: rules.columns.map((col) => {
+      if (!isColumnOpen(col, i)) return null;
+      const raw = Number(row[col.key]) || 0;
+      return { points: columnPoints(col, row, flags), raw, blank: !row.locked && raw === 0 };
+    }),
+    total: row.locked ? computeRowTotal(row, flags, rules) : null,
+    time: row.locked ? formatDuration(roundDuration(row)) : "",
+  }));
+  const locked = rows.filter((r) => r.locked);
+  const clock = gameClock([player], date.getTime());
+  const breakdown = columns.map((c, ci) => ({
+    ...c,
+    points: locked.reduce((sum, r) => sum + (r.cells[ci]?.points || 0), 0),
+  }));
+  return {
+    name: player.name || translate(lang, "player.default"),
+    date,
+    rulesName: shown.name,
+    columns,
+    rows,
+    lockedCount: locked.length,
+    total: locked.reduce((sum, r) => sum + r.total, 0),
+    duration: clock ? formatDuration(clock.duration) : "",
+    breakdown,
+  };
+}
+
+export const formatPrintDate = (date, lang) => date.toLocaleDateString(lang, { dateStyle: "long" });
+
+// Red cells show how the points came about: "12 × 3"
+export const redNote = (cell, redCount) => `${cell.raw} × ${redCount}`;
+
+// Footer line: "3 of 5 rounds locked · Game time: 12:40"
+export function sheetSummary(sheet, lang = DEFAULT_LANGUAGE) {
+  const locked = translate(lang, "print.locked", { locked: sheet.lockedCount, count: sheet.rows.length });
+  return sheet.duration ? `${locked} · ${translate(lang, "print.duration", { time: sheet.duration })}` : locked;
+}
+
+/**
+ * One A4 page per sheet → PDF bytes
+ */
+export function sheetPdf(sheets, themeName = "light", lang = DEFAULT_LANGUAGE) {
+  const t = PRINT_THEMES[themeName] || PRINT_THEMES.light;
+  const msg = (key, vars) => translate(lang, key, vars);
+  const doc = createPdf();
+  const margin = 36;
+  const inner = A4.width - margin * 2;
+
+  for (const sheet of sheets) {
+    doc.addPage();
+    if (themeName === "dark") doc.rect(0, 0, A4.width, A4.height, { fill: t.page });
+
+    // Heading
+    let top = margin + 18;
+    doc.text(margin, top, msg("app.title"), { size: 18, bold: true, color: t.ink });
+    doc.text(A4.width - margin, top, formatPrintDate(sheet.date, lang), { size: 10, color: t.muted, align: "right" });
+    top += 22;
+    doc.text(margin, top, sheet.name, { size: 14, bold: true, color: t.accent });
+    doc.text(A4.width - margin, top, sheet.rulesName, { size: 9, color: t.muted, align: "right" });
+    top += 16;
+
+    // Table: Rnd | colours… | Time | Total
+    const roundW = 34;
+    const timeW = 48;
+    const totalW = 62;
+    const colW = (inner - roundW - timeW - totalW) / sheet.columns.length;
+    const headH = 28;
+    const rowH = Math.max(16, Math.min(30, Math.floor((A4.height - top - 250) / sheet.rows.length)));
+    const x0 = margin;
+    const colX = (ci) => x0 + roundW + ci * colW;
+
+    doc.rect(x0, top, roundW, headH, { fill: t.shade, stroke: t.line });
+    doc.text(x0 + roundW / 2, top + headH / 2 + 3, msg("table.rnd"), { size: 9, bold: true, color: t.ink, align: "center" });
+    sheet.columns.forEach((c, ci) => {
+      doc.rect(colX(ci), top, colW, headH, { fill: c.color.bg, stroke: t.line });
+      doc.text(colX(ci) + colW / 2, top + headH / 2 + 3, c.label, { size: 9, bold: true, color: c.color.fg, align: "center" });
+    });
+    doc.rect(x0 + inner - totalW - timeW, top, timeW, headH, { fill: t.shade, stroke: t.line });
+    doc.text(x0 + inner - totalW - timeW / 2, top + headH / 2 + 3, msg("print.time"), { size: 9, bold: true, color: t.ink, align: "center" });
+    doc.rect(x0 + inner - totalW, top, totalW, headH, { fill: t.shade, stroke: t.line });
+    doc.text(x0 + inner - totalW / 2, top + headH / 2 + 3, msg("table.total"), { size: 9, bold: true, color: t.ink, align: "center" });
+    top += headH;
+
+    for (const row of sheet.rows) {
+      const mid = top + rowH / 2 + 3.5;
+      doc.rect(x0, top, roundW, rowH, { stroke: t.line });
+      doc.text(x0 + roundW / 2, mid, String(row.round), { size: 10, bold: true, color: t.muted, align: "center" });
+      row.cells.forEach((cell, ci) => {
+        const x = colX(ci);
+        doc.rect(x, top, colW, rowH, cell ? { stroke: t.line } : { fill: t.shade, stroke: t.line });
+        if (!cell) {
+          doc.line(x + 4, top + rowH - 4, x + colW - 4, top + 4, { stroke: t.line, lineWidth: 0.5 });
+          return;
+        }
+        if (cell.blank) return;
+        const color = row.locked ? t.ink : t.muted;
+        if (sheet.columns[ci].red) {
+          doc.text(x + colW - 6, mid - 3, String(cell.points), { size: 11, color, align: "right" });
+          doc.text(x + colW - 6, mid + 7, redNote(cell, row.redCount), { size: 7, color: t.muted, align: "right" });
+        } else {
+          doc.text(x + colW - 6, mid, String(cell.points), { size: 11, color, align: "right" });
+        }
+      });
+      doc.rect(x0 + inner - totalW - timeW, top, timeW, rowH, { stroke: t.line });
+      if (row.time) doc.text(x0 + inner - totalW - 6, mid, row.time, { size: 9, color: t.muted, align: "right" });
+      doc.rect(x0 + inner - totalW, top, totalW, rowH, { stroke: t.line });
+      if (row.total != null) doc.text(x0 + inner - 6, mid, String(row.total), { size: 11, bold: true, color: t.ink, align: "right" });
+      top += rowH;
+    }
+
+    // Game total
+    doc.rect(x0, top, inner, 30, { fill: t.shade, stroke: t.line });
+    doc.text(x0 + 8, top + 19, sheetSummary(sheet, lang), { size: 9, color: t.muted });
+    doc.text(x0 + inner - totalW - 8, top + 19, msg("print.gameTotal"), { size: 11, bold: true, color: t.ink, align: "right" });
+    doc.text(x0 + inner - 6, top + 20, String(sheet.total), { size: 14, bold: true, color: t.accent, align: "right" });
+    top += 52;
+
+    // Per-colour breakdown: bars relative to the biggest contribution
+    doc.text(margin, top, msg("print.breakdown"), { size: 12, bold: true, color: t.ink });
+    top += 12;
+    const labelW = 90;
+    const valueW = 80;
+    const barW = inner - labelW - valueW;
+    const most = Math.max(1, ...sheet.breakdown.map((b) => Math.abs(b.points)));
+    for (const b of sheet.breakdown) {
+      doc.text(margin, top + 11, b.label, { size: 9, color: t.ink });
+      doc.rect(margin + labelW, top + 2, barW, 12, { stroke: t.line, lineWidth: 0.5 });
+      const w = (Math.abs(b.points) / most) * barW;
+      if (w > 0) doc.rect(margin + labelW, top + 2, w, 12, { fill: b.color.bd, stroke: b.color.fg, lineWidth: 0.5 });
+      const share = sheet.total ? ` (${Math.round((b.points / sheet.total) * 100)}%)` : "";
+      doc.text(A4.width - margin, top + 11, `${b.points}${share}`, { size: 9, bold: true, color: t.ink, align: "right" });
+      top += 18;
+    }
+  }
+  return doc.toBytes();
+}
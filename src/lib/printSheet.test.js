@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { lockRound, makePlayer } from "./game";
+import { printSheet, sheetPdf, sheetSummary } from "./printSheet";
+
+// Ann locks round 1 after 75 s and round 2 after another 2 min
+const ann = () => {
+  let player = makePlayer("Ann", CLASSIC_RULES, 3, 0);
+  player = { ...player, rows: player.rows.map((r, i) => (i ? r : { ...r, y: 6 })) };
+  player = { ...player, ...lockRound(player.rows, 0, 75000) };
+  return { ...player, ...lockRound(player.rows, 1, 195000) };
+};
+
+describe("printSheet", () => {
+  it("times each locked round and the game", () => {
+    const sheet = printSheet(ann(), CLASSIC_RULES, new Date(255000));
+    expect(sheet.rows.map((r) => r.time)).toEqual(["1:15", "2:00", ""]);
+    expect(sheet.duration).toBe("4:15"); // round 3 is still running
+    expect(sheetSummary(sheet)).toBe("2 of 3 rounds locked · Game time: 4:15");
+    expect(sheetSummary(sheet, "de")).toBe("2 von 3 Runden abgeschlossen · Spielzeit: 4:15");
+  });
+
+  it("leaves the times out for sheets from before timing", () => {
+    const player = makePlayer("Ann", CLASSIC_RULES, 2);
+    const sheet = printSheet({ ...player, rows: player.rows.map((r) => ({ ...r, startedAt: undefined })) }, CLASSIC_RULES);
+    expect(sheet.duration).toBe("");
+    expect(sheetSummary(sheet)).toBe("0 of 2 rounds locked");
+  });
+
+  it("puts the times in the PDF", () => {
+    const pdf = new TextDecoder("latin1").decode(sheetPdf([printSheet(ann(), CLASSIC_RULES, new Date(255000))]));
+    expect(pdf).toContain("(Time)");
+    expect(pdf).toContain("(1:15)");
+    expect(pdf).toContain("Game time: 4:15");
+  });
+});
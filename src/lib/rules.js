@@ -0,0 +1,108 @@
+import { DEFAULT_LANGUAGE, translate } from "./i18n";
+
+/**
+ * Scoring rulesets (declarative)
+ *
+ * A ruleset lists the die columns in sheet order:
+ *   key            row field the value is stored under
+ *   color          palette key in COLORS (chip + header colour)
+ *   label / short  legend label / table header
+ *   csv            CSV header (multiplied values are written for "times")
+ *   formula        "times"          → value × multiplier
+ *                  "timesRedCount"  → value × the round's red dice count
+ *   multiplier     base multiplier for "times"
+ *   upgrades       [{ flag, multiplier, label }] – last one whose player flag is set wins (glitter blue)
+ *   fromRound      first round (1-based) the column can be filled in
+ *   allowNegative  value may go below zero (± toggle)
+ *   dice           dice of this colour a player can score in a round (default 6);
+ *                  only used for plausibility warnings (lib/validation.js)
+ *
+ * `flags` are per-player toggles that upgrades can refer to.
+ */
+
+export const RULES_VERSION = 1;
+const PRESETS_KEY = "pandaRoyale_rules_v1";
+
+export const CLASSIC_RULES = {
+  id: "classic",
+  name: "Panda Royale (classic)",
+  version: RULES_VERSION,
+  flags: [{ key: "hasGlitterBlue", label: "Owns glitter blue" }],
+  columns: [
+    { key: "y", color: "yellow", label: "Yellow", short: "Yellow", csv: "Yellow", formula: "times", multiplier: 1, fromRound: 1 },
+    { key: "purp", color: "purple", label: "Purple", short: "Purp", csv: "Purple", formula: "times", multiplier: 2, fromRound: 2 },
+    {
+      key: "blue", color: "blue", label: "Blue", short: "Blue", csv: "Blue", formula: "times", multiplier: 1, fromRound: 2,
+      upgrades: [{ flag: "hasGlitterBlue", multiplier: 2, label: "glitter" }],
+    },
+    { key: "redSum", color: "red", label: "Red", short: "Red", csv: "Red Sum", formula: "timesRedCount", allowNegative: true, fromRound: 2 },
+    { key: "green", color: "green", label: "Green", short: "Green", csv: "Green", formula: "times", multiplier: 1, fromRound: 2 },
+    { key: "clear", color: "clear", label: "Clear", short: "Clear", csv: "Clear/White", formula: "times", multiplier: 1, fromRound: 2 },
+    { key: "pink", color: "pink", label: "Pink", short: "Pink", csv: "Pink (Pity)", formula: "times", multiplier: 1, fromRound: 2 },
+  ],
+};
+
+// House variant: every colour open from round 1, no purple bonus
+export const OPEN_TABLE_RULES = {
+  ...CLASSIC_RULES,
+  id: "open-table",
+  name: "Open table (all colours from round 1)",
+  columns: CLASSIC_RULES.columns.map((c) => ({ ...c, fromRound: 1, multiplier: c.formula === "times" ? 1 : c.multiplier })),
+};
+
+export const BUILTIN_PRESETS = [CLASSIC_RULES, OPEN_TABLE_RULES];
+export const DEFAULT_RULES = CLASSIC_RULES;
+
+export const FORMULAS = [
+  { key: "times", label: "value × multiplier" },
+  { key: "timesRedCount", label: "value × red dice count" },
+];
+
+// ---- custom presets (user-built, stored separately from the game)
+
+export function loadCustomPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter((r) => validateRules(r).length === 0) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCustomPresets(presets) {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  } catch {
+    // storage full or unavailable – presets only last for this session
+  }
+}
+
+// Returns a list of human-readable problems (in `lang`); empty means the ruleset is usable
+export function validateRules(rules, lang = DEFAULT_LANGUAGE) {
+  const t = (key, vars) => translate(lang, `rulesError.${key}`, vars);
+  const errors = [];
+  if (!rules || typeof rules !== "object") return [t("missing")];
+  if (!rules.name || !String(rules.name).trim()) errors.push(t("name"));
+  if (!Array.isArray(rules.columns) || rules.columns.length === 0) {
+    errors.push(t("columns"));
+    return errors;
+  }
+  const flagKeys = (rules.flags || []).map((f) => f.key);
+  const seen = new Set();
+  rules.columns.forEach((c, i) => {
+    const where = c.label ? t("columnNamed", { n: i + 1, label: c.label }) : t("column", { n: i + 1 });
+    if (!c.key || ["redCount", "locked", "dice", "startedAt", "lockedAt"].includes(c.key)) errors.push(t("key", { where }));
+    else if (seen.has(c.key)) errors.push(t("duplicateKey", { where, key: c.key }));
+    seen.add(c.key);
+    if (!c.label) errors.push(t("label", { where }));
+    if (!FORMULAS.some((f) => f.key === c.formula)) errors.push(t("formula", { where, formula: c.formula }));
+    if (c.formula === "times" && !Number.isFinite(c.multiplier)) errors.push(t("multiplier", { where }));
+    if (!Number.isInteger(c.fromRound) || c.fromRound < 1) errors.push(t("fromRound", { where }));
+    if (c.dice !== undefined && (!Number.isInteger(c.dice) || c.dice < 1)) errors.push(t("dice", { where }));
+    (c.upgrades || []).forEach((u) => {
+      if (!flagKeys.includes(u.flag)) errors.push(t("upgradeFlag", { where, flag: u.flag }));
+      if (!Number.isFinite(u.multiplier)) errors.push(t("upgradeMultiplier", { where }));
+    });
+  });
+  return errors;
+}
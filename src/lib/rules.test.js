@@ -0,0 +1,16 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES, validateRules } from "./rules";
+
+const withKey = (key) => ({ ...CLASSIC_RULES, columns: [{ ...CLASSIC_RULES.columns[0], key }, ...CLASSIC_RULES.columns.slice(1)] });
+
+describe("validateRules", () => {
+  it("accepts the built-in rules", () => {
+    expect(validateRules(CLASSIC_RULES)).toEqual([]);
+  });
+
+  it("keeps columns off the keys a round already uses", () => {
+    for (const key of ["redCount", "locked", "dice", "startedAt", "lockedAt"]) {
+      expect(validateRules(withKey(key))).toEqual(["Column 1 (Yellow): invalid key"]);
+    }
+  });
+});
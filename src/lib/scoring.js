@@ -0,0 +1,65 @@
+import { DEFAULT_RULES } from "./rules";
+
+// ---- scoring (pure, driven by a ruleset – see rules.js)
+
+export const clampNum = (n) => (Number.isFinite(+n) ? +n : 0);
+
+// Per-player flags the rules can test (glitter lives on the player for older saves)
+export const playerFlags = (player) => ({ hasGlitterBlue: !!player.hasGlitterBlue, ...(player.flags || {}) });
+
+// Last upgrade whose flag is set wins
+const activeUpgrade = (col, flags) => [...(col.upgrades || [])].reverse().find((u) => flags[u.flag]);
+
+export function columnMultiplier(col, flags = {}) {
+  if (col.formula !== "times") return 1;
+  return activeUpgrade(col, flags)?.multiplier ?? col.multiplier ?? 1;
+}
+
+export const isColumnOpen = (col, roundIdx) => roundIdx + 1 >= (col.fromRound || 1);
+
+export const usesRedCount = (rules) => rules.columns.some((c) => c.formula === "timesRedCount");
+
+// Points one column contributes to a row
+export function columnPoints(col, row, flags = {}) {
+  const v = clampNum(row[col.key]);
+  if (col.formula === "timesRedCount") return v * clampNum(row.redCount);
+  return v * columnMultiplier(col, flags);
+}
+
+// { [column key]: points } with multipliers applied
+export function computeRowBreakdown(row, flags = {}, rules = DEFAULT_RULES) {
+  const out = {};
+  for (const col of rules.columns) out[col.key] = columnPoints(col, row, flags);
+  return out;
+}
+
+export function computeRowTotal(row, flags = {}, rules = DEFAULT_RULES) {
+  return rules.columns.reduce((sum, col) => sum + columnPoints(col, row, flags), 0);
+}
+
+// Legend label, e.g. "Purple×2", "Blue×2" (glitter), "Red±"
+export function columnLegend(col, flags = {}) {
+  if (col.formula === "timesRedCount") return `${col.label}${col.allowNegative ? "±" : ""}`;
+  const m = columnMultiplier(col, flags);
+  return m === 1 ? col.label : `${col.label}×${m}`;
+}
+
+// CSV header, e.g. "Purple(x2)", "Blue(x2 glitter)"
+export function columnCsvHeader(col, flags = {}) {
+  const name = col.csv || col.label;
+  const m = columnMultiplier(col, flags);
+  if (col.formula !== "times" || m === 1) return name;
+  const upgrade = activeUpgrade(col, flags);
+  return `${name}(x${m}${upgrade?.label ? " " + upgrade.label : ""})`;
+}
+
+// Row value written to CSV for a column (multiplier applied for "times")
+export function columnCsvValue(col, row, flags = {}) {
+  const v = clampNum(row[col.key]);
+  return col.formula === "times" ? v * columnMultiplier(col, flags) : v;
+}
+
+// "Round 1: Yellow only" style hint for columns that unlock later
+export function roundOneColumns(rules) {
+  return rules.columns.filter((c) => isColumnOpen(c, 0));
+}
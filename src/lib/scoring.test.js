@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES, OPEN_TABLE_RULES } from "./rules";
+import { makeBlankRow } from "./game";
+import { columnLegend, computeRowBreakdown, computeRowTotal } from "./scoring";
+
+const row = (values) => ({ ...makeBlankRow(CLASSIC_RULES), ...values });
+
+describe("computeRowTotal", () => {
+  it("is 0 for a blank row", () => {
+    expect(computeRowTotal(row({}), {}, CLASSIC_RULES)).toBe(0);
+  });
+
+  it("doubles purple and multiplies red by the round's red dice", () => {
+    const r = row({ y: 10, purp: 4, blue: 3, redSum: 5, redCount: 3, green: 2, clear: 1, pink: 6 });
+    // 10 + 8 + 3 + 15 + 2 + 1 + 6
+    expect(computeRowTotal(r, {}, CLASSIC_RULES)).toBe(45);
+  });
+
+  it("doubles blue for glitter blue owners", () => {
+    const r = row({ blue: 7 });
+    expect(computeRowTotal(r, {}, CLASSIC_RULES)).toBe(7);
+    expect(computeRowTotal(r, { hasGlitterBlue: true }, CLASSIC_RULES)).toBe(14);
+  });
+
+  it("lets a negative red sum pull the total down", () => {
+    expect(computeRowTotal(row({ y: 6, redSum: -4, redCount: 2 }), {}, CLASSIC_RULES)).toBe(-2);
+  });
+
+  it("scores red as 0 without red dice", () => {
+    expect(computeRowTotal(row({ redSum: 9, redCount: 0 }), {}, CLASSIC_RULES)).toBe(0);
+  });
+
+  it("treats missing and non-numeric values as 0", () => {
+    expect(computeRowTotal({ y: "abc", purp: undefined, redCount: 2 }, {}, CLASSIC_RULES)).toBe(0);
+  });
+
+  it("follows the ruleset", () => {
+    expect(computeRowTotal(row({ purp: 4 }), {}, OPEN_TABLE_RULES)).toBe(4);
+  });
+});
+
+describe("computeRowBreakdown", () => {
+  it("gives each column's points with multipliers applied", () => {
+    const b = computeRowBreakdown(row({ y: 2, purp: 3, redSum: -1, redCount: 4 }), {}, CLASSIC_RULES);
+    expect(b).toMatchObject({ y: 2, purp: 6, redSum: -4, blue: 0 });
+  });
+});
+
+describe("columnLegend", () => {
+  it("shows multipliers and the red sign", () => {
+    const [yellow, purple, blue, red] = CLASSIC_RULES.columns;
+    expect(columnLegend(yellow)).toBe("Yellow");
+    expect(columnLegend(purple)).toBe("Purple×2");
+    expect(columnLegend(blue, { hasGlitterBlue: true })).toBe("Blue×2");
+    expect(columnLegend(red)).toBe("Red±");
+  });
+});
@@ -0,0 +1,41 @@
+import { detectLanguage, isLanguage } from "./i18n";
+import { isThemeMode } from "./theme";
+import { TURN_TIMER_DEFAULTS, normalizeTurnTimer } from "./timing";
+
+/**
+ * App preferences (this device only, not part of the game)
+ * - language: "en" | "es" | "de"; first run follows the browser
+ * - theme: "system" | "light" | "dark" | "contrast" (lib/theme.js)
+ * - turnTimer: { enabled, seconds, sound, vibrate } (lib/timing.js)
+ */
+
+const SETTINGS_KEY = "pandaRoyale_settings_v1";
+
+export const defaultSettings = () => ({ language: detectLanguage(), theme: "system", turnTimer: { ...TURN_TIMER_DEFAULTS } });
+
+export function loadSettings() {
+  const defaults = defaultSettings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null");
+    if (saved && typeof saved === "object") {
+      return {
+        ...defaults,
+        ...saved,
+        language: isLanguage(saved.language) ? saved.language : defaults.language,
+        theme: isThemeMode(saved.theme) ? saved.theme : defaults.theme,
+        turnTimer: normalizeTurnTimer(saved.turnTimer),
+      };
+    }
+  } catch {
+    // unreadable – back to the defaults
+  }
+  return defaults;
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // storage full or unavailable – settings only last for this session
+  }
+}
@@ -0,0 +1,122 @@
+import { BUILTIN_PRESETS } from "./rules";
+import { GAME_FILE_FORMAT, GAME_FILE_VERSION, parseGameFile } from "./gameFile";
+import { DEFAULT_LANGUAGE, translate } from "./i18n";
+
+/**
+ * Share links: the whole score sheet lives in the URL hash, so a static host is enough
+ * - "#share=<v><z|j><payload>": v = SHARE_VERSION, z = deflate-raw, j = plain JSON,
+ *   payload = base64url
+ * - Compact arrays instead of the game file's objects; built-in rules by id only
+ * - Rows keep their round times (startedAt / lockedAt), so timing survives a share
+ * - Decoding goes through parseGameFile, so a link is validated like an import;
+ *   problems come back in the app's language
+ */
+
+export const SHARE_VERSION = 1;
+const HASH_PREFIX = "#share=";
+// Shown for links that don't decode, or when decoding fails altogether
+export const damagedLink = (lang = DEFAULT_LANGUAGE) => translate(lang, "shareError.damaged");
+
+// ---- base64url (bytes ⇄ text)
+const toBase64Url = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+const fromBase64Url = (text) => {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+};
+
+// ---- deflate-raw via the browser's streams (absent → plain JSON)
+const canCompress = () => typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+const pipeBytes = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+// Row → [values in column order…, redCount, locked 0/1, dice?, startedAt?, lockedAt?]
+// (trailing nulls dropped, so rows without dice or times stay as short as before)
+const packRow = (r, cols) => {
+  const out = [...cols.map((c) => r[c.key] ?? 0), r.redCount || 0, r.locked ? 1 : 0, r.dice || null, r.startedAt ?? null, r.lockedAt ?? null];
+  while (out.at(-1) === null) out.pop();
+  return out;
+};
+// null for anything that isn't a packed row (decodeShare rejects the link)
+const unpackRow = (a, cols) => {
+  if (!Array.isArray(a) || a.length < cols.length + 2) return null;
+  const row = Object.fromEntries(cols.map((c, i) => [c.key, a[i]]));
+  const [dice, startedAt, lockedAt] = a.slice(cols.length + 2);
+  row.redCount = a[cols.length];
+  row.locked = a[cols.length + 1] === 1;
+  if (dice) row.dice = dice;
+  if (startedAt != null) row.startedAt = startedAt;
+  if (lockedAt != null) row.lockedAt = lockedAt;
+  return row;
+};
+
+const isBuiltin = (rules) => BUILTIN_PRESETS.some((p) => JSON.stringify(p) === JSON.stringify(rules));
+
+export function packGame({ players, currentIdx, roundCount, rules }) {
+  return {
+    n: roundCount,
+    c: currentIdx,
+    r: isBuiltin(rules) ? rules.id : rules,
+    p: players.map((p) => [p.name, p.activeRound, p.hasGlitterBlue ? 1 : 0, p.flags || {}, p.rows.map((r) => packRow(r, rules.columns))]),
+  };
+}
+
+export function unpackGame(packed) {
+  const rules = typeof packed?.r === "string" ? BUILTIN_PRESETS.find((p) => p.id === packed.r) : packed?.r;
+  const cols = rules?.columns || [];
+  return {
+    roundCount: packed?.n,
+    currentIdx: packed?.c,
+    rules,
+    auditLog: [],
+    players: Array.isArray(packed?.p)
+      ? packed.p.map((p) => (Array.isArray(p)
+        ? { name: p[0], activeRound: p[1], hasGlitterBlue: p[2] === 1, flags: p[3], rows: Array.isArray(p[4]) ? p[4].map((r) => unpackRow(r, cols)) : p[4] }
+        : p))
+      : packed?.p,
+  };
+}
+
+// Plain JSON when the browser can't compress, or compressing fails
+export async function encodeShare(game) {
+  const bytes = new TextEncoder().encode(JSON.stringify(packGame(game)));
+  const plain = `${SHARE_VERSION}j${toBase64Url(bytes)}`;
+  if (!canCompress()) return plain;
+  try {
+    return `${SHARE_VERSION}z${toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")))}`;
+  } catch {
+    return plain;
+  }
+}
+
+// → { game, errors } (same shape as parseGameFile, messages in `lang`)
+export async function decodeShare(code, lang = DEFAULT_LANGUAGE) {
+  const failed = (key, vars) => ({ game: null, errors: [translate(lang, `shareError.${key}`, vars)] });
+  const m = /^(\d+)([zj])([A-Za-z0-9_-]*)$/.exec(code || "");
+  if (!m) return failed("damaged");
+  if (Number(m[1]) > SHARE_VERSION) return failed("newer", { version: m[1] });
+  let packed;
+  try {
+    let bytes = fromBase64Url(m[3]);
+    if (m[2] === "z") {
+      if (!canCompress()) return failed("compressed");
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    }
+    packed = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return failed("damaged");
+  }
+  const game = unpackGame(packed);
+  if (!game.rules) return failed("rules", { id: String(packed?.r) });
+  const rows = Array.isArray(game.players) ? game.players.map((p) => p?.rows) : [];
+  if (!rows.every((r) => Array.isArray(r) && r.every(Boolean))) return failed("damaged");
+  return parseGameFile(JSON.stringify({ format: GAME_FILE_FORMAT, version: GAME_FILE_VERSION, game }), lang);
+}
+
+// ---- URL helpers
+export const shareCodeFromHash = (hash) => (hash?.startsWith(HASH_PREFIX) ? hash.slice(HASH_PREFIX.length) : null);
+
+export const shareUrl = (code, location = window.location) =>
+  `${location.origin}${location.pathname}${HASH_PREFIX}${code}`;
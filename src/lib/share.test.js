@@ -0,0 +1,50 @@
+import { describe, expect, it, vi } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { makePlayer } from "./game";
+import { SHARE_VERSION, damagedLink, decodeShare, encodeShare, packGame } from "./share";
+
+const plainCode = (packed) => {
+  const b64 = btoa(JSON.stringify(packed)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  return `${SHARE_VERSION}j${b64}`;
+};
+const game = () => ({ players: [makePlayer("Ann", CLASSIC_RULES, 2)], currentIdx: 0, roundCount: 2, rules: CLASSIC_RULES, auditLog: [] });
+
+describe("share links", () => {
+  it("open the game they were made from", async () => {
+    // (plain JSON payload – jsdom's Blob can't stream through CompressionStream)
+    const { game: opened, errors } = await decodeShare(plainCode(packGame(game())));
+    expect(errors).toEqual([]);
+    expect(opened.players[0].rows[0].y).toBe(0);
+    expect(opened.players[0].name).toBe("Ann");
+  });
+
+  it("keep the round times and dice", async () => {
+    const shared = game();
+    const [first, second] = shared.players[0].rows;
+    shared.players[0].rows = [{ ...first, y: 9, dice: { y: [4, 5] }, locked: true, lockedAt: 61000 }, { ...second, startedAt: 61000 }];
+    const { game: opened, errors } = await decodeShare(plainCode(packGame(shared)));
+    expect(errors).toEqual([]);
+    expect(opened.players[0].rows).toEqual(shared.players[0].rows);
+  });
+
+  it("are rejected when a round isn't a packed row", async () => {
+    const packed = packGame(game());
+    packed.p[0][4][1] = null;
+    expect(await decodeShare(plainCode(packed))).toEqual({ game: null, errors: [damagedLink()] });
+    packed.p[0][4][1] = [1, 2];
+    expect(await decodeShare(plainCode(packed))).toEqual({ game: null, errors: [damagedLink()] });
+  });
+
+  it("fall back to plain JSON when compressing fails", async () => {
+    class Broken { constructor() { throw new Error("no deflate"); } }
+    vi.stubGlobal("CompressionStream", Broken);
+    vi.stubGlobal("DecompressionStream", Broken);
+    try {
+      const code = await encodeShare(game());
+      expect(code.startsWith(`${SHARE_VERSION}j`)).toBe(true);
+      expect((await decodeShare(code)).game.players[0].name).toBe("Ann");
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+});
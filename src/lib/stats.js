@@ -0,0 +1,53 @@
+import { computeRowBreakdown, playerFlags } from "./scoring";
+import { DEFAULT_RULES } from "./rules";
+
+const avg = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+
+// Average of column i across games that have that round
+export function perRoundAverage(series) {
+  const rounds = Math.max(0, ...series.map((s) => s.length));
+  return Array.from({ length: rounds }, (_, i) => avg(series.filter((s) => i < s.length).map((s) => s[i])));
+}
+
+// Entries archived before rulesets existed only have raw rows (classic rules)
+function entryBreakdown(e) {
+  if (e.breakdown) return { columns: e.columns, breakdown: e.breakdown };
+  const breakdown = {};
+  for (const r of e.rows || []) {
+    for (const [key, pts] of Object.entries(computeRowBreakdown(r, playerFlags(e), DEFAULT_RULES))) {
+      breakdown[key] = (breakdown[key] || 0) + pts;
+    }
+  }
+  return { columns: DEFAULT_RULES.columns, breakdown };
+}
+
+/**
+ * Aggregate stats over archived games (see history.js for the entry shape).
+ * Returns null when there is nothing to summarise.
+ */
+export function computeStats(entries) {
+  if (!entries.length) return null;
+
+  const best = entries.reduce((a, b) => (b.total > a.total ? b : a));
+
+  // Columns seen across all games (first label wins); missing column = 0 for that game
+  const parts = entries.map(entryBreakdown);
+  const columns = [];
+  for (const { columns: cols } of parts) {
+    for (const c of cols) if (!columns.some((x) => x.key === c.key)) columns.push({ key: c.key, label: c.label, color: c.color });
+  }
+  const colorAverages = columns.map((c) => ({ ...c, average: avg(parts.map((p) => p.breakdown[c.key] || 0)) }));
+
+  return {
+    games: entries.length,
+    averageTotal: avg(entries.map((e) => e.total)),
+    best,
+    colorAverages,
+    roundCurve: perRoundAverage(entries.map((e) => e.rowTotals || [])),
+    redTrend: perRoundAverage(entries.map((e) => e.redCounts || [])),
+  };
+}
+
+export function historyPlayers(entries) {
+  return [...new Set(entries.map((e) => e.player))].sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,177 @@
+import { DEFAULT_RULES, validateRules } from "./rules";
+import { DEFAULT_ROUNDS, MAX_PLAYERS, fitRows, restorePlayer, spreadDefaultRedCount } from "./game";
+import { diceErrors } from "./dice";
+import { timingErrors } from "./timing";
+import { cleanLog } from "./undo";
+import { roundName, sheetName } from "./gameFile";
+import { DEFAULT_LANGUAGE, translate } from "./i18n";
+
+/**
+ * Game persistence (localStorage)
+ * - One stable key holding { schemaVersion, savedAt, ...game }
+ * - Older keys/shapes are read once and walked through MIGRATIONS up to SCHEMA_VERSION
+ * - Loaded data is validated and repaired (row count, missing / non-numeric values);
+ *   whenever something can't be read as-is, the raw text is copied to a backup key
+ *   first so nothing is lost; the notes are in the app's language
+ */
+
+export const STORAGE_KEY = "pandaRoyale_game";
+export const SCHEMA_VERSION = 5;
+const LEGACY_KEYS = ["pandaRoyale_personal_v40_vite"];
+const BACKUP_PREFIX = "pandaRoyale_backup_";
+
+// MIGRATIONS[n] turns schema n into n + 1
+const MIGRATIONS = {
+  // 0 → 1: v4.0 single sheet { playerName, rows, ... } → players list
+  0: (d) => ({
+    players: [{
+      name: d.playerName, rows: d.rows, activeRound: d.activeRound,
+      defaultRedCount: d.defaultRedCount, hasGlitterBlue: d.hasGlitterBlue,
+    }],
+    currentIdx: 0,
+  }),
+  // 1 → 2: change log
+  1: (d) => ({ ...d, auditLog: d.auditLog || [] }),
+  // 2 → 3: scoring rulesets + per-player flags
+  2: (d) => ({ ...d, rules: d.rules || DEFAULT_RULES, players: d.players.map((p) => ({ flags: {}, ...p })) }),
+  // 3 → 4: explicit round count (older games are as long as their rows)
+  3: (d) => ({
+    ...d,
+    roundCount: d.roundCount || Math.max(0, ...d.players.map((p) => (Array.isArray(p?.rows) ? p.rows.length : 0))) || DEFAULT_ROUNDS,
+  }),
+  // 4 → 5: per-round red counts replace the player-wide default
+  4: (d) => ({ ...d, players: d.players.map((p) => (p && typeof p === "object" ? spreadDefaultRedCount(p) : p)) }),
+};
+
+// Unversioned saves: a players list means table mode (1), otherwise the v4.0 sheet (0)
+const detectVersion = (d) => (Number.isInteger(d.schemaVersion) ? d.schemaVersion : Array.isArray(d.players) ? 1 : 0);
+
+export function migrate(data) {
+  let d = data;
+  for (let v = detectVersion(data); v < SCHEMA_VERSION; v++) d = MIGRATIONS[v](d);
+  return d;
+}
+
+const toNumber = (v) => (typeof v === "string" && v.trim() !== "" ? Number(v) : v);
+
+// Validate + fix a migrated game; returns { game, repairs } (repairs are readable notes in `lang`)
+export function repairGame(data, lang = DEFAULT_LANGUAGE) {
+  const t = (key, vars) => translate(lang, `repair.${key}`, vars);
+  const repairs = [];
+  let rules = data.rules;
+  if (validateRules(rules).length) {
+    repairs.push(t("rules"));
+    rules = DEFAULT_RULES;
+  }
+
+  let roundCount = data.roundCount;
+  if (!Number.isInteger(roundCount) || roundCount < 1) {
+    repairs.push(t("roundCount", { value: String(roundCount), count: DEFAULT_ROUNDS }));
+    roundCount = DEFAULT_ROUNDS;
+  }
+
+  let savedPlayers = Array.isArray(data.players) ? data.players.filter((p) => p && typeof p === "object") : [];
+  if (!savedPlayers.length) throw new Error(t("noPlayers"));
+  if (savedPlayers.length > MAX_PLAYERS) {
+    repairs.push(t("players", { max: MAX_PLAYERS, count: savedPlayers.length }));
+    savedPlayers = savedPlayers.slice(0, MAX_PLAYERS);
+  }
+
+  const players = savedPlayers.map((p, pi) => {
+    const who = sheetName(p, pi, lang);
+    const rows = Array.isArray(p.rows) ? p.rows : [];
+    if (rows.length !== roundCount) repairs.push(t("rounds", { who, found: rows.length, count: roundCount }));
+    const fixedRows = fitRows(rows, roundCount, rules).map((r, ri) => {
+      const where = roundName(who, ri, lang);
+      const row = r && typeof r === "object" ? { ...r } : {};
+      for (const key of [...rules.columns.map((c) => c.key), "redCount"]) {
+        const n = toNumber(row[key]);
+        if (typeof n === "number" && Number.isFinite(n)) { row[key] = n; continue; }
+        if (row[key] !== undefined) repairs.push(t("value", { where, key, value: JSON.stringify(row[key]) }));
+        row[key] = 0;
+      }
+      row.locked = row.locked === true;
+      // Numbers win over a breakdown that no longer adds up
+      if (diceErrors(row, rules).length) {
+        repairs.push(t("dice", { where }));
+        delete row.dice;
+      }
+      if (timingErrors(row).length) {
+        repairs.push(t("times", { where }));
+        delete row.startedAt;
+        delete row.lockedAt;
+      }
+      return row;
+    });
+    return restorePlayer({ ...p, rows: fixedRows }, roundCount, rules);
+  });
+
+  const currentIdx = Math.min(Math.max(0, data.currentIdx | 0), players.length - 1);
+  const auditLog = cleanLog(data.auditLog);
+  if (Array.isArray(data.auditLog) && auditLog.length < data.auditLog.length) {
+    repairs.push(t("log", { count: data.auditLog.length - auditLog.length }));
+  }
+  return { game: { players, currentIdx, auditLog, rules, roundCount }, repairs };
+}
+
+function backupRaw(raw, reason) {
+  const key = `${BACKUP_PREFIX}${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  try {
+    localStorage.setItem(key, JSON.stringify({ reason, raw }));
+    return key;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the saved game.
+ * Returns { status, game, repairs, backupKey, error }:
+ *   "empty"    – nothing saved
+ *   "ok"       – loaded as-is (possibly migrated from an older key/shape)
+ *   "repaired" – loaded after fixes; original kept under backupKey
+ *   "corrupt"  – unreadable; raw text kept under backupKey, game is null
+ * Repair notes and the error are in `lang`.
+ */
+export function loadSavedGame(lang = DEFAULT_LANGUAGE) {
+  let raw = null;
+  let sourceKey = null;
+  try {
+    for (const key of [STORAGE_KEY, ...LEGACY_KEYS]) {
+      raw = localStorage.getItem(key);
+      if (raw != null) { sourceKey = key; break; }
+    }
+  } catch {
+    return { status: "empty", game: null, repairs: [] };
+  }
+  if (raw == null) return { status: "empty", game: null, repairs: [] };
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") throw new Error(translate(lang, "repair.notObject"));
+    const { game, repairs } = repairGame(migrate(parsed), lang);
+    if (!repairs.length) return { status: "ok", game, repairs, sourceKey };
+    return { status: "repaired", game, repairs, sourceKey, backupKey: backupRaw(raw, "repaired on load") };
+  } catch (e) {
+    const error = e instanceof SyntaxError ? translate(lang, "fileError.json", { error: e.message }) : e.message;
+    return { status: "corrupt", game: null, repairs: [], sourceKey, error, backupKey: backupRaw(raw, e.message) };
+  }
+}
+
+export function saveGame(game) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString(), ...game }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Raw text kept by backupRaw (for the recovery prompt's download)
+export function readBackup(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "null")?.raw ?? null;
+  } catch {
+    return null;
+  }
+}
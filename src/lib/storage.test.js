@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { makeBlankRow, makePlayer } from "./game";
+import { SCHEMA_VERSION, STORAGE_KEY, loadSavedGame, migrate, readBackup, repairGame, saveGame } from "./storage";
+
+const LEGACY_KEY = "pandaRoyale_personal_v40_vite";
+const saved = (patch = {}) => ({ players: [makePlayer("Ann", CLASSIC_RULES, 2, 1000)], currentIdx: 0, rules: CLASSIC_RULES, roundCount: 2, auditLog: [], ...patch });
+const store = (key, data) => localStorage.setItem(key, typeof data === "string" ? data : JSON.stringify(data));
+
+// Two rounds as older versions saved them: round 1 locked with 2 red dice, round 2 open
+const oldRows = () => [
+  { ...makeBlankRow(CLASSIC_RULES), y: 6, locked: true, redCount: 2 },
+  { ...makeBlankRow(CLASSIC_RULES), blue: 3 },
+];
+const oldPlayer = (patch = {}) => ({ name: "Ann", rows: oldRows(), activeRound: 1, defaultRedCount: 3, hasGlitterBlue: true, ...patch });
+
+describe("loadSavedGame", () => {
+  it("finds nothing in a fresh browser", () => {
+    expect(loadSavedGame()).toEqual({ status: "empty", game: null, repairs: [] });
+  });
+
+  it("reads the v4.0 single-sheet save under its old key", () => {
+    const { name, ...sheet } = oldPlayer();
+    store(LEGACY_KEY, { ...sheet, playerName: name });
+    const { status, game, sourceKey } = loadSavedGame();
+    expect([status, sourceKey]).toEqual(["ok", LEGACY_KEY]);
+    expect(game.players).toHaveLength(1);
+    expect(game.players[0]).toMatchObject({ name: "Ann", activeRound: 1, hasGlitterBlue: true, flags: {} });
+    expect(game.players[0].rows.map((r) => [r.y, r.blue, r.redCount, r.locked])).toEqual([[6, 0, 2, true], [0, 3, 3, false]]);
+    expect(game).toMatchObject({ currentIdx: 0, roundCount: 2, rules: CLASSIC_RULES, auditLog: [] });
+  });
+
+  // What a table game with two players looked like when each schema version was current
+  const tableSaves = {
+    1: () => ({ players: [oldPlayer(), oldPlayer({ name: "Bo" })], currentIdx: 1 }),
+    2: () => ({ ...tableSaves[1](), schemaVersion: 2, auditLog: [{ kind: "lock", round: 0, to: 6, at: 1000, player: "Ann" }] }),
+    3: () => ({ ...tableSaves[2](), schemaVersion: 3, rules: CLASSIC_RULES, players: tableSaves[1]().players.map((p) => ({ ...p, flags: {} })) }),
+    4: () => ({ ...tableSaves[3](), schemaVersion: 4, roundCount: 2 }),
+    5: () => ({ ...tableSaves[4](), schemaVersion: 5, players: tableSaves[4]().players.map((p) => ({ ...p, defaultRedCount: undefined, rows: oldRows().map((r, i) => (i ? { ...r, redCount: 3 } : r)) })) }),
+  };
+
+  it.each(Object.keys(tableSaves).map(Number))("brings a schema %i table game up to date", (version) => {
+    store(STORAGE_KEY, tableSaves[version]());
+    const { status, game } = loadSavedGame();
+    expect(status).toBe("ok");
+    expect(game.players.map((p) => p.name)).toEqual(["Ann", "Bo"]);
+    expect(game.players.every((p) => p.defaultRedCount === undefined)).toBe(true);
+    expect(game.players[1].rows.map((r) => [r.y, r.blue, r.redCount, r.locked])).toEqual([[6, 0, 2, true], [0, 3, 3, false]]);
+    expect(game).toMatchObject({ currentIdx: 1, roundCount: 2, rules: CLASSIC_RULES });
+    expect(game.auditLog).toHaveLength(version === 1 ? 0 : 1);
+  });
+
+  it("reads back what saveGame wrote", () => {
+    const game = saved();
+    saveGame(game);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).schemaVersion).toBe(SCHEMA_VERSION);
+    expect(loadSavedGame()).toMatchObject({ status: "ok", game, repairs: [] });
+  });
+
+  it("repairs what it can, lists the fixes and keeps the original", () => {
+    const ann = makePlayer("Ann", CLASSIC_RULES, 2, 1000);
+    const rows = [{ ...ann.rows[0], y: "7", blue: "lots", dice: { y: [6, 6] }, startedAt: "noon" }];
+    const raw = JSON.stringify({ ...saved({ players: [{ ...ann, rows }] }), schemaVersion: SCHEMA_VERSION });
+    store(STORAGE_KEY, raw);
+    const { status, game, repairs, backupKey } = loadSavedGame();
+    expect(status).toBe("repaired");
+    expect(repairs).toEqual([
+      "Player 1 (Ann): had 1 rounds, fixed to 2",
+      "Player 1 (Ann), round 1: \"blue\" value \"lots\" reset to 0",
+      "Player 1 (Ann), round 1: dice breakdown didn't match the score and was dropped",
+      "Player 1 (Ann), round 1: unreadable round times were dropped",
+    ]);
+    expect(game.players[0].rows[0]).toMatchObject({ y: 7, blue: 0, locked: false });
+    expect(game.players[0].rows[0]).not.toHaveProperty("dice");
+    expect(game.players[0].rows[0]).not.toHaveProperty("startedAt");
+    expect(game.players[0].rows).toHaveLength(2);
+    expect(readBackup(backupKey)).toBe(raw);
+  });
+
+  it("keeps a save it can't read under a backup key for the recovery prompt", () => {
+    store(STORAGE_KEY, "{\"players\": [");
+    const result = loadSavedGame();
+    expect(result).toMatchObject({ status: "corrupt", game: null, sourceKey: STORAGE_KEY });
+    expect(result.error).toMatch(/JSON/);
+    expect(readBackup(result.backupKey)).toBe("{\"players\": [");
+    expect(localStorage.getItem(STORAGE_KEY)).toBe("{\"players\": [");
+
+    store(STORAGE_KEY, { players: [] });
+    expect(loadSavedGame()).toMatchObject({ status: "corrupt", error: "no players in saved game" });
+  });
+});
+
+describe("migrate", () => {
+  it("leaves current saves alone", () => {
+    const game = { ...saved(), schemaVersion: SCHEMA_VERSION };
+    expect(migrate(game)).toBe(game);
+  });
+});
+
+describe("repairGame", () => {
+  it("falls back to the default rules and round count", () => {
+    const { game, repairs } = repairGame(saved({ rules: { name: "" }, roundCount: 0 }));
+    expect(game.rules).toBe(CLASSIC_RULES);
+    expect(game.roundCount).toBe(10);
+    expect(repairs).toEqual([
+      "Scoring rules were unreadable – switched to the default rules",
+      "Round count \"0\" was invalid – using 10",
+      "Player 1 (Ann): had 2 rounds, fixed to 10",
+    ]);
+  });
+
+  it("drops log entries that can't be shown and says so", () => {
+    const field = { kind: "field", round: 0, field: "y", from: 0, to: 4, at: 1000, player: "Ann" };
+    const { game, repairs } = repairGame(saved({ auditLog: [field, { kind: "undo", at: "x" }, { kind: "redo", at: 2000 }] }));
+    expect(game.auditLog).toEqual([field]);
+    expect(repairs).toEqual(["2 unreadable log entries were dropped"]);
+  });
+});
@@ -0,0 +1,326 @@
+import { makeId } from "./game";
+import { rowErrors } from "./gameFile";
+import { validateRules } from "./rules";
+
+/**
+ * Peer sync: every device broadcasts its own players' sheets to a game room
+ * - Transports are pluggable ({ send, onMessage, onStatus, close }): BroadcastChannel
+ *   for tabs on one device, WebSocket through the relay (server/relay.js) across the LAN
+ * - Each round of each sheet carries a Lamport stamp [rev, clientId]; when two
+ *   devices edit the same round of the same player, the higher stamp wins
+ *   everywhere (deterministic, so all devices converge) and both are told
+ * - On (re)connect a device says "hello" and everyone answers with full state,
+ *   so nothing depends on messages sent while it was away
+ * - A state message with a malformed sheet is dropped whole; every round is
+ *   checked like an imported game file (lib/gameFile.js), shared players' against
+ *   this device's rules, the sender's own against its rules (ours if they're unusable)
+ */
+
+export const SYNC_PROTOCOL = 1;
+const SYNC_KEY = "pandaRoyale_sync_v1";
+const PING_MS = 10000;
+const PEER_TIMEOUT_MS = 35000;
+const SEEN_LIMIT = 500;
+
+export const makeRoomCode = () => Math.random().toString(36).slice(2, 8).toUpperCase();
+
+// ---- settings (room, relay URL, this device's id) survive reloads
+export function loadSyncSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SYNC_KEY) || "null");
+    if (saved && typeof saved === "object" && typeof saved.clientId === "string") {
+      return { room: "", relayUrl: "", deviceName: "", enabled: false, ...saved };
+    }
+  } catch {
+    // unreadable – start over with a new device id
+  }
+  return { clientId: makeId(), room: "", relayUrl: "", deviceName: "", enabled: false };
+}
+
+export function saveSyncSettings(settings) {
+  try {
+    localStorage.setItem(SYNC_KEY, JSON.stringify(settings));
+  } catch {
+    // storage full or unavailable – settings only last for this session
+  }
+}
+
+// ---- stamps
+const NO_STAMP = [0, ""];
+const newer = (a, b) => (a[0] !== b[0] ? a[0] > b[0] : a[1] > b[1]);
+const rowKey = (row) => JSON.stringify(row);
+// Red counts carry forward and round times start on their own, so they don't make a round "played"
+const BOOKKEEPING = new Set(["redCount", "startedAt"]);
+const isBlankRow = (row) => !Object.entries(row).some(([k, v]) => !BOOKKEEPING.has(k) && v);
+
+const isStamp = (s) => Array.isArray(s) && s.length === 2 && Number.isInteger(s[0]) && s[0] >= 0 && typeof s[1] === "string";
+
+// Rules the sender's own players are scored with: theirs if usable, else `rules`
+const senderRules = (msg, rules) => (validateRules(msg?.rules).length === 0 ? msg.rules : rules);
+
+// Can this state message be merged into sheets scored with `rules`?
+function isValidState(msg, rules, localPlayers = []) {
+  if (!Array.isArray(msg?.players)) return false;
+  const theirs = senderRules(msg, rules);
+  return msg.players.every((p) => {
+    if (!p || typeof p !== "object" || typeof p.id !== "string" || !Array.isArray(p.rows)) return false;
+    if (p.name !== undefined && typeof p.name !== "string") return false;
+    if (p.stamps !== undefined && !(Array.isArray(p.stamps) && p.stamps.every((s) => s == null || isStamp(s)))) return false;
+    const sheetRules = localPlayers.some((l) => l.id === p.id) ? rules : theirs;
+    return !!sheetRules && p.rows.every((r, i) => rowErrors(r, sheetRules, `round ${i + 1}`).length === 0);
+  });
+}
+
+// First unlocked round (or the last one) – where play continues after a merge
+export const nextActiveRound = (rows) => {
+  const i = rows.findIndex((r) => !r.locked);
+  return i === -1 ? rows.length - 1 : i;
+};
+
+/**
+ * Merge a remote copy of a sheet into the local one, round by round.
+ * Returns { rows, stamps, changed, remoteBehind, conflicts: [{ round, winner: "local" | "remote" }] }
+ * (remoteBehind: the remote copy lost somewhere and needs our version)
+ */
+export function mergeSheet(local, localStamps, remote, remoteStamps) {
+  const rows = [...local];
+  const stamps = [...localStamps];
+  const conflicts = [];
+  let changed = false;
+  let remoteBehind = false;
+  remote.forEach((rRow, i) => {
+    if (i >= rows.length) return;
+    const lStamp = stamps[i] || NO_STAMP;
+    const rStamp = remoteStamps[i] || NO_STAMP;
+    if (rowKey(rows[i]) === rowKey(rRow)) {
+      if (newer(rStamp, lStamp)) stamps[i] = rStamp;
+      return;
+    }
+    // Both sides wrote this round (a blank row nobody touched has no author)
+    const contested = !!lStamp[1] && !!rStamp[1];
+    if (newer(rStamp, lStamp)) {
+      rows[i] = rRow;
+      stamps[i] = rStamp;
+      changed = true;
+      if (contested) conflicts.push({ round: i, winner: "remote" });
+    } else {
+      remoteBehind = true;
+      if (contested) conflicts.push({ round: i, winner: "local" });
+    }
+  });
+  return { rows, stamps, changed, remoteBehind, conflicts };
+}
+
+/**
+ * One device's membership in a room.
+ *   publish(players, rules) – call after every local change (cheap when nothing changed)
+ *   onPeers(peers)          – [{ clientId, deviceName, players, rules }] of other devices
+ *   onMerge(playerId, rows) – a shared player's rounds were changed by another device
+ *   onConflict(notice)      – { playerId, playerName, round, winner, device }
+ *   onStatus(status)        – transport status ("connecting" | "connected" | "offline")
+ */
+export function createSyncSession({ room, clientId, deviceName, transport, onPeers, onMerge, onConflict, onStatus }) {
+  let clock = 0;
+  let last = { players: [], rules: null };
+  const stamps = new Map(); // playerId → [[rev, by] per round]
+  const sentRows = new Map(); // playerId → [rowKey per round] as last published
+  const peers = new Map(); // clientId → { clientId, deviceName, players, rules, seen }
+
+  const send = (msg) => transport.send({ ...msg, v: SYNC_PROTOCOL, room, from: clientId, id: makeId() });
+  const emitPeers = () => onPeers?.([...peers.values()].map((p) => ({
+    clientId: p.clientId, deviceName: p.deviceName, players: p.players, rules: p.rules,
+  })));
+
+  // Stamp rounds that changed since the last publish. Rounds already there when
+  // the session starts get rev 0: they lose to any real edit made in the room
+  const restamp = (players) => {
+    let dirty = false;
+    for (const p of players) {
+      const keys = p.rows.map(rowKey);
+      const prev = sentRows.get(p.id);
+      const st = stamps.get(p.id) || [];
+      keys.forEach((k, i) => {
+        if (prev && prev[i] === k) return;
+        if (!prev || prev[i] === undefined) st[i] = isBlankRow(p.rows[i]) ? NO_STAMP : [0, clientId];
+        else st[i] = [++clock, clientId];
+        dirty = true;
+      });
+      st.length = keys.length;
+      stamps.set(p.id, st);
+      sentRows.set(p.id, keys);
+    }
+    return dirty;
+  };
+
+  const sheetsMessage = () => ({
+    type: "state",
+    deviceName,
+    rules: last.rules,
+    players: last.players.map((p) => ({
+      id: p.id, name: p.name, hasGlitterBlue: !!p.hasGlitterBlue, flags: p.flags || {},
+      activeRound: p.activeRound, rows: p.rows, stamps: stamps.get(p.id) || [],
+    })),
+  });
+
+  const publish = (players, rules, force = false) => {
+    const rosterChanged = players.length !== last.players.length || players.some((p, i) => p.id !== last.players[i]?.id || p.name !== last.players[i]?.name);
+    const flagsChanged = players.some((p, i) => p.hasGlitterBlue !== last.players[i]?.hasGlitterBlue || p.flags !== last.players[i]?.flags);
+    const rulesChanged = rules !== last.rules;
+    last = { players, rules };
+    const dirty = restamp(players);
+    if (force || dirty || rosterChanged || flagsChanged || rulesChanged) send(sheetsMessage());
+  };
+
+  const receiveState = (msg) => {
+    if (!isValidState(msg, last.rules, last.players)) return;
+    for (const p of msg.players) {
+      for (const s of p.stamps || []) if (s && s[0] > clock) clock = s[0];
+    }
+    peers.set(msg.from, { clientId: msg.from, deviceName: String(msg.deviceName || ""), players: msg.players, rules: senderRules(msg, last.rules), seen: Date.now() });
+
+    // Players that live on this device too: merge round by round
+    let reply = false;
+    for (const remote of msg.players) {
+      const local = last.players.find((p) => p.id === remote.id);
+      if (!local) continue;
+      const merged = mergeSheet(local.rows, stamps.get(local.id) || [], remote.rows, remote.stamps || []);
+      stamps.set(local.id, merged.stamps);
+      reply = reply || merged.remoteBehind;
+      for (const c of merged.conflicts) {
+        onConflict?.({ playerId: local.id, playerName: local.name, round: c.round, winner: c.winner, device: msg.deviceName || "another device" });
+      }
+      if (merged.changed) {
+        // Recorded as already published, so applying it doesn't bounce back as a new edit
+        sentRows.set(local.id, merged.rows.map(rowKey));
+        last = { ...last, players: last.players.map((p) => (p.id === local.id ? { ...p, rows: merged.rows, activeRound: nextActiveRound(merged.rows) } : p)) };
+        onMerge?.(local.id, merged.rows);
+      }
+    }
+    if (reply) send(sheetsMessage());
+    emitPeers();
+  };
+
+  const offMessage = transport.onMessage((msg) => {
+    if (!msg || msg.v !== SYNC_PROTOCOL || msg.room !== room || msg.from === clientId) return;
+    const peer = peers.get(msg.from);
+    if (peer) peer.seen = Date.now();
+    if (msg.type === "hello") {
+      send(sheetsMessage());
+    } else if (msg.type === "state") {
+      receiveState(msg);
+    } else if (msg.type === "bye") {
+      peers.delete(msg.from);
+      emitPeers();
+    } else if (msg.type === "ping" && !peer) {
+      // A peer we lost track of (e.g. after our reconnect) – ask for its state
+      send({ type: "hello" });
+    }
+  });
+
+  const offStatus = transport.onStatus((status) => {
+    onStatus?.(status);
+    if (status === "connected") send({ type: "hello" });
+  });
+
+  const timer = setInterval(() => {
+    send({ type: "ping" });
+    const now = Date.now();
+    let pruned = false;
+    for (const [id, p] of peers) if (now - p.seen > PEER_TIMEOUT_MS) { peers.delete(id); pruned = true; }
+    if (pruned) emitPeers();
+  }, PING_MS);
+
+  return {
+    publish,
+    close() {
+      clearInterval(timer);
+      send({ type: "bye" });
+      offMessage();
+      offStatus();
+      transport.close();
+    },
+  };
+}
+
+// ---- transports
+
+// Other tabs / windows of this browser
+export function createBroadcastTransport(room) {
+  const channel = new BroadcastChannel(`panda-royale-sync:${room}`);
+  const listeners = new Set();
+  channel.onmessage = (e) => listeners.forEach((fn) => fn(e.data));
+  return {
+    send: (msg) => channel.postMessage(msg),
+    onMessage: (fn) => { listeners.add(fn); return () => listeners.delete(fn); },
+    onStatus: (fn) => { fn("connected"); return () => {}; },
+    close: () => channel.close(),
+  };
+}
+
+// The LAN relay; reconnects with backoff (1 s → 30 s) until closed
+export function createWebSocketTransport(url, room, { WebSocketImpl = globalThis.WebSocket } = {}) {
+  const listeners = new Set();
+  const statusListeners = new Set();
+  let ws = null;
+  let closed = false;
+  let retryMs = 1000;
+  let retryTimer = null;
+  let status = "connecting";
+  const setStatus = (s) => { status = s; statusListeners.forEach((fn) => fn(s)); };
+
+  const connect = () => {
+    setStatus("connecting");
+    const target = new URL(url);
+    target.searchParams.set("room", room);
+    ws = new WebSocketImpl(target.toString());
+    ws.onopen = () => { retryMs = 1000; setStatus("connected"); };
+    ws.onmessage = (e) => {
+      try {
+        const msg = JSON.parse(e.data);
+        listeners.forEach((fn) => fn(msg));
+      } catch {
+        // not ours – ignore
+      }
+    };
+    ws.onclose = () => {
+      if (closed) return;
+      setStatus("offline");
+      retryTimer = setTimeout(connect, retryMs);
+      retryMs = Math.min(retryMs * 2, 30000);
+    };
+    ws.onerror = () => ws.close();
+  };
+  connect();
+
+  return {
+    send: (msg) => { if (ws?.readyState === 1) ws.send(JSON.stringify(msg)); },
+    onMessage: (fn) => { listeners.add(fn); return () => listeners.delete(fn); },
+    onStatus: (fn) => { statusListeners.add(fn); fn(status); return () => statusListeners.delete(fn); },
+    close: () => { closed = true; clearTimeout(retryTimer); ws?.close(); },
+  };
+}
+
+// Several transports as one; a message arriving through two of them is delivered once
+export function combineTransports(transports) {
+  const seen = [];
+  const statuses = transports.map(() => "connecting");
+  // The weakest link: "connected" only once every transport is up
+  const overall = () => (statuses.includes("offline") ? "offline" : statuses.includes("connecting") ? "connecting" : "connected");
+  return {
+    send: (msg) => transports.forEach((t) => t.send(msg)),
+    onMessage: (fn) => {
+      const offs = transports.map((t) => t.onMessage((msg) => {
+        if (msg?.id && seen.includes(msg.id)) return;
+        if (msg?.id) { seen.push(msg.id); if (seen.length > SEEN_LIMIT) seen.shift(); }
+        fn(msg);
+      }));
+      return () => offs.forEach((off) => off());
+    },
+    onStatus: (fn) => {
+      // A relay coming back turns the whole into "connected" again, which triggers a fresh hello
+      const offs = transports.map((t, i) => t.onStatus((s) => { statuses[i] = s; fn(overall()); }));
+      return () => offs.forEach((off) => off());
+    },
+    close: () => transports.forEach((t) => t.close()),
+  };
+}
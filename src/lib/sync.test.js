@@ -0,0 +1,157 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { makePlayer } from "./game";
+import { SYNC_PROTOCOL, createSyncSession, mergeSheet } from "./sync";
+
+// A room whose messages wait in `queue` until the test delivers them
+function createRoom() {
+  const listeners = [];
+  const room = {
+    queue: [],
+    transport: () => ({
+      send: (msg) => room.queue.push(msg),
+      onMessage: (fn) => { listeners.push(fn); return () => listeners.splice(listeners.indexOf(fn), 1); },
+      onStatus: (fn) => { fn("connected"); return () => {}; },
+      close: () => {},
+    }),
+    deliver: (msg) => [...listeners].forEach((fn) => fn(msg)),
+    // Until nobody has anything left to say (replies included)
+    flush: () => { while (room.queue.length) room.deliver(room.queue.shift()); },
+  };
+  return room;
+}
+
+// A device showing the shared sheet; merges from the room are applied like App does
+function createDevice(room, clientId, player) {
+  const device = { players: [structuredClone(player)], conflicts: [], merges: 0, peers: [] };
+  device.session = createSyncSession({
+    room: "ROOM",
+    clientId,
+    deviceName: clientId,
+    transport: room.transport(),
+    onMerge: (id, rows) => {
+      device.merges++;
+      device.players = device.players.map((p) => (p.id === id ? { ...p, rows } : p));
+    },
+    onConflict: (notice) => device.conflicts.push(notice),
+    onPeers: (peers) => { device.peers = peers; },
+  });
+  device.edit = (round, patch) => {
+    device.players = device.players.map((p) => ({ ...p, rows: p.rows.map((r, i) => (i === round ? { ...r, ...patch } : r)) }));
+    device.session.publish(device.players, CLASSIC_RULES);
+  };
+  device.rows = () => device.players[0].rows;
+  device.session.publish(device.players, CLASSIC_RULES);
+  return device;
+}
+
+const sessions = [];
+const twoDevices = () => {
+  const room = createRoom();
+  const ann = makePlayer("Ann", CLASSIC_RULES, 3, 1000);
+  const a = createDevice(room, "a", ann);
+  const b = createDevice(room, "b", ann);
+  sessions.push(a.session, b.session);
+  room.flush();
+  return { room, a, b };
+};
+
+afterEach(() => {
+  sessions.splice(0).forEach((s) => s.close());
+});
+
+describe("mergeSheet", () => {
+  const row = (y) => ({ y, locked: false });
+
+  it("takes the round with the higher Lamport stamp", () => {
+    const out = mergeSheet([row(1), row(2)], [[3, "a"], [5, "a"]], [row(9), row(8)], [[4, "b"], [2, "b"]]);
+    expect(out.rows).toEqual([row(9), row(2)]);
+    expect(out.stamps).toEqual([[4, "b"], [5, "a"]]);
+    expect(out.changed).toBe(true);
+    expect(out.remoteBehind).toBe(true);
+    expect(out.conflicts).toEqual([{ round: 0, winner: "remote" }, { round: 1, winner: "local" }]);
+  });
+
+  it("breaks ties by device id, the same way on both sides", () => {
+    const here = mergeSheet([row(1)], [[7, "a"]], [row(2)], [[7, "b"]]);
+    const there = mergeSheet([row(2)], [[7, "b"]], [row(1)], [[7, "a"]]);
+    expect(here.rows).toEqual([row(2)]);
+    expect(there.rows).toEqual([row(2)]);
+    expect([here.conflicts[0].winner, there.conflicts[0].winner]).toEqual(["remote", "local"]);
+  });
+
+  it("doesn't call rounds nobody wrote a conflict", () => {
+    const out = mergeSheet([row(0)], [[0, ""]], [row(4)], [[1, "b"]]);
+    expect(out.rows).toEqual([row(4)]);
+    expect(out.conflicts).toEqual([]);
+  });
+});
+
+describe("two sync sessions", () => {
+  it("converge on concurrent edits to the same round", () => {
+    const { room, a, b } = twoDevices();
+    a.edit(0, { y: 3 });
+    b.edit(0, { y: 5 });
+    room.flush();
+    expect(a.rows()).toEqual(b.rows());
+    expect(a.rows()[0].y).toBe(5); // same rev: the higher device id wins
+    expect(a.conflicts.map((c) => c.winner)).toEqual(["remote"]);
+    expect(b.conflicts.map((c) => c.winner)).toEqual(["local"]);
+  });
+
+  it("keep concurrent edits to different rounds", () => {
+    const { room, a, b } = twoDevices();
+    a.edit(0, { y: 3 });
+    b.edit(1, { green: 4 });
+    room.flush();
+    expect(a.rows()).toEqual(b.rows());
+    expect([a.rows()[0].y, a.rows()[1].green]).toEqual([3, 4]);
+    expect([...a.conflicts, ...b.conflicts]).toEqual([]);
+  });
+
+  it("end up with the latest edit when messages arrive out of order", () => {
+    const { room, a, b } = twoDevices();
+    a.edit(0, { y: 3 });
+    a.edit(0, { y: 6 });
+    const [older, newer] = room.queue.splice(0);
+    room.deliver(newer);
+    room.deliver(older);
+    expect(b.rows()[0].y).toBe(6);
+    room.flush(); // b answers the stale copy with its own
+    expect(a.rows()).toEqual(b.rows());
+    expect(a.rows()[0].y).toBe(6);
+  });
+
+  it("drop state messages with malformed rounds", () => {
+    const { room, a } = twoDevices();
+    const before = a.rows();
+    const state = (rows) => ({
+      v: SYNC_PROTOCOL, room: "ROOM", from: "mallory", type: "state", deviceName: "mallory",
+      players: [{ id: a.players[0].id, name: "Ann", rows, stamps: rows.map(() => [99, "mallory"]) }],
+    });
+    room.deliver(state([null, ...before.slice(1)]));
+    room.deliver(state([{ ...before[0], y: "lots" }, ...before.slice(1)]));
+    room.deliver(state([{ ...before[0], y: -4 }, ...before.slice(1)]));
+    room.deliver({ ...state(before), players: [{ ...state(before).players[0], stamps: ["x"] }] });
+    room.deliver({ ...state(before), players: [null] });
+    expect(a.rows()).toBe(before);
+    expect(a.merges).toBe(0);
+    expect(room.queue).toEqual([]);
+  });
+
+  it("drop malformed players of the sender's own and fall back to local rules", () => {
+    const { room, a } = twoDevices();
+    const before = a.peers;
+    const rows = makePlayer("Zed", CLASSIC_RULES, 3).rows;
+    const state = (rules, players) => ({ v: SYNC_PROTOCOL, room: "ROOM", from: "c", type: "state", deviceName: "c", rules, players });
+    room.deliver(state({}, [{ id: "z", rows: [null] }]));
+    room.deliver(state(CLASSIC_RULES, [{ id: "z", rows: [{ ...rows[0], y: "lots" }] }]));
+    room.deliver(state(CLASSIC_RULES, [{ id: "z", name: { first: "Zed" }, rows }]));
+    expect(a.peers).toBe(before);
+
+    room.deliver(state({}, [{ id: "z", name: "Zed", rows }]));
+    const zed = a.peers.find((p) => p.clientId === "c");
+    expect(zed.players[0].name).toBe("Zed");
+    expect(zed.rules).toBe(CLASSIC_RULES);
+  });
+});
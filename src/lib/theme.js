@@ -0,0 +1,58 @@
+import { useEffect, useLayoutEffect, useState } from "react";
+import { UI_THEMES } from "./colors";
+
+/**
+ * Colour theme of the app
+ * - Modes: "system" (follows the OS: light or dark, high contrast when the OS
+ *   asks for more contrast), or a fixed "light", "dark" or "contrast"
+ * - The resolved theme is a class on <html> (theme-light / theme-dark /
+ *   theme-contrast); tailwind.config.js defines the colour variables per class
+ * - Dark and high contrast also set Tailwind's `dark` class
+ */
+
+export const THEME_MODES = ["system", "light", "dark", "contrast"];
+export const isThemeMode = (mode) => THEME_MODES.includes(mode);
+
+// Spelled out so Tailwind finds the class names in this file
+const THEME_CLASSES = { light: "theme-light", dark: "theme-dark", contrast: "theme-contrast" };
+
+const LIGHT_QUERY = "(prefers-color-scheme: light)";
+const CONTRAST_QUERY = "(prefers-contrast: more)";
+
+// Theme actually shown for a mode and what the OS prefers
+export function resolveTheme(mode, { prefersLight = false, prefersContrast = false } = {}) {
+  if (mode === "light" || mode === "dark" || mode === "contrast") return mode;
+  if (prefersContrast) return "contrast";
+  return prefersLight ? "light" : "dark";
+}
+
+export function applyTheme(theme, root = document.documentElement) {
+  for (const [name, cls] of Object.entries(THEME_CLASSES)) root.classList.toggle(cls, name === theme);
+  root.classList.toggle("dark", theme !== "light");
+  root.style.colorScheme = theme === "light" ? "light" : "dark";
+  const meta = root.ownerDocument.querySelector('meta[name="theme-color"]');
+  if (meta) meta.setAttribute("content", UI_THEMES[theme].surface);
+}
+
+function systemPreferences() {
+  const matches = (query) => typeof window !== "undefined" && !!window.matchMedia?.(query).matches;
+  return { prefersLight: matches(LIGHT_QUERY), prefersContrast: matches(CONTRAST_QUERY) };
+}
+
+// Applies the mode's theme and keeps following the OS while the mode is "system"
+export function useTheme(mode) {
+  const [prefs, setPrefs] = useState(systemPreferences);
+
+  useEffect(() => {
+    if (mode !== "system" || typeof window === "undefined" || !window.matchMedia) return undefined;
+    const queries = [LIGHT_QUERY, CONTRAST_QUERY].map((q) => window.matchMedia(q));
+    const onChange = () => setPrefs(systemPreferences());
+    queries.forEach((q) => q.addEventListener?.("change", onChange));
+    onChange();
+    return () => queries.forEach((q) => q.removeEventListener?.("change", onChange));
+  }, [mode]);
+
+  const theme = resolveTheme(mode, prefs);
+  useLayoutEffect(() => { applyTheme(theme); }, [theme]);
+  return theme;
+}
@@ -0,0 +1,106 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { COLORS, DIE_PALETTES, THEMES, UI_THEMES, hexToRgb } from "./colors";
+import { applyTheme, resolveTheme } from "./theme";
+import { loadSettings, saveSettings } from "./settings";
+
+// WCAG relative luminance / contrast ratio
+const luminance = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map((v) => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+const contrast = (a, b) => {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+};
+
+// CIE76 distance in Lab – about 2 is barely visible, 20+ reads as a different colour
+const toLab = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map((v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  const xyz = [
+    (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047,
+    0.2126 * r + 0.7152 * g + 0.0722 * b,
+    (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883,
+  ].map((t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116));
+  return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+};
+const deltaE = (a, b) => Math.hypot(...toLab(a).map((v, i) => v - toLab(b)[i]));
+
+describe("resolveTheme", () => {
+  it("keeps a fixed mode", () => {
+    expect(resolveTheme("light", { prefersContrast: true })).toBe("light");
+    expect(resolveTheme("contrast")).toBe("contrast");
+  });
+
+  it("follows the system preferences", () => {
+    expect(resolveTheme("system")).toBe("dark");
+    expect(resolveTheme("system", { prefersLight: true })).toBe("light");
+    expect(resolveTheme("system", { prefersLight: true, prefersContrast: true })).toBe("contrast");
+  });
+});
+
+describe("applyTheme", () => {
+  afterEach(() => applyTheme("dark"));
+
+  it("switches the theme class on <html>", () => {
+    const root = document.documentElement;
+    applyTheme("light");
+    expect(root.classList.contains("theme-light")).toBe(true);
+    expect(root.classList.contains("dark")).toBe(false);
+    applyTheme("contrast");
+    expect(root.classList.contains("theme-light")).toBe(false);
+    expect(root.classList.contains("theme-contrast")).toBe(true);
+    expect(root.classList.contains("dark")).toBe(true);
+    expect(root.style.colorScheme).toBe("dark");
+  });
+});
+
+describe("die palettes", () => {
+  it.each(THEMES)("keeps every colour apart in %s", (theme) => {
+    const palette = Object.entries(DIE_PALETTES[theme]);
+    for (const [i, [a, ca]] of palette.entries()) {
+      for (const [b, cb] of palette.slice(i + 1)) {
+        expect(deltaE(ca.bg, cb.bg), `${a} / ${b}`).toBeGreaterThanOrEqual(20);
+      }
+    }
+  });
+
+  it.each(THEMES)("has readable chip text in %s", (theme) => {
+    for (const [key, c] of Object.entries(DIE_PALETTES[theme])) {
+      expect(contrast(c.fg, c.bg), key).toBeGreaterThanOrEqual(4.5);
+    }
+    expect(contrast(UI_THEMES[theme].ink, UI_THEMES[theme].surface)).toBeGreaterThanOrEqual(7);
+  });
+
+  it.each(THEMES)("has readable status and accent text in %s", (theme) => {
+    const ui = UI_THEMES[theme];
+    for (const key of ["muted", "danger", "warn", "ok", "accent2"]) {
+      expect(contrast(ui[key], ui.panel), key).toBeGreaterThanOrEqual(4.5);
+    }
+    expect(contrast(ui.danger, ui.dangerSoft)).toBeGreaterThanOrEqual(4.5);
+    expect(contrast(ui.warn, ui.warnSoft)).toBeGreaterThanOrEqual(4.5);
+  });
+
+  it("draws through the current theme's variables", () => {
+    expect(COLORS.red.bg).toBe("var(--die-red-bg)");
+    expect(COLORS.red.pattern).toBe("var(--die-red-pattern)");
+    expect(COLORS.yellow.pattern).toBeNull();
+  });
+});
+
+describe("settings", () => {
+  afterEach(() => localStorage.clear());
+
+  it("keeps the theme and drops an unknown one", () => {
+    expect(loadSettings().theme).toBe("system");
+    saveSettings({ ...loadSettings(), theme: "contrast" });
+    expect(loadSettings().theme).toBe("contrast");
+    saveSettings({ ...loadSettings(), theme: "sepia" });
+    expect(loadSettings().theme).toBe("system");
+  });
+});
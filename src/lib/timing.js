@@ -0,0 +1,107 @@
+import { useEffect, useState } from "react";
+import { DEFAULT_LANGUAGE, translate } from "./i18n";
+
+/**
+ * Round timing
+ * - Each row keeps when its round became active (startedAt: round 1 when the
+ *   sheet is created, later rounds when the one before is locked) and when Done
+ *   locked it (lockedAt); both are epoch milliseconds, saved and exported with the game
+ * - Rounds from before timing existed simply have no times
+ * - The game clock runs from the earliest round start of any player until the
+ *   last lock of a finished game
+ * - Turn timer: an optional countdown (device setting, lib/settings.js) that
+ *   beeps and/or vibrates when it runs out
+ */
+
+const isTime = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+
+// Milliseconds the round took (locked) or has taken so far (open); null without a start
+export function roundDuration(row, now = Date.now()) {
+  if (!isTime(row?.startedAt)) return null;
+  if (row.locked) return isTime(row.lockedAt) ? Math.max(0, row.lockedAt - row.startedAt) : null;
+  return Math.max(0, now - row.startedAt);
+}
+
+// → { startedAt, duration, running } for all players' sheets, or null before any round started
+export function gameClock(players, now = Date.now()) {
+  const rows = players.flatMap((p) => p.rows);
+  const starts = rows.map((r) => r.startedAt).filter(isTime);
+  if (!starts.length) return null;
+  const startedAt = Math.min(...starts);
+  const running = rows.some((r) => !r.locked);
+  const end = running ? now : Math.max(startedAt, ...rows.map((r) => r.lockedAt).filter(isTime));
+  return { startedAt, duration: Math.max(0, end - startedAt), running };
+}
+
+// 75 s → "1:15", 3725 s → "1:02:05"
+export function formatDuration(ms) {
+  if (ms == null) return "";
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+// Problems with a row's timestamps (for file import / repair), in `lang`
+export function timingErrors(row, lang = DEFAULT_LANGUAGE) {
+  const errors = [];
+  for (const [key, word] of [["startedAt", "csv.started"], ["lockedAt", "csv.locked"]]) {
+    if (row[key] !== undefined && !isTime(row[key])) {
+      errors.push(translate(lang, "fileError.notTime", { field: translate(lang, word), value: JSON.stringify(row[key]) }));
+    }
+  }
+  return errors;
+}
+
+// Current time, re-read every `interval` ms while `active`
+export function useNow(active = true, interval = 1000) {
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    if (!active) return undefined;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(id);
+  }, [active, interval]);
+  return now;
+}
+
+// ---- turn timer
+
+export const TURN_TIMER_DEFAULTS = { enabled: false, seconds: 60, sound: true, vibrate: true };
+export const MAX_TURN_SECONDS = 600;
+
+export function normalizeTurnTimer(saved) {
+  const t = saved && typeof saved === "object" ? saved : {};
+  const seconds = Number.isInteger(t.seconds) && t.seconds >= 5 && t.seconds <= MAX_TURN_SECONDS ? t.seconds : TURN_TIMER_DEFAULTS.seconds;
+  return {
+    enabled: t.enabled === true,
+    seconds,
+    sound: t.sound !== false,
+    vibrate: t.vibrate !== false,
+  };
+}
+
+// Three short beeps and/or a buzz; quietly does nothing where unsupported
+export function alertTimeUp({ sound, vibrate }) {
+  if (vibrate) navigator.vibrate?.([200, 100, 200, 100, 400]);
+  if (!sound) return;
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return;
+  try {
+    const ctx = new AudioCtx();
+    [0, 0.3, 0.6].forEach((at) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = 880;
+      gain.gain.setValueAtTime(0.25, ctx.currentTime + at);
+      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + at + 0.2);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(ctx.currentTime + at);
+      osc.stop(ctx.currentTime + at + 0.2);
+    });
+    setTimeout(() => ctx.close(), 1200);
+  } catch {
+    // audio blocked (no user gesture yet) – the vibration / on-screen alert still shows
+  }
+}
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { formatDuration, gameClock, normalizeTurnTimer, roundDuration, timingErrors, TURN_TIMER_DEFAULTS } from "./timing";
+import { loadSettings, saveSettings } from "./settings";
+
+describe("roundDuration", () => {
+  it("counts a locked round from start to lock and an open one up to now", () => {
+    expect(roundDuration({ locked: true, startedAt: 1000, lockedAt: 76000 })).toBe(75000);
+    expect(roundDuration({ locked: false, startedAt: 1000 }, 31000)).toBe(30000);
+  });
+
+  it("has no time for rounds saved before timing existed", () => {
+    expect(roundDuration({ locked: true })).toBeNull();
+    expect(roundDuration({ locked: true, startedAt: 1000 })).toBeNull();
+    expect(roundDuration(undefined)).toBeNull();
+  });
+});
+
+describe("gameClock", () => {
+  const sheet = (...rows) => ({ rows });
+
+  it("runs from the first start of any player while a round is open", () => {
+    const players = [
+      sheet({ locked: true, startedAt: 2000, lockedAt: 5000 }, { locked: false, startedAt: 5000 }),
+      sheet({ locked: false, startedAt: 1000 }),
+    ];
+    expect(gameClock(players, 11000)).toEqual({ startedAt: 1000, duration: 10000, running: true });
+  });
+
+  it("stops at the last lock once every round is locked", () => {
+    const players = [sheet({ locked: true, startedAt: 1000, lockedAt: 4000 }), sheet({ locked: true, startedAt: 1500, lockedAt: 9000 })];
+    expect(gameClock(players, 99000)).toEqual({ startedAt: 1000, duration: 8000, running: false });
+  });
+
+  it("is null without any times", () => {
+    expect(gameClock([sheet({ locked: false })])).toBeNull();
+  });
+});
+
+describe("formatDuration", () => {
+  it("writes minutes:seconds, with hours when needed", () => {
+    expect(formatDuration(0)).toBe("0:00");
+    expect(formatDuration(75000)).toBe("1:15");
+    expect(formatDuration(3725000)).toBe("1:02:05");
+    expect(formatDuration(null)).toBe("");
+  });
+});
+
+describe("timingErrors", () => {
+  it("accepts missing times and rejects anything but epoch milliseconds", () => {
+    expect(timingErrors({})).toEqual([]);
+    expect(timingErrors({ startedAt: 1000, lockedAt: 2000 })).toEqual([]);
+    expect(timingErrors({ startedAt: "yesterday", lockedAt: -1 })).toHaveLength(2);
+  });
+});
+
+describe("turn timer settings", () => {
+  it("falls back to the defaults for anything unreadable", () => {
+    expect(normalizeTurnTimer(undefined)).toEqual(TURN_TIMER_DEFAULTS);
+    expect(normalizeTurnTimer({ enabled: true, seconds: 3, sound: false })).toEqual({ ...TURN_TIMER_DEFAULTS, enabled: true, sound: false });
+    expect(normalizeTurnTimer({ seconds: 90 }).seconds).toBe(90);
+  });
+
+  it("is kept with the device settings", () => {
+    saveSettings({ ...loadSettings(), turnTimer: { enabled: true, seconds: 45, sound: true, vibrate: false } });
+    expect(loadSettings().turnTimer).toEqual({ enabled: true, seconds: 45, sound: true, vibrate: false });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Undo/redo + audit trail for sheet edits
+ * - A command stores before/after snapshots of ONE player's sheet (by player id),
+ *   so undo never touches the roster, names or other players
+ * - Rapid edits to the same cell (typing "1", "14") merge into one command
+ * - Undo / redo put back only the cells the command changed (restoreCells), so
+ *   rounds another device edited in the meantime survive (lib/sync.js)
+ */
+
+import { DEFAULT_LANGUAGE, localizeLabel, translate } from "./i18n";
+
+export const UNDO_LIMIT = 200;
+export const LOG_LIMIT = 500;
+const MERGE_WINDOW_MS = 2000;
+
+// The parts of a player that commands change
+export const sheetSnapshot = (player) => ({
+  rows: player.rows,
+  activeRound: player.activeRound,
+});
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// `values` with `key` set to `value` (or removed when it's undefined)
+function setCell(values, key, value) {
+  const { [key]: _, ...rest } = values || {};
+  return value === undefined ? rest : { ...rest, [key]: value };
+}
+
+/**
+ * Rows with each cell that differs between `from` and `to` set to its `to` value.
+ * Dice breakdowns count per column; a cell that no longer holds its `from` value
+ * (someone else changed it since) is left alone.
+ */
+export function restoreCells(rows, from, to) {
+  return rows.map((row, i) => {
+    const a = from[i];
+    const b = to[i];
+    if (!a || !b || a === b) return row;
+    let next = row;
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (key === "dice" || same(a[key], b[key]) || !same(next[key], a[key])) continue;
+      next = setCell(next, key, b[key]);
+    }
+    for (const key of new Set([...Object.keys(a.dice || {}), ...Object.keys(b.dice || {})])) {
+      if (same(a.dice?.[key], b.dice?.[key]) || !same(next.dice?.[key], a.dice?.[key])) continue;
+      const dice = setCell(next.dice, key, b.dice?.[key]);
+      next = Object.keys(dice).length ? { ...next, dice } : setCell(next, "dice", undefined);
+    }
+    return next;
+  });
+}
+
+const MERGEABLE = ["field", "redCount", "dice"];
+
+export function canMerge(prev, change) {
+  return !!prev &&
+    MERGEABLE.includes(change.kind) &&
+    prev.kind === change.kind &&
+    prev.playerId === change.playerId &&
+    prev.round === change.round &&
+    prev.field === change.field &&
+    change.at - prev.at < MERGE_WINDOW_MS;
+}
+
+// Push onto the undo stack, folding into the last command when it's the same cell
+export function pushCommand(stack, command) {
+  const last = stack[stack.length - 1];
+  if (last && canMerge(last.change, command.change)) {
+    const change = { ...last.change, to: command.change.to, at: command.change.at };
+    return [...stack.slice(0, -1), { ...last, after: command.after, change }];
+  }
+  return [...stack, command].slice(-UNDO_LIMIT);
+}
+
+// Same folding for the log so it reads "3 → 14", not "3 → 1", "1 → 14"
+export function appendLog(log, change) {
+  const last = log[log.length - 1];
+  if (canMerge(last, change)) {
+    return [...log.slice(0, -1), { ...last, to: change.to, at: change.at }];
+  }
+  return [...log, change].slice(-LOG_LIMIT);
+}
+
+const LOG_KINDS = ["field", "sign", "dice", "redCount", "scan", "lock"];
+const isLogTime = (at) => typeof at === "number" && Number.isFinite(new Date(at).getTime());
+
+// Can this log entry (from a file or a save) be shown? undo / redo wrap a plain change
+export function isLogEntry(entry) {
+  if (!entry || typeof entry !== "object" || !isLogTime(entry.at)) return false;
+  if (entry.player !== undefined && typeof entry.player !== "string") return false;
+  if (entry.kind === "undo" || entry.kind === "redo") return LOG_KINDS.includes(entry.of?.kind);
+  return LOG_KINDS.includes(entry.kind);
+}
+
+// A saved log without the entries that couldn't be shown
+export const cleanLog = (log) => (Array.isArray(log) ? log.filter(isLogEntry) : []);
+
+// Log entries written before changes carried their column label fall back to the
+// built-in label; built-in labels are shown in `lang`, custom ones as typed
+export function describeChange(change, lang = DEFAULT_LANGUAGE) {
+  const t = (key, vars) => translate(lang, key, vars);
+  const key = `column.${change.field}`;
+  const builtin = t(key);
+  const vars = {
+    round: change.round + 1,
+    field: change.label ? localizeLabel(lang, key, change.label) : builtin === key ? change.field : builtin,
+    from: change.from,
+    to: change.to,
+  };
+  switch (change.kind) {
+    case "field":
+      return t("log.field", vars);
+    case "sign":
+      return t("log.sign", vars);
+    case "dice":
+      return t("log.dice", { ...vars, from: change.from || "–", to: change.to || "–" });
+    case "redCount":
+      // entries from before per-round red counts have no round
+      return t(change.round == null ? "log.redCountOld" : "log.redCount", vars);
+    case "scan":
+      return t("log.scan", { ...vars, count: change.to });
+    case "lock":
+      return change.warnings
+        ? t("log.lockWarnings", { ...vars, count: change.warnings })
+        : t("log.lock", vars);
+    case "undo":
+      return t("log.undo", { change: describeChange(change.of, lang) });
+    case "redo":
+      return t("log.redo", { change: describeChange(change.of, lang) });
+    default:
+      return change.kind;
+  }
+}
@@ -0,0 +1,74 @@
+import { DIE_FACES, cellFaces } from "./dice";
+import { isColumnOpen } from "./scoring";
+import { DEFAULT_LANGUAGE, localizeRules, translate } from "./i18n";
+
+/**
+ * Plausibility checks for entered scores
+ * - A column can't exceed (the round's dice in it × DIE_FACES), or go below zero
+ *   unless it allows negatives; columns not open yet in a round must stay 0
+ * - The round's dice come from the game state: the faces entered for the cell,
+ *   the red dice count (row.redCount) for red, else the column's `dice` rule
+ * These are warnings, not errors: the sheet still accepts the value, but locking
+ * asks for a confirm and imports list them.
+ */
+
+export const DEFAULT_COLUMN_DICE = 6;
+
+export const columnDice = (col) => (Number.isInteger(col.dice) && col.dice > 0 ? col.dice : DEFAULT_COLUMN_DICE);
+
+// Dice that scored in a column this round
+export function roundDice(col, row) {
+  const faces = cellFaces(row, col.key);
+  if (faces.length) return faces.length;
+  if (col.formula === "timesRedCount") return Math.max(0, Math.trunc(Number(row.redCount) || 0));
+  return columnDice(col);
+}
+
+// Plausible [min, max] of a column's raw value in a round
+export function columnRange(col, roundIdx, row) {
+  if (!isColumnOpen(col, roundIdx)) return { min: 0, max: 0 };
+  const max = roundDice(col, row) * DIE_FACES;
+  return { min: col.allowNegative && max ? -max : 0, max };
+}
+
+/**
+ * Warnings for one round → [{ key, message }] (key = column key or "redCount",
+ * so the table can mark the cell); messages are in `lang`
+ */
+export function validateRow(row, roundIdx, rules, lang = DEFAULT_LANGUAGE) {
+  const warnings = [];
+  const warn = (key, id, vars) => warnings.push({ key, message: translate(lang, `warning.${id}`, vars) });
+  for (const col of localizeRules(rules, lang).columns) {
+    const v = Number(row[col.key]) || 0;
+    const faces = cellFaces(row, col.key);
+    const column = col.label;
+    if (!isColumnOpen(col, roundIdx)) {
+      if (v !== 0) warn(col.key, "notYet", { column, round: col.fromRound });
+      continue;
+    }
+    if (faces.length > columnDice(col)) {
+      warn(col.key, "tooManyDice", { column, count: faces.length, max: columnDice(col) });
+    }
+    if (col.formula === "timesRedCount" && v !== 0 && !(row.redCount > 0)) {
+      warn(col.key, "noRedDice", { column });
+      continue;
+    }
+    const { min, max } = columnRange(col, roundIdx, row);
+    if (v > max) warn(col.key, "tooHigh", { column, value: v, max });
+    else if (v < min) warn(col.key, "tooLow", { column, value: v, min });
+  }
+  const redCol = rules.columns.find((c) => c.formula === "timesRedCount");
+  if (redCol && isColumnOpen(redCol, roundIdx) && (row.redCount || 0) > columnDice(redCol)) {
+    warn("redCount", "redCount", { count: row.redCount, max: columnDice(redCol) });
+  }
+  return warnings;
+}
+
+// Readable list for a whole game (imports): "Ann, round 3: Yellow 144 is more than 36 …"
+export function gameWarnings(players, rules, lang = DEFAULT_LANGUAGE) {
+  return players.flatMap((p, pi) => p.rows.flatMap((row, ri) => (
+    validateRow(row, ri, rules, lang).map((w) => translate(lang, "warning.where", {
+      player: p.name || translate(lang, "player.numbered", { n: pi + 1 }), round: ri + 1, message: w.message,
+    }))
+  )));
+}
@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { CLASSIC_RULES } from "./rules";
+import { makeBlankRows } from "./game";
+import { columnRange, gameWarnings, validateRow } from "./validation";
+
+const col = (key) => CLASSIC_RULES.columns.find((c) => c.key === key);
+const row = (patch = {}) => ({ ...makeBlankRows(1, CLASSIC_RULES)[0], ...patch });
+
+describe("columnRange", () => {
+  it("follows the column's dice rule when the round says nothing else", () => {
+    expect(columnRange(col("y"), 0, row())).toEqual({ min: 0, max: 36 });
+    expect(columnRange({ ...col("y"), dice: 2 }, 0, row())).toEqual({ min: 0, max: 12 });
+    expect(columnRange(col("green"), 0, row())).toEqual({ min: 0, max: 0 }); // not open yet
+  });
+
+  it("takes red from the round's red dice count", () => {
+    expect(columnRange(col("redSum"), 1, row({ redCount: 2 }))).toEqual({ min: -12, max: 12 });
+    expect(columnRange(col("redSum"), 1, row({ redCount: 0 }))).toEqual({ min: 0, max: 0 });
+  });
+
+  it("counts the faces entered for a cell as its dice", () => {
+    expect(columnRange(col("y"), 0, row({ y: 9, dice: { y: [4, 5] } }))).toEqual({ min: 0, max: 12 });
+    expect(columnRange(col("redSum"), 1, row({ redCount: 5, dice: { redSum: [-3] } }))).toEqual({ min: -6, max: 6 });
+  });
+});
+
+describe("validateRow", () => {
+  it("warns when red goes past what the round's red dice can show", () => {
+    expect(validateRow(row({ redSum: 12, redCount: 2 }), 1, CLASSIC_RULES)).toEqual([]);
+    expect(validateRow(row({ redSum: 13, redCount: 2 }), 1, CLASSIC_RULES)).toEqual([
+      { key: "redSum", message: "Red 13 is more than 12 (the most its dice can show)" },
+    ]);
+    expect(validateRow(row({ redSum: -4 }), 1, CLASSIC_RULES).map((w) => w.key)).toEqual(["redSum"]);
+  });
+
+  it("flags columns scored before they open and too many red dice", () => {
+    const warnings = validateRow(row({ y: 3, green: 2, redCount: 7 }), 0, CLASSIC_RULES);
+    expect(warnings.map((w) => w.key)).toEqual(["green"]);
+    expect(validateRow(row({ redCount: 7 }), 1, CLASSIC_RULES).map((w) => w.message)).toEqual(["7 red dice – there are only 6"]);
+  });
+});
+
+describe("gameWarnings", () => {
+  it("names the player and round", () => {
+    const players = [{ name: "Ann", rows: [row({ y: 144 })] }, { name: "", rows: [row()] }];
+    expect(gameWarnings(players, CLASSIC_RULES)).toEqual(["Ann, round 1: Yellow 144 is more than 36 (the most its dice can show)"]);
+  });
+});
@@ -0,0 +1,122 @@
+// Synthetic photos of dice on a table for lib/diceScan.test.js, rendered when the
+// tests run: each scene lists its dice as [colour, face, x, y, size, angle]
+
+// Colours of the physical dice (not the app palette) and their pips
+const DICE = {
+  yellow: { body: [242, 194, 48], pip: [34, 34, 34] },
+  purple: { body: [123, 79, 184], pip: [248, 248, 248] },
+  blue: { body: [47, 123, 214], pip: [248, 248, 248] },
+  red: { body: [214, 58, 58], pip: [248, 248, 248] },
+  green: { body: [61, 174, 91], pip: [248, 248, 248] },
+  clear: { body: [230, 235, 238], pip: [40, 40, 48] },
+  pink: { body: [238, 111, 176], pip: [34, 34, 34] },
+};
+
+// Pip centres per face, in units of 0.27 × die size
+const PIPS = {
+  1: [[0, 0]],
+  2: [[-1, -1], [1, 1]],
+  3: [[-1, -1], [0, 0], [1, 1]],
+  4: [[-1, -1], [1, -1], [-1, 1], [1, 1]],
+  5: [[-1, -1], [1, -1], [0, 0], [-1, 1], [1, 1]],
+  6: [[-1, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [1, 1]],
+};
+
+export const SCENES = [
+  {
+    name: "one of each", width: 640, height: 480, table: [24, 48, 34], light: 0.1, seed: 1,
+    dice: [
+      ["yellow", 3, 110, 110, 78, 5], ["purple", 5, 300, 100, 78, -12], ["blue", 2, 500, 120, 76, 20],
+      ["red", 6, 120, 330, 80, 8], ["green", 4, 300, 320, 78, -4], ["clear", 1, 470, 330, 74, 30],
+      ["pink", 2, 580, 410, 60, 0],
+    ],
+  },
+  {
+    name: "a handful", width: 800, height: 600, table: [52, 36, 26], light: 0.15, seed: 2,
+    dice: [
+      ["yellow", 6, 90, 90, 70, 0], ["yellow", 1, 230, 80, 70, 15], ["yellow", 4, 380, 100, 68, -20],
+      ["blue", 5, 540, 90, 72, 40], ["blue", 3, 690, 110, 70, 10],
+      ["red", 2, 100, 260, 72, -30], ["red", 5, 250, 250, 70, 5], ["red", 1, 400, 270, 72, 25],
+      ["green", 6, 560, 260, 70, -10], ["green", 3, 700, 280, 68, 35],
+      ["clear", 4, 110, 440, 72, 12], ["clear", 2, 260, 450, 70, -25],
+      ["pink", 6, 420, 440, 70, 0], ["purple", 2, 580, 450, 72, 18], ["purple", 4, 720, 470, 66, -8],
+    ],
+  },
+  {
+    name: "a small photo", width: 320, height: 240, table: [30, 30, 36], light: 0.1, seed: 3,
+    dice: [
+      ["yellow", 2, 60, 60, 44, 10], ["purple", 3, 160, 60, 44, -15], ["green", 5, 260, 70, 44, 0],
+      ["red", 4, 70, 175, 44, 20], ["pink", 1, 170, 180, 42, 5], ["clear", 6, 265, 175, 44, -30],
+    ],
+  },
+  {
+    name: "uneven light", width: 640, height: 480, table: [20, 34, 52], light: 0.35, seed: 4,
+    dice: [
+      ["blue", 6, 100, 100, 80, 25], ["blue", 1, 280, 110, 76, 0], ["yellow", 5, 460, 100, 80, -18],
+      ["clear", 3, 110, 320, 78, 40], ["clear", 5, 290, 330, 80, -5], ["pink", 4, 470, 320, 78, 12],
+      ["green", 2, 570, 210, 56, -35], ["red", 3, 380, 220, 60, 45],
+    ],
+  },
+];
+
+function random(seed) {
+  let a = seed * 0x9e3779b9;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Colour of a point on a die (null = not on it), u/v relative to its centre
+function dieAt([key, face, cx, cy, size, angle], x, y) {
+  if (Math.abs(x - cx) > size || Math.abs(y - cy) > size) return null;
+  const rad = (angle * Math.PI) / 180;
+  const u = (x - cx) * Math.cos(rad) + (y - cy) * Math.sin(rad);
+  const v = -(x - cx) * Math.sin(rad) + (y - cy) * Math.cos(rad);
+  const half = size / 2;
+  const corner = size * 0.18;
+  const du = Math.max(Math.abs(u) - (half - corner), 0);
+  const dv = Math.max(Math.abs(v) - (half - corner), 0);
+  if (Math.abs(u) > half || Math.abs(v) > half || du * du + dv * dv > corner * corner) return null;
+  const { body, pip } = DICE[key];
+  const onPip = PIPS[face].some(([pu, pv]) => Math.hypot(u - pu * size * 0.27, v - pv * size * 0.27) < size * 0.09);
+  // Lit from the top left
+  const shade = 1 + 0.12 * (-(u + v) / size);
+  return (onPip ? pip : body).map((c) => c * shade);
+}
+
+export function renderScene(scene) {
+  const { width, height, table, light } = scene;
+  const rand = random(scene.seed);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const SUB = [0.25, 0.75];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sum = [0, 0, 0];
+      for (const sy of SUB) {
+        for (const sx of SUB) {
+          const px = x + sx;
+          const py = y + sy;
+          const die = scene.dice.map((d) => dieAt(d, px, py)).find(Boolean);
+          const c = die || table;
+          c.forEach((v, i) => { sum[i] += v; });
+        }
+      }
+      // Light falls off towards the bottom right, plus sensor noise
+      const falloff = 1 - light * ((x / width + y / height) / 2);
+      const noise = (rand() - 0.5) * 10;
+      for (let i = 0; i < 3; i++) data[(y * width + x) * 4 + i] = (sum[i] / 4) * falloff + noise;
+      data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// { colour: [faces] } of the dice a scene shows
+export const sceneDice = (scene) => {
+  const dice = {};
+  for (const [key, face] of scene.dice) (dice[key] ||= []).push(face);
+  return dice;
+};
@@ -0,0 +1,15 @@
+import "@testing-library/jest-dom/vitest";
+import { afterEach, beforeEach, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+// Every test starts from an empty browser profile; confirm() dialogs are accepted
+beforeEach(() => {
+  localStorage.clear();
+  window.location.hash = "";
+  vi.spyOn(window, "confirm").mockReturnValue(true);
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+});
@@ -1,11 +1,41 @@
+import plugin from "tailwindcss/plugin";
+import { THEMES, UI_THEMES, dieCssVars, hexToRgb } from "./src/lib/colors.js";
+
+// Themes (lib/theme.js puts theme-light / theme-dark / theme-contrast on <html>):
+// the UI tokens in lib/colors.js become CSS variables per theme class and
+// Tailwind colours of their own (bg-panel, text-muted, border-subtle …);
+// Tailwind's palettes stay as they are. Dark is the original look and the default.
+
+const varColor = (name) => `rgb(var(--${name}) / <alpha-value>)`;
+const triplet = (hex) => hexToRgb(hex).join(" ");
+const kebab = (key) => key.replace(/[A-Z0-9]/g, (m) => "-" + m.toLowerCase());
+
+function themeVars(theme) {
+  const vars = {};
+  for (const [key, hex] of Object.entries(UI_THEMES[theme])) vars[`--ui-${kebab(key)}`] = triplet(hex);
+  return { ...vars, ...dieCssVars(theme) };
+}
+
+// Dark first: `:root` must not win over an explicit theme class
+const themeOrder = ["dark", ...THEMES.filter((t) => t !== "dark")];
+
 /** @type {import('tailwindcss').Config} */
-module.exports = {
+export default {
   content: [
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      colors: Object.fromEntries(Object.keys(UI_THEMES.dark).map((key) => [kebab(key), varColor(`ui-${kebab(key)}`)])),
+    },
   },
-  plugins: [],
-}
\ No newline at end of file
+  plugins: [
+    plugin(({ addBase }) => {
+      addBase(Object.fromEntries(themeOrder.map((theme) => [
+        theme === "dark" ? ":root, .theme-dark" : `.theme-${theme}`,
+        themeVars(theme),
+      ])));
+    }),
+  ],
+}
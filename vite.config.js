@@ -1,7 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Installable + offline: precaches the whole build; a new deploy waits for
+    // the in-app "update available" prompt instead of reloading mid-game
+    VitePWA({
+      registerType: 'prompt',
+      includeAssets: ['icons/favicon.svg', 'icons/apple-touch-icon-180x180.png'],
+      manifest: {
+        name: 'Panda Royale Score Sheet',
+        short_name: 'Panda Royale',
+        description: 'Offline score sheet for Panda Royale dice games',
+        theme_color: '#09090b',
+        background_color: '#09090b',
+        display: 'standalone',
+        orientation: 'any',
+        icons: [
+          { src: 'icons/pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'icons/pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'icons/maskable-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html}'], // icons + manifest come from includeAssets / manifest
+        // GitHub Pages serves 404.html as the SPA fallback; offline, the precached shell does
+        navigateFallback: 'index.html',
+        cleanupOutdatedCaches: true,
+      },
+    }),
+  ],
   base: '/panda-royale/',   // 👈 IMPORTANT: must match repo name exactly
+  // `npm test`: unit tests next to lib modules, component tests next to App
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    css: false,
+  },
 })